@@ -0,0 +1,590 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useEffect, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import DateRangePicker from "../../src/components/DateRangePicker";
+import { availabilityService } from "../../src/services/availabilityService";
+import { listingService } from "../../src/services/listingService";
+import {
+  addDays,
+  eachNight,
+  formatDateRange,
+  formatDay,
+  todayISO,
+} from "../../src/utils/dateRanges";
+import { formatPrice } from "../../src/utils/format";
+import { datesFromParams } from "../../src/utils/listingFilters";
+import { calculateStayPrice } from "../../src/utils/pricing";
+
+const AVAILABILITY_WINDOW_DAYS = 365;
+
+export default function BookingScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams();
+  // With a tripId the screen changes an existing booking instead of creating one
+  const { listingId, tripId } = params;
+  const isModifying = !!tripId;
+  const [listing, setListing] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [unavailableNights, setUnavailableNights] = useState(() => new Set());
+  const [dates, setDates] = useState(() => datesFromParams(params));
+  const [guests, setGuests] = useState(() => Math.max(1, Number(params.guests) || 1));
+  const [datePickerVisible, setDatePickerVisible] = useState(false);
+  const [showNightly, setShowNightly] = useState(false);
+  const [step, setStep] = useState("details");
+  const [submitting, setSubmitting] = useState(false);
+  // Nearest free dates offered after a conflict; null when there is none
+  const [alternatives, setAlternatives] = useState(null);
+
+  const loadUnavailableNights = useCallback(async () => {
+    const today = todayISO();
+    const ranges = await availabilityService.getUnavailableRanges(listingId, {
+      start: today,
+      end: addDays(today, AVAILABILITY_WINDOW_DAYS),
+    }, tripId);
+    setUnavailableNights(new Set(ranges.flatMap(range => eachNight(range))));
+  }, [listingId, tripId]);
+
+  useEffect(() => {
+    if (!listingId) return;
+
+    let cancelled = false;
+    setLoading(true);
+    Promise.all([listingService.fetchListingById(listingId), loadUnavailableNights()])
+      .then(([data]) => {
+        if (!cancelled) setListing(data);
+      })
+      .catch(error => {
+        console.error("Error loading booking:", error);
+        Alert.alert("Error", "Failed to load this stay");
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [listingId, loadUnavailableNights]);
+
+  const isNightUnavailable = useCallback(date => unavailableNights.has(date), [unavailableNights]);
+
+  const price = useMemo(
+    () => calculateStayPrice(listing?.price_per_night, dates),
+    [listing, dates]
+  );
+
+  const handleContinue = async () => {
+    setSubmitting(true);
+    try {
+      const available = await availabilityService.isListingAvailable(listingId, dates, tripId);
+      if (!available) {
+        const [nearby] = await Promise.all([
+          availabilityService.findAlternativeDates(listingId, dates, 3, tripId),
+          loadUnavailableNights(),
+        ]);
+        setAlternatives(nearby);
+        return;
+      }
+      setStep("confirm");
+    } catch (error) {
+      console.error("Error checking availability:", error);
+      Alert.alert("Error", "Could not check availability. Please try again.");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleConfirm = async () => {
+    const { data } = await supabase.auth.getUser();
+    if (!data?.user) {
+      Alert.alert("Sign In Required", "Please sign in to book this stay");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const result = isModifying
+        ? await listingService.modifyBooking(tripId, listingId, {
+            startDate: dates.start,
+            endDate: dates.end,
+            guestCount: guests,
+          })
+        : await listingService.bookStay({
+            userId: data.user.id,
+            listingId,
+            startDate: dates.start,
+            endDate: dates.end,
+            guestCount: guests,
+            tripName: listing.title,
+          });
+
+      if (result.conflict) {
+        setAlternatives(result.conflict.alternatives);
+        setStep("details");
+        await loadUnavailableNights();
+        return;
+      }
+      if (!result.success) {
+        Alert.alert(isModifying ? "Change failed" : "Booking failed", result.error);
+        return;
+      }
+      setStep("done");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!listing) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.notFound}>Listing not found.</Text>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backText}>Go back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  if (step === "done") {
+    return (
+      <SafeAreaView style={[styles.container, styles.doneContainer]}>
+        <View style={styles.doneIcon}>
+          <Ionicons name="checkmark" size={48} color="#FFF" />
+        </View>
+        <Text style={styles.doneTitle}>{isModifying ? "Your trip is updated" : "You're booked!"}</Text>
+        <Text style={styles.doneSubtitle}>
+          {listing.title} · {formatDateRange(dates)} · {guests} guest{guests !== 1 ? "s" : ""}
+        </Text>
+        <TouchableOpacity style={styles.primaryButton} onPress={() => router.back()}>
+          <Text style={styles.primaryButtonText}>{isModifying ? "Back to trips" : "Back to listing"}</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  const canContinue = !!dates && guests >= 1 && guests <= listing.max_guests;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => (step === "confirm" ? setStep("details") : router.back())}
+          style={styles.headerBack}
+        >
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>{step === "confirm"
+            ? (isModifying ? "Confirm changes" : "Confirm and book")
+            : (isModifying ? "Change booking" : "Reserve")}</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.listingTitle}>{listing.title}</Text>
+          <Text style={styles.listingMeta}>
+            {[listing.address_city, listing.address_country].filter(Boolean).join(", ")}
+          </Text>
+        </View>
+
+        <View style={styles.card}>
+          <TouchableOpacity
+            style={styles.row}
+            disabled={step !== "details"}
+            onPress={() => setDatePickerVisible(true)}
+          >
+            <View>
+              <Text style={styles.rowLabel}>Dates</Text>
+              <Text style={styles.rowValue}>{dates ? formatDateRange(dates) : "Add dates"}</Text>
+            </View>
+            {step === "details" ? <Text style={styles.rowAction}>Edit</Text> : null}
+          </TouchableOpacity>
+
+          <View style={[styles.row, styles.rowDivider]}>
+            <View>
+              <Text style={styles.rowLabel}>Guests</Text>
+              <Text style={styles.rowHint}>Up to {listing.max_guests}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, (guests <= 1 || step !== "details") && styles.stepperButtonDisabled]}
+                disabled={guests <= 1 || step !== "details"}
+                onPress={() => setGuests(guests - 1)}
+              >
+                <Ionicons name="remove" size={18} color="#333" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{guests}</Text>
+              <TouchableOpacity
+                style={[
+                  styles.stepperButton,
+                  (guests >= listing.max_guests || step !== "details") && styles.stepperButtonDisabled,
+                ]}
+                disabled={guests >= listing.max_guests || step !== "details"}
+                onPress={() => setGuests(guests + 1)}
+              >
+                <Ionicons name="add" size={18} color="#333" />
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+
+        {alternatives ? (
+          <View style={[styles.card, styles.conflictCard]}>
+            <Text style={styles.conflictTitle}>These dates were just booked</Text>
+            <Text style={styles.conflictText}>
+              {alternatives.length
+                ? "These nearby dates are still free:"
+                : "No nearby dates are free. Try another time."}
+            </Text>
+            <View style={styles.alternativeRow}>
+              {alternatives.map(range => (
+                <TouchableOpacity
+                  key={range.start}
+                  style={styles.alternativeChip}
+                  onPress={() => {
+                    setDates(range);
+                    setAlternatives(null);
+                  }}
+                >
+                  <Text style={styles.alternativeText}>{formatDateRange(range)}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        ) : null}
+
+        {price.nights > 0 ? (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>Price details</Text>
+            <TouchableOpacity style={styles.priceRow} onPress={() => setShowNightly(!showNightly)}>
+              <Text style={styles.priceLabel}>
+                {formatPrice(listing.price_per_night)} × {price.nights} night{price.nights !== 1 ? "s" : ""}
+              </Text>
+              <Ionicons name={showNightly ? "chevron-up" : "chevron-down"} size={16} color="#666" />
+            </TouchableOpacity>
+            {showNightly
+              ? price.nightly.map(night => (
+                  <View key={night.date} style={styles.nightRow}>
+                    <Text style={styles.nightLabel}>{formatDay(night.date)}</Text>
+                    <Text style={styles.nightLabel}>{formatPrice(night.amount)}</Text>
+                  </View>
+                ))
+              : null}
+            <View style={[styles.priceRow, styles.totalRow]}>
+              <Text style={styles.totalLabel}>Total</Text>
+              <Text style={styles.totalLabel}>{formatPrice(price.total)}</Text>
+            </View>
+          </View>
+        ) : null}
+
+        {step === "confirm" ? (
+          <Text style={styles.policyText}>
+            By confirming you agree to the house rules. You can cancel from your trips.
+          </Text>
+        ) : null}
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {step === "details" ? (
+          <TouchableOpacity
+            style={[styles.primaryButton, (!canContinue || submitting) && styles.primaryButtonDisabled]}
+            disabled={!canContinue || submitting}
+            onPress={handleContinue}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#FFF" />
+            ) : (
+              <Text style={styles.primaryButtonText}>{dates ? "Continue" : "Select dates to continue"}</Text>
+            )}
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.primaryButton, submitting && styles.primaryButtonDisabled]}
+            disabled={submitting}
+            onPress={handleConfirm}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#FFF" />
+            ) : (
+              <Text style={styles.primaryButtonText}>
+                {isModifying ? "Save changes" : "Confirm booking"} · {formatPrice(price.total)}
+              </Text>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+
+      <DateRangePicker
+        visible={datePickerVisible}
+        value={dates}
+        title="Select your stay"
+        isNightUnavailable={isNightUnavailable}
+        onApply={range => {
+          setDates(range);
+          setAlternatives(null);
+          setDatePickerVisible(false);
+        }}
+        onClose={() => setDatePickerVisible(false)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFF",
+  },
+  headerBack: {
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: "#FFF",
+    borderRadius: 16,
+    padding: 16,
+  },
+  listingTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  listingMeta: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 4,
+  },
+  row: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 8,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+    marginTop: 8,
+    paddingTop: 16,
+  },
+  rowLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  rowValue: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 2,
+  },
+  rowHint: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 2,
+  },
+  rowAction: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  stepper: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  stepperButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepperValue: {
+    minWidth: 20,
+    textAlign: "center",
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  priceRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 6,
+  },
+  priceLabel: {
+    fontSize: 14,
+    color: "#333",
+  },
+  nightRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    paddingVertical: 3,
+    paddingLeft: 12,
+  },
+  nightLabel: {
+    fontSize: 13,
+    color: "#666",
+  },
+  totalRow: {
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+    marginTop: 8,
+    paddingTop: 12,
+  },
+  totalLabel: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  conflictCard: {
+    borderWidth: 1,
+    borderColor: "#FFD6D6",
+    backgroundColor: "#FFF5F5",
+  },
+  conflictTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#D0021B",
+  },
+  conflictText: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 4,
+  },
+  alternativeRow: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+    marginTop: 12,
+  },
+  alternativeChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#4A90E2",
+    backgroundColor: "#FFF",
+  },
+  alternativeText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  policyText: {
+    fontSize: 12,
+    color: "#999",
+    lineHeight: 18,
+  },
+  footer: {
+    padding: 16,
+    backgroundColor: "#FFF",
+    borderTopWidth: 1,
+    borderTopColor: "#E1E5E9",
+  },
+  primaryButton: {
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    alignItems: "center",
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  doneContainer: {
+    justifyContent: "center",
+    alignItems: "center",
+    padding: 32,
+    gap: 16,
+  },
+  doneIcon: {
+    width: 88,
+    height: 88,
+    borderRadius: 44,
+    backgroundColor: "#2ECC71",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  doneTitle: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  doneSubtitle: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    marginBottom: 16,
+  },
+  notFound: {
+    padding: 20,
+    fontSize: 16,
+    color: "#666",
+  },
+  backButton: {
+    marginTop: 12,
+    padding: 12,
+    backgroundColor: "#F0F7FF",
+    borderRadius: 8,
+    alignSelf: "flex-start",
+  },
+  backText: {
+    color: "#4A90E2",
+    fontWeight: "600",
+  },
+});
@@ -0,0 +1,462 @@
+import { Ionicons } from "@expo/vector-icons";
+import { CameraView, useCameraPermissions } from "expo-camera";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import { checkInService } from "../../src/services/checkInService";
+import { eventDateLabel } from "../../src/utils/events";
+
+// How long a result stays up before the camera accepts the next code
+const SCAN_PAUSE_MS = 2000;
+
+const RESULT_STYLES = {
+  admitted: { icon: "checkmark-circle", color: "#2ECC71", title: "Admitted" },
+  already_used: { icon: "alert-circle", color: "#F5A623", title: "Already checked in" },
+  void: { icon: "close-circle", color: "#FF3B30", title: "Ticket void" },
+  invalid: { icon: "close-circle", color: "#FF3B30", title: "Not a valid ticket" },
+  wrong_event: { icon: "close-circle", color: "#FF3B30", title: "Ticket for another event" },
+};
+
+function formatTime(iso) {
+  if (!iso) return "";
+  return new Date(iso).toLocaleTimeString("en-US", { hour: "numeric", minute: "2-digit" });
+}
+
+export default function CheckInScreen() {
+  const router = useRouter();
+  const params = useLocalSearchParams();
+  const [permission, requestPermission] = useCameraPermissions();
+  const [events, setEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [eventId, setEventId] = useState(params.eventId ?? null);
+  const [cache, setCache] = useState(null);
+  const [preparing, setPreparing] = useState(false);
+  const [syncing, setSyncing] = useState(false);
+  const [result, setResult] = useState(null);
+  const [manualCode, setManualCode] = useState("");
+  const pausedUntilRef = useRef(0);
+
+  useEffect(() => {
+    supabase.auth.getUser()
+      .then(({ data }) => (data?.user ? checkInService.getOrganizedEvents(data.user.id) : []))
+      .then(setEvents)
+      .catch(error => {
+        console.error("Error loading organized events:", error);
+        Alert.alert("Error", "Failed to load your events");
+      })
+      .finally(() => setLoading(false));
+  }, []);
+
+  const downloadGuestList = useCallback(async (id) => {
+    setPreparing(true);
+    try {
+      setCache(await checkInService.prepareEvent(id));
+    } catch (error) {
+      console.error("Error downloading guest list:", error);
+      Alert.alert("Guest list", `${error.message}. Scanning uses the last downloaded copy, if there is one.`);
+    } finally {
+      setPreparing(false);
+    }
+  }, []);
+
+  // Use the cached list straight away, then refresh it when there is a connection
+  useEffect(() => {
+    if (!eventId) return;
+
+    let cancelled = false;
+    setResult(null);
+    checkInService.getCache(eventId).then(cached => {
+      if (cancelled) return;
+      setCache(cached);
+      downloadGuestList(eventId);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [eventId, downloadGuestList]);
+
+  const handleSync = async (quiet = false) => {
+    if (!eventId) return;
+
+    setSyncing(true);
+    try {
+      const outcome = await checkInService.syncCheckIns(eventId);
+      setCache(await checkInService.getCache(eventId));
+      if (outcome.rejected) {
+        // Admissions the server refused need attention even on a quiet sync
+        Alert.alert(
+          "Check-ins Rejected",
+          `${outcome.rejected} ticket${outcome.rejected !== 1 ? "s were" : " was"} void or not found on the server and ${outcome.rejected !== 1 ? "were" : "was"} not checked in.`
+        );
+      } else if (!quiet) {
+        Alert.alert(
+          "Sync",
+          outcome.remaining
+            ? `${outcome.remaining} check-in${outcome.remaining !== 1 ? "s" : ""} still waiting for a connection.`
+            : outcome.conflicts
+              ? `All synced. ${outcome.conflicts} ticket${outcome.conflicts !== 1 ? "s were" : " was"} already checked in on another device.`
+              : "All check-ins are synced."
+        );
+      }
+    } catch (error) {
+      console.error("Error syncing check-ins:", error);
+    } finally {
+      setSyncing(false);
+    }
+  };
+
+  const handleCode = async (code) => {
+    if (!eventId || !cache) return;
+
+    try {
+      const outcome = await checkInService.checkIn(eventId, code);
+      setResult(outcome);
+      setCache(await checkInService.getCache(eventId));
+      if (outcome.status === "admitted") handleSync(true);
+    } catch (error) {
+      console.error("Error checking ticket:", error);
+      Alert.alert("Error", error.message);
+    }
+  };
+
+  const handleScanned = ({ data }) => {
+    const now = Date.now();
+    if (now < pausedUntilRef.current) return;
+    pausedUntilRef.current = now + SCAN_PAUSE_MS;
+    handleCode(data);
+  };
+
+  const handleManualCheck = () => {
+    const code = manualCode.trim();
+    if (!code) return;
+    setManualCode("");
+    handleCode(code);
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!eventId) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={() => router.back()} style={styles.headerBack}>
+            <Ionicons name="chevron-back" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Check in guests</Text>
+        </View>
+        <FlatList
+          data={events}
+          keyExtractor={item => String(item.id)}
+          contentContainerStyle={styles.list}
+          renderItem={({ item }) => (
+            <TouchableOpacity style={styles.eventRow} onPress={() => setEventId(item.id)}>
+              <View style={styles.eventInfo}>
+                <Text style={styles.eventTitle} numberOfLines={1}>{item.title}</Text>
+                <Text style={styles.eventMeta}>{eventDateLabel(item)}</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={18} color="#999" />
+            </TouchableOpacity>
+          )}
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name="qr-code-outline" size={48} color="#CCC" />
+              <Text style={styles.emptyTitle}>You are not organizing any events</Text>
+            </View>
+          }
+        />
+      </SafeAreaView>
+    );
+  }
+
+  const event = events.find(item => String(item.id) === String(eventId));
+  const ticketList = Object.values(cache?.tickets ?? {});
+  const admittedCount = ticketList.filter(ticket => ticket.status === "used").length;
+  const pendingCount = cache?.pending.length ?? 0;
+  const resultStyle = result ? RESULT_STYLES[result.status] : null;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity
+          onPress={() => (params.eventId ? router.back() : setEventId(null))}
+          style={styles.headerBack}
+        >
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle} numberOfLines={1}>{event?.title ?? "Check in guests"}</Text>
+      </View>
+
+      <View style={styles.stats}>
+        <View style={styles.stat}>
+          <Text style={styles.statValue}>{admittedCount}/{ticketList.length}</Text>
+          <Text style={styles.statLabel}>Checked in</Text>
+        </View>
+        <TouchableOpacity style={styles.stat} disabled={syncing || !pendingCount} onPress={() => handleSync()}>
+          <Text style={styles.statValue}>{syncing ? "…" : pendingCount}</Text>
+          <Text style={styles.statLabel}>{pendingCount ? "Tap to sync" : "Synced"}</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.stat} disabled={preparing} onPress={() => downloadGuestList(eventId)}>
+          {preparing ? (
+            <ActivityIndicator color="#4A90E2" />
+          ) : (
+            <Ionicons name="cloud-download-outline" size={22} color="#4A90E2" />
+          )}
+          <Text style={styles.statLabel}>
+            {cache ? `List from ${formatTime(cache.downloadedAt)}` : "Download list"}
+          </Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.cameraContainer}>
+        {!cache ? (
+          <View style={styles.cameraPlaceholder}>
+            <Text style={styles.placeholderText}>
+              {preparing ? "Downloading guest list…" : "Download the guest list while online to start scanning."}
+            </Text>
+          </View>
+        ) : permission?.granted ? (
+          <CameraView
+            style={styles.camera}
+            facing="back"
+            barcodeScannerSettings={{ barcodeTypes: ["qr"] }}
+            onBarcodeScanned={handleScanned}
+          />
+        ) : (
+          <View style={styles.cameraPlaceholder}>
+            <Ionicons name="camera-outline" size={40} color="#999" />
+            <Text style={styles.placeholderText}>Camera access is needed to scan tickets.</Text>
+            <TouchableOpacity style={styles.permissionButton} onPress={requestPermission}>
+              <Text style={styles.permissionText}>Allow camera</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+
+      {resultStyle ? (
+        <View style={[styles.result, { borderColor: resultStyle.color }]}>
+          <Ionicons name={resultStyle.icon} size={32} color={resultStyle.color} />
+          <View style={styles.resultInfo}>
+            <Text style={[styles.resultTitle, { color: resultStyle.color }]}>{resultStyle.title}</Text>
+            <Text style={styles.resultMeta}>
+              {[
+                result.tierName,
+                result.ticketId ? `#${result.ticketId.slice(0, 8).toUpperCase()}` : null,
+                result.status === "already_used" && result.checkedInAt ? `at ${formatTime(result.checkedInAt)}` : null,
+              ].filter(Boolean).join(" · ")}
+            </Text>
+          </View>
+        </View>
+      ) : null}
+
+      <View style={styles.manualRow}>
+        <TextInput
+          style={styles.manualInput}
+          placeholder="Or paste a ticket code"
+          autoCapitalize="none"
+          autoCorrect={false}
+          value={manualCode}
+          onChangeText={setManualCode}
+          onSubmitEditing={handleManualCheck}
+        />
+        <TouchableOpacity
+          style={[styles.manualButton, (!cache || !manualCode.trim()) && styles.manualButtonDisabled]}
+          disabled={!cache || !manualCode.trim()}
+          onPress={handleManualCheck}
+        >
+          <Text style={styles.manualButtonText}>Check</Text>
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFF",
+  },
+  headerBack: {
+    marginRight: 8,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  list: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  eventRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 16,
+    marginBottom: 12,
+    borderRadius: 12,
+    backgroundColor: "#FFF",
+  },
+  eventInfo: {
+    flex: 1,
+  },
+  eventTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  eventMeta: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 2,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 64,
+    gap: 12,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#666",
+  },
+  stats: {
+    flexDirection: "row",
+    gap: 12,
+    padding: 16,
+  },
+  stat: {
+    flex: 1,
+    alignItems: "center",
+    gap: 4,
+    paddingVertical: 12,
+    borderRadius: 12,
+    backgroundColor: "#FFF",
+  },
+  statValue: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  statLabel: {
+    fontSize: 12,
+    color: "#666",
+  },
+  cameraContainer: {
+    flex: 1,
+    marginHorizontal: 16,
+    borderRadius: 16,
+    overflow: "hidden",
+    backgroundColor: "#1A1A1A",
+  },
+  camera: {
+    flex: 1,
+  },
+  cameraPlaceholder: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 12,
+    padding: 24,
+  },
+  placeholderText: {
+    fontSize: 14,
+    color: "#CCC",
+    textAlign: "center",
+  },
+  permissionButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: "#4A90E2",
+  },
+  permissionText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  result: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    marginHorizontal: 16,
+    marginTop: 12,
+    padding: 14,
+    borderRadius: 12,
+    borderWidth: 2,
+    backgroundColor: "#FFF",
+  },
+  resultInfo: {
+    flex: 1,
+  },
+  resultTitle: {
+    fontSize: 17,
+    fontWeight: "700",
+  },
+  resultMeta: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 2,
+  },
+  manualRow: {
+    flexDirection: "row",
+    gap: 8,
+    padding: 16,
+  },
+  manualInput: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    backgroundColor: "#FFF",
+  },
+  manualButton: {
+    justifyContent: "center",
+    paddingHorizontal: 18,
+    borderRadius: 12,
+    backgroundColor: "#4A90E2",
+  },
+  manualButtonDisabled: {
+    opacity: 0.5,
+  },
+  manualButtonText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
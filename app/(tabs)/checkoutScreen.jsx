@@ -0,0 +1,472 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import TicketCard from "../../src/components/TicketCard";
+import { getEventById } from "../../src/services/eventService";
+import { ticketService } from "../../src/services/ticketService";
+import { eventDateLabel } from "../../src/utils/events";
+import { formatPrice } from "../../src/utils/format";
+
+export default function CheckoutScreen() {
+  const router = useRouter();
+  const { eventId } = useLocalSearchParams();
+  const [event, setEvent] = useState(null);
+  const [tiers, setTiers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedTierId, setSelectedTierId] = useState(null);
+  const [quantity, setQuantity] = useState(1);
+  const [purchasing, setPurchasing] = useState(false);
+  // Tickets issued by a completed purchase, or "pending" while the provider finishes
+  const [issued, setIssued] = useState(null);
+
+  const loadTiers = useCallback(async () => {
+    const data = await ticketService.getTicketTiers(eventId);
+    setTiers(data);
+    setSelectedTierId(current => current
+      ?? data.find(tier => tier.onSale && tier.quantityRemaining !== 0)?.id
+      ?? null);
+  }, [eventId]);
+
+  useEffect(() => {
+    if (!eventId) return;
+
+    setLoading(true);
+    Promise.all([getEventById(eventId), loadTiers()])
+      .then(([data]) => setEvent(data))
+      .catch(error => {
+        console.error("Error loading checkout:", error);
+        Alert.alert("Error", "Failed to load tickets for this event");
+      })
+      .finally(() => setLoading(false));
+  }, [eventId, loadTiers]);
+
+  const selectedTier = tiers.find(tier => tier.id === selectedTierId) ?? null;
+  const maxQuantity = selectedTier
+    ? Math.min(selectedTier.maxPerOrder, selectedTier.quantityRemaining ?? selectedTier.maxPerOrder)
+    : 1;
+
+  useEffect(() => {
+    setQuantity(current => Math.max(1, Math.min(current, maxQuantity)));
+  }, [maxQuantity]);
+
+  const handlePurchase = async () => {
+    if (!selectedTier) return;
+
+    const { data: { user } } = await supabase.auth.getUser();
+    if (!user) {
+      Alert.alert("Sign In Required", "Please sign in to buy tickets");
+      return;
+    }
+
+    setPurchasing(true);
+    try {
+      const result = await ticketService.purchaseTickets(
+        selectedTier,
+        quantity,
+        `${quantity} × ${selectedTier.name} – ${event?.title ?? "Event"}`
+      );
+
+      if (!result.success) {
+        Alert.alert(result.soldOut ? "Sold Out" : "Payment Failed", result.error ?? "Please try again.");
+        if (result.soldOut) loadTiers().catch(() => {});
+        return;
+      }
+
+      setIssued(result.pending ? "pending" : result.tickets ?? []);
+    } catch (error) {
+      console.error("Error purchasing tickets:", error);
+      Alert.alert("Error", "Failed to complete your purchase");
+    } finally {
+      setPurchasing(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!event) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.notFound}>Event not found.</Text>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backText}>Go back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  if (issued) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <ScrollView contentContainerStyle={styles.content}>
+          <View style={styles.doneHeader}>
+            <View style={styles.doneIcon}>
+              <Ionicons name={issued === "pending" ? "time-outline" : "checkmark"} size={40} color="#FFF" />
+            </View>
+            <Text style={styles.doneTitle}>
+              {issued === "pending" ? "Payment processing" : "You're going!"}
+            </Text>
+            <Text style={styles.doneSubtitle}>
+              {issued === "pending"
+                ? "Your tickets will appear under My Tickets once the payment is confirmed."
+                : "Show these codes at the entrance. They also work without a connection."}
+            </Text>
+          </View>
+
+          {issued !== "pending" ? issued.map(ticket => <TicketCard key={ticket.id} ticket={ticket} />) : null}
+
+          <TouchableOpacity style={styles.primaryButton} onPress={() => router.replace("/tickets")}>
+            <Text style={styles.primaryButtonText}>View my tickets</Text>
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.secondaryButton} onPress={() => router.back()}>
+            <Text style={styles.secondaryButtonText}>Back to event</Text>
+          </TouchableOpacity>
+        </ScrollView>
+      </SafeAreaView>
+    );
+  }
+
+  const total = selectedTier ? selectedTier.priceAmount * quantity : 0;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.headerBack}>
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Get tickets</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content}>
+        <View style={styles.card}>
+          <Text style={styles.eventTitle}>{event.title}</Text>
+          <Text style={styles.eventMeta}>
+            {[eventDateLabel(event), event.location].filter(Boolean).join(" · ")}
+          </Text>
+        </View>
+
+        <View style={styles.card}>
+          <Text style={styles.sectionTitle}>Ticket type</Text>
+          {tiers.map(tier => {
+            const soldOut = tier.quantityRemaining === 0;
+            const disabled = soldOut || !tier.onSale;
+            const selected = tier.id === selectedTierId;
+            return (
+              <TouchableOpacity
+                key={tier.id}
+                style={[styles.tier, selected && styles.tierSelected, disabled && styles.tierDisabled]}
+                disabled={disabled}
+                onPress={() => setSelectedTierId(tier.id)}
+              >
+                <View style={styles.tierInfo}>
+                  <Text style={styles.tierName}>{tier.name}</Text>
+                  {tier.description ? <Text style={styles.tierDescription}>{tier.description}</Text> : null}
+                  <Text style={styles.tierAvailability}>
+                    {soldOut
+                      ? "Sold out"
+                      : !tier.onSale
+                        ? "Not on sale"
+                        : tier.quantityRemaining !== null && tier.quantityRemaining <= 20
+                          ? `Only ${tier.quantityRemaining} left`
+                          : `Up to ${tier.maxPerOrder} per order`}
+                  </Text>
+                </View>
+                <Text style={styles.tierPrice}>
+                  {tier.priceAmount === 0 ? "Free" : formatPrice(tier.priceAmount, tier.currency)}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+          {!tiers.length ? (
+            <Text style={styles.emptyText}>Tickets for this event are not on sale in the app.</Text>
+          ) : null}
+        </View>
+
+        {selectedTier ? (
+          <View style={[styles.card, styles.row]}>
+            <View>
+              <Text style={styles.rowLabel}>Quantity</Text>
+              <Text style={styles.rowHint}>Up to {maxQuantity}</Text>
+            </View>
+            <View style={styles.stepper}>
+              <TouchableOpacity
+                style={[styles.stepperButton, quantity <= 1 && styles.stepperButtonDisabled]}
+                disabled={quantity <= 1}
+                onPress={() => setQuantity(quantity - 1)}
+              >
+                <Ionicons name="remove" size={18} color="#333" />
+              </TouchableOpacity>
+              <Text style={styles.stepperValue}>{quantity}</Text>
+              <TouchableOpacity
+                style={[styles.stepperButton, quantity >= maxQuantity && styles.stepperButtonDisabled]}
+                disabled={quantity >= maxQuantity}
+                onPress={() => setQuantity(quantity + 1)}
+              >
+                <Ionicons name="add" size={18} color="#333" />
+              </TouchableOpacity>
+            </View>
+          </View>
+        ) : null}
+      </ScrollView>
+
+      {selectedTier ? (
+        <View style={styles.footer}>
+          <View>
+            <Text style={styles.totalLabel}>Total</Text>
+            <Text style={styles.totalValue}>
+              {total === 0 ? "Free" : formatPrice(total, selectedTier.currency)}
+            </Text>
+          </View>
+          <TouchableOpacity
+            style={[styles.primaryButton, styles.payButton, purchasing && styles.primaryButtonDisabled]}
+            disabled={purchasing}
+            onPress={handlePurchase}
+          >
+            {purchasing ? (
+              <ActivityIndicator color="#FFF" />
+            ) : (
+              <Text style={styles.primaryButtonText}>{total === 0 ? "Reserve" : "Pay now"}</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      ) : null}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFF",
+  },
+  headerBack: {
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  content: {
+    padding: 20,
+    gap: 16,
+  },
+  card: {
+    backgroundColor: "#FFF",
+    borderRadius: 16,
+    padding: 16,
+  },
+  eventTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  eventMeta: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 8,
+  },
+  tier: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 14,
+    marginTop: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+  },
+  tierSelected: {
+    borderColor: "#4A90E2",
+    backgroundColor: "#F0F7FF",
+  },
+  tierDisabled: {
+    opacity: 0.5,
+  },
+  tierInfo: {
+    flex: 1,
+  },
+  tierName: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  tierDescription: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 2,
+  },
+  tierAvailability: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 4,
+  },
+  tierPrice: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#999",
+  },
+  row: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  rowLabel: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  rowHint: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 2,
+  },
+  stepper: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  stepperButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  stepperButtonDisabled: {
+    opacity: 0.4,
+  },
+  stepperValue: {
+    minWidth: 20,
+    textAlign: "center",
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  footer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    padding: 16,
+    backgroundColor: "#FFF",
+    borderTopWidth: 1,
+    borderTopColor: "#E1E5E9",
+  },
+  totalLabel: {
+    fontSize: 13,
+    color: "#666",
+  },
+  totalValue: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  primaryButton: {
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    paddingHorizontal: 24,
+    alignItems: "center",
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  payButton: {
+    minWidth: 140,
+  },
+  secondaryButton: {
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  doneHeader: {
+    alignItems: "center",
+    paddingVertical: 16,
+  },
+  doneIcon: {
+    width: 72,
+    height: 72,
+    borderRadius: 36,
+    backgroundColor: "#2ECC71",
+    justifyContent: "center",
+    alignItems: "center",
+    marginBottom: 16,
+  },
+  doneTitle: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  doneSubtitle: {
+    fontSize: 14,
+    color: "#666",
+    textAlign: "center",
+    marginTop: 8,
+  },
+  notFound: {
+    padding: 20,
+    fontSize: 16,
+    color: "#666",
+  },
+  backButton: {
+    marginLeft: 20,
+    padding: 12,
+    backgroundColor: "#F0F7FF",
+    borderRadius: 8,
+    alignSelf: "flex-start",
+  },
+  backText: {
+    color: "#4A90E2",
+    fontWeight: "600",
+  },
+});
@@ -2,7 +2,7 @@ import { Ionicons, MaterialIcons } from '@expo/vector-icons';
 import { useSegments } from 'expo-router';
 import { Pressable, StyleSheet, Text, View } from 'react-native';
 
-export default function BottomNav({ onHomePress = () => {}, onListingsPress = () => {}, onProfilePress = () => {}, onSignOutPress = () => {} }) {
+export default function BottomNav({ onHomePress = () => {}, onListingsPress = () => {}, onTripsPress = () => {}, onProfilePress = () => {}, onSignOutPress = () => {} }) {
   const segments = useSegments();
   const isActive = (name) => {
     if (!segments || segments.length === 0) return name === 'home';
@@ -31,6 +31,16 @@ export default function BottomNav({ onHomePress = () => {}, onListingsPress = ()
         <Text style={[styles.label, isActive('listings') && styles.labelActive]}>Listings</Text>
       </Pressable>
 
+      <Pressable
+        style={[styles.button, isActive('trips') && styles.buttonActive]}
+        onPress={onTripsPress}
+        accessibilityRole="button"
+        accessibilityLabel="Open trips"
+      >
+        <Ionicons name="airplane-outline" size={24} color={isActive('trips') ? '#4A90E2' : '#222'} />
+        <Text style={[styles.label, isActive('trips') && styles.labelActive]}>Trips</Text>
+      </Pressable>
+
       <Pressable
         style={[styles.button, isActive('profile') && styles.buttonActive]}
         onPress={onProfilePress}
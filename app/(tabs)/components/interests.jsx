@@ -0,0 +1,268 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "expo-router";
+import { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { supabase } from "../../../lib/supabase";
+import {
+  getUserPreferences,
+  incrementUserPreferences,
+  resetPreference,
+  setPreferenceMuted,
+} from "../../../src/services/eventService";
+
+// Scores are capped at ±10 by increment_user_preferences
+const SCORE_CAP = 10;
+const BOOST_AMOUNT = 1;
+
+/**
+ * "My interests" on the profile: the tags learned from ratings and trips,
+ * with their current (decayed) score. Users can boost, mute or reset each one.
+ */
+export default function Interests() {
+  const [userId, setUserId] = useState(null);
+  const [preferences, setPreferences] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [busyTag, setBusyTag] = useState(null);
+
+  const loadPreferences = useCallback(async () => {
+    try {
+      const { data } = await supabase.auth.getUser();
+      const uid = data?.user?.id ?? null;
+      setUserId(uid);
+      setPreferences(uid ? await getUserPreferences(uid) : []);
+    } catch (error) {
+      console.error("Error loading interests:", error);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  // Ratings and trips change interests elsewhere, so reload on focus
+  useFocusEffect(
+    useCallback(() => {
+      loadPreferences();
+    }, [loadPreferences])
+  );
+
+  const runAction = async (tag, action, failureMessage) => {
+    setBusyTag(tag);
+    try {
+      await action();
+      await loadPreferences();
+    } catch (error) {
+      console.error("Error updating interest:", error);
+      Alert.alert("Error", failureMessage);
+    } finally {
+      setBusyTag(null);
+    }
+  };
+
+  const handleBoost = (tag) => runAction(
+    tag,
+    () => incrementUserPreferences(userId, { [tag]: BOOST_AMOUNT }),
+    "Failed to boost this interest"
+  );
+
+  const handleToggleMute = (item) => runAction(
+    item.tag,
+    () => setPreferenceMuted(userId, item.tag, !item.muted),
+    item.muted ? "Failed to unmute this interest" : "Failed to mute this interest"
+  );
+
+  const handleReset = (tag) => {
+    Alert.alert(
+      "Reset Interest",
+      `Forget what we've learned about "${tag}"?`,
+      [
+        { text: "Cancel", style: "cancel" },
+        {
+          text: "Reset",
+          style: "destructive",
+          onPress: () => runAction(tag, () => resetPreference(userId, tag), "Failed to reset this interest"),
+        },
+      ]
+    );
+  };
+
+  if (!userId && !loading) return null;
+
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>My Interests</Text>
+      <Text style={styles.sectionSubtitle}>
+        Learned from the events you rate and save. Older activity counts for less over time.
+      </Text>
+
+      {loading ? (
+        <ActivityIndicator color="#4A90E2" style={styles.loader} />
+      ) : preferences.length === 0 ? (
+        <View style={styles.card}>
+          <Text style={styles.emptyText}>Rate or save events and your interests will show up here.</Text>
+        </View>
+      ) : (
+        <View style={styles.card}>
+          {preferences.map((item, index) => {
+            const share = Math.min(Math.abs(item.score) / SCORE_CAP, 1);
+            const busy = busyTag === item.tag;
+
+            return (
+              <View key={item.tag} style={[styles.row, index === preferences.length - 1 && styles.lastRow]}>
+                <View style={styles.tagInfo}>
+                  <Text style={[styles.tagText, item.muted && styles.tagTextMuted]} numberOfLines={1}>
+                    {item.tag}
+                  </Text>
+                  {item.muted ? (
+                    <Text style={styles.mutedLabel}>Muted · hidden from recommendations</Text>
+                  ) : (
+                    <View style={styles.track}>
+                      <View
+                        style={[
+                          styles.fill,
+                          item.score < 0 && styles.fillNegative,
+                          { width: `${share * 100}%` },
+                        ]}
+                      />
+                    </View>
+                  )}
+                </View>
+
+                {busy ? (
+                  <ActivityIndicator size="small" color="#4A90E2" style={styles.rowLoader} />
+                ) : (
+                  <View style={styles.actions}>
+                    <TouchableOpacity
+                      style={styles.iconButton}
+                      onPress={() => handleBoost(item.tag)}
+                      disabled={item.muted || item.score >= SCORE_CAP}
+                      accessibilityLabel={`Boost ${item.tag}`}
+                    >
+                      <Ionicons
+                        name="arrow-up-circle-outline"
+                        size={22}
+                        color={item.muted || item.score >= SCORE_CAP ? "#CCC" : "#2ECC71"}
+                      />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.iconButton}
+                      onPress={() => handleToggleMute(item)}
+                      accessibilityLabel={item.muted ? `Unmute ${item.tag}` : `Mute ${item.tag}`}
+                    >
+                      <Ionicons
+                        name={item.muted ? "volume-high-outline" : "volume-mute-outline"}
+                        size={22}
+                        color="#666"
+                      />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      style={styles.iconButton}
+                      onPress={() => handleReset(item.tag)}
+                      accessibilityLabel={`Reset ${item.tag}`}
+                    >
+                      <Ionicons name="refresh-outline" size={22} color="#FF3B30" />
+                    </TouchableOpacity>
+                  </View>
+                )}
+              </View>
+            );
+          })}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    paddingHorizontal: 20,
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 4,
+  },
+  sectionSubtitle: {
+    fontSize: 13,
+    color: "#666",
+    marginBottom: 16,
+  },
+  loader: {
+    marginVertical: 16,
+  },
+  card: {
+    backgroundColor: "#FFF",
+    borderRadius: 16,
+    paddingHorizontal: 16,
+    paddingVertical: 4,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#666",
+    paddingVertical: 16,
+    textAlign: "center",
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  lastRow: {
+    borderBottomWidth: 0,
+  },
+  tagInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  tagText: {
+    fontSize: 15,
+    fontWeight: "500",
+    color: "#1A1A1A",
+    marginBottom: 6,
+  },
+  tagTextMuted: {
+    color: "#999",
+  },
+  mutedLabel: {
+    fontSize: 12,
+    color: "#999",
+  },
+  track: {
+    height: 6,
+    borderRadius: 3,
+    backgroundColor: "#E1E5E9",
+    overflow: "hidden",
+  },
+  fill: {
+    height: "100%",
+    borderRadius: 3,
+    backgroundColor: "#4A90E2",
+  },
+  fillNegative: {
+    backgroundColor: "#FF3B30",
+  },
+  actions: {
+    flexDirection: "row",
+    alignItems: "center",
+  },
+  iconButton: {
+    padding: 6,
+  },
+  rowLoader: {
+    marginHorizontal: 24,
+  },
+});
@@ -0,0 +1,562 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import * as WebBrowser from "expo-web-browser";
+import { useCallback, useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import RatingHistogram from "../../src/components/RatingHistogram";
+import StarRating from "../../src/components/StarRating";
+import TripPickerSheet from "../../src/components/TripPickerSheet";
+import {
+  addRating,
+  addToTrip,
+  getEventById,
+  getEventComments,
+  getMyRating,
+} from "../../src/services/eventService";
+import { listingService } from "../../src/services/listingService";
+import { formatDay, todayISO } from "../../src/utils/dateRanges";
+import { eventDateLabel, eventPriceLabel } from "../../src/utils/events";
+import { toDateOnly } from "../../src/utils/trips";
+
+const COMMENTS_PAGE_SIZE = 10;
+
+export default function EventScreen() {
+  const router = useRouter();
+  // tripId, when present, is the trip "Add to my trip" saves into without asking
+  const { id, tripId } = useLocalSearchParams();
+  const [event, setEvent] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [userId, setUserId] = useState(null);
+  const [myRating, setMyRating] = useState(0);
+  const [comment, setComment] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [comments, setComments] = useState([]);
+  const [commentsLoading, setCommentsLoading] = useState(false);
+  const [hasMoreComments, setHasMoreComments] = useState(false);
+  const [tripPickerVisible, setTripPickerVisible] = useState(false);
+  const [trips, setTrips] = useState([]);
+  const [tripsLoading, setTripsLoading] = useState(false);
+  const [addingToTrip, setAddingToTrip] = useState(false);
+
+  const loadComments = useCallback(async (offset) => {
+    setCommentsLoading(true);
+    try {
+      const page = await getEventComments(id, { limit: COMMENTS_PAGE_SIZE, offset });
+      setComments(prev => (offset === 0 ? page : [...prev, ...page]));
+      setHasMoreComments(page.length === COMMENTS_PAGE_SIZE);
+    } catch (error) {
+      console.error("Error loading comments:", error);
+    } finally {
+      setCommentsLoading(false);
+    }
+  }, [id]);
+
+  useEffect(() => {
+    if (!id) return;
+
+    let cancelled = false;
+    setLoading(true);
+    getEventById(id)
+      .then(data => {
+        if (!cancelled) setEvent(data);
+      })
+      .catch(error => {
+        console.error("Error loading event:", error);
+        if (!cancelled) setEvent(null);
+      })
+      .finally(() => {
+        if (!cancelled) setLoading(false);
+      });
+
+    loadComments(0);
+
+    supabase.auth.getUser().then(async ({ data }) => {
+      const uid = data?.user?.id ?? null;
+      if (cancelled) return;
+      setUserId(uid);
+      if (!uid) return;
+      const existing = await getMyRating(id, uid).catch(() => null);
+      if (!cancelled && existing) {
+        setMyRating(existing.rating);
+        setComment(existing.comment ?? "");
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [id, loadComments]);
+
+  const handleSubmitRating = async () => {
+    if (!userId) {
+      Alert.alert("Sign In Required", "Please sign in to rate this event");
+      return;
+    }
+
+    setSubmitting(true);
+    try {
+      const updated = await addRating({
+        userId,
+        eventId: id,
+        rating: myRating,
+        comment: comment.trim() || null,
+      });
+      setEvent(updated);
+      await loadComments(0);
+      Alert.alert("Thanks!", "Your rating has been saved.");
+    } catch (error) {
+      console.error("Error submitting rating:", error);
+      Alert.alert("Error", "Failed to save your rating");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const saveToTrip = async (targetTripId) => {
+    setTripPickerVisible(false);
+    setAddingToTrip(true);
+    try {
+      await addToTrip({ userId, eventId: id, tripId: targetTripId });
+      Alert.alert("Added", targetTripId ? "This event is now part of your trip." : "This event was saved to your trips.");
+    } catch (error) {
+      console.error("Error adding event to trip:", error);
+      Alert.alert("Error", "Failed to add this event to your trip");
+    } finally {
+      setAddingToTrip(false);
+    }
+  };
+
+  const handleGetTickets = async () => {
+    if (event.ticket_url) {
+      try {
+        await WebBrowser.openBrowserAsync(event.ticket_url);
+      } catch (error) {
+        console.error("Error opening ticket link:", error);
+        Alert.alert("Error", "Could not open the ticket page");
+      }
+      return;
+    }
+
+    router.push(`/checkout?eventId=${event.id}`);
+  };
+
+  const handleAddToTrip = async () => {
+    if (!userId) {
+      Alert.alert("Sign In Required", "Please sign in to add events to your trips");
+      return;
+    }
+    if (tripId) {
+      saveToTrip(tripId);
+      return;
+    }
+
+    setTripPickerVisible(true);
+    setTripsLoading(true);
+    try {
+      const today = todayISO();
+      const userTrips = await listingService.getUserTrips(userId);
+      setTrips(userTrips.filter(trip => (
+        (trip.status === "booked" || trip.status === "saved") && (toDateOnly(trip.endDate) ?? "") >= today
+      )));
+    } catch (error) {
+      console.error("Error loading trips:", error);
+      setTrips([]);
+    } finally {
+      setTripsLoading(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!event) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.notFound}>Event not found.</Text>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backText}>Go back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  const imageUrl = event.image_url ?? event.imageUrl;
+  const price = eventPriceLabel(event);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+        <View>
+          {imageUrl ? (
+            <Image source={{ uri: imageUrl }} style={styles.image} contentFit="cover" />
+          ) : (
+            <View style={[styles.image, styles.imagePlaceholder]}>
+              <Ionicons name="calendar-outline" size={56} color="#4A90E2" />
+            </View>
+          )}
+          <TouchableOpacity style={styles.backFab} onPress={() => router.back()}>
+            <Ionicons name="chevron-back" size={24} color="#333" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          {event.category ? <Text style={styles.category}>{event.category}</Text> : null}
+          <Text style={styles.title}>{event.title}</Text>
+          <View style={styles.ratingSummary}>
+            <StarRating rating={event.avgRating ?? 0} size={16} />
+            <Text style={styles.ratingSummaryText}>
+              {event.avgRating !== null && event.avgRating !== undefined
+                ? `${Number(event.avgRating).toFixed(1)} · ${event.ratingsCount} rating${event.ratingsCount !== 1 ? "s" : ""}`
+                : "No ratings yet"}
+            </Text>
+          </View>
+
+          <View style={styles.infoRow}>
+            <Ionicons name="calendar-outline" size={18} color="#666" />
+            <Text style={styles.infoText}>{eventDateLabel(event)}</Text>
+          </View>
+          {event.location ? (
+            <View style={styles.infoRow}>
+              <Ionicons name="location-outline" size={18} color="#666" />
+              <Text style={styles.infoText}>{event.location}</Text>
+            </View>
+          ) : null}
+          {price ? (
+            <View style={styles.infoRow}>
+              <Ionicons name="pricetag-outline" size={18} color="#666" />
+              <Text style={styles.infoText}>{price}</Text>
+            </View>
+          ) : null}
+          {event.organizer ? (
+            <View style={styles.infoRow}>
+              <Ionicons name="person-outline" size={18} color="#666" />
+              <Text style={styles.infoText}>By {event.organizer}</Text>
+            </View>
+          ) : null}
+        </View>
+
+        {event.description ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>About</Text>
+            <Text style={styles.description}>{event.description}</Text>
+          </View>
+        ) : null}
+
+        {event.ratingsCount > 0 ? (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Ratings</Text>
+            <RatingHistogram histogram={event.ratingStats?.histogram} />
+          </View>
+        ) : null}
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Rate this event</Text>
+          <StarRating rating={myRating} size={32} onChange={setMyRating} style={styles.ratingInput} />
+          <TextInput
+            style={styles.commentInput}
+            placeholder="Share a comment (optional)"
+            multiline
+            value={comment}
+            onChangeText={setComment}
+          />
+          <TouchableOpacity
+            style={[styles.primaryButton, (!myRating || submitting) && styles.primaryButtonDisabled]}
+            disabled={!myRating || submitting}
+            onPress={handleSubmitRating}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#FFF" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Submit rating</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Comments</Text>
+          {comments.map(item => (
+            <View key={item.id} style={styles.comment}>
+              <View style={styles.commentHeader}>
+                <Text style={styles.commentAuthor}>{item.username ?? "Guest"}</Text>
+                <StarRating rating={item.rating} size={12} />
+              </View>
+              <Text style={styles.commentText}>{item.comment}</Text>
+              {toDateOnly(item.created_at) ? (
+                <Text style={styles.commentDate}>{formatDay(toDateOnly(item.created_at))}</Text>
+              ) : null}
+            </View>
+          ))}
+          {!comments.length && !commentsLoading ? (
+            <Text style={styles.emptyText}>No comments yet. Be the first!</Text>
+          ) : null}
+          {commentsLoading ? <ActivityIndicator color="#4A90E2" style={styles.commentsLoader} /> : null}
+          {hasMoreComments && !commentsLoading ? (
+            <TouchableOpacity style={styles.loadMore} onPress={() => loadComments(comments.length)}>
+              <Text style={styles.loadMoreText}>Show more comments</Text>
+            </TouchableOpacity>
+          ) : null}
+        </View>
+      </ScrollView>
+
+      <View style={styles.footer}>
+        {event.organizer_id && event.organizer_id === userId ? (
+          <TouchableOpacity
+            style={[styles.secondaryButton, styles.footerButton]}
+            onPress={() => router.push(`/check-in?eventId=${event.id}`)}
+          >
+            <Ionicons name="qr-code-outline" size={20} color="#4A90E2" />
+            <Text style={styles.secondaryButtonText}>Check in</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.secondaryButton, styles.footerButton]}
+            onPress={handleGetTickets}
+          >
+            <Ionicons name="ticket-outline" size={20} color="#4A90E2" />
+            <Text style={styles.secondaryButtonText}>Get tickets</Text>
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.primaryButton, styles.footerButton, addingToTrip && styles.primaryButtonDisabled]}
+          disabled={addingToTrip}
+          onPress={handleAddToTrip}
+        >
+          {addingToTrip ? (
+            <ActivityIndicator color="#FFF" />
+          ) : (
+            <>
+              <Ionicons name="add-circle-outline" size={20} color="#FFF" />
+              <Text style={styles.primaryButtonText}>Add to my trip</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </View>
+
+      <TripPickerSheet
+        visible={tripPickerVisible}
+        trips={trips}
+        loading={tripsLoading}
+        onSelect={saveToTrip}
+        onClose={() => setTripPickerVisible(false)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  scrollContent: {
+    paddingBottom: 24,
+  },
+  image: {
+    width: "100%",
+    height: 260,
+  },
+  imagePlaceholder: {
+    backgroundColor: "#F0F7FF",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  backFab: {
+    position: "absolute",
+    top: 16,
+    left: 16,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: "rgba(255, 255, 255, 0.95)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  section: {
+    backgroundColor: "#FFF",
+    padding: 20,
+    marginBottom: 8,
+  },
+  category: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#4A90E2",
+    textTransform: "uppercase",
+    marginBottom: 6,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  ratingSummary: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 8,
+    marginBottom: 12,
+  },
+  ratingSummaryText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  infoRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 10,
+    marginTop: 8,
+  },
+  infoText: {
+    flex: 1,
+    fontSize: 15,
+    color: "#333",
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 12,
+  },
+  description: {
+    fontSize: 15,
+    lineHeight: 22,
+    color: "#333",
+  },
+  ratingInput: {
+    marginBottom: 12,
+  },
+  commentInput: {
+    minHeight: 80,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#333",
+    textAlignVertical: "top",
+    marginBottom: 12,
+  },
+  primaryButton: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 14,
+  },
+  primaryButtonDisabled: {
+    opacity: 0.5,
+  },
+  primaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  comment: {
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  commentHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  commentAuthor: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  commentText: {
+    fontSize: 14,
+    lineHeight: 20,
+    color: "#333",
+    marginTop: 4,
+  },
+  commentDate: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 4,
+  },
+  commentsLoader: {
+    marginVertical: 12,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#999",
+  },
+  loadMore: {
+    paddingVertical: 12,
+    alignItems: "center",
+  },
+  loadMoreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  secondaryButton: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 8,
+    backgroundColor: "#F0F7FF",
+    borderRadius: 12,
+    paddingVertical: 14,
+  },
+  secondaryButtonText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  footer: {
+    flexDirection: "row",
+    gap: 12,
+    padding: 16,
+    backgroundColor: "#FFF",
+    borderTopWidth: 1,
+    borderTopColor: "#E1E5E9",
+  },
+  footerButton: {
+    flex: 1,
+    paddingVertical: 16,
+  },
+  notFound: {
+    padding: 20,
+    fontSize: 16,
+    color: "#666",
+  },
+  backButton: {
+    marginLeft: 20,
+    padding: 12,
+    backgroundColor: "#F0F7FF",
+    borderRadius: 8,
+    alignSelf: "flex-start",
+  },
+  backText: {
+    color: "#4A90E2",
+    fontWeight: "600",
+  },
+});
@@ -1,4 +1,5 @@
 // screens/HomeScreen.js
+import { Ionicons } from '@expo/vector-icons';
 import React, { useRef, useState } from 'react';
 import {
   Animated,
@@ -8,12 +9,17 @@ import {
   TouchableOpacity,
   View,
 } from 'react-native';
+import { useRouter } from 'expo-router';
 import PagerView from 'react-native-pager-view';
+import EventCalendar from '../../src/components/homeTabs/eventCalendar';
+import ForYouPage from '../../src/components/homeTabs/myFeed';
 
 const { width } = Dimensions.get('window');
 
 const Home = () => {
+  const router = useRouter();
   const [activeTab, setActiveTab] = useState(1); // Default to middle tab (Tab2/FYP)
+  const [fypView, setFypView] = useState('feed');
   const pagerRef = useRef(null);
   const indicatorAnim = useRef(new Animated.Value(width / 3)).current;
 
@@ -96,9 +102,28 @@ const Home = () => {
 
         {/* Tab 2: FYP (Default) */}
         <View key="2" style={styles.page}>
-          <View style={styles.content}>
-            <Text style={styles.pageTitle}>For You</Text>
+          <View style={styles.viewToggle}>
+            {[
+              { id: 'feed', label: 'Feed', icon: 'list-outline' },
+              { id: 'calendar', label: 'Calendar', icon: 'calendar-outline' },
+            ].map((view) => (
+              <TouchableOpacity
+                key={view.id}
+                style={[styles.viewButton, fypView === view.id && styles.activeViewButton]}
+                onPress={() => setFypView(view.id)}
+              >
+                <Ionicons name={view.icon} size={16} color={fypView === view.id ? '#a4234cb8' : '#666'} />
+                <Text style={[styles.viewLabel, fypView === view.id && styles.activeViewLabel]}>
+                  {view.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </View>
+          {fypView === 'feed' ? (
+            <ForYouPage onEventPress={(event) => router.push(`/event/${event.id}`)} />
+          ) : (
+            <EventCalendar onEventPress={(event) => router.push(`/event/${event.id}`)} />
+          )}
         </View>
 
         {/* Tab 3: Friends */}
@@ -160,6 +185,35 @@ const styles = StyleSheet.create({
   pagerView: {
     flex: 1,
   },
+  viewToggle: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    gap: 8,
+    paddingTop: 12,
+  },
+  viewButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E1E5E9',
+    backgroundColor: '#fff',
+  },
+  activeViewButton: {
+    borderColor: '#a4234cb8',
+  },
+  viewLabel: {
+    color: '#666',
+    fontSize: 13,
+    fontWeight: '500',
+  },
+  activeViewLabel: {
+    color: '#a4234cb8',
+    fontWeight: 'bold',
+  },
   page: {
     flex: 1,
     backgroundColor: '#f8f7f7ff',
@@ -0,0 +1,456 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  Animated,
+  PanResponder,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { getTripEvents, moveTripEvent } from "../../src/services/eventService";
+import { calendarExportService } from "../../src/services/calendarExportService";
+import { listingService } from "../../src/services/listingService";
+import { formatDay } from "../../src/utils/dateRanges";
+import { stayToIcsEvent, tripEventToIcsEvent } from "../../src/utils/ics";
+import { buildItinerary } from "../../src/utils/itinerary";
+import { toDateOnly } from "../../src/utils/trips";
+
+function formatMinutes(minutes) {
+  const hours = Math.floor(minutes / 60) % 24;
+  const mins = String(minutes % 60).padStart(2, "0");
+  const suffix = hours < 12 ? "AM" : "PM";
+  return `${hours % 12 || 12}:${mins} ${suffix}`;
+}
+
+const ITEM_ICONS = {
+  check_in: "log-in-outline",
+  check_out: "log-out-outline",
+  event: "calendar-outline",
+};
+
+/**
+ * Timeline row. Events can be dragged by their handle; check-in and
+ * check-out stay fixed to the booking dates.
+ */
+function ItineraryRow({ item, onDragStart, onDrop }) {
+  const translateY = useRef(new Animated.Value(0)).current;
+  const [dragging, setDragging] = useState(false);
+  // PanResponder is created once, so read the latest callbacks through a ref
+  const handlers = useRef({ onDragStart, onDrop });
+  handlers.current = { onDragStart, onDrop };
+
+  const panResponder = useRef(
+    PanResponder.create({
+      onStartShouldSetPanResponder: () => true,
+      onMoveShouldSetPanResponder: () => true,
+      onPanResponderTerminationRequest: () => false,
+      onPanResponderGrant: () => {
+        setDragging(true);
+        handlers.current.onDragStart();
+      },
+      onPanResponderMove: Animated.event([null, { dy: translateY }], { useNativeDriver: false }),
+      onPanResponderRelease: (_event, gesture) => {
+        setDragging(false);
+        handlers.current.onDrop(gesture.moveY);
+        Animated.spring(translateY, { toValue: 0, useNativeDriver: false }).start();
+      },
+      onPanResponderTerminate: () => {
+        setDragging(false);
+        handlers.current.onDrop(null);
+        Animated.spring(translateY, { toValue: 0, useNativeDriver: false }).start();
+      },
+    })
+  ).current;
+
+  const hasConflict = item.conflicts.length > 0;
+
+  return (
+    <Animated.View
+      style={[
+        styles.item,
+        item.kind !== "event" && styles.itemStay,
+        hasConflict && styles.itemConflict,
+        dragging && styles.itemDragging,
+        { transform: [{ translateY }] },
+      ]}
+    >
+      <Ionicons
+        name={ITEM_ICONS[item.kind]}
+        size={20}
+        color={hasConflict ? "#FF3B30" : "#4A90E2"}
+      />
+      <View style={styles.itemInfo}>
+        <Text style={styles.itemTitle} numberOfLines={2}>{item.title}</Text>
+        <Text style={styles.itemTime}>
+          {item.startMinutes !== null ? formatMinutes(item.startMinutes) : "All day"}
+          {item.kind === "event" && item.endMinutes !== null && item.endMinutes !== item.startMinutes
+            ? ` – ${formatMinutes(item.endMinutes)}`
+            : ""}
+        </Text>
+      </View>
+      {hasConflict ? <Ionicons name="warning" size={18} color="#FF3B30" /> : null}
+      {item.kind === "event" ? (
+        <View style={styles.dragHandle} {...panResponder.panHandlers}>
+          <Ionicons name="reorder-three-outline" size={24} color="#999" />
+        </View>
+      ) : null}
+    </Animated.View>
+  );
+}
+
+export default function ItineraryScreen() {
+  const router = useRouter();
+  const { tripId } = useLocalSearchParams();
+  const [trip, setTrip] = useState(null);
+  const [tripEvents, setTripEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [scrollEnabled, setScrollEnabled] = useState(true);
+  const scrollViewRef = useRef(null);
+  const scrollTopRef = useRef(0);
+  const scrollOffsetRef = useRef(0);
+  // Day section layouts in scroll content coordinates, keyed by date
+  const dayLayoutsRef = useRef(new Map());
+
+  const loadItinerary = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [tripData, events] = await Promise.all([
+        listingService.getTripById(tripId),
+        getTripEvents(tripId),
+      ]);
+      setTrip(tripData);
+      setTripEvents(events);
+    } catch (error) {
+      console.error("Error loading itinerary:", error);
+      Alert.alert("Error", "Failed to load this itinerary");
+    } finally {
+      setLoading(false);
+    }
+  }, [tripId]);
+
+  useEffect(() => {
+    if (tripId) loadItinerary();
+  }, [tripId, loadItinerary]);
+
+  const itinerary = useMemo(() => {
+    const start = toDateOnly(trip?.startDate);
+    const end = toDateOnly(trip?.endDate);
+    if (!start || !end) return null;
+    return buildItinerary(
+      { start, end, title: trip.listing?.title ?? trip.tripName ?? "Your stay" },
+      tripEvents
+    );
+  }, [trip, tripEvents]);
+
+  const dayAt = (screenY) => {
+    const contentY = screenY - scrollTopRef.current + scrollOffsetRef.current;
+    const day = itinerary.days.find(({ date }) => {
+      const layout = dayLayoutsRef.current.get(date);
+      return layout && contentY >= layout.y && contentY < layout.y + layout.height;
+    });
+    return day?.date ?? null;
+  };
+
+  const handleDrop = async (item, screenY) => {
+    setScrollEnabled(true);
+    if (screenY === null) return;
+
+    const date = dayAt(screenY);
+    if (!date || date === item.date) return;
+
+    const day = itinerary.days.find(entry => entry.date === date);
+    const position = Math.max(0, ...(day?.items ?? []).map(entry => entry.position)) + 1;
+    const previous = tripEvents;
+
+    setTripEvents(rows => rows.map(row => (
+      row.id === item.userTripId ? { ...row, planned_date: date, position } : row
+    )));
+
+    try {
+      await moveTripEvent(item.userTripId, date, position);
+    } catch (error) {
+      console.error("Error moving event:", error);
+      setTripEvents(previous);
+      Alert.alert("Error", "Failed to move this event");
+    }
+  };
+
+  const handleExport = async () => {
+    const entries = [stayToIcsEvent(trip), ...tripEvents.map(row => tripEventToIcsEvent(row.event))].filter(Boolean);
+    try {
+      const shared = await calendarExportService.shareCalendar(entries, trip.listing?.title ?? trip.tripName ?? "Trip");
+      if (!shared) Alert.alert("Sharing unavailable", "This device cannot share files.");
+    } catch (error) {
+      console.error("Error exporting itinerary:", error);
+      Alert.alert("Error", "Failed to export this itinerary");
+    }
+  };
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!trip || !itinerary) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <Text style={styles.notFound}>Trip not found.</Text>
+        <TouchableOpacity onPress={() => router.back()} style={styles.backButton}>
+          <Text style={styles.backText}>Go back</Text>
+        </TouchableOpacity>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.headerBack}>
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <View style={styles.headerInfo}>
+          <Text style={styles.headerTitle} numberOfLines={1}>{trip.listing?.title ?? trip.tripName}</Text>
+          <Text style={styles.headerSubtitle}>Itinerary · drag events between days</Text>
+        </View>
+        <TouchableOpacity onPress={handleExport} hitSlop={8} accessibilityLabel="Export to calendar">
+          <Ionicons name="share-outline" size={22} color="#4A90E2" />
+        </TouchableOpacity>
+      </View>
+
+      <ScrollView
+        ref={scrollViewRef}
+        scrollEnabled={scrollEnabled}
+        contentContainerStyle={styles.content}
+        onLayout={() => {
+          scrollViewRef.current?.measureInWindow((_x, y) => {
+            scrollTopRef.current = y;
+          });
+        }}
+        onScroll={event => {
+          scrollOffsetRef.current = event.nativeEvent.contentOffset.y;
+        }}
+        scrollEventThrottle={16}
+      >
+        {itinerary.conflicts.length ? (
+          <View style={styles.conflictBanner}>
+            <View style={styles.conflictHeader}>
+              <Ionicons name="warning-outline" size={18} color="#D0021B" />
+              <Text style={styles.conflictTitle}>
+                {itinerary.conflicts.length} conflict{itinerary.conflicts.length !== 1 ? "s" : ""}
+              </Text>
+            </View>
+            {itinerary.conflicts.map(conflict => (
+              <Text key={`${conflict.type}-${conflict.itemKeys.join("-")}`} style={styles.conflictText}>
+                • {formatDay(conflict.date)}: {conflict.message}
+              </Text>
+            ))}
+          </View>
+        ) : null}
+
+        {itinerary.unscheduled.length ? (
+          <View style={styles.day}>
+            <Text style={styles.dayTitle}>Not scheduled</Text>
+            {itinerary.unscheduled.map(item => (
+              <ItineraryRow
+                key={item.key}
+                item={item}
+                onDragStart={() => setScrollEnabled(false)}
+                onDrop={screenY => handleDrop(item, screenY)}
+              />
+            ))}
+          </View>
+        ) : null}
+
+        {itinerary.days.map((day, index) => (
+          <View
+            key={day.date}
+            style={[styles.day, !day.inStay && styles.dayOutside]}
+            onLayout={event => {
+              const { y, height } = event.nativeEvent.layout;
+              dayLayoutsRef.current.set(day.date, { y, height });
+            }}
+          >
+            <View style={styles.dayHeader}>
+              <Text style={styles.dayTitle}>{formatDay(day.date)}</Text>
+              <Text style={styles.dayLabel}>{day.inStay ? `Day ${index + 1}` : "Outside stay"}</Text>
+            </View>
+            {day.items.length ? (
+              day.items.map(item => (
+                <ItineraryRow
+                  key={item.key}
+                  item={item}
+                  onDragStart={() => setScrollEnabled(false)}
+                  onDrop={screenY => handleDrop(item, screenY)}
+                />
+              ))
+            ) : (
+              <Text style={styles.dayEmpty}>Free day – drop an event here</Text>
+            )}
+          </View>
+        ))}
+      </ScrollView>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E1E5E9",
+  },
+  headerBack: {
+    marginRight: 8,
+  },
+  headerInfo: {
+    flex: 1,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  headerSubtitle: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  content: {
+    padding: 16,
+    gap: 12,
+  },
+  conflictBanner: {
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#FFD6D6",
+    backgroundColor: "#FFF5F5",
+    gap: 4,
+  },
+  conflictHeader: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginBottom: 4,
+  },
+  conflictTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#D0021B",
+  },
+  conflictText: {
+    fontSize: 13,
+    color: "#666",
+  },
+  day: {
+    padding: 12,
+    borderRadius: 16,
+    backgroundColor: "#FFF",
+    gap: 8,
+  },
+  dayOutside: {
+    backgroundColor: "#FAFAFA",
+    borderWidth: 1,
+    borderStyle: "dashed",
+    borderColor: "#E1E5E9",
+  },
+  dayHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  dayTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  dayLabel: {
+    fontSize: 12,
+    color: "#999",
+  },
+  dayEmpty: {
+    fontSize: 13,
+    color: "#999",
+    paddingVertical: 8,
+  },
+  item: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 12,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    backgroundColor: "#FFF",
+  },
+  itemStay: {
+    backgroundColor: "#F0F7FF",
+    borderColor: "#F0F7FF",
+  },
+  itemConflict: {
+    borderColor: "#FF3B30",
+  },
+  itemDragging: {
+    zIndex: 10,
+    elevation: 8,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.2,
+    shadowRadius: 8,
+  },
+  itemInfo: {
+    flex: 1,
+  },
+  itemTitle: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  itemTime: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  dragHandle: {
+    padding: 4,
+  },
+  notFound: {
+    padding: 20,
+    fontSize: 16,
+    color: "#666",
+  },
+  backButton: {
+    marginLeft: 20,
+    padding: 12,
+    backgroundColor: "#F0F7FF",
+    borderRadius: 8,
+    alignSelf: "flex-start",
+  },
+  backText: {
+    color: "#4A90E2",
+    fontWeight: "600",
+  },
+});
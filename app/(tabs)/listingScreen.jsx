@@ -1,30 +1,65 @@
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter, useSearchParams } from "expo-router";
+import { Image } from "expo-image";
+import { useLocalSearchParams, useRouter } from "expo-router";
 import { useEffect, useState } from "react";
-import { ActivityIndicator, Alert, SafeAreaView, ScrollView, StyleSheet, Text, TouchableOpacity, View } from "react-native";
+import {
+  ActivityIndicator,
+  Alert,
+  Dimensions,
+  FlatList,
+  SafeAreaView,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import MapView, { Marker } from "react-native-maps";
 import { supabase } from "../../lib/supabase";
+import RatingHistogram from "../../src/components/RatingHistogram";
+import StarRating from "../../src/components/StarRating";
+import { InteractionService } from "../../src/services/interactionService";
+import { listingService } from "../../src/services/listingService";
+import { profileService } from "../../src/services/profileService";
+import { formatPrice } from "../../src/utils/format";
+import { isValidLatLng } from "../../src/utils/geo";
+import { AMENITY_OPTIONS } from "../../src/utils/listingFilters";
+
+const { width } = Dimensions.get('window');
+const GALLERY_HEIGHT = 280;
 
 export default function ListingScreen() {
   const router = useRouter();
-  const { listingId } = useSearchParams();
+  const { listingId, checkIn, checkOut } = useLocalSearchParams();
   const [listing, setListing] = useState(null);
+  const [host, setHost] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [imageIndex, setImageIndex] = useState(0);
 
   useEffect(() => {
     if (listingId) fetchListing(listingId);
   }, [listingId]);
 
+  // Record the view once per opened listing
+  useEffect(() => {
+    if (!listingId) return;
+    supabase.auth.getUser().then(({ data }) => {
+      if (data?.user) InteractionService.trackView(data.user.id, listingId);
+    });
+  }, [listingId]);
+
   async function fetchListing(id) {
     try {
       setLoading(true);
-      const { data, error } = await supabase
-        .from("stays")
-        .select(`*`)
-        .eq("id", id)
-        .single();
-
-      if (error) throw error;
+      const data = await listingService.fetchListingById(id);
       setListing(data);
+      setImageIndex(0);
+
+      if (data?.host_id) {
+        profileService.getProfile(data.host_id)
+          .then(setHost)
+          .catch(() => setHost(null));
+      }
     } catch (err) {
       console.error(err);
       Alert.alert("Error", "Failed to load listing");
@@ -33,6 +68,11 @@ export default function ListingScreen() {
     }
   }
 
+  const handleReserve = () => {
+    const dates = checkIn && checkOut ? `&checkIn=${checkIn}&checkOut=${checkOut}` : "";
+    router.push(`/booking?listingId=${listing.id}${dates}`);
+  };
+
   if (loading) {
     return (
       <SafeAreaView style={styles.loadingContainer}>
@@ -52,37 +92,182 @@ export default function ListingScreen() {
     );
   }
 
+  const images = listing.images?.filter(Boolean) ?? [];
+  const amenities = (listing.amenities ?? []).map(id =>
+    AMENITY_OPTIONS.find(option => option.id === id) ?? { id, label: id.replace(/_/g, " "), icon: "checkmark-circle-outline" }
+  );
+  const hasLocation = isValidLatLng(listing.location_lat, listing.location_lng);
+  const reviewCount = listing.review_count ?? 0;
+  const stats = [
+    { icon: "people-outline", label: `${listing.max_guests} guest${listing.max_guests !== 1 ? "s" : ""}` },
+    { icon: "bed-outline", label: `${listing.bedrooms} bedroom${listing.bedrooms !== 1 ? "s" : ""}` },
+    { icon: "layers-outline", label: `${listing.beds} bed${listing.beds !== 1 ? "s" : ""}` },
+    { icon: "water-outline", label: `${listing.bathrooms} bath${listing.bathrooms !== 1 ? "s" : ""}` },
+  ];
+
   return (
     <SafeAreaView style={styles.container}>
-      <ScrollView contentContainerStyle={styles.content}>
-        <View style={styles.headerRow}>
-          <TouchableOpacity onPress={() => router.back()} style={styles.backIcon}>
+      <ScrollView contentContainerStyle={styles.scrollContent}>
+        <View style={styles.gallery}>
+          {images.length > 0 ? (
+            <FlatList
+              data={images}
+              keyExtractor={(uri, index) => `${index}:${uri}`}
+              horizontal
+              pagingEnabled
+              showsHorizontalScrollIndicator={false}
+              onMomentumScrollEnd={e => setImageIndex(Math.round(e.nativeEvent.contentOffset.x / width))}
+              renderItem={({ item }) => (
+                <Image source={{ uri: item }} style={styles.galleryImage} contentFit="cover" transition={200} />
+              )}
+            />
+          ) : (
+            <View style={[styles.galleryImage, styles.galleryPlaceholder]}>
+              <Ionicons name="home-outline" size={56} color="#4A90E2" />
+            </View>
+          )}
+
+          <TouchableOpacity onPress={() => router.back()} style={styles.galleryBack}>
             <Ionicons name="chevron-back" size={24} color="#333" />
           </TouchableOpacity>
-          <Text style={styles.title}>{listing.title}</Text>
-        </View>
 
-        <View style={styles.metaRow}>
-          <Text style={styles.location}>{listing.city}, {listing.country}</Text>
-          <Text style={styles.type}>{listing.type}</Text>
+          {images.length > 1 ? (
+            <View style={styles.galleryDots}>
+              {images.map((uri, index) => (
+                <View key={`${index}:${uri}`} style={[styles.dot, index === imageIndex && styles.dotActive]} />
+              ))}
+            </View>
+          ) : null}
         </View>
 
-        {listing.description ? (
-          <Text style={styles.description}>{listing.description}</Text>
-        ) : null}
+        <View style={styles.content}>
+          <Text style={styles.title}>{listing.title}</Text>
+          <View style={styles.metaRow}>
+            <Ionicons name="location-outline" size={16} color="#666" />
+            <Text style={styles.location}>
+              {[listing.address_city, listing.address_country].filter(Boolean).join(", ")}
+            </Text>
+            {reviewCount > 0 ? (
+              <View style={styles.inlineRating}>
+                <Ionicons name="star" size={14} color="#F5A623" />
+                <Text style={styles.inlineRatingText}>
+                  {Number(listing.average_rating).toFixed(1)} · {reviewCount} review{reviewCount !== 1 ? "s" : ""}
+                </Text>
+              </View>
+            ) : null}
+          </View>
 
-        <View style={styles.statsRow}>
-          <View style={styles.statItem}>
-            <Ionicons name="bed-outline" size={18} color="#666" />
-            <Text style={styles.statText}>{listing.available_rooms} room{listing.available_rooms !== 1 ? 's' : ''}</Text>
+          <View style={styles.statsRow}>
+            {stats.map(stat => (
+              <View key={stat.icon} style={styles.statItem}>
+                <Ionicons name={stat.icon} size={18} color="#666" />
+                <Text style={styles.statText}>{stat.label}</Text>
+              </View>
+            ))}
           </View>
-          <View style={styles.statItem}>
-            <Ionicons name="calendar-outline" size={18} color="#666" />
-            <Text style={styles.statText}>{listing.is_active ? 'Active' : 'Inactive'}</Text>
+
+          <View style={styles.hostCard}>
+            <View style={styles.hostAvatar}>
+              <Text style={styles.hostInitial}>
+                {(host?.username || "H").charAt(0).toUpperCase()}
+              </Text>
+            </View>
+            <View style={styles.hostInfo}>
+              <Text style={styles.hostName}>Hosted by {host?.username || "your host"}</Text>
+              {host?.created_at ? (
+                <Text style={styles.hostMeta}>Host since {new Date(host.created_at).getFullYear()}</Text>
+              ) : null}
+            </View>
+            <Ionicons name="shield-checkmark-outline" size={22} color="#2ECC71" />
           </View>
-        </View>
 
+          {listing.description ? (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>About this place</Text>
+              <Text style={styles.description}>{listing.description}</Text>
+            </View>
+          ) : null}
+
+          {amenities.length > 0 ? (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>What this place offers</Text>
+              <View style={styles.amenityGrid}>
+                {amenities.map(amenity => (
+                  <View key={amenity.id} style={styles.amenityItem}>
+                    <Ionicons name={amenity.icon} size={20} color="#333" />
+                    <Text style={styles.amenityText}>{amenity.label}</Text>
+                  </View>
+                ))}
+              </View>
+            </View>
+          ) : null}
+
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Ratings</Text>
+            {reviewCount > 0 ? (
+              <View style={styles.ratingSummary}>
+                <Text style={styles.ratingAverage}>{Number(listing.average_rating).toFixed(1)}</Text>
+                <View>
+                  <StarRating rating={listing.average_rating} size={18} />
+                  <Text style={styles.ratingCount}>
+                    Based on {reviewCount} review{reviewCount !== 1 ? "s" : ""}
+                  </Text>
+                </View>
+              </View>
+            ) : (
+              <Text style={styles.mutedText}>No reviews yet</Text>
+            )}
+            {reviewCount > 0 && listing.rating_stats ? (
+              <RatingHistogram histogram={listing.rating_stats.histogram} style={styles.ratingHistogram} />
+            ) : null}
+          </View>
+
+          {hasLocation ? (
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>{"Where you'll be"}</Text>
+              <MapView
+                style={styles.map}
+                initialRegion={{
+                  latitude: Number(listing.location_lat),
+                  longitude: Number(listing.location_lng),
+                  latitudeDelta: 0.02,
+                  longitudeDelta: 0.02,
+                }}
+                scrollEnabled={false}
+                zoomEnabled={false}
+                rotateEnabled={false}
+                pitchEnabled={false}
+              >
+                <Marker
+                  coordinate={{
+                    latitude: Number(listing.location_lat),
+                    longitude: Number(listing.location_lng),
+                  }}
+                />
+              </MapView>
+            </View>
+          ) : null}
+        </View>
       </ScrollView>
+
+      <View style={styles.footer}>
+        <View>
+          <Text style={styles.footerPrice}>
+            {formatPrice(listing.price_per_night)}
+            <Text style={styles.footerNight}> / night</Text>
+          </Text>
+          {!listing.is_available ? (
+            <Text style={styles.unavailableText}>Not taking bookings</Text>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={[styles.reserveButton, !listing.is_available && styles.reserveButtonDisabled]}
+          disabled={!listing.is_available}
+          onPress={handleReserve}
+        >
+          <Text style={styles.reserveText}>Reserve</Text>
+        </TouchableOpacity>
+      </View>
     </SafeAreaView>
   );
 }
@@ -90,17 +275,75 @@ export default function ListingScreen() {
 const styles = StyleSheet.create({
   container: { flex: 1, backgroundColor: '#F5F7FA' },
   loadingContainer: { flex: 1, justifyContent: 'center', alignItems: 'center', backgroundColor: '#F5F7FA' },
+  scrollContent: { paddingBottom: 24 },
+  gallery: { height: GALLERY_HEIGHT, backgroundColor: '#F0F7FF' },
+  galleryImage: { width, height: GALLERY_HEIGHT },
+  galleryPlaceholder: { justifyContent: 'center', alignItems: 'center' },
+  galleryBack: {
+    position: 'absolute',
+    top: 16,
+    left: 16,
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.95)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  galleryDots: { position: 'absolute', bottom: 12, alignSelf: 'center', flexDirection: 'row', gap: 6 },
+  dot: { width: 6, height: 6, borderRadius: 3, backgroundColor: 'rgba(255, 255, 255, 0.6)' },
+  dotActive: { backgroundColor: '#FFF', width: 8, height: 8, borderRadius: 4 },
   content: { padding: 20 },
-  headerRow: { flexDirection: 'row', alignItems: 'center', marginBottom: 12 },
-  backIcon: { marginRight: 8 },
-  title: { fontSize: 22, fontWeight: '700', color: '#1A1A1A', flex: 1 },
-  metaRow: { flexDirection: 'row', justifyContent: 'space-between', marginBottom: 12 },
-  location: { fontSize: 14, color: '#666' },
-  type: { fontSize: 14, color: '#4A90E2', fontWeight: '600' },
-  description: { fontSize: 14, color: '#333', lineHeight: 20, marginBottom: 16 },
-  statsRow: { flexDirection: 'row', gap: 16 },
+  title: { fontSize: 22, fontWeight: '700', color: '#1A1A1A', marginBottom: 8 },
+  metaRow: { flexDirection: 'row', alignItems: 'center', flexWrap: 'wrap', gap: 4, marginBottom: 16 },
+  location: { fontSize: 14, color: '#666', marginRight: 8 },
+  inlineRating: { flexDirection: 'row', alignItems: 'center', gap: 4 },
+  inlineRatingText: { fontSize: 14, color: '#333', fontWeight: '500' },
+  statsRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 16, paddingVertical: 16, borderTopWidth: 1, borderBottomWidth: 1, borderColor: '#E1E5E9' },
   statItem: { flexDirection: 'row', alignItems: 'center', gap: 8 },
   statText: { color: '#666' },
+  hostCard: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+    marginTop: 16,
+    padding: 16,
+    backgroundColor: '#FFF',
+    borderRadius: 16,
+  },
+  hostAvatar: { width: 48, height: 48, borderRadius: 24, backgroundColor: '#4A90E2', justifyContent: 'center', alignItems: 'center' },
+  hostInitial: { fontSize: 20, fontWeight: '700', color: '#FFF' },
+  hostInfo: { flex: 1 },
+  hostName: { fontSize: 16, fontWeight: '600', color: '#1A1A1A' },
+  hostMeta: { fontSize: 13, color: '#666', marginTop: 2 },
+  section: { marginTop: 24 },
+  sectionTitle: { fontSize: 18, fontWeight: '600', color: '#1A1A1A', marginBottom: 12 },
+  description: { fontSize: 14, color: '#333', lineHeight: 20 },
+  amenityGrid: { flexDirection: 'row', flexWrap: 'wrap', rowGap: 12 },
+  amenityItem: { width: '50%', flexDirection: 'row', alignItems: 'center', gap: 10 },
+  amenityText: { fontSize: 14, color: '#333', textTransform: 'capitalize' },
+  ratingSummary: { flexDirection: 'row', alignItems: 'center', gap: 16 },
+  ratingAverage: { fontSize: 40, fontWeight: '700', color: '#1A1A1A' },
+  ratingCount: { fontSize: 13, color: '#666', marginTop: 4 },
+  ratingHistogram: { marginTop: 12 },
+  mutedText: { fontSize: 14, color: '#999' },
+  map: { height: 180, borderRadius: 16 },
+  footer: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 14,
+    backgroundColor: '#FFF',
+    borderTopWidth: 1,
+    borderTopColor: '#E1E5E9',
+  },
+  footerPrice: { fontSize: 18, fontWeight: '700', color: '#1A1A1A' },
+  footerNight: { fontSize: 14, fontWeight: '400', color: '#666' },
+  unavailableText: { fontSize: 12, color: '#FF3B30', marginTop: 2 },
+  reserveButton: { backgroundColor: '#4A90E2', borderRadius: 12, paddingVertical: 14, paddingHorizontal: 32 },
+  reserveButtonDisabled: { opacity: 0.5 },
+  reserveText: { fontSize: 16, fontWeight: '600', color: '#FFF' },
   notFound: { padding: 20, fontSize: 16, color: '#666' },
   backButton: { marginTop: 12, padding: 12, backgroundColor: '#F0F7FF', borderRadius: 8, alignSelf: 'flex-start' },
   backText: { color: '#4A90E2', fontWeight: '600' },
@@ -1,11 +1,12 @@
 import { Ionicons } from "@expo/vector-icons";
-import { useRouter } from "expo-router";
-import { useCallback, useEffect, useState } from "react";
+import { useLocalSearchParams, useRouter } from "expo-router";
+import { useCallback, useEffect, useRef, useState } from "react";
 import {
   ActivityIndicator,
   Alert,
   Dimensions,
   FlatList,
+  Keyboard,
   RefreshControl,
   SafeAreaView,
   ScrollView,
@@ -16,23 +17,58 @@ import {
   View
 } from "react-native";
 import { supabase } from "../../lib/supabase";
-import { addToFavorites, getListings } from "../../services/listings.service";
+import { addToFavorites } from "../../services/listings.service";
+import DateRangePicker from "../../src/components/DateRangePicker";
+import FilterSheet from "../../src/components/FilterSheet";
 import ListingCard from "../../src/components/cards.jsx";
+import useDebouncedValue from "../../src/hooks/useDebouncedValue";
+import useImpressionTracking from "../../src/hooks/useImpressionTracking";
+import { listingService } from "../../src/services/listingService";
+import { locationService } from "../../src/services/locationService";
+import { searchHistoryService } from "../../src/services/searchHistoryService";
+import { formatDateRange } from "../../src/utils/dateRanges";
+import {
+  countActiveFilters,
+  datesFromParams,
+  datesToParams,
+  filtersFromParams,
+  filtersToParams,
+  filtersToQuery,
+} from "../../src/utils/listingFilters";
 
 const { width } = Dimensions.get('window');
 const CARD_MARGIN = 16;
 const CARD_WIDTH = (width - (CARD_MARGIN * 3)) / 2;
+const PAGE_SIZE = 20;
+const SEARCH_DEBOUNCE_MS = 350;
+const DISTANCE_SORT_RADIUS_KM = 200;
 
 export default function Listings() {
   const router = useRouter();
+  const params = useLocalSearchParams();
   const [listings, setListings] = useState([]);
-  const [filteredListings, setFilteredListings] = useState([]);
   const [userId, setUserId] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [searching, setSearching] = useState(false);
+  const [loadingMore, setLoadingMore] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
-  const [searchQuery, setSearchQuery] = useState("");
-  const [selectedType, setSelectedType] = useState("all");
+  const [page, setPage] = useState(1);
+  const [hasMore, setHasMore] = useState(true);
+  const [searchQuery, setSearchQuery] = useState(() => (typeof params.q === "string" ? params.q : ""));
+  const [searchFocused, setSearchFocused] = useState(false);
+  const [suggestions, setSuggestions] = useState([]);
+  const [recentSearches, setRecentSearches] = useState([]);
+  const [selectedType, setSelectedType] = useState(() => (typeof params.type === "string" ? params.type : "all"));
+  const [filters, setFilters] = useState(() => filtersFromParams(params));
+  const [filterSheetVisible, setFilterSheetVisible] = useState(false);
+  const [dates, setDates] = useState(() => datesFromParams(params));
+  const [datePickerVisible, setDatePickerVisible] = useState(false);
+  const [coords, setCoords] = useState(null);
   const [favoriteLoading, setFavoriteLoading] = useState({});
+  const requestIdRef = useRef(0);
+
+  const debouncedQuery = useDebouncedValue(searchQuery.trim(), SEARCH_DEBOUNCE_MS);
+  const impressions = useImpressionTracking({ source: debouncedQuery ? "search" : "explore" });
 
   const propertyTypes = [
     { id: "all", label: "All Types" },
@@ -43,51 +79,158 @@ export default function Listings() {
   ];
 
   useEffect(() => {
-    fetchUserAndListings();
+    supabase.auth.getUser().then(({ data }) => {
+      if (data?.user) setUserId(data.user.id);
+    });
+    searchHistoryService.getRecentSearches().then(setRecentSearches);
   }, []);
 
+  // Keep the route's query params in sync so a filtered view can be shared
   useEffect(() => {
-    filterListings();
-  }, [listings, searchQuery, selectedType]);
+    router.setParams({
+      ...filtersToParams(filters),
+      ...datesToParams(dates),
+      type: selectedType !== "all" ? selectedType : undefined,
+      q: debouncedQuery || undefined,
+    });
+  }, [router, filters, dates, selectedType, debouncedQuery]);
 
-  const fetchUserAndListings = async () => {
-    try {
-      setLoading(true);
-      const { data: userData } = await supabase.auth.getUser();
-      if (userData.user) setUserId(userData.user.id);
+  // Distance sorting needs the device position
+  useEffect(() => {
+    if (filters.sortBy !== "distance" || coords) return;
+
+    let cancelled = false;
+    locationService.getCurrentCoords().then(result => {
+      if (cancelled) return;
+      if (result) {
+        setCoords(result);
+      } else {
+        Alert.alert("Location unavailable", "Allow location access to sort stays by distance.");
+        setFilters(prev => ({ ...prev, sortBy: "newest" }));
+      }
+    });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [filters.sortBy, coords]);
+
+  const waitingForLocation = filters.sortBy === "distance" && !coords;
+
+  // Fetch one page for the current query, type, dates and sheet filters
+  const fetchPage = useCallback((pageToLoad) => {
+    const category = selectedType !== "all" ? selectedType : undefined;
+    const proximity = filters.sortBy === "distance" && coords
+      ? { ...coords, radiusKm: DISTANCE_SORT_RADIUS_KM }
+      : undefined;
+    const query = { ...filtersToQuery(filters), category, proximity, availability: dates ?? undefined };
+
+    return debouncedQuery
+      ? listingService.searchListings(debouncedQuery, { ...query, page: pageToLoad, pageSize: PAGE_SIZE })
+      : listingService.fetchListings({ ...query, pagination: { page: pageToLoad, pageSize: PAGE_SIZE } });
+  }, [debouncedQuery, selectedType, filters, coords, dates]);
 
-      const listingsData = await getListings();
-      setListings(listingsData);
+  // Reload from the first page; responses from superseded requests are dropped
+  const loadFirstPage = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    setSearching(true);
+    try {
+      const data = await fetchPage(1);
+      if (requestId !== requestIdRef.current) return;
+      setListings(data);
+      setPage(1);
+      setHasMore(data.length === PAGE_SIZE);
     } catch (error) {
-      console.error("Error fetching data:", error);
+      if (requestId !== requestIdRef.current) return;
+      console.error("Error fetching listings:", error);
       Alert.alert("Error", "Failed to load listings");
     } finally {
-      setLoading(false);
+      if (requestId === requestIdRef.current) {
+        setSearching(false);
+        setLoading(false);
+      }
+    }
+  }, [fetchPage]);
+
+  useEffect(() => {
+    if (!waitingForLocation) loadFirstPage();
+  }, [loadFirstPage, waitingForLocation]);
+
+  useEffect(() => {
+    if (!searchFocused || debouncedQuery.length < 2) {
+      setSuggestions([]);
+      return;
+    }
+
+    let cancelled = false;
+    listingService.getSearchSuggestions(debouncedQuery)
+      .then(result => {
+        if (!cancelled) setSuggestions(result);
+      })
+      .catch(() => {
+        if (!cancelled) setSuggestions([]);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debouncedQuery, searchFocused]);
+
+  const handleLoadMore = async () => {
+    if (loading || searching || loadingMore || !hasMore) return;
+
+    const requestId = requestIdRef.current;
+    const nextPage = page + 1;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextPage);
+      if (requestId !== requestIdRef.current) return;
+      setListings(prev => {
+        const seen = new Set(prev.map(item => item.id));
+        return [...prev, ...data.filter(item => !seen.has(item.id))];
+      });
+      setPage(nextPage);
+      setHasMore(data.length === PAGE_SIZE);
+    } catch (error) {
+      console.error("Error loading more listings:", error);
+    } finally {
+      setLoadingMore(false);
     }
   };
 
   const handleRefresh = useCallback(async () => {
     setRefreshing(true);
-    await fetchUserAndListings();
+    await loadFirstPage();
     setRefreshing(false);
-  }, []);
+  }, [loadFirstPage]);
 
-  const filterListings = () => {
-    let filtered = listings;
-
-    if (searchQuery) {
-      filtered = filtered.filter(item =>
-        item.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        item.city.toLowerCase().includes(searchQuery.toLowerCase()) ||
-        item.country.toLowerCase().includes(searchQuery.toLowerCase())
-      );
+  const commitSearch = async (term) => {
+    setSearchQuery(term);
+    setSuggestions([]);
+    setSearchFocused(false);
+    Keyboard.dismiss();
+    if (term.trim()) {
+      setRecentSearches(await searchHistoryService.addRecentSearch(term));
     }
+  };
 
-    if (selectedType !== "all") {
-      filtered = filtered.filter(item => item.type === selectedType);
-    }
+  const handleApplyFilters = (nextFilters) => {
+    setFilters(nextFilters);
+    setFilterSheetVisible(false);
+  };
+
+  const handleApplyDates = (range) => {
+    setDates(range);
+    setDatePickerVisible(false);
+  };
 
-    setFilteredListings(filtered);
+  const handleRemoveRecentSearch = async (term) => {
+    setRecentSearches(await searchHistoryService.removeRecentSearch(term));
+  };
+
+  const handleClearRecentSearches = async () => {
+    await searchHistoryService.clearRecentSearches();
+    setRecentSearches([]);
   };
 
   const handleAddToFavorites = async (listingId, listingTitle) => {
@@ -159,16 +302,81 @@ export default function Listings() {
     </ScrollView>
   );
 
-  const renderListingCard = ({ item }) => (
+  const renderListingCard = ({ item, index }) => (
     <ListingCard
       item={item}
-      onPress={() => router.push(`/listingScreen?listingId=${item.id}`)}
+      onPress={() => {
+        impressions.trackOpen(item, index);
+        router.push(
+          `/listingScreen?listingId=${item.id}${dates ? `&checkIn=${dates.start}&checkOut=${dates.end}` : ""}`
+        );
+      }}
       onFavoritePress={() => handleAddToFavorites(item.id, item.title)}
       favoriteLoading={!!favoriteLoading[item.id]}
       styles={styles}
     />
   );
 
+  const renderSearchPanel = () => {
+    if (!searchFocused) return null;
+
+    if (searchQuery.trim().length >= 2) {
+      if (suggestions.length === 0) return null;
+      return (
+        <View style={styles.searchPanel}>
+          {suggestions.map(suggestion => (
+            <TouchableOpacity
+              key={`${suggestion.type}:${suggestion.value}`}
+              style={styles.searchPanelRow}
+              onPress={() => commitSearch(suggestion.value)}
+            >
+              <Ionicons
+                name={suggestion.type === "city" ? "location-outline" : "home-outline"}
+                size={18}
+                color="#666"
+              />
+              <Text style={styles.searchPanelText} numberOfLines={1}>{suggestion.value}</Text>
+            </TouchableOpacity>
+          ))}
+        </View>
+      );
+    }
+
+    if (recentSearches.length === 0) return null;
+    return (
+      <View style={styles.searchPanel}>
+        <View style={styles.searchPanelHeader}>
+          <Text style={styles.searchPanelTitle}>Recent searches</Text>
+          <TouchableOpacity onPress={handleClearRecentSearches}>
+            <Text style={styles.searchPanelAction}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+        {recentSearches.map(term => (
+          <TouchableOpacity
+            key={term}
+            style={styles.searchPanelRow}
+            onPress={() => commitSearch(term)}
+          >
+            <Ionicons name="time-outline" size={18} color="#666" />
+            <Text style={styles.searchPanelText} numberOfLines={1}>{term}</Text>
+            <TouchableOpacity onPress={() => handleRemoveRecentSearch(term)} hitSlop={8}>
+              <Ionicons name="close" size={16} color="#999" />
+            </TouchableOpacity>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const renderListFooter = () => {
+    if (!loadingMore) return null;
+    return (
+      <View style={styles.listFooter}>
+        <ActivityIndicator size="small" color="#4A90E2" />
+      </View>
+    );
+  };
+
   const renderEmptyState = () => (
     <View style={styles.emptyState}>
       <View style={styles.emptyStateIcon}>
@@ -195,6 +403,8 @@ export default function Listings() {
     </View>
   );
 
+  const activeFilterCount = countActiveFilters(filters);
+
   if (loading && !refreshing) {
     return (
       <SafeAreaView style={styles.loadingContainer}>
@@ -227,8 +437,15 @@ export default function Listings() {
           placeholder="Search by location, title, or type..."
           value={searchQuery}
           onChangeText={setSearchQuery}
+          onFocus={() => setSearchFocused(true)}
+          onBlur={() => setSearchFocused(false)}
+          onSubmitEditing={() => commitSearch(searchQuery)}
+          returnKeyType="search"
           clearButtonMode="while-editing"
         />
+        {searching && !refreshing ? (
+          <ActivityIndicator size="small" color="#4A90E2" style={styles.searchSpinner} />
+        ) : null}
         {searchQuery ? (
           <TouchableOpacity onPress={() => setSearchQuery("")}>
             <Ionicons name="close-circle" size={20} color="#999" />
@@ -236,22 +453,44 @@ export default function Listings() {
         ) : null}
       </View>
 
+      {renderSearchPanel()}
+
+      <View style={styles.datesRow}>
+        <TouchableOpacity style={styles.datesButton} onPress={() => setDatePickerVisible(true)}>
+          <Ionicons name="calendar-outline" size={18} color={dates ? "#4A90E2" : "#666"} />
+          <Text style={[styles.datesText, dates && styles.datesTextActive]}>
+            {dates ? formatDateRange(dates) : "Any dates"}
+          </Text>
+        </TouchableOpacity>
+        {dates ? (
+          <TouchableOpacity onPress={() => setDates(null)} hitSlop={8}>
+            <Ionicons name="close-circle" size={20} color="#999" />
+          </TouchableOpacity>
+        ) : null}
+      </View>
+
       {renderPropertyTypeFilter()}
 
       <View style={styles.resultsHeader}>
         <Text style={styles.resultsTitle}>
-          {filteredListings.length} {filteredListings.length === 1 ? "Listing" : "Listings"}
+          {listings.length}{hasMore ? "+" : ""} {listings.length === 1 && !hasMore ? "Listing" : "Listings"}
         </Text>
-        <TouchableOpacity style={styles.sortButton}>
+        <TouchableOpacity style={styles.sortButton} onPress={() => setFilterSheetVisible(true)}>
           <Ionicons name="funnel-outline" size={20} color="#666" />
           <Text style={styles.sortButtonText}>Sort & Filter</Text>
+          {activeFilterCount > 0 ? (
+            <View style={styles.filterBadge}>
+              <Text style={styles.filterBadgeText}>{activeFilterCount}</Text>
+            </View>
+          ) : null}
         </TouchableOpacity>
       </View>
 
       <FlatList
-        data={filteredListings}
+        data={listings}
         keyExtractor={(item) => item.id}
         renderItem={renderListingCard}
+        {...impressions.listProps}
         numColumns={2}
         columnWrapperStyle={styles.columnWrapper}
         contentContainerStyle={styles.listContent}
@@ -264,8 +503,27 @@ export default function Listings() {
             tintColor="#4A90E2"
           />
         }
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+        keyboardShouldPersistTaps="handled"
+        ListFooterComponent={renderListFooter}
         ListEmptyComponent={renderEmptyState}
       />
+
+      <DateRangePicker
+        visible={datePickerVisible}
+        value={dates}
+        title="When are you staying?"
+        onApply={handleApplyDates}
+        onClose={() => setDatePickerVisible(false)}
+      />
+
+      <FilterSheet
+        visible={filterSheetVisible}
+        filters={filters}
+        onApply={handleApplyFilters}
+        onClose={() => setFilterSheetVisible(false)}
+      />
     </SafeAreaView>
   );
 }
@@ -339,6 +597,75 @@ const styles = StyleSheet.create({
     color: "#333",
     height: "100%",
   },
+  searchSpinner: {
+    marginHorizontal: 8,
+  },
+  searchPanel: {
+    marginHorizontal: 24,
+    marginTop: -8,
+    marginBottom: 16,
+    backgroundColor: "#FFF",
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    paddingVertical: 4,
+  },
+  searchPanelHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  searchPanelTitle: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#999",
+    textTransform: "uppercase",
+  },
+  searchPanelAction: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  searchPanelRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+  },
+  searchPanelText: {
+    flex: 1,
+    fontSize: 15,
+    color: "#333",
+  },
+  datesRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginHorizontal: 24,
+    marginBottom: 16,
+  },
+  datesButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: "#FFF",
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+  },
+  datesText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  datesTextActive: {
+    color: "#4A90E2",
+    fontWeight: "600",
+  },
   filterScrollView: {
     maxHeight: 50,
     marginBottom: 16,
@@ -394,6 +721,20 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: "#666",
   },
+  filterBadge: {
+    minWidth: 18,
+    height: 18,
+    borderRadius: 9,
+    paddingHorizontal: 5,
+    backgroundColor: "#4A90E2",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  filterBadgeText: {
+    fontSize: 11,
+    fontWeight: "700",
+    color: "#FFF",
+  },
   columnWrapper: {
     justifyContent: "space-between",
     paddingHorizontal: 24,
@@ -402,6 +743,9 @@ const styles = StyleSheet.create({
   listContent: {
     paddingBottom: 24,
   },
+  listFooter: {
+    paddingVertical: 16,
+  },
   listingCard: {
     width: CARD_WIDTH,
     backgroundColor: "#FFF",
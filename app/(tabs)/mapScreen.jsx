@@ -0,0 +1,341 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useRouter } from "expo-router";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import MapView, { Marker } from "react-native-maps";
+import { listingService } from "../../src/services/listingService";
+import { locationService } from "../../src/services/locationService";
+import { formatPrice } from "../../src/utils/format";
+import {
+  clusterPoints,
+  hasRegionChanged,
+  regionForCluster,
+  regionToProximity,
+} from "../../src/utils/mapClustering";
+
+// Lusaka city centre, used until the device location is known
+const DEFAULT_REGION = {
+  latitude: -15.4167,
+  longitude: 28.2833,
+  latitudeDelta: 0.3,
+  longitudeDelta: 0.3,
+};
+const MAX_MAP_RESULTS = 200;
+
+export default function MapScreen() {
+  const router = useRouter();
+  const mapRef = useRef(null);
+  const [region, setRegion] = useState(DEFAULT_REGION);
+  const [searchedRegion, setSearchedRegion] = useState(null);
+  const [listings, setListings] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [selectedListing, setSelectedListing] = useState(null);
+
+  const searchRegion = useCallback(async (target) => {
+    setLoading(true);
+    setSelectedListing(null);
+    try {
+      const data = await listingService.fetchListings({
+        proximity: regionToProximity(target),
+        pagination: { page: 1, pageSize: MAX_MAP_RESULTS },
+      });
+      setListings(data);
+      setSearchedRegion(target);
+    } catch (error) {
+      console.error("Error fetching map listings:", error);
+      Alert.alert("Error", "Failed to load listings for this area");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    locationService.getCurrentCoords().then(coords => {
+      if (cancelled) return;
+      const initial = coords
+        ? { ...DEFAULT_REGION, latitude: coords.lat, longitude: coords.lng }
+        : DEFAULT_REGION;
+      setRegion(initial);
+      mapRef.current?.animateToRegion(initial, 0);
+      searchRegion(initial);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [searchRegion]);
+
+  const points = useMemo(
+    () => listings.map(listing => ({
+      id: String(listing.id),
+      lat: Number(listing.location_lat),
+      lng: Number(listing.location_lng),
+      data: listing,
+    })),
+    [listings]
+  );
+
+  const clusters = useMemo(() => clusterPoints(points, region), [points, region]);
+
+  const showSearchArea = !loading && searchedRegion && hasRegionChanged(searchedRegion, region);
+
+  const handleClusterPress = (cluster) => {
+    if (cluster.count === 1) {
+      setSelectedListing(cluster.points[0].data);
+      return;
+    }
+    mapRef.current?.animateToRegion(regionForCluster(cluster), 300);
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <MapView
+        ref={mapRef}
+        style={StyleSheet.absoluteFill}
+        initialRegion={DEFAULT_REGION}
+        onRegionChangeComplete={setRegion}
+        onPress={() => setSelectedListing(null)}
+        showsUserLocation
+      >
+        {clusters.map(cluster => {
+          const selected = cluster.count === 1 && selectedListing?.id === cluster.points[0].data.id;
+          return (
+            <Marker
+              // Markers draw their view once (tracksViewChanges off), so a pin
+              // is remounted to show it being selected or deselected
+              key={selected ? `${cluster.id}:selected` : cluster.id}
+              coordinate={{ latitude: cluster.lat, longitude: cluster.lng }}
+              onPress={(e) => {
+                e.stopPropagation();
+                handleClusterPress(cluster);
+              }}
+              tracksViewChanges={false}
+            >
+              {cluster.count > 1 ? (
+                <View style={styles.clusterPin}>
+                  <Text style={styles.clusterText}>{cluster.count}</Text>
+                </View>
+              ) : (
+                <View style={[styles.pricePin, selected && styles.pricePinActive]}>
+                  <Text style={[styles.pricePinText, selected && styles.pricePinTextActive]}>
+                    {formatPrice(cluster.points[0].data.price_per_night) || "View"}
+                  </Text>
+                </View>
+              )}
+            </Marker>
+          );
+        })}
+      </MapView>
+
+      <View style={styles.topBar}>
+        <TouchableOpacity style={styles.roundButton} onPress={() => router.back()}>
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        {showSearchArea ? (
+          <TouchableOpacity style={styles.searchAreaButton} onPress={() => searchRegion(region)}>
+            <Ionicons name="search" size={16} color="#FFF" />
+            <Text style={styles.searchAreaText}>Search this area</Text>
+          </TouchableOpacity>
+        ) : null}
+        {loading ? (
+          <View style={styles.loadingPill}>
+            <ActivityIndicator size="small" color="#4A90E2" />
+          </View>
+        ) : null}
+      </View>
+
+      {selectedListing ? (
+        <TouchableOpacity
+          style={styles.previewCard}
+          activeOpacity={0.9}
+          onPress={() => router.push(`/listingScreen?listingId=${selectedListing.id}`)}
+        >
+          <View style={styles.previewImage}>
+            <Ionicons name="home-outline" size={32} color="#4A90E2" />
+          </View>
+          <View style={styles.previewInfo}>
+            <Text style={styles.previewTitle} numberOfLines={2}>{selectedListing.title}</Text>
+            <Text style={styles.previewLocation} numberOfLines={1}>
+              {[selectedListing.address_city, selectedListing.address_country].filter(Boolean).join(", ")}
+            </Text>
+            <View style={styles.previewMeta}>
+              <Text style={styles.previewPrice}>
+                {formatPrice(selectedListing.price_per_night)}
+                <Text style={styles.previewNight}> / night</Text>
+              </Text>
+              {selectedListing.average_rating ? (
+                <View style={styles.previewRating}>
+                  <Ionicons name="star" size={12} color="#F5A623" />
+                  <Text style={styles.previewRatingText}>
+                    {Number(selectedListing.average_rating).toFixed(1)}
+                  </Text>
+                </View>
+              ) : null}
+            </View>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        </TouchableOpacity>
+      ) : null}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  topBar: {
+    position: "absolute",
+    top: 48,
+    left: 16,
+    right: 16,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  roundButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: "#FFF",
+    justifyContent: "center",
+    alignItems: "center",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 3,
+  },
+  searchAreaButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 20,
+    backgroundColor: "#4A90E2",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 3,
+  },
+  searchAreaText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  loadingPill: {
+    padding: 10,
+    borderRadius: 20,
+    backgroundColor: "#FFF",
+  },
+  clusterPin: {
+    minWidth: 40,
+    height: 40,
+    borderRadius: 20,
+    paddingHorizontal: 8,
+    backgroundColor: "#4A90E2",
+    borderWidth: 3,
+    borderColor: "rgba(255, 255, 255, 0.9)",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  clusterText: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#FFF",
+  },
+  pricePin: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 14,
+    backgroundColor: "#FFF",
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+  },
+  pricePinActive: {
+    backgroundColor: "#1A1A1A",
+    borderColor: "#1A1A1A",
+  },
+  pricePinText: {
+    fontSize: 12,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  pricePinTextActive: {
+    color: "#FFF",
+  },
+  previewCard: {
+    position: "absolute",
+    left: 16,
+    right: 16,
+    bottom: 24,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    padding: 12,
+    borderRadius: 16,
+    backgroundColor: "#FFF",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.15,
+    shadowRadius: 12,
+    elevation: 6,
+  },
+  previewImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 12,
+    backgroundColor: "#F0F7FF",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  previewInfo: {
+    flex: 1,
+  },
+  previewTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  previewLocation: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  previewMeta: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    marginTop: 6,
+  },
+  previewPrice: {
+    fontSize: 14,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  previewNight: {
+    fontSize: 12,
+    fontWeight: "400",
+    color: "#666",
+  },
+  previewRating: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+  },
+  previewRatingText: {
+    fontSize: 12,
+    color: "#666",
+  },
+});
@@ -13,6 +13,7 @@ import {
 } from 'react-native';
 import { supabase } from '../../lib/supabase';
 import Favorites from './components/favorites';
+import Interests from './components/interests';
 
 interface Profile {
   id: string;
@@ -184,8 +185,25 @@ export default function ProfileScreen() {
         </View>
       </View>
       <Favorites/>
+      <Interests />
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Quick Actions</Text>
+
+        <TouchableOpacity style={styles.actionButton} onPress={() => router.push('/tickets' as any)}>
+          <View style={styles.actionIcon}>
+            <Ionicons name="ticket-outline" size={24} color="#4A90E2" />
+          </View>
+          <Text style={styles.actionText}>My Tickets</Text>
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        </TouchableOpacity>
+
+        <TouchableOpacity style={styles.actionButton} onPress={() => router.push('/check-in' as any)}>
+          <View style={styles.actionIcon}>
+            <Ionicons name="qr-code-outline" size={24} color="#4A90E2" />
+          </View>
+          <Text style={styles.actionText}>Check In Guests</Text>
+          <Ionicons name="chevron-forward" size={20} color="#999" />
+        </TouchableOpacity>
         
         <TouchableOpacity style={styles.actionButton}>
           <View style={styles.actionIcon}>
@@ -0,0 +1,160 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect, useRouter } from "expo-router";
+import { useCallback, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  RefreshControl,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import TicketCard from "../../src/components/TicketCard";
+import { ticketService } from "../../src/services/ticketService";
+
+const STATUS_ORDER = { valid: 0, used: 1, void: 2 };
+
+export default function TicketsScreen() {
+  const router = useRouter();
+  const [userId, setUserId] = useState(null);
+  const [tickets, setTickets] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+
+  const loadTickets = useCallback(async () => {
+    try {
+      const { data } = await supabase.auth.getUser();
+      const uid = data?.user?.id ?? null;
+      setUserId(uid);
+      if (!uid) return;
+
+      const userTickets = await ticketService.getUserTickets(uid);
+      // Tickets still to be used first, newest purchase first within each
+      setTickets([...userTickets].sort((a, b) => (STATUS_ORDER[a.status] ?? 3) - (STATUS_ORDER[b.status] ?? 3)));
+    } catch (error) {
+      console.error("Error loading tickets:", error);
+      Alert.alert("Error", "Failed to load your tickets");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Reload on focus so a pending payment shows up once it is confirmed
+  useFocusEffect(
+    useCallback(() => {
+      loadTickets();
+    }, [loadTickets])
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <TouchableOpacity onPress={() => router.back()} style={styles.headerBack}>
+          <Ionicons name="chevron-back" size={24} color="#333" />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>My Tickets</Text>
+      </View>
+
+      {!userId ? (
+        <View style={styles.emptyState}>
+          <Ionicons name="ticket-outline" size={48} color="#CCC" />
+          <Text style={styles.emptyTitle}>Sign in to see your tickets</Text>
+        </View>
+      ) : (
+        <FlatList
+          data={tickets}
+          keyExtractor={item => item.id}
+          renderItem={({ item }) => <TicketCard ticket={item} />}
+          contentContainerStyle={styles.list}
+          refreshControl={
+            <RefreshControl
+              refreshing={refreshing}
+              onRefresh={() => {
+                setRefreshing(true);
+                loadTickets();
+              }}
+              colors={["#4A90E2"]}
+            />
+          }
+          ListEmptyComponent={
+            <View style={styles.emptyState}>
+              <Ionicons name="ticket-outline" size={48} color="#CCC" />
+              <Text style={styles.emptyTitle}>No tickets yet</Text>
+              <TouchableOpacity style={styles.exploreButton} onPress={() => router.push("/home")}>
+                <Text style={styles.exploreText}>Find events</Text>
+              </TouchableOpacity>
+            </View>
+          }
+        />
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "center",
+    paddingHorizontal: 16,
+    paddingVertical: 16,
+    backgroundColor: "#FFF",
+  },
+  headerBack: {
+    marginRight: 8,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  list: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 64,
+    gap: 12,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#666",
+  },
+  exploreButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: "#4A90E2",
+  },
+  exploreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
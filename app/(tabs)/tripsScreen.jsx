@@ -0,0 +1,656 @@
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useFocusEffect, useRouter } from "expo-router";
+import { useCallback, useMemo, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  RefreshControl,
+  SafeAreaView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View
+} from "react-native";
+import { supabase } from "../../lib/supabase";
+import ReviewSheet from "../../src/components/ReviewSheet";
+import { getUserTripEvents } from "../../src/services/eventService";
+import { calendarExportService } from "../../src/services/calendarExportService";
+import { listingService } from "../../src/services/listingService";
+import { addDays, formatDateRange, formatDay, nightsBetween, todayISO } from "../../src/utils/dateRanges";
+import { eventDateLabel, eventDay, eventLocalSchedule } from "../../src/utils/events";
+import { formatPrice } from "../../src/utils/format";
+import { stayToIcsEvent, tripEventToIcsEvent } from "../../src/utils/ics";
+import { calculateStayPrice } from "../../src/utils/pricing";
+import { countdownLabel, toDateOnly, TRIP_SECTIONS, tripSection } from "../../src/utils/trips";
+
+const STATUS_LABELS = {
+  saved: "Saved",
+  booked: "Booked",
+  completed: "Completed",
+  cancelled: "Cancelled",
+};
+
+function toStayItem(trip) {
+  return {
+    key: `stay-${trip.tripId}`,
+    kind: "stay",
+    start: toDateOnly(trip.startDate),
+    end: toDateOnly(trip.endDate),
+    status: trip.status,
+    trip,
+  };
+}
+
+function toEventItem(event) {
+  const start = eventDay(event);
+  const lastDay = eventLocalSchedule(event)?.endDate ?? start;
+  return {
+    key: `event-${event.id}`,
+    kind: "event",
+    start,
+    end: start ? addDays(lastDay, 1) : null,
+    event,
+  };
+}
+
+// Upcoming soonest first; Past and Cancelled most recent first
+function sortItems(items, section) {
+  const ascending = section === "upcoming";
+  return [...items].sort((a, b) => {
+    if (!a.start) return 1;
+    if (!b.start) return -1;
+    return ascending ? a.start.localeCompare(b.start) : b.start.localeCompare(a.start);
+  });
+}
+
+export default function TripsScreen() {
+  const router = useRouter();
+  const [userId, setUserId] = useState(null);
+  const [stays, setStays] = useState([]);
+  const [events, setEvents] = useState([]);
+  const [reviewedTripIds, setReviewedTripIds] = useState(() => new Set());
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [section, setSection] = useState("upcoming");
+  const [actionTripId, setActionTripId] = useState(null);
+  const [reviewTrip, setReviewTrip] = useState(null);
+  const [submittingReview, setSubmittingReview] = useState(false);
+
+  const loadTrips = useCallback(async () => {
+    try {
+      const { data } = await supabase.auth.getUser();
+      const uid = data?.user?.id ?? null;
+      setUserId(uid);
+      if (!uid) return;
+
+      const [userStays, userEvents, reviewed] = await Promise.all([
+        listingService.getUserTrips(uid),
+        getUserTripEvents(uid).catch(() => []),
+        listingService.getReviewedTripIds(uid).catch(() => new Set()),
+      ]);
+      setStays(userStays);
+      setEvents(userEvents.filter(Boolean));
+      setReviewedTripIds(reviewed);
+    } catch (error) {
+      console.error("Error loading trips:", error);
+      Alert.alert("Error", "Failed to load your trips");
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  // Reload whenever the tab regains focus, e.g. after modifying a booking
+  useFocusEffect(
+    useCallback(() => {
+      loadTrips();
+    }, [loadTrips])
+  );
+
+  const sections = useMemo(() => {
+    const today = todayISO();
+    const grouped = { upcoming: [], past: [], cancelled: [] };
+    [...stays.map(toStayItem), ...events.map(toEventItem)].forEach(item => {
+      grouped[tripSection(item, today)].push(item);
+    });
+    return {
+      upcoming: sortItems(grouped.upcoming, "upcoming"),
+      past: sortItems(grouped.past, "past"),
+      cancelled: sortItems(grouped.cancelled, "cancelled"),
+    };
+  }, [stays, events]);
+
+  const changeStatus = async (trip, status) => {
+    setActionTripId(trip.tripId);
+    try {
+      const result = await listingService.updateTripStatus(trip.tripId, status);
+      if (!result.success) {
+        const alternatives = result.conflict?.alternatives ?? [];
+        Alert.alert(
+          "Couldn't update trip",
+          alternatives.length
+            ? `${result.error} Nearby free dates: ${alternatives.map(range => formatDateRange(range)).join(", ")}.`
+            : result.error
+        );
+        return;
+      }
+      await loadTrips();
+    } finally {
+      setActionTripId(null);
+    }
+  };
+
+  const handleCancel = (trip) => {
+    const isBooking = trip.status === "booked";
+    Alert.alert(
+      isBooking ? "Cancel booking" : "Remove trip",
+      isBooking
+        ? `Cancel your stay at ${trip.listing?.title ?? "this listing"}? This cannot be undone.`
+        : "Remove this saved trip?",
+      [
+        { text: "Keep", style: "cancel" },
+        { text: isBooking ? "Cancel booking" : "Remove", style: "destructive", onPress: () => changeStatus(trip, "cancelled") },
+      ]
+    );
+  };
+
+  const handleModify = (trip) => {
+    const start = toDateOnly(trip.startDate);
+    const end = toDateOnly(trip.endDate);
+    router.push(
+      `/booking?listingId=${trip.listing.id}&tripId=${trip.tripId}&checkIn=${start}&checkOut=${end}&guests=${trip.guestCount}`
+    );
+  };
+
+  const handleExport = async () => {
+    const entries = [...sections.upcoming, ...sections.past]
+      .map(item => (item.kind === "stay" ? stayToIcsEvent(item.trip) : tripEventToIcsEvent(item.event)))
+      .filter(Boolean);
+    if (!entries.length) {
+      Alert.alert("Nothing to export", "Book a stay or add an event to export your trips.");
+      return;
+    }
+
+    try {
+      const shared = await calendarExportService.shareCalendar(entries, "Odini trips");
+      if (!shared) Alert.alert("Sharing unavailable", "This device cannot share files.");
+    } catch (error) {
+      console.error("Error exporting trips:", error);
+      Alert.alert("Error", "Failed to export your trips");
+    }
+  };
+
+  const handleSubmitReview = async ({ rating, reviewText }) => {
+    if (!reviewTrip || !userId) return;
+    setSubmittingReview(true);
+    try {
+      await listingService.updateListingRating({
+        userId,
+        listingId: reviewTrip.listing.id,
+        rating,
+        reviewText,
+        tripId: reviewTrip.tripId,
+      });
+      setReviewedTripIds(prev => new Set(prev).add(reviewTrip.tripId));
+      setReviewTrip(null);
+    } catch (error) {
+      console.error("Error submitting review:", error);
+      Alert.alert("Error", "Failed to submit your review");
+    } finally {
+      setSubmittingReview(false);
+    }
+  };
+
+  const renderStay = ({ start, end, trip }) => {
+    const listing = trip.listing ?? {};
+    const nights = start && end ? nightsBetween(start, end) : 0;
+    const price = calculateStayPrice(listing.price_per_night, start && end ? { start, end } : null);
+    const today = todayISO();
+    const isBusy = actionTripId === trip.tripId;
+    const canChange = section === "upcoming" && start > today;
+    const canReview =
+      section === "past" &&
+      (trip.status === "booked" || trip.status === "completed") &&
+      !reviewedTripIds.has(trip.tripId);
+
+    return (
+      <View style={styles.card}>
+        <TouchableOpacity
+          style={styles.cardBody}
+          activeOpacity={0.8}
+          onPress={() => listing.id && router.push(`/listingScreen?listingId=${listing.id}`)}
+        >
+          {listing.images?.[0] ? (
+            <Image source={{ uri: listing.images[0] }} style={styles.cardImage} contentFit="cover" />
+          ) : (
+            <View style={[styles.cardImage, styles.cardImagePlaceholder]}>
+              <Ionicons name="home-outline" size={28} color="#4A90E2" />
+            </View>
+          )}
+          <View style={styles.cardInfo}>
+            <View style={styles.cardTitleRow}>
+              <Text style={styles.cardTitle} numberOfLines={1}>{listing.title ?? trip.tripName}</Text>
+              <View style={[styles.statusBadge, styles[`status_${trip.status}`]]}>
+                <Text style={styles.statusText}>{STATUS_LABELS[trip.status] ?? trip.status}</Text>
+              </View>
+            </View>
+            <Text style={styles.cardMeta} numberOfLines={1}>
+              {[listing.address_city, listing.address_country].filter(Boolean).join(", ")}
+            </Text>
+            {start && end ? <Text style={styles.cardDates}>{formatDateRange({ start, end })}</Text> : null}
+            {section === "upcoming" ? (
+              <Text style={styles.countdown}>{countdownLabel(start, end, today)}</Text>
+            ) : null}
+          </View>
+        </TouchableOpacity>
+
+        {start && section !== "cancelled" ? (
+          <Text style={styles.summary}>
+            Check-in {formatDay(start)} · {nights} night{nights !== 1 ? "s" : ""} · {trip.guestCount} guest
+            {trip.guestCount !== 1 ? "s" : ""}
+            {price.total ? ` · ${formatPrice(price.total)}` : ""}
+          </Text>
+        ) : null}
+
+        {start && end && section !== "cancelled" ? (
+          <TouchableOpacity
+            style={styles.itineraryLink}
+            onPress={() => router.push(`/itinerary?tripId=${trip.tripId}`)}
+          >
+            <Ionicons name="list-outline" size={16} color="#4A90E2" />
+            <Text style={styles.itineraryText}>Day-by-day itinerary</Text>
+          </TouchableOpacity>
+        ) : null}
+
+        {canReview ? (
+          <TouchableOpacity style={styles.reviewPrompt} onPress={() => setReviewTrip(trip)}>
+            <Ionicons name="star-outline" size={18} color="#F5A623" />
+            <Text style={styles.reviewPromptText}>How was your stay? Leave a review</Text>
+            <Ionicons name="chevron-forward" size={16} color="#999" />
+          </TouchableOpacity>
+        ) : null}
+
+        {canChange ? (
+          <View style={styles.actions}>
+            {isBusy ? <ActivityIndicator color="#4A90E2" style={styles.actionSpinner} /> : null}
+            {trip.status === "booked" ? (
+              <TouchableOpacity style={styles.actionButton} disabled={isBusy} onPress={() => handleModify(trip)}>
+                <Text style={styles.actionText}>Modify</Text>
+              </TouchableOpacity>
+            ) : (
+              <TouchableOpacity
+                style={styles.actionButton}
+                disabled={isBusy}
+                onPress={() => changeStatus(trip, "booked")}
+              >
+                <Text style={styles.actionText}>Book now</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity
+              style={[styles.actionButton, styles.actionButtonDanger]}
+              disabled={isBusy}
+              onPress={() => handleCancel(trip)}
+            >
+              <Text style={[styles.actionText, styles.actionTextDanger]}>
+                {trip.status === "booked" ? "Cancel" : "Remove"}
+              </Text>
+            </TouchableOpacity>
+          </View>
+        ) : null}
+      </View>
+    );
+  };
+
+  const renderEvent = ({ start, end, event }) => (
+    <View style={styles.card}>
+      <TouchableOpacity
+        style={styles.cardBody}
+        activeOpacity={0.8}
+        onPress={() => router.push(`/event/${event.id}`)}
+      >
+        <View style={[styles.cardImage, styles.cardImagePlaceholder]}>
+          <Ionicons name="calendar-outline" size={28} color="#4A90E2" />
+        </View>
+        <View style={styles.cardInfo}>
+          <View style={styles.cardTitleRow}>
+            <Text style={styles.cardTitle} numberOfLines={1}>{event.title}</Text>
+            <View style={[styles.statusBadge, styles.eventBadge]}>
+              <Text style={styles.statusText}>Event</Text>
+            </View>
+          </View>
+          {event.location ? <Text style={styles.cardMeta} numberOfLines={1}>{event.location}</Text> : null}
+          {start ? <Text style={styles.cardDates}>{eventDateLabel(event)}</Text> : null}
+          {section === "upcoming" ? (
+            <Text style={styles.countdown}>{countdownLabel(start, end)}</Text>
+          ) : null}
+        </View>
+      </TouchableOpacity>
+    </View>
+  );
+
+  if (loading) {
+    return (
+      <SafeAreaView style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color="#4A90E2" />
+      </SafeAreaView>
+    );
+  }
+
+  if (!userId) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.emptyState}>
+          <Ionicons name="airplane-outline" size={48} color="#CCC" />
+          <Text style={styles.emptyTitle}>Sign in to see your trips</Text>
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  const items = sections[section];
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Trips</Text>
+        <TouchableOpacity style={styles.exportButton} onPress={handleExport}>
+          <Ionicons name="share-outline" size={18} color="#4A90E2" />
+          <Text style={styles.exportText}>Export</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.tabs}>
+        {TRIP_SECTIONS.map(tab => (
+          <TouchableOpacity
+            key={tab.id}
+            style={[styles.tab, section === tab.id && styles.tabActive]}
+            onPress={() => setSection(tab.id)}
+          >
+            <Text style={[styles.tabText, section === tab.id && styles.tabTextActive]}>
+              {tab.label} ({sections[tab.id].length})
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <FlatList
+        data={items}
+        keyExtractor={item => item.key}
+        renderItem={({ item }) => (item.kind === "stay" ? renderStay(item) : renderEvent(item))}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={() => {
+              setRefreshing(true);
+              loadTrips();
+            }}
+            colors={["#4A90E2"]}
+          />
+        }
+        ListEmptyComponent={
+          <View style={styles.emptyState}>
+            <Ionicons name="airplane-outline" size={48} color="#CCC" />
+            <Text style={styles.emptyTitle}>
+              {section === "upcoming" ? "No upcoming trips" : section === "past" ? "No past trips" : "No cancelled trips"}
+            </Text>
+            {section === "upcoming" ? (
+              <TouchableOpacity style={styles.exploreButton} onPress={() => router.push("/listings")}>
+                <Text style={styles.exploreText}>Find a place to stay</Text>
+              </TouchableOpacity>
+            ) : null}
+          </View>
+        }
+      />
+
+      <ReviewSheet
+        visible={!!reviewTrip}
+        title="Review your stay"
+        subtitle={reviewTrip?.listing?.title}
+        submitting={submittingReview}
+        onSubmit={handleSubmitReview}
+        onClose={() => setReviewTrip(null)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: "#F5F7FA",
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    backgroundColor: "#F5F7FA",
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 20,
+    paddingTop: 16,
+    paddingBottom: 8,
+    backgroundColor: "#FFF",
+  },
+  headerTitle: {
+    fontSize: 28,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  exportButton: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: "#F0F7FF",
+  },
+  exportText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  tabs: {
+    flexDirection: "row",
+    paddingHorizontal: 16,
+    paddingBottom: 12,
+    gap: 8,
+    backgroundColor: "#FFF",
+    borderBottomWidth: 1,
+    borderBottomColor: "#E1E5E9",
+  },
+  tab: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#F5F7FA",
+  },
+  tabActive: {
+    backgroundColor: "#4A90E2",
+  },
+  tabText: {
+    fontSize: 14,
+    fontWeight: "500",
+    color: "#666",
+  },
+  tabTextActive: {
+    color: "#FFF",
+    fontWeight: "600",
+  },
+  list: {
+    padding: 16,
+    gap: 12,
+    flexGrow: 1,
+  },
+  card: {
+    backgroundColor: "#FFF",
+    borderRadius: 16,
+    padding: 12,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.06,
+    shadowRadius: 8,
+    elevation: 2,
+  },
+  cardBody: {
+    flexDirection: "row",
+    gap: 12,
+  },
+  cardImage: {
+    width: 80,
+    height: 80,
+    borderRadius: 12,
+  },
+  cardImagePlaceholder: {
+    backgroundColor: "#F0F7FF",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  cardInfo: {
+    flex: 1,
+  },
+  cardTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  cardTitle: {
+    flex: 1,
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  cardMeta: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 2,
+  },
+  cardDates: {
+    fontSize: 13,
+    color: "#333",
+    marginTop: 6,
+  },
+  countdown: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4A90E2",
+    marginTop: 4,
+  },
+  statusBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    borderRadius: 10,
+    backgroundColor: "#E1E5E9",
+  },
+  status_saved: {
+    backgroundColor: "#FFF4E0",
+  },
+  status_booked: {
+    backgroundColor: "#E3F7EA",
+  },
+  status_completed: {
+    backgroundColor: "#E8F4FF",
+  },
+  status_cancelled: {
+    backgroundColor: "#FFE9E9",
+  },
+  eventBadge: {
+    backgroundColor: "#F0E9FF",
+  },
+  statusText: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#333",
+  },
+  summary: {
+    fontSize: 12,
+    color: "#666",
+    marginTop: 10,
+    paddingTop: 10,
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+  },
+  itineraryLink: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 10,
+  },
+  itineraryText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  reviewPrompt: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+    padding: 10,
+    borderRadius: 10,
+    backgroundColor: "#FFF9EC",
+  },
+  reviewPromptText: {
+    flex: 1,
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  actions: {
+    flexDirection: "row",
+    justifyContent: "flex-end",
+    alignItems: "center",
+    gap: 8,
+    marginTop: 10,
+  },
+  actionSpinner: {
+    marginRight: 4,
+  },
+  actionButton: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: "#4A90E2",
+  },
+  actionButtonDanger: {
+    borderColor: "#FF3B30",
+  },
+  actionText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  actionTextDanger: {
+    color: "#FF3B30",
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: "center",
+    alignItems: "center",
+    paddingVertical: 64,
+    gap: 12,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#666",
+  },
+  exploreButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 10,
+    borderRadius: 8,
+    backgroundColor: "#4A90E2",
+  },
+  exploreText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
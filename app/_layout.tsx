@@ -2,6 +2,7 @@ import { Slot, useRouter } from "expo-router";
 import { useEffect, useState } from "react";
 import { StyleSheet, View } from "react-native";
 import { supabase } from "../lib/supabase";
+import { InteractionService } from "../src/services/interactionService";
 import BottomNav from "./(tabs)/components/BottomNav";
 
 export default function RootLayout() {
@@ -28,6 +29,9 @@ export default function RootLayout() {
     };
   }, []);
 
+  // Interactions tracked offline are sent once the app can reach the server
+  useEffect(() => InteractionService.startQueue(), []);
+
   const handleProfile = () => {
     router.push("/profile" as any);
   };
@@ -40,6 +44,10 @@ export default function RootLayout() {
     router.push("/listings" as any);
   };
 
+  const handleTrips = () => {
+    router.push("/trips" as any);
+  };
+
   const handleSignOut = async () => {
     try {
       await supabase.auth.signOut();
@@ -58,6 +66,7 @@ export default function RootLayout() {
         <BottomNav
           onHomePress={handleHome}
           onListingsPress={handleListings}
+          onTripsPress={handleTrips}
           onProfilePress={handleProfile}
           onSignOutPress={handleSignOut}
         />
@@ -0,0 +1,5 @@
+import BookingScreen from "../(tabs)/bookingScreen";
+
+export default function BookingRoute() {
+  return <BookingScreen />;
+}
@@ -0,0 +1,5 @@
+import CheckInScreen from "../(tabs)/checkInScreen";
+
+export default function CheckInRoute() {
+  return <CheckInScreen />;
+}
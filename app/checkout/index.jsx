@@ -0,0 +1,5 @@
+import CheckoutScreen from "../(tabs)/checkoutScreen";
+
+export default function CheckoutRoute() {
+  return <CheckoutScreen />;
+}
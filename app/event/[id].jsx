@@ -0,0 +1,5 @@
+import EventScreen from "../(tabs)/eventScreen";
+
+export default function EventRoute() {
+  return <EventScreen />;
+}
@@ -0,0 +1,5 @@
+import ItineraryScreen from "../(tabs)/itineraryScreen";
+
+export default function ItineraryRoute() {
+  return <ItineraryScreen />;
+}
@@ -0,0 +1,5 @@
+import MapScreen from "../(tabs)/mapScreen";
+
+export default function MapRoute() {
+  return <MapScreen />;
+}
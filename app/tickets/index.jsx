@@ -0,0 +1,5 @@
+import TicketsScreen from "../(tabs)/ticketsScreen";
+
+export default function TicketsRoute() {
+  return <TicketsScreen />;
+}
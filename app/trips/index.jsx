@@ -0,0 +1,5 @@
+import TripsScreen from "../(tabs)/tripsScreen";
+
+export default function TripsRoute() {
+  return <TripsScreen />;
+}
@@ -0,0 +1,271 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useMemo, useState } from "react";
+import {
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { buildMonthGrid, monthLabel, monthsFrom, WEEKDAY_LABELS } from "../utils/calendar";
+import { addDays, formatDateRange, nightsBetween, todayISO } from "../utils/dateRanges";
+
+/**
+ * Calendar sheet for picking a check-in/check-out range.
+ * `isNightUnavailable(date)` greys out nights that cannot be booked; a range
+ * may end on an unavailable night (check-out) but never span one.
+ */
+export default function DateRangePicker({
+  visible,
+  value,
+  onApply,
+  onClose,
+  title = "Select dates",
+  isNightUnavailable = () => false,
+  minDate,
+  monthsToShow = 12,
+}) {
+  const [start, setStart] = useState(value?.start ?? null);
+  const [end, setEnd] = useState(value?.end ?? null);
+  const firstDate = minDate ?? todayISO();
+
+  useEffect(() => {
+    if (visible) {
+      setStart(value?.start ?? null);
+      setEnd(value?.end ?? null);
+    }
+  }, [visible, value]);
+
+  const months = useMemo(() => monthsFrom(new Date(), monthsToShow), [monthsToShow]);
+
+  const lastDate = addDays(firstDate, monthsToShow * 31);
+
+  // While choosing check-out, the latest date that doesn't span an unavailable night
+  const latestCheckOut = useMemo(() => {
+    if (!start || end) return null;
+    let date = start;
+    while (date < lastDate && !isNightUnavailable(date)) {
+      date = addDays(date, 1);
+    }
+    return date;
+  }, [start, end, lastDate, isNightUnavailable]);
+
+  const handleDayPress = (date) => {
+    if (!start || end || date <= start || date > latestCheckOut) {
+      setStart(date);
+      setEnd(null);
+      return;
+    }
+    setEnd(date);
+  };
+
+  const isDisabled = (date) => {
+    if (date < firstDate) return true;
+    if (latestCheckOut && date > start) return date > latestCheckOut;
+    return isNightUnavailable(date);
+  };
+
+  const summary = start && end
+    ? `${formatDateRange({ start, end })} · ${nightsBetween(start, end)} night${nightsBetween(start, end) !== 1 ? "s" : ""}`
+    : start
+      ? "Select check-out date"
+      : "Select check-in date";
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose} />
+      <View style={styles.sheet}>
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} hitSlop={8}>
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>{title}</Text>
+          <TouchableOpacity onPress={() => { setStart(null); setEnd(null); }}>
+            <Text style={styles.clearText}>Clear</Text>
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.weekdayRow}>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <Text key={index} style={styles.weekdayText}>{label}</Text>
+          ))}
+        </View>
+
+        <ScrollView contentContainerStyle={styles.body}>
+          {months.map(({ year, month }) => (
+            <View key={`${year}-${month}`} style={styles.month}>
+              <Text style={styles.monthTitle}>{monthLabel(year, month)}</Text>
+              {buildMonthGrid(year, month).map((week, weekIndex) => (
+                <View key={weekIndex} style={styles.weekRow}>
+                  {week.map((date, dayIndex) => {
+                    if (!date) return <View key={dayIndex} style={styles.dayCell} />;
+
+                    const disabled = isDisabled(date);
+                    const isEdge = date === start || date === end;
+                    const inRange = start && end && date > start && date < end;
+
+                    return (
+                      <TouchableOpacity
+                        key={date}
+                        style={[styles.dayCell, inRange && styles.dayInRange]}
+                        disabled={disabled}
+                        onPress={() => handleDayPress(date)}
+                      >
+                        <View style={[styles.dayCircle, isEdge && styles.daySelected]}>
+                          <Text
+                            style={[
+                              styles.dayText,
+                              disabled && styles.dayTextDisabled,
+                              isEdge && styles.dayTextSelected,
+                            ]}
+                          >
+                            {Number(date.slice(8))}
+                          </Text>
+                        </View>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              ))}
+            </View>
+          ))}
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <Text style={styles.summaryText}>{summary}</Text>
+          <TouchableOpacity
+            style={[styles.applyButton, start && !end && styles.applyButtonDisabled]}
+            disabled={!!start && !end}
+            onPress={() => onApply(start && end ? { start, end } : null)}
+          >
+            <Text style={styles.applyText}>Apply</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+  },
+  sheet: {
+    height: "85%",
+    backgroundColor: "#FFF",
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  clearText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  weekdayRow: {
+    flexDirection: "row",
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  weekdayText: {
+    flex: 1,
+    textAlign: "center",
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#999",
+  },
+  body: {
+    paddingHorizontal: 16,
+    paddingBottom: 24,
+  },
+  month: {
+    marginTop: 16,
+  },
+  monthTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 8,
+    marginLeft: 8,
+  },
+  weekRow: {
+    flexDirection: "row",
+  },
+  dayCell: {
+    flex: 1,
+    height: 44,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  dayInRange: {
+    backgroundColor: "#E8F4FF",
+  },
+  dayCircle: {
+    width: 38,
+    height: 38,
+    borderRadius: 19,
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  daySelected: {
+    backgroundColor: "#4A90E2",
+  },
+  dayText: {
+    fontSize: 15,
+    color: "#1A1A1A",
+  },
+  dayTextDisabled: {
+    color: "#D1D5DB",
+    textDecorationLine: "line-through",
+  },
+  dayTextSelected: {
+    color: "#FFF",
+    fontWeight: "700",
+  },
+  footer: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "space-between",
+    gap: 12,
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+  },
+  summaryText: {
+    flex: 1,
+    fontSize: 14,
+    color: "#333",
+  },
+  applyButton: {
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+  },
+  applyButtonDisabled: {
+    opacity: 0.5,
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
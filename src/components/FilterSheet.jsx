@@ -0,0 +1,344 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import {
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import {
+  AMENITY_OPTIONS,
+  DEFAULT_LISTING_FILTERS,
+  SORT_OPTIONS,
+} from "../utils/listingFilters";
+
+const COUNTERS = [
+  { key: "minBedrooms", label: "Bedrooms" },
+  { key: "minBeds", label: "Beds" },
+  { key: "minBathrooms", label: "Bathrooms" },
+  { key: "minGuests", label: "Guests" },
+];
+
+function parsePrice(text) {
+  const digits = text.replace(/[^0-9]/g, "");
+  return digits ? Number(digits) : undefined;
+}
+
+export default function FilterSheet({ visible, filters, onApply, onClose }) {
+  // Edits stay local until "Show results" so closing the sheet discards them
+  const [draft, setDraft] = useState(filters);
+
+  useEffect(() => {
+    if (visible) setDraft(filters);
+  }, [visible, filters]);
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const toggleAmenity = (id) => {
+    update({
+      amenities: draft.amenities.includes(id)
+        ? draft.amenities.filter(item => item !== id)
+        : [...draft.amenities, id],
+    });
+  };
+
+  const priceError =
+    draft.minPrice !== undefined &&
+    draft.maxPrice !== undefined &&
+    draft.minPrice > draft.maxPrice;
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose} />
+      <View style={styles.sheet}>
+        <View style={styles.handle} />
+        <View style={styles.header}>
+          <TouchableOpacity onPress={onClose} hitSlop={8}>
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+          <Text style={styles.headerTitle}>Sort & Filter</Text>
+          <TouchableOpacity onPress={() => setDraft(DEFAULT_LISTING_FILTERS)}>
+            <Text style={styles.resetText}>Reset</Text>
+          </TouchableOpacity>
+        </View>
+
+        <ScrollView contentContainerStyle={styles.body} keyboardShouldPersistTaps="handled">
+          <Text style={styles.sectionTitle}>Sort by</Text>
+          {SORT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.id}
+              style={styles.sortRow}
+              onPress={() => update({ sortBy: option.id })}
+            >
+              <Text style={styles.sortLabel}>{option.label}</Text>
+              <Ionicons
+                name={draft.sortBy === option.id ? "radio-button-on" : "radio-button-off"}
+                size={20}
+                color={draft.sortBy === option.id ? "#4A90E2" : "#999"}
+              />
+            </TouchableOpacity>
+          ))}
+
+          <Text style={styles.sectionTitle}>Price per night</Text>
+          <View style={styles.priceRow}>
+            <View style={styles.priceInputContainer}>
+              <Text style={styles.priceLabel}>Min</Text>
+              <TextInput
+                style={styles.priceInput}
+                keyboardType="number-pad"
+                placeholder="Any"
+                value={draft.minPrice !== undefined ? String(draft.minPrice) : ""}
+                onChangeText={text => update({ minPrice: parsePrice(text) })}
+              />
+            </View>
+            <Text style={styles.priceDash}>–</Text>
+            <View style={styles.priceInputContainer}>
+              <Text style={styles.priceLabel}>Max</Text>
+              <TextInput
+                style={styles.priceInput}
+                keyboardType="number-pad"
+                placeholder="Any"
+                value={draft.maxPrice !== undefined ? String(draft.maxPrice) : ""}
+                onChangeText={text => update({ maxPrice: parsePrice(text) })}
+              />
+            </View>
+          </View>
+          {priceError ? (
+            <Text style={styles.errorText}>Minimum price must not exceed maximum price</Text>
+          ) : null}
+
+          <Text style={styles.sectionTitle}>Rooms and guests</Text>
+          {COUNTERS.map(counter => (
+            <View key={counter.key} style={styles.counterRow}>
+              <Text style={styles.counterLabel}>{counter.label}</Text>
+              <View style={styles.counterControls}>
+                <TouchableOpacity
+                  style={[styles.counterButton, draft[counter.key] === 0 && styles.counterButtonDisabled]}
+                  disabled={draft[counter.key] === 0}
+                  onPress={() => update({ [counter.key]: draft[counter.key] - 1 })}
+                >
+                  <Ionicons name="remove" size={18} color="#333" />
+                </TouchableOpacity>
+                <Text style={styles.counterValue}>
+                  {draft[counter.key] === 0 ? "Any" : `${draft[counter.key]}+`}
+                </Text>
+                <TouchableOpacity
+                  style={styles.counterButton}
+                  onPress={() => update({ [counter.key]: draft[counter.key] + 1 })}
+                >
+                  <Ionicons name="add" size={18} color="#333" />
+                </TouchableOpacity>
+              </View>
+            </View>
+          ))}
+
+          <Text style={styles.sectionTitle}>Amenities</Text>
+          <View style={styles.amenityGrid}>
+            {AMENITY_OPTIONS.map(option => {
+              const selected = draft.amenities.includes(option.id);
+              return (
+                <TouchableOpacity
+                  key={option.id}
+                  style={[styles.amenityChip, selected && styles.amenityChipActive]}
+                  onPress={() => toggleAmenity(option.id)}
+                >
+                  <Ionicons name={option.icon} size={16} color={selected ? "#FFF" : "#666"} />
+                  <Text style={[styles.amenityText, selected && styles.amenityTextActive]}>
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </ScrollView>
+
+        <View style={styles.footer}>
+          <TouchableOpacity
+            style={[styles.applyButton, priceError && styles.applyButtonDisabled]}
+            disabled={priceError}
+            onPress={() => onApply(draft)}
+          >
+            <Text style={styles.applyText}>Show results</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+  },
+  sheet: {
+    maxHeight: "85%",
+    backgroundColor: "#FFF",
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+  },
+  handle: {
+    alignSelf: "center",
+    width: 40,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: "#E1E5E9",
+    marginTop: 8,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  resetText: {
+    fontSize: 14,
+    fontWeight: "600",
+    color: "#4A90E2",
+  },
+  body: {
+    paddingHorizontal: 24,
+    paddingBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginTop: 24,
+    marginBottom: 12,
+  },
+  sortRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  sortLabel: {
+    fontSize: 15,
+    color: "#333",
+  },
+  priceRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  priceInputContainer: {
+    flex: 1,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+  },
+  priceLabel: {
+    fontSize: 12,
+    color: "#999",
+  },
+  priceInput: {
+    fontSize: 16,
+    color: "#333",
+    paddingVertical: 2,
+  },
+  priceDash: {
+    fontSize: 16,
+    color: "#999",
+  },
+  errorText: {
+    fontSize: 12,
+    color: "#FF3B30",
+    marginTop: 8,
+  },
+  counterRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingVertical: 10,
+  },
+  counterLabel: {
+    fontSize: 15,
+    color: "#333",
+  },
+  counterControls: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+  },
+  counterButton: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  counterButtonDisabled: {
+    opacity: 0.4,
+  },
+  counterValue: {
+    minWidth: 36,
+    textAlign: "center",
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  amenityGrid: {
+    flexDirection: "row",
+    flexWrap: "wrap",
+    gap: 8,
+  },
+  amenityChip: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    backgroundColor: "#FFF",
+  },
+  amenityChipActive: {
+    backgroundColor: "#4A90E2",
+    borderColor: "#4A90E2",
+  },
+  amenityText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  amenityTextActive: {
+    color: "#FFF",
+    fontWeight: "600",
+  },
+  footer: {
+    padding: 16,
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+  },
+  applyButton: {
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  applyButtonDisabled: {
+    opacity: 0.5,
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
@@ -0,0 +1,59 @@
+import { Ionicons } from "@expo/vector-icons";
+import { StyleSheet, Text, View } from "react-native";
+
+/**
+ * One bar per star level, 5 stars at the top. `histogram[0]` is the number
+ * of 1-star ratings, as in RatingStats.
+ */
+export default function RatingHistogram({ histogram = [], style }) {
+  const counts = [1, 2, 3, 4, 5].map(star => Number(histogram[star - 1]) || 0);
+  const max = Math.max(...counts, 1);
+
+  return (
+    <View style={style}>
+      {[5, 4, 3, 2, 1].map(star => (
+        <View key={star} style={styles.row}>
+          <Text style={styles.starLabel}>{star}</Text>
+          <Ionicons name="star" size={12} color="#F5A623" />
+          <View style={styles.track}>
+            <View style={[styles.fill, { width: `${(counts[star - 1] / max) * 100}%` }]} />
+          </View>
+          <Text style={styles.count}>{counts[star - 1]}</Text>
+        </View>
+      ))}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginVertical: 3,
+  },
+  starLabel: {
+    width: 10,
+    fontSize: 13,
+    color: "#666",
+    textAlign: "right",
+  },
+  track: {
+    flex: 1,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: "#E1E5E9",
+    overflow: "hidden",
+  },
+  fill: {
+    height: "100%",
+    borderRadius: 4,
+    backgroundColor: "#F5A623",
+  },
+  count: {
+    minWidth: 24,
+    fontSize: 12,
+    color: "#666",
+    textAlign: "right",
+  },
+});
@@ -0,0 +1,127 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useEffect, useState } from "react";
+import {
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  Pressable,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import StarRating from "./StarRating";
+
+/**
+ * Bottom sheet asking for a 1-5 star rating and an optional written review.
+ */
+export default function ReviewSheet({ visible, title, subtitle, submitting = false, onSubmit, onClose }) {
+  const [rating, setRating] = useState(0);
+  const [reviewText, setReviewText] = useState("");
+
+  useEffect(() => {
+    if (visible) {
+      setRating(0);
+      setReviewText("");
+    }
+  }, [visible]);
+
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose} />
+      <KeyboardAvoidingView behavior={Platform.OS === "ios" ? "padding" : undefined}>
+        <View style={styles.sheet}>
+          <View style={styles.header}>
+            <Text style={styles.headerTitle}>{title}</Text>
+            <TouchableOpacity onPress={onClose} hitSlop={8}>
+              <Ionicons name="close" size={24} color="#333" />
+            </TouchableOpacity>
+          </View>
+          {subtitle ? <Text style={styles.subtitle}>{subtitle}</Text> : null}
+
+          <StarRating rating={rating} size={36} onChange={setRating} style={styles.stars} />
+
+          <TextInput
+            style={styles.input}
+            placeholder="Tell others about your experience (optional)"
+            multiline
+            value={reviewText}
+            onChangeText={setReviewText}
+          />
+
+          <TouchableOpacity
+            style={[styles.submitButton, (!rating || submitting) && styles.submitButtonDisabled]}
+            disabled={!rating || submitting}
+            onPress={() => onSubmit({ rating, reviewText: reviewText.trim() || undefined })}
+          >
+            {submitting ? (
+              <ActivityIndicator color="#FFF" />
+            ) : (
+              <Text style={styles.submitText}>Submit review</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+  },
+  sheet: {
+    backgroundColor: "#FFF",
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+    padding: 24,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  subtitle: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 4,
+  },
+  stars: {
+    alignSelf: "center",
+    marginVertical: 20,
+  },
+  input: {
+    minHeight: 96,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    borderRadius: 12,
+    padding: 12,
+    fontSize: 15,
+    color: "#333",
+    textAlignVertical: "top",
+  },
+  submitButton: {
+    marginTop: 16,
+    backgroundColor: "#4A90E2",
+    borderRadius: 12,
+    paddingVertical: 14,
+    alignItems: "center",
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitText: {
+    fontSize: 16,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+});
@@ -0,0 +1,39 @@
+import { Ionicons } from "@expo/vector-icons";
+import { StyleSheet, TouchableOpacity, View } from "react-native";
+
+/**
+ * Five-star rating. Read-only by default; pass `onChange` to let the user pick a score.
+ */
+export default function StarRating({ rating = 0, size = 16, color = "#F5A623", onChange, style }) {
+  const value = Number(rating) || 0;
+
+  return (
+    <View style={[styles.row, style]}>
+      {[1, 2, 3, 4, 5].map(star => {
+        const name = value >= star ? "star" : value >= star - 0.5 ? "star-half" : "star-outline";
+        const icon = <Ionicons name={name} size={size} color={color} />;
+
+        if (!onChange) return <View key={star}>{icon}</View>;
+        return (
+          <TouchableOpacity
+            key={star}
+            onPress={() => onChange(star)}
+            hitSlop={4}
+            accessibilityRole="button"
+            accessibilityLabel={`Rate ${star} star${star !== 1 ? "s" : ""}`}
+          >
+            {icon}
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 2,
+  },
+});
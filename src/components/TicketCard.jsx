@@ -0,0 +1,127 @@
+import { Ionicons } from "@expo/vector-icons";
+import { StyleSheet, Text, View } from "react-native";
+import QRCode from "react-native-qrcode-svg";
+import { eventDateLabel } from "../utils/events";
+
+const STATUS_LABELS = {
+  valid: "Valid",
+  used: "Checked in",
+  void: "Void",
+};
+
+/**
+ * One ticket with its signed code as a QR code for the door to scan
+ */
+export default function TicketCard({ ticket, qrSize = 180 }) {
+  const event = ticket.event ?? {};
+
+  return (
+    <View style={styles.card}>
+      <View style={styles.header}>
+        <View style={styles.headerInfo}>
+          <Text style={styles.title} numberOfLines={2}>{event.title ?? "Event"}</Text>
+          <Text style={styles.meta}>{eventDateLabel(event)}</Text>
+          {event.location ? (
+            <View style={styles.locationRow}>
+              <Ionicons name="location-outline" size={14} color="#666" />
+              <Text style={styles.meta} numberOfLines={1}>{event.location}</Text>
+            </View>
+          ) : null}
+        </View>
+        <View style={[styles.statusBadge, ticket.status !== "valid" && styles.statusBadgeInactive]}>
+          <Text style={[styles.statusText, ticket.status !== "valid" && styles.statusTextInactive]}>
+            {STATUS_LABELS[ticket.status] ?? ticket.status}
+          </Text>
+        </View>
+      </View>
+
+      <View style={[styles.qr, ticket.status !== "valid" && styles.qrInactive]}>
+        <QRCode value={ticket.code} size={qrSize} />
+      </View>
+
+      <View style={styles.footer}>
+        <Text style={styles.tier}>{ticket.tierName ?? "General admission"}</Text>
+        <Text style={styles.ticketId}>#{ticket.id.slice(0, 8).toUpperCase()}</Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  card: {
+    backgroundColor: "#FFF",
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  header: {
+    flexDirection: "row",
+    alignItems: "flex-start",
+    gap: 12,
+  },
+  headerInfo: {
+    flex: 1,
+    gap: 4,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  meta: {
+    fontSize: 13,
+    color: "#666",
+  },
+  locationRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+  },
+  statusBadge: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: "#E8F8EF",
+  },
+  statusBadgeInactive: {
+    backgroundColor: "#F0F0F0",
+  },
+  statusText: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#2ECC71",
+  },
+  statusTextInactive: {
+    color: "#999",
+  },
+  qr: {
+    alignItems: "center",
+    paddingVertical: 20,
+  },
+  qrInactive: {
+    opacity: 0.3,
+  },
+  footer: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingTop: 12,
+    borderTopWidth: 1,
+    borderTopColor: "#F0F0F0",
+  },
+  tier: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  ticketId: {
+    fontSize: 13,
+    color: "#999",
+    fontVariant: ["tabular-nums"],
+  },
+});
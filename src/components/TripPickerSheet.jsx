@@ -0,0 +1,129 @@
+import { Ionicons } from "@expo/vector-icons";
+import {
+  ActivityIndicator,
+  Modal,
+  Pressable,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { formatDateRange } from "../utils/dateRanges";
+import { toDateOnly } from "../utils/trips";
+
+/**
+ * Bottom sheet listing the user's trips. `onSelect(tripId)` receives null
+ * for "No specific trip".
+ */
+export default function TripPickerSheet({ visible, trips = [], loading = false, title = "Add to trip", onSelect, onClose }) {
+  return (
+    <Modal visible={visible} transparent animationType="slide" onRequestClose={onClose}>
+      <Pressable style={styles.backdrop} onPress={onClose} />
+      <View style={styles.sheet}>
+        <View style={styles.header}>
+          <Text style={styles.headerTitle}>{title}</Text>
+          <TouchableOpacity onPress={onClose} hitSlop={8}>
+            <Ionicons name="close" size={24} color="#333" />
+          </TouchableOpacity>
+        </View>
+
+        {loading ? (
+          <ActivityIndicator color="#4A90E2" style={styles.loader} />
+        ) : (
+          <ScrollView contentContainerStyle={styles.body}>
+            {trips.map(trip => {
+              const start = toDateOnly(trip.startDate);
+              const end = toDateOnly(trip.endDate);
+              return (
+                <TouchableOpacity key={trip.tripId} style={styles.row} onPress={() => onSelect(trip.tripId)}>
+                  <Ionicons name="home-outline" size={20} color="#4A90E2" />
+                  <View style={styles.rowInfo}>
+                    <Text style={styles.rowTitle} numberOfLines={1}>{trip.listing?.title ?? trip.tripName}</Text>
+                    {start && end ? (
+                      <Text style={styles.rowMeta}>{formatDateRange({ start, end })}</Text>
+                    ) : null}
+                  </View>
+                  <Ionicons name="chevron-forward" size={18} color="#999" />
+                </TouchableOpacity>
+              );
+            })}
+            {!trips.length ? (
+              <Text style={styles.emptyText}>You have no upcoming trips yet.</Text>
+            ) : null}
+            <TouchableOpacity style={styles.row} onPress={() => onSelect(null)}>
+              <Ionicons name="bookmark-outline" size={20} color="#666" />
+              <View style={styles.rowInfo}>
+                <Text style={styles.rowTitle}>No specific trip</Text>
+                <Text style={styles.rowMeta}>Save it to your trips for later</Text>
+              </View>
+              <Ionicons name="chevron-forward" size={18} color="#999" />
+            </TouchableOpacity>
+          </ScrollView>
+        )}
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    backgroundColor: "rgba(0, 0, 0, 0.4)",
+  },
+  sheet: {
+    maxHeight: "70%",
+    backgroundColor: "#FFF",
+    borderTopLeftRadius: 24,
+    borderTopRightRadius: 24,
+  },
+  header: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 24,
+    paddingVertical: 16,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  loader: {
+    marginVertical: 32,
+  },
+  body: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  row: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 12,
+    paddingHorizontal: 8,
+    paddingVertical: 14,
+    borderBottomWidth: 1,
+    borderBottomColor: "#F0F0F0",
+  },
+  rowInfo: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+  },
+  rowMeta: {
+    fontSize: 13,
+    color: "#666",
+    marginTop: 2,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: "#999",
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+  },
+});
@@ -3,6 +3,10 @@ import { ActivityIndicator, StyleSheet, Text, TouchableOpacity, View } from "rea
 
 export default function ListingCard({ item, onPress, onFavoritePress, favoriteLoading, styles: externalStyles }) {
   const styles = externalStyles || localStyles;
+  // Rows come from either `stays` (city/country/type) or `listings` (address_*/category)
+  const city = item.city ?? item.address_city;
+  const country = item.country ?? item.address_country;
+  const type = item.type ?? item.category;
 
   return (
     <View style={styles.listingCard}>
@@ -24,7 +28,7 @@ export default function ListingCard({ item, onPress, onFavoritePress, favoriteLo
           )}
           <View style={styles.typeBadge}>
             <Text style={styles.typeBadgeText}>
-              {item.type ? item.type.charAt(0).toUpperCase() + item.type.slice(1) : ""}
+              {type ? type.charAt(0).toUpperCase() + type.slice(1) : ""}
             </Text>
           </View>
         </View>
@@ -54,8 +58,13 @@ export default function ListingCard({ item, onPress, onFavoritePress, favoriteLo
         <View style={styles.locationContainer}>
           <Ionicons name="location-outline" size={14} color="#666" />
           <Text style={styles.listingLocation} numberOfLines={1}>
-            {item.city}, {item.country}
+            {[city, country].filter(Boolean).join(", ")}
           </Text>
+          {item.distance_km != null && (
+            <Text style={styles.metaText}>
+              {item.distance_km < 1 ? "<1" : Math.round(item.distance_km)} km
+            </Text>
+          )}
         </View>
 
         {item.description && (
@@ -0,0 +1,493 @@
+import { Ionicons } from "@expo/vector-icons";
+import { useFocusEffect } from "expo-router";
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { supabase } from "../../config/supabaseClient";
+import { fetchEvents, getUserTripEvents } from "../../services/eventService";
+import {
+  buildMonthGrid,
+  dayRangeWindow,
+  groupEventsByDay,
+  monthLabel,
+  weekDays,
+  WEEKDAY_LABELS,
+} from "../../utils/calendar";
+import { addDays, formatDateRange, formatDay, todayISO } from "../../utils/dateRanges";
+import { eventDateLabel } from "../../utils/events";
+
+const PERIOD_LIMIT = 500;
+const DAY_LIMIT = 100;
+
+function firstOfMonth(date, offset = 0) {
+  const [year, month] = date.split("-").map(Number);
+  const first = new Date(year, month - 1 + offset, 1);
+  return `${first.getFullYear()}-${String(first.getMonth() + 1).padStart(2, "0")}-01`;
+}
+
+/**
+ * Calendar browsing mode for events: a month grid or a week agenda with a dot
+ * on days that have events. Tapping a day loads just that day's events; days
+ * and events on the user's trips are highlighted.
+ */
+export default function EventCalendar({ onEventPress }) {
+  const [mode, setMode] = useState("month");
+  const [focusDate, setFocusDate] = useState(todayISO);
+  const [selectedDate, setSelectedDate] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [dayEvents, setDayEvents] = useState([]);
+  const [tripEvents, setTripEvents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [loadingDay, setLoadingDay] = useState(false);
+  const periodRequestRef = useRef(0);
+  const dayRequestRef = useRef(0);
+  const today = todayISO();
+
+  const [year, month] = focusDate.split("-").map(Number);
+  const monthGrid = useMemo(() => buildMonthGrid(year, month - 1), [year, month]);
+  const days = useMemo(
+    () => (mode === "month" ? monthGrid.flat().filter(Boolean) : weekDays(focusDate)),
+    [mode, monthGrid, focusDate]
+  );
+
+  const eventsByDay = useMemo(() => groupEventsByDay(events, days), [events, days]);
+  const tripDaySet = useMemo(() => new Set(Object.keys(groupEventsByDay(tripEvents, days))), [tripEvents, days]);
+  const tripEventIds = useMemo(() => new Set(tripEvents.map((event) => String(event.id))), [tripEvents]);
+
+  // Every event in the visible month or week, for the dots and the week agenda
+  useEffect(() => {
+    const requestId = ++periodRequestRef.current;
+    setLoading(true);
+
+    fetchEvents({
+      limit: PERIOD_LIMIT,
+      range: dayRangeWindow(days[0], days[days.length - 1]),
+      includePast: true,
+      orderBy: "starts_at",
+    })
+      .then((data) => {
+        if (requestId === periodRequestRef.current) setEvents(data);
+      })
+      .catch((error) => {
+        if (requestId !== periodRequestRef.current) return;
+        console.error("Error fetching calendar events:", error);
+        Alert.alert("Error", "Failed to load events");
+      })
+      .finally(() => {
+        if (requestId === periodRequestRef.current) setLoading(false);
+      });
+  }, [days]);
+
+  useEffect(() => {
+    const requestId = ++dayRequestRef.current;
+    if (!selectedDate) {
+      setDayEvents([]);
+      setLoadingDay(false);
+      return;
+    }
+
+    setLoadingDay(true);
+    fetchEvents({
+      limit: DAY_LIMIT,
+      range: dayRangeWindow(selectedDate, selectedDate),
+      includePast: true,
+      orderBy: "starts_at",
+    })
+      .then((data) => {
+        if (requestId === dayRequestRef.current) setDayEvents(data);
+      })
+      .catch((error) => {
+        if (requestId !== dayRequestRef.current) return;
+        console.error("Error fetching events for day:", error);
+        Alert.alert("Error", "Failed to load events for this day");
+      })
+      .finally(() => {
+        if (requestId === dayRequestRef.current) setLoadingDay(false);
+      });
+  }, [selectedDate]);
+
+  // Trips change on other screens, so refresh them whenever home is shown
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      supabase.auth.getUser().then(async ({ data }) => {
+        const uid = data?.user?.id ?? null;
+        const rows = uid ? await getUserTripEvents(uid).catch(() => []) : [];
+        if (active) setTripEvents(rows.filter(Boolean));
+      });
+      return () => {
+        active = false;
+      };
+    }, [])
+  );
+
+  const changeMode = (nextMode) => {
+    if (nextMode === mode) return;
+    if (nextMode === "week" && !selectedDate && firstOfMonth(today) === firstOfMonth(focusDate)) {
+      setFocusDate(today);
+    }
+    if (selectedDate) setFocusDate(selectedDate);
+    setMode(nextMode);
+  };
+
+  const step = (direction) => {
+    setSelectedDate(null);
+    setFocusDate((current) => (mode === "month" ? firstOfMonth(current, direction) : addDays(current, 7 * direction)));
+  };
+
+  // Tapping the selected day again goes back to the whole period
+  const handleDayPress = (date) => {
+    setSelectedDate((current) => (current === date ? null : date));
+  };
+
+  const title = mode === "month"
+    ? monthLabel(year, month - 1)
+    : formatDateRange({ start: days[0], end: days[6] });
+
+  const renderDayCell = (date, index) => {
+    if (!date) return <View key={index} style={styles.dayCell} />;
+
+    const selected = date === selectedDate;
+    const hasEvents = !!eventsByDay[date];
+    const onTrip = tripDaySet.has(date);
+
+    return (
+      <TouchableOpacity key={date} style={styles.dayCell} onPress={() => handleDayPress(date)}>
+        <View
+          style={[
+            styles.dayCircle,
+            onTrip && styles.dayCircleTrip,
+            date === today && styles.dayCircleToday,
+            selected && styles.dayCircleSelected,
+          ]}
+        >
+          <Text style={[styles.dayText, date < today && styles.dayTextPast, selected && styles.dayTextSelected]}>
+            {Number(date.slice(8))}
+          </Text>
+        </View>
+        <View style={[styles.dot, hasEvents && styles.dotVisible, onTrip && styles.dotTrip]} />
+      </TouchableOpacity>
+    );
+  };
+
+  const renderAgendaItem = (event) => {
+    const onTrip = tripEventIds.has(String(event.id));
+
+    return (
+      <TouchableOpacity
+        key={event.id}
+        style={[styles.agendaItem, onTrip && styles.agendaItemTrip]}
+        activeOpacity={0.8}
+        onPress={() => onEventPress?.(event)}
+      >
+        <View style={styles.agendaContent}>
+          {event.category ? <Text style={styles.agendaCategory}>{event.category}</Text> : null}
+          <Text style={styles.agendaTitle} numberOfLines={2}>{event.title}</Text>
+          <Text style={styles.agendaMeta} numberOfLines={1}>{eventDateLabel(event)}</Text>
+          {event.location ? <Text style={styles.agendaMeta} numberOfLines={1}>{event.location}</Text> : null}
+        </View>
+        {onTrip ? (
+          <View style={styles.tripBadge}>
+            <Ionicons name="airplane-outline" size={12} color="#2ECC71" />
+            <Text style={styles.tripBadgeText}>In your trip</Text>
+          </View>
+        ) : (
+          <Ionicons name="chevron-forward" size={18} color="#999" />
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const renderAgenda = () => {
+    if (selectedDate) {
+      return (
+        <View>
+          <Text style={styles.agendaHeading}>{formatDay(selectedDate)}</Text>
+          {loadingDay ? (
+            <ActivityIndicator style={styles.agendaLoading} color="#4A90E2" />
+          ) : dayEvents.length ? (
+            dayEvents.map(renderAgendaItem)
+          ) : (
+            <Text style={styles.emptyText}>No events on this day</Text>
+          )}
+        </View>
+      );
+    }
+
+    if (mode === "month") {
+      return <Text style={styles.emptyText}>Tap a day to see its events</Text>;
+    }
+
+    const weekWithEvents = days.filter((date) => eventsByDay[date]);
+    if (!loading && weekWithEvents.length === 0) {
+      return <Text style={styles.emptyText}>No events this week</Text>;
+    }
+    return weekWithEvents.map((date) => (
+      <View key={date}>
+        <Text style={styles.agendaHeading}>{formatDay(date)}</Text>
+        {eventsByDay[date].map(renderAgendaItem)}
+      </View>
+    ));
+  };
+
+  return (
+    <ScrollView style={styles.container} contentContainerStyle={styles.content}>
+      <View style={styles.modeToggle}>
+        {["month", "week"].map((item) => (
+          <TouchableOpacity
+            key={item}
+            style={[styles.modeButton, mode === item && styles.modeButtonActive]}
+            onPress={() => changeMode(item)}
+          >
+            <Text style={[styles.modeText, mode === item && styles.modeTextActive]}>
+              {item === "month" ? "Month" : "Week"}
+            </Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+
+      <View style={styles.calendarCard}>
+        <View style={styles.periodHeader}>
+          <TouchableOpacity onPress={() => step(-1)} hitSlop={8}>
+            <Ionicons name="chevron-back" size={22} color="#1A1A1A" />
+          </TouchableOpacity>
+          <View style={styles.periodTitleRow}>
+            <Text style={styles.periodTitle}>{title}</Text>
+            {loading ? <ActivityIndicator size="small" color="#4A90E2" /> : null}
+          </View>
+          <TouchableOpacity onPress={() => step(1)} hitSlop={8}>
+            <Ionicons name="chevron-forward" size={22} color="#1A1A1A" />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.weekRow}>
+          {WEEKDAY_LABELS.map((label, index) => (
+            <Text key={index} style={styles.weekdayText}>{label}</Text>
+          ))}
+        </View>
+
+        {mode === "month" ? (
+          monthGrid.map((week, weekIndex) => (
+            <View key={weekIndex} style={styles.weekRow}>
+              {week.map(renderDayCell)}
+            </View>
+          ))
+        ) : (
+          <View style={styles.weekRow}>{days.map(renderDayCell)}</View>
+        )}
+
+        <View style={styles.legend}>
+          <View style={[styles.dot, styles.dotVisible]} />
+          <Text style={styles.legendText}>Events</Text>
+          <View style={[styles.dot, styles.dotVisible, styles.dotTrip]} />
+          <Text style={styles.legendText}>On your trips</Text>
+        </View>
+      </View>
+
+      {renderAgenda()}
+    </ScrollView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  modeToggle: {
+    flexDirection: "row",
+    alignSelf: "center",
+    padding: 4,
+    marginBottom: 16,
+    borderRadius: 20,
+    backgroundColor: "#E1E5E9",
+  },
+  modeButton: {
+    paddingHorizontal: 20,
+    paddingVertical: 6,
+    borderRadius: 16,
+  },
+  modeButtonActive: {
+    backgroundColor: "#FFF",
+  },
+  modeText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  modeTextActive: {
+    color: "#1A1A1A",
+    fontWeight: "600",
+  },
+  calendarCard: {
+    padding: 12,
+    marginBottom: 16,
+    borderRadius: 16,
+    backgroundColor: "#FFF",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  periodHeader: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    paddingHorizontal: 4,
+    marginBottom: 8,
+  },
+  periodTitleRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 8,
+  },
+  periodTitle: {
+    fontSize: 16,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  weekRow: {
+    flexDirection: "row",
+  },
+  weekdayText: {
+    flex: 1,
+    textAlign: "center",
+    paddingVertical: 6,
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#999",
+  },
+  dayCell: {
+    flex: 1,
+    alignItems: "center",
+    paddingVertical: 4,
+  },
+  dayCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    borderWidth: 2,
+    borderColor: "transparent",
+    alignItems: "center",
+    justifyContent: "center",
+  },
+  dayCircleTrip: {
+    borderColor: "#2ECC71",
+  },
+  dayCircleToday: {
+    backgroundColor: "#F0F7FF",
+  },
+  dayCircleSelected: {
+    backgroundColor: "#4A90E2",
+  },
+  dayText: {
+    fontSize: 14,
+    color: "#1A1A1A",
+  },
+  dayTextPast: {
+    color: "#999",
+  },
+  dayTextSelected: {
+    color: "#FFF",
+    fontWeight: "700",
+  },
+  dot: {
+    width: 6,
+    height: 6,
+    marginTop: 3,
+    borderRadius: 3,
+    backgroundColor: "transparent",
+  },
+  dotVisible: {
+    backgroundColor: "#4A90E2",
+  },
+  dotTrip: {
+    backgroundColor: "#2ECC71",
+  },
+  legend: {
+    flexDirection: "row",
+    alignItems: "center",
+    justifyContent: "center",
+    gap: 6,
+    marginTop: 8,
+  },
+  legendText: {
+    fontSize: 12,
+    color: "#666",
+    marginRight: 8,
+  },
+  agendaHeading: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#1A1A1A",
+    marginTop: 8,
+    marginBottom: 8,
+  },
+  agendaLoading: {
+    marginVertical: 24,
+  },
+  agendaItem: {
+    flexDirection: "row",
+    alignItems: "center",
+    padding: 14,
+    marginBottom: 10,
+    borderRadius: 12,
+    borderLeftWidth: 4,
+    borderLeftColor: "#4A90E2",
+    backgroundColor: "#FFF",
+  },
+  agendaItemTrip: {
+    borderLeftColor: "#2ECC71",
+  },
+  agendaContent: {
+    flex: 1,
+    marginRight: 8,
+  },
+  agendaCategory: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#4A90E2",
+    textTransform: "uppercase",
+    marginBottom: 2,
+  },
+  agendaTitle: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#1A1A1A",
+    marginBottom: 4,
+  },
+  agendaMeta: {
+    fontSize: 13,
+    color: "#666",
+  },
+  tripBadge: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 10,
+    backgroundColor: "#EAF9F0",
+  },
+  tripBadgeText: {
+    fontSize: 11,
+    fontWeight: "600",
+    color: "#2ECC71",
+  },
+  emptyText: {
+    textAlign: "center",
+    fontSize: 14,
+    color: "#666",
+    marginVertical: 24,
+  },
+});
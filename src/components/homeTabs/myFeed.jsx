@@ -1,296 +1,532 @@
-import { ImageWithFallback } from "./figma/ImageWithFallback";
-import { MapPin, Calendar, Users, Star, Clock, CheckCircle } from "lucide-react";
-import { Button } from "./ui/button";
-import { Badge } from "./ui/badge";
+import { Ionicons } from "@expo/vector-icons";
+import { Image } from "expo-image";
+import { useFocusEffect, useRouter } from "expo-router";
+import * as WebBrowser from "expo-web-browser";
+import { useCallback, useEffect, useRef, useState } from "react";
+import {
+  ActivityIndicator,
+  Alert,
+  FlatList,
+  RefreshControl,
+  ScrollView,
+  StyleSheet,
+  Text,
+  TouchableOpacity,
+  View,
+} from "react-native";
+import { supabase } from "../../config/supabaseClient";
+import useImpressionTracking from "../../hooks/useImpressionTracking";
+import useLiveEvents from "../../hooks/useLiveEvents";
+import { fetchEvents, getEventFacets, getUserPreferences } from "../../services/eventService";
+import {
+  EVENT_CATEGORIES,
+  eventDateLabel,
+  eventPriceLabel,
+  isPastEvent,
+  weekendWindow,
+} from "../../utils/events";
+import StarRating from "../StarRating";
 
-interface Event {
-  id: string;
-  title: string;
-  description: string;
-  imageUrl: string;
-  date: string;
-  time: string;
-  location: string;
-  price: string;
-  attendees: number;
-  rating: number;
-  category: string;
-  organizer: string;
-  isVerified: boolean;
-}
+const PAGE_SIZE = 10;
 
-interface ForYouPageProps {
-  onEventClick?: (event: Event) => void;
-}
+/**
+ * "For You" events feed for the home screen, backed by eventService.fetchEvents
+ */
+export default function ForYouPage({ onEventPress }) {
+  const router = useRouter();
+  const [category, setCategory] = useState("all");
+  const [weekendOnly, setWeekendOnly] = useState(false);
+  // Tags the user muted under My interests never show up in the feed
+  const [mutedTags, setMutedTags] = useState([]);
+  // Live inserts must pass the same filters as the loaded pages
+  const acceptsEvent = useCallback((event) => {
+    if (category !== "all" && event.category !== category) return false;
+    if (isPastEvent(event)) return false;
+    if (mutedTags.includes(event.category) || (event.tags || []).some(tag => mutedTags.includes(tag))) return false;
+    if (!weekendOnly) return true;
+    const weekend = weekendWindow();
+    return !!event.starts_at && new Date(event.starts_at) < weekend.end && !isPastEvent(event, weekend.start);
+  }, [category, weekendOnly, mutedTags]);
+  const { events, newCount, replaceEvents, appendEvents, showNewEvents } = useLiveEvents({ accepts: acceptsEvent });
+  const listRef = useRef(null);
+  const impressions = useImpressionTracking({ source: "fyp", itemType: "event" });
+  const [loading, setLoading] = useState(true);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [refreshing, setRefreshing] = useState(false);
+  const [hasMore, setHasMore] = useState(true);
+  const requestIdRef = useRef(0);
+  // Rows fetched so far. Live inserts and deletes change `events` without
+  // moving the server's pages, so its length is not the next offset.
+  const nextOffsetRef = useRef(0);
+  const [facets, setFacets] = useState(null);
+  const facetsRequestRef = useRef(0);
 
-export function ForYouPage({ onEventClick }: ForYouPageProps) {
-  // Mock event data - would come from API based on user preferences
-  const events: Event[] = [
-  {
-    "id": "1",
-    "title": "ZAMBIAN ART AND DESIGN SHOW",
-    "description": "Experience the finest Zambian art and design at CIELA. A showcase of local talent and creativity across various artistic disciplines.",
-    "imageUrl": "/images/LSK event 1.png",
-    "date": "Friday, Nov 21",
-    "time": "All Day",
-    "location": "CIELA",
-    "price": "From K100",
-    "attendees": 189,
-    "rating": 4.6,
-    "category": "Art",
-    "organizer": "CIELA",
-    "isVerified": true
-  },
-  {
-    "id": "2",
-    "title": "LUSAKA THRIFT MARKET & BLOCK PARTY",
-    "description": "Join the thrift market and block party featuring special guest Samia the Great. Enjoy Zamrock music, shopping, and community vibes.",
-    "imageUrl": "/images/lsk event 2.png",
-    "date": "Saturday, TBA",
-    "time": "All Day",
-    "location": "NGAGRES MALL",
-    "price": "K50",
-    "attendees": 312,
-    "rating": 4.4,
-    "category": "Shopping",
-    "organizer": "Sampa the Great",
-    "isVerified": false
-  },
-  {
-    "id": "3",
-    "title": "15TH LUSAKA MOTOR SHOW",
-    "description": "Zambia's biggest motor show featuring vehicles, tractor zone, earth moving equipment, green energy solutions, and financing options.",
-    "imageUrl": "/images/lsk event3.png",
-    "date": "Friday, Aug 29",
-    "time": "All Day",
-    "location": "LUSAKA POLO CLUB",
-    "price": "100",
-    "attendees": 567,
-    "rating": 4.7,
-    "category": "Automotive",
-    "organizer": "Professional Insurance",
-    "isVerified": true
-  },
-  {
-    "id": "4",
-    "title": "MAZABUKA AGRI EXPO",
-    "description": "Agricultural exposition powered by Professional Insurance, featuring exhibitors including Zambian Commodity Exchange and industry partners.",
-    "imageUrl": "/images/lsk event 4.png",
-    "date": "Friday, Oct 10",
-    "time": "All Day",
-    "location": "MAZABUKA TURF CLUB",
-    "price": "50",
-    "attendees": 423,
-    "rating": 4.5,
-    "category": "Business",
-    "organizer": "Professional Insurance",
-    "isVerified": true
-  },
-  {
-    "id": "5",
-    "title": "CLASSIC CARS AUTO SHOW 2025",
-    "description": "Classic car exhibition featuring exclusive market, car boot sale, full cash bar, music, food court, and wine tasting experience.",
-    "imageUrl": "/images/LsK events 5.png",
-    "date": "Sunday, Aug 24",
-    "time": "9:30 AM onwards",
-    "location": "TBA",
-    "price": "50",
-    "attendees": 278,
-    "rating": 4.3,
-    "category": "Automotive",
-    "organizer": "Classic Cars Zambia",
-    "isVerified": false
-  },
-  {
-    "id": "6",
-    "title": "EL MUKUKA'S ALBUM LAUNCH",
-    "description": "Experience El Mukuka's album launch with live performance on grand piano plus band, followed by DJ after party with special guests.",
-    "imageUrl": "/images/lsk event 6.png",
-    "date": "Saturday, Dec 6",
-    "time": "7:00 PM - 1:00 AM",
-    "location": "TBA",
-    "price": "200",
-    "attendees": 156,
-    "rating": 4.8,
-    "category": "Music",
-    "organizer": "Stella Artois",
-    "isVerified": false
-  },
-  {
-    "id": "7",
-    "title": "Stories in the Woods",
-    "description": "Interactive story experience for children ages 6 to 10 at Chirfwema Arboretum. A magical educational adventure in nature.",
-    "imageUrl": "/images/lsk event6.png",
-    "date": "Saturday, Nov 22",
-    "time": "9:00 AM - 12:00 PM",
-    "location": "Chirfwema Arboretum",
-    "price": "500",
-    "attendees": 89,
-    "rating": 4.9,
-    "category": "Education",
-    "organizer": "Stories with Sala",
-    "isVerified": true
-  },
-  {
-    "id": "8",
-    "title": "GREEN COSMOS - KEEP ZAMBIA CLEAN",
-    "description": "Community clean-up initiative with special guest Simon Imme Walane. Join us in keeping Zambia clean and beautiful.",
-    "imageUrl": "/images/green events.jpg",
-    "date": "Friday, Nov 7",
-    "time": "All Day",
-    "location": "Kaunda Square Stage 1 Market",
-    "price": "Free",
-    "attendees": 234,
-    "rating": 4.7,
-    "category": "Community",
-    "organizer": "Green Cosmos Zambia",
-    "isVerified": true
-  },
-  {
-    "id": "9",
-    "title": "RENPOWER ZAMBIA 2025",
-    "description": "3rd edition energy conference focusing on unlocking access to green energy generation and accelerating grid stability.",
-    "imageUrl": "/images/green events2.jpg",
-    "date": "Friday, Jul 11",
-    "time": "All Day",
-    "location": "Lusaka, Zambia",
-    "price": "TBA",
-    "attendees": 345,
-    "rating": 4.6,
-    "category": "Business",
-    "organizer": "Euroconvention Global",
-    "isVerified": true
-  },
-  {
-    "id": "10",
-    "title": "YOUTH CONNEKT ZAMBIA - GREEN HUSTLE",
-    "description": "Youth entrepreneurship and innovation in agriculture event organized by Ministry of Youth, Sport & Arts and United Nations Zambia.",
-    "imageUrl": "/images/green events3.jpg",
-    "date": "Monday, Nov 17",
-    "time": "All Day",
-    "location": "New Government Complex, Lusaka",
-    "price": "Free",
-    "attendees": 512,
-    "rating": 4.5,
-    "category": "Business",
-    "organizer": "Ministry of Youth, Sport & Arts",
-    "isVerified": true
-  },
-  {
-    "id": "11",
-    "title": "BOUNCE ZAMBIA",
-    "description": "The ultimate trampoline park experience in Lusaka. Enjoy wall-to-wall trampolines, dodgeball, foam pits, and more for all ages.",
-    "imageUrl": "/images/bounce.PNG",
-    "date": "",
-    "time": "All Day",
-    "location": "Garden City Mall, Lusaka",
-    "price": "150",
-    "attendees": 300,
-    "rating": 4.9,
-    "category": "Recreation",
-    "organizer": "Bounce Zambia",
-    "isVerified": false
-  }
+  const fetchPage = useCallback(
+    (offset) => fetchEvents({
+      limit: PAGE_SIZE,
+      offset,
+      category: category !== "all" ? category : null,
+      when: weekendOnly ? "weekend" : null,
+      excludeTags: mutedTags,
+      orderBy: weekendOnly ? "starts_at" : "created_at",
+    }),
+    [category, weekendOnly, mutedTags]
+  );
 
+  // Interests are edited on the profile, so check for newly muted tags on focus.
+  // The list only changes (and reloads the feed) when the muted set does.
+  useFocusEffect(
+    useCallback(() => {
+      let active = true;
+      supabase.auth.getUser()
+        .then(({ data }) => (data?.user ? getUserPreferences(data.user.id) : []))
+        .then((preferences) => {
+          if (!active) return;
+          const next = preferences.filter(item => item.muted).map(item => item.tag).sort();
+          setMutedTags(current => (current.join("\n") === next.join("\n") ? current : next));
+        })
+        .catch((error) => console.error("Error loading muted interests:", error));
+      return () => {
+        active = false;
+      };
+    }, [])
+  );
 
-]
+  // Responses for a category the user has already left are dropped
+  const loadFirstPage = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+    try {
+      const data = await fetchPage(0);
+      if (requestId !== requestIdRef.current) return;
+      replaceEvents(data);
+      nextOffsetRef.current = data.length;
+      setHasMore(data.length === PAGE_SIZE);
+    } catch (error) {
+      if (requestId !== requestIdRef.current) return;
+      console.error("Error fetching events:", error);
+      Alert.alert("Error", "Failed to load events");
+    } finally {
+      if (requestId === requestIdRef.current) {
+        setLoading(false);
+        setRefreshing(false);
+      }
+    }
+  }, [fetchPage, replaceEvents]);
 
-  return (
-    <div className="min-h-screen bg-background pb-6">
-      {/* Header */}
-      <div className="px-6 pt-6 pb-4">
-        <h2 className="text-xl">Events picked for you</h2>
-        <p className="text-sm text-muted-foreground mt-1">
-          Based on your interests and activity
-        </p>
-      </div>
+  useEffect(() => {
+    setLoading(true);
+    loadFirstPage();
+  }, [loadFirstPage]);
 
-      {/* Event Cards */}
-      <div className="space-y-6 px-4">
-        {events.map((event) => (
-          <div
-            key={event.id}
-            className="bg-card rounded-2xl overflow-hidden shadow-sm border border-border hover:shadow-md transition-shadow cursor-pointer"
-            onClick={() => onEventClick?.(event)}
-          >
-            {/* Event Image - bigger, with title/category/location overlaid */}
-            <div className="relative w-full h-60 overflow-hidden">
-              <ImageWithFallback
-                src={event.imageUrl}
-                alt={event.title}
-                className="w-full h-full object-cover"
-              />
+  // Chip counts only depend on the date filter; each category count already
+  // ignores the selected category. Counts are a hint, so failures hide them.
+  const loadFacets = useCallback(async () => {
+    const requestId = ++facetsRequestRef.current;
+    try {
+      const data = await getEventFacets({ when: weekendOnly ? "weekend" : null, excludeTags: mutedTags });
+      if (requestId === facetsRequestRef.current) setFacets(data);
+    } catch (error) {
+      console.error("Error fetching event facets:", error);
+      if (requestId === facetsRequestRef.current) setFacets(null);
+    }
+  }, [weekendOnly, mutedTags]);
+
+  useEffect(() => {
+    loadFacets();
+  }, [loadFacets]);
 
-              {/* Dark gradient to improve overlay text readability */}
-              <div className="absolute inset-0 bg-gradient-to-t from-black/60 via-transparent to-transparent" />
+  const handleLoadMore = async () => {
+    if (loading || loadingMore || refreshing || !hasMore) return;
 
-              {/* Verified badge */}
-              {event.isVerified && (
-                <div className="absolute top-3 right-3 bg-white/95 backdrop-blur-sm rounded-full p-1.5">
-                  <CheckCircle className="w-4 h-4 text-green-500" />
-                </div>
-              )}
+    const requestId = requestIdRef.current;
+    setLoadingMore(true);
+    try {
+      const data = await fetchPage(nextOffsetRef.current);
+      if (requestId !== requestIdRef.current) return;
+      nextOffsetRef.current += data.length;
+      appendEvents(data);
+      setHasMore(data.length === PAGE_SIZE);
+    } catch (error) {
+      console.error("Error loading more events:", error);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
 
-              {/* Compact location pill - top-left */}
-              <div className="absolute top-3 left-3">
-                <div className="bg-black/60 text-white px-2 py-1 rounded-md text-xs flex items-center gap-1 backdrop-blur-sm">
-                  <MapPin className="w-3 h-3" />
-                  <span className="truncate max-w-[140px] text-xs">{event.location}</span>
-                </div>
-              </div>
+  const handleRefresh = () => {
+    setRefreshing(true);
+    loadFirstPage();
+    loadFacets();
+  };
 
-              {/* Category, Title and Rating - bottom overlay */}
-              <div className="absolute left-4 right-4 bottom-4 flex items-end justify-between gap-3">
-                <div className="flex flex-col">
-                  <Badge className="bg-white/90 text-foreground border-0 mb-2 px-2 py-1 text-xs">
-                    {event.category}
-                  </Badge>
-                  <h3 className="text-white font-semibold leading-tight line-clamp-2 text-base drop-shadow-lg">
-                    {event.title}
-                  </h3>
-                </div>
+  const handleShowNewEvents = () => {
+    listRef.current?.scrollToOffset({ offset: 0, animated: true });
+    showNewEvents();
+  };
 
-                <div className="flex flex-col items-end gap-2">
-                  <div className="bg-black/70 text-white px-2 py-1 rounded-md text-sm flex items-center gap-1">
-                    <Star className="w-4 h-4 fill-yellow-400 text-yellow-400" />
-                    <span className="text-sm">{event.rating}</span>
-                  </div>
-                </div>
-              </div>
-            </div>
+  // Events sold elsewhere link out; everything else goes through in-app checkout
+  const handleGetTickets = async (event) => {
+    if (event.ticket_url) {
+      try {
+        await WebBrowser.openBrowserAsync(event.ticket_url);
+      } catch (error) {
+        console.error("Error opening ticket link:", error);
+        Alert.alert("Error", "Could not open the ticket page");
+      }
+      return;
+    }
 
-            {/* Event Content - compressed so overall card is shorter */}
-            <div className="p-3">
-              {/* Condensed date/time + price row */}
-              <div className="flex items-center justify-between gap-3 text-sm mb-2">
-                <div className="flex items-center gap-3 text-sm text-muted-foreground">
-                  <div className="flex items-center gap-2">
-                    <Calendar className="w-4 h-4 text-muted-foreground" />
-                    <span className="text-sm">{event.date}</span>
-                  </div>
-                  <div className="flex items-center gap-2">
-                    <Clock className="w-4 h-4 text-muted-foreground" />
-                    <span className="text-sm">{event.time}</span>
-                  </div>
-                </div>
+    router.push(`/checkout?eventId=${event.id}`);
+  };
 
-                <div className="text-sm font-medium">ZMW {event.price}</div>
-              </div>
+  const renderEvent = ({ item, index }) => {
+    const price = eventPriceLabel(item);
+    const imageUrl = item.image_url ?? item.imageUrl;
 
-              {/* Organizer / attendees - single compact row */}
-              <div className="flex items-center justify-between text-xs text-muted-foreground">
-                <div>By {event.organizer}</div>
-                <div>{event.attendees} going</div>
-              </div>
+    return (
+      <TouchableOpacity
+        style={styles.card}
+        activeOpacity={0.9}
+        onPress={() => {
+          impressions.trackOpen(item, index);
+          onEventPress?.(item);
+        }}
+      >
+        <View style={styles.imageContainer}>
+          {imageUrl ? (
+            <Image source={{ uri: imageUrl }} style={styles.image} contentFit="cover" />
+          ) : (
+            <View style={[styles.image, styles.imagePlaceholder]}>
+              <Ionicons name="calendar-outline" size={40} color="#4A90E2" />
+            </View>
+          )}
+          {item.location ? (
+            <View style={styles.locationPill}>
+              <Ionicons name="location-outline" size={12} color="#FFF" />
+              <Text style={styles.locationText} numberOfLines={1}>{item.location}</Text>
+            </View>
+          ) : null}
+          {item.is_verified ? (
+            <View style={styles.verifiedBadge}>
+              <Ionicons name="checkmark-circle" size={18} color="#2ECC71" />
+            </View>
+          ) : null}
+        </View>
 
-              {/* CTA */}
-              <Button className="w-full mt-3 py-2 text-sm">
-                Get Tickets
-              </Button>
-            </div>
-          </div>
+        <View style={styles.cardContent}>
+          {item.category ? <Text style={styles.category}>{item.category}</Text> : null}
+          <Text style={styles.title} numberOfLines={2}>{item.title}</Text>
+
+          <View style={styles.ratingRow}>
+            {item.avgRating !== null && item.avgRating !== undefined ? (
+              <>
+                <StarRating rating={item.avgRating} size={14} />
+                <Text style={styles.ratingText}>
+                  {Number(item.avgRating).toFixed(1)} ({item.ratingsCount})
+                </Text>
+              </>
+            ) : (
+              <Text style={styles.ratingText}>No ratings yet</Text>
+            )}
+          </View>
+
+          <View style={styles.metaRow}>
+            <View style={styles.metaItem}>
+              <Ionicons name="calendar-outline" size={14} color="#666" />
+              <Text style={styles.metaText} numberOfLines={1}>{eventDateLabel(item)}</Text>
+            </View>
+            {price ? <Text style={styles.price}>{price}</Text> : null}
+          </View>
+
+          {item.organizer ? <Text style={styles.organizer}>By {item.organizer}</Text> : null}
+
+          <TouchableOpacity style={styles.ticketButton} onPress={() => handleGetTickets(item)}>
+            <Ionicons name="ticket-outline" size={16} color="#FFF" />
+            <Text style={styles.ticketText}>Get Tickets</Text>
+          </TouchableOpacity>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderHeader = () => (
+    <View>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Events picked for you</Text>
+        <Text style={styles.headerSubtitle}>Based on your interests and activity</Text>
+      </View>
+      <ScrollView
+        horizontal
+        showsHorizontalScrollIndicator={false}
+        contentContainerStyle={styles.chips}
+      >
+        <TouchableOpacity
+          style={[styles.chip, weekendOnly && styles.chipActive]}
+          onPress={() => setWeekendOnly(!weekendOnly)}
+        >
+          <Text style={[styles.chipText, weekendOnly && styles.chipTextActive]}>This weekend</Text>
+        </TouchableOpacity>
+        {EVENT_CATEGORIES.map(option => (
+          <TouchableOpacity
+            key={option.id}
+            style={[styles.chip, category === option.id && styles.chipActive]}
+            onPress={() => setCategory(option.id)}
+          >
+            <Text style={[styles.chipText, category === option.id && styles.chipTextActive]}>
+              {option.label}
+              {facets ? ` ${option.id === "all" ? facets.total : facets.categories[option.id] ?? 0}` : ""}
+            </Text>
+          </TouchableOpacity>
         ))}
-      </div>
-    </div>
+      </ScrollView>
+    </View>
+  );
+
+  const renderEmpty = () => (
+    loading ? (
+      <ActivityIndicator size="large" color="#4A90E2" style={styles.loader} />
+    ) : (
+      <View style={styles.emptyState}>
+        <Ionicons name="calendar-outline" size={48} color="#CCC" />
+        <Text style={styles.emptyText}>No events here yet</Text>
+      </View>
+    )
+  );
+
+  return (
+    <View style={styles.container}>
+      <FlatList
+        ref={listRef}
+        data={loading ? [] : events}
+        renderItem={renderEvent}
+        keyExtractor={item => String(item.id)}
+        {...impressions.listProps}
+        ListHeaderComponent={renderHeader}
+        ListEmptyComponent={renderEmpty}
+        ListFooterComponent={loadingMore ? <ActivityIndicator color="#4A90E2" style={styles.footerLoader} /> : null}
+        contentContainerStyle={styles.list}
+        refreshControl={
+          <RefreshControl
+            refreshing={refreshing}
+            onRefresh={handleRefresh}
+            colors={["#4A90E2"]}
+            tintColor="#4A90E2"
+          />
+        }
+        onEndReached={handleLoadMore}
+        onEndReachedThreshold={0.5}
+      />
+      {newCount > 0 ? (
+        <TouchableOpacity style={styles.newEventsPill} onPress={handleShowNewEvents}>
+          <Ionicons name="arrow-up" size={14} color="#FFF" />
+          <Text style={styles.newEventsText}>
+            {newCount} new event{newCount !== 1 ? "s" : ""}
+          </Text>
+        </TouchableOpacity>
+      ) : null}
+    </View>
   );
 }
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  newEventsPill: {
+    position: "absolute",
+    top: 12,
+    alignSelf: "center",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: "#4A90E2",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.15,
+    shadowRadius: 6,
+    elevation: 4,
+  },
+  newEventsText: {
+    fontSize: 13,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  list: {
+    paddingBottom: 24,
+  },
+  header: {
+    paddingHorizontal: 20,
+    paddingTop: 20,
+    paddingBottom: 12,
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  headerSubtitle: {
+    fontSize: 14,
+    color: "#666",
+    marginTop: 4,
+  },
+  chips: {
+    paddingHorizontal: 16,
+    paddingBottom: 16,
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    borderWidth: 1,
+    borderColor: "#E1E5E9",
+    backgroundColor: "#FFF",
+  },
+  chipActive: {
+    backgroundColor: "#4A90E2",
+    borderColor: "#4A90E2",
+  },
+  chipText: {
+    fontSize: 14,
+    color: "#666",
+  },
+  chipTextActive: {
+    color: "#FFF",
+    fontWeight: "600",
+  },
+  card: {
+    marginHorizontal: 16,
+    marginBottom: 20,
+    borderRadius: 16,
+    overflow: "hidden",
+    backgroundColor: "#FFF",
+    shadowColor: "#000",
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.08,
+    shadowRadius: 8,
+    elevation: 3,
+  },
+  imageContainer: {
+    position: "relative",
+  },
+  image: {
+    width: "100%",
+    height: 200,
+  },
+  imagePlaceholder: {
+    backgroundColor: "#F0F7FF",
+    justifyContent: "center",
+    alignItems: "center",
+  },
+  locationPill: {
+    position: "absolute",
+    top: 12,
+    left: 12,
+    maxWidth: "70%",
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 4,
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 6,
+    backgroundColor: "rgba(0, 0, 0, 0.6)",
+  },
+  locationText: {
+    fontSize: 12,
+    color: "#FFF",
+  },
+  verifiedBadge: {
+    position: "absolute",
+    top: 12,
+    right: 12,
+    padding: 4,
+    borderRadius: 14,
+    backgroundColor: "rgba(255, 255, 255, 0.95)",
+  },
+  cardContent: {
+    padding: 14,
+  },
+  category: {
+    fontSize: 12,
+    fontWeight: "600",
+    color: "#4A90E2",
+    textTransform: "uppercase",
+    marginBottom: 4,
+  },
+  title: {
+    fontSize: 17,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  ratingRow: {
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 6,
+  },
+  ratingText: {
+    fontSize: 13,
+    color: "#666",
+  },
+  metaRow: {
+    flexDirection: "row",
+    justifyContent: "space-between",
+    alignItems: "center",
+    gap: 12,
+    marginTop: 10,
+  },
+  metaItem: {
+    flex: 1,
+    flexDirection: "row",
+    alignItems: "center",
+    gap: 6,
+  },
+  metaText: {
+    flex: 1,
+    fontSize: 13,
+    color: "#666",
+  },
+  price: {
+    fontSize: 15,
+    fontWeight: "700",
+    color: "#1A1A1A",
+  },
+  organizer: {
+    fontSize: 12,
+    color: "#999",
+    marginTop: 6,
+  },
+  ticketButton: {
+    flexDirection: "row",
+    justifyContent: "center",
+    alignItems: "center",
+    gap: 6,
+    marginTop: 12,
+    paddingVertical: 12,
+    borderRadius: 10,
+    backgroundColor: "#4A90E2",
+  },
+  ticketText: {
+    fontSize: 15,
+    fontWeight: "600",
+    color: "#FFF",
+  },
+  loader: {
+    marginTop: 48,
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+  emptyState: {
+    alignItems: "center",
+    paddingVertical: 64,
+    gap: 12,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: "#666",
+  },
+});
@@ -1,14 +1,6 @@
-import AsyncStorage from '@react-native-async-storage/async-storage'
-import { createClient } from '@supabase/supabase-js'
+// Services under src/ share the app's client from lib/supabase.js, which
+// reads its keys from expo.extra and persists the session in AsyncStorage.
+import { supabase } from '../../lib/supabase';
 
-const supabaseUrl = process.env.REACT_APP_SUPERBASE_URL
-const supabaseKey = process.env.REACT_APP_SUPERBASE_ANON_KEY
-
-export const supabase = createClient(supabaseUrl, supabaseKey, {
-  auth: {
-    storage: AsyncStorage,
-    autoRefreshToken: true,
-    persistSession: true,
-    detectSessionInUrl: false,
-  },
-})
\ No newline at end of file
+export { supabase };
+export default supabase;
@@ -0,0 +1,159 @@
+import { useFocusEffect } from "expo-router";
+import { useCallback, useEffect, useMemo, useRef } from "react";
+import { AppState } from "react-native";
+import { supabase } from "../config/supabaseClient";
+import { InteractionService } from "../services/interactionService";
+import { RecommendationService } from "../services/recommendationService";
+
+// A card counts as seen once at least half of it has been on screen for a second
+const MIN_VIEW_MS = 1000;
+const VIEWABILITY_CONFIG = { itemVisiblePercentThreshold: 50, minimumViewTime: MIN_VIEW_MS };
+
+const TRACKERS = {
+  listing: {
+    impression: (userId, id, metadata) => InteractionService.trackImpression(userId, id, metadata),
+    click: (userId, id, metadata) => InteractionService.trackClick(userId, id, undefined, metadata),
+  },
+  event: {
+    impression: (userId, id, metadata) => InteractionService.trackEventImpression(userId, id, metadata),
+    click: (userId, id, metadata) => InteractionService.trackEventClick(userId, id, metadata),
+  },
+};
+
+// Only lists filled by RecommendationService report back to it
+function recordInteraction(userId, interactionType, itemType, item, metadata, recommendationContext) {
+  const id = String(item.id);
+  TRACKERS[itemType][interactionType](userId, id, metadata);
+  if (recommendationContext) {
+    RecommendationService.recordInteraction(userId, id, interactionType, recommendationContext, {
+      ...metadata,
+      item_type: itemType,
+    });
+  }
+}
+
+/**
+ * Impression and click tracking for a FlatList of listing or event cards.
+ * Spread `listProps` onto the list and call `trackOpen(item, index)` when a
+ * card opens. A card that stays at least 50% visible for a second records
+ * an impression when it leaves the screen, the screen loses focus or the app
+ * goes to the background, with metadata { source, position, dwell_ms }.
+ * `source` is the feed ("fyp", "explore", "search"); it is read when a card
+ * appears, so a card keeps the source it was first seen under. Lists showing
+ * RecommendationService results pass `recommendationContext` so impressions
+ * and clicks are also reported as recommendation feedback.
+ */
+export default function useImpressionTracking({ source, itemType = "listing", recommendationContext = null }) {
+  const userIdRef = useRef(null);
+  const sourceRef = useRef(source);
+  const itemTypeRef = useRef(itemType);
+  const recommendationContextRef = useRef(recommendationContext);
+  // Cards on screen, by key: { item, index, source, since }. `since` is null
+  // while the screen is out of focus or the app is in the background.
+  const visibleRef = useRef(new Map());
+  const focusedRef = useRef(false);
+
+  useEffect(() => {
+    sourceRef.current = source;
+    itemTypeRef.current = itemType;
+    recommendationContextRef.current = recommendationContext;
+  }, [source, itemType, recommendationContext]);
+
+  useEffect(() => {
+    let mounted = true;
+    supabase.auth.getSession().then(({ data }) => {
+      if (mounted) userIdRef.current = data.session?.user?.id ?? null;
+    });
+
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
+      userIdRef.current = session?.user?.id ?? null;
+    });
+
+    return () => {
+      mounted = false;
+      listener.subscription.unsubscribe();
+    };
+  }, []);
+
+  const endImpression = useCallback((entry, now) => {
+    const dwell = entry.since === null ? 0 : now - entry.since;
+    if (!userIdRef.current || dwell < MIN_VIEW_MS) return;
+    recordInteraction(userIdRef.current, "impression", itemTypeRef.current, entry.item, {
+      source: entry.source,
+      position: entry.index,
+      dwell_ms: dwell,
+    }, recommendationContextRef.current);
+  }, []);
+
+  const pause = useCallback(() => {
+    const now = Date.now();
+    for (const entry of visibleRef.current.values()) {
+      endImpression(entry, now);
+      entry.since = null;
+    }
+  }, [endImpression]);
+
+  const resume = useCallback(() => {
+    if (!focusedRef.current || AppState.currentState !== "active") return;
+    const now = Date.now();
+    for (const entry of visibleRef.current.values()) {
+      if (entry.since === null) entry.since = now;
+    }
+  }, []);
+
+  // Blurring (including unmounting) ends every impression in progress
+  useFocusEffect(
+    useCallback(() => {
+      focusedRef.current = true;
+      resume();
+      return () => {
+        focusedRef.current = false;
+        pause();
+      };
+    }, [pause, resume])
+  );
+
+  useEffect(() => {
+    const subscription = AppState.addEventListener("change", (status) => {
+      if (status === "active") resume();
+      else pause();
+    });
+    return () => subscription.remove();
+  }, [pause, resume]);
+
+  // FlatList does not allow this callback to change between renders
+  const onViewableItemsChanged = useCallback(({ changed }) => {
+    const now = Date.now();
+    const paused = !focusedRef.current || AppState.currentState !== "active";
+    for (const token of changed) {
+      const entry = visibleRef.current.get(token.key);
+      if (token.isViewable && !entry) {
+        visibleRef.current.set(token.key, {
+          item: token.item,
+          index: token.index,
+          source: sourceRef.current,
+          // Reported after minimumViewTime, so it has been visible that long
+          since: paused ? null : now - MIN_VIEW_MS,
+        });
+      } else if (!token.isViewable && entry) {
+        visibleRef.current.delete(token.key);
+        endImpression(entry, now);
+      }
+    }
+  }, [endImpression]);
+
+  const trackOpen = useCallback((item, index) => {
+    if (!userIdRef.current) return;
+    recordInteraction(userIdRef.current, "click", itemTypeRef.current, item, {
+      source: sourceRef.current,
+      position: index,
+    }, recommendationContextRef.current);
+  }, []);
+
+  const listProps = useMemo(() => ({
+    viewabilityConfig: VIEWABILITY_CONFIG,
+    onViewableItemsChanged,
+  }), [onViewableItemsChanged]);
+
+  return { listProps, trackOpen };
+}
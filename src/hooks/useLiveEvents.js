@@ -0,0 +1,69 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import { supabase } from "../config/supabaseClient";
+import { subscribeToEvents } from "../services/eventService";
+import {
+  EMPTY_EVENT_STORE,
+  appendStoreEvents,
+  applyEventChange,
+  revealNewEvents,
+  selectVisibleEvents,
+  setStoreEvents,
+} from "../utils/eventStore";
+
+/**
+ * Paged events kept live over realtime while a user is signed in. New events
+ * are counted in `newCount` instead of being inserted, and appear at the top
+ * once `showNewEvents` is called. `accepts(event)` limits which rows belong
+ * in the list, e.g. to the selected category.
+ */
+export default function useLiveEvents({ accepts } = {}) {
+  const [store, setStore] = useState(EMPTY_EVENT_STORE);
+  const [userId, setUserId] = useState(null);
+  const acceptsRef = useRef(accepts);
+
+  useEffect(() => {
+    acceptsRef.current = accepts;
+  }, [accepts]);
+
+  useEffect(() => {
+    let mounted = true;
+    supabase.auth.getSession().then(({ data }) => {
+      if (mounted) setUserId(data.session?.user?.id ?? null);
+    });
+
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
+      setUserId(session?.user?.id ?? null);
+    });
+
+    return () => {
+      mounted = false;
+      listener.subscription.unsubscribe();
+    };
+  }, []);
+
+  // Re-subscribes per user; signing out or unmounting closes the channel
+  useEffect(() => {
+    if (!userId) {
+      setStore(current => (current.pendingIds.length ? { ...current, pendingIds: [] } : current));
+      return;
+    }
+
+    return subscribeToEvents(payload => {
+      setStore(current => applyEventChange(current, payload, acceptsRef.current));
+    });
+  }, [userId]);
+
+  const events = useMemo(() => selectVisibleEvents(store), [store]);
+
+  const replaceEvents = useCallback((rows) => setStore(setStoreEvents(rows)), []);
+  const appendEvents = useCallback((rows) => setStore(current => appendStoreEvents(current, rows)), []);
+  const showNewEvents = useCallback(() => setStore(revealNewEvents), []);
+
+  return {
+    events,
+    newCount: store.pendingIds.length,
+    replaceEvents,
+    appendEvents,
+    showNewEvents,
+  };
+}
@@ -0,0 +1,52 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_INTERACTION_POLICY, interactionPolicyService } from '../interactionPolicyService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  jest.requireActual('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+let mockActiveRow: { version: number; weights: Record<string, number> } | null = null;
+
+jest.mock('../../config/supabaseClient', () => ({
+  supabase: {
+    from: () => ({
+      select: () => ({
+        eq: () => ({
+          maybeSingle: async () => ({ data: mockActiveRow, error: null }),
+        }),
+      }),
+    }),
+  },
+}));
+
+describe('interactionPolicyService', () => {
+  beforeEach(async () => {
+    await interactionPolicyService.clearCache();
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('uses a server policy that weighs every interaction type', async () => {
+    mockActiveRow = { version: 3, weights: { ...DEFAULT_INTERACTION_POLICY.weights, book: 12, extra: 1 } };
+    const policy = await interactionPolicyService.getPolicy();
+    expect(policy.version).toBe(3);
+    expect(policy.weights.book).toBe(12);
+    expect(policy.weights).not.toHaveProperty('extra');
+  });
+
+  it('ignores an incomplete server policy instead of filling it from the defaults', async () => {
+    const { impression: _impression, ...weights } = DEFAULT_INTERACTION_POLICY.weights;
+    mockActiveRow = { version: 3, weights: { ...weights, book: 12 } };
+    expect(await interactionPolicyService.getPolicy()).toEqual(DEFAULT_INTERACTION_POLICY);
+  });
+
+  it('keeps the cached policy when the new one is incomplete', async () => {
+    const cached = { version: 2, weights: { ...DEFAULT_INTERACTION_POLICY.weights, save: 4 } };
+    await AsyncStorage.setItem('odini:interaction-policy', JSON.stringify({ policy: cached, fetchedAt: 0 }));
+    mockActiveRow = { version: 3, weights: { view: 1 } };
+    expect(await interactionPolicyService.getPolicy()).toEqual(cached);
+  });
+});
@@ -0,0 +1,124 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import type { QueuedInteraction, SendOutcome } from '../interactionQueue';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  jest.requireActual('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+let mockNetInfoListener: ((network: { isConnected: boolean; isInternetReachable: boolean | null }) => void) | null =
+  null;
+
+jest.mock('@react-native-community/netinfo', () => ({
+  addEventListener: (listener: typeof mockNetInfoListener) => {
+    mockNetInfoListener = listener;
+    return () => {
+      mockNetInfoListener = null;
+    };
+  },
+}));
+
+// Fresh module state (queue, dedupe map, timers) for every test
+function loadQueue(): typeof import('../interactionQueue').interactionQueue {
+  jest.resetModules();
+  return jest.requireActual('../interactionQueue').interactionQueue;
+}
+
+function interaction(userId: string, listingId: string) {
+  return { userId, listingId, interactionType: 'click' as const };
+}
+
+describe('interactionQueue', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate'] });
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllTimers();
+    jest.useRealTimers();
+  });
+
+  it('drops rows the server rejects and still sends the rest', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => undefined);
+    const queue = loadQueue();
+    // Queued before a sender exists, so all three go out as one batch
+    await queue.enqueue(interaction('u1', 'a'));
+    await queue.enqueue(interaction('u1', 'deleted'));
+    await queue.enqueue(interaction('u1', 'b'));
+    // Let the flush each enqueue started finish without a sender
+    await queue.flush();
+
+    const batches: string[][] = [];
+    const written: string[] = [];
+    queue.setSender(async (batch: QueuedInteraction[]): Promise<SendOutcome> => {
+      batches.push(batch.map((item) => item.listingId as string));
+      if (batch.some((item) => item.listingId === 'deleted')) return 'rejected';
+      written.push(...batch.map((item) => item.listingId as string));
+      return 'sent';
+    });
+
+    expect(await queue.flush({ force: true })).toBe(2);
+    expect(batches[0]).toEqual(['a', 'deleted', 'b']);
+    expect(written).toEqual(['a', 'b']);
+    expect(await queue.size()).toBe(0);
+  });
+
+  it('keeps everything and backs off on transient failures', async () => {
+    const queue = loadQueue();
+    const send = jest.fn(async (): Promise<SendOutcome> => 'retry');
+    queue.setSender(send);
+
+    await queue.enqueue(interaction('u1', 'a'));
+    await queue.flush({ force: true });
+
+    expect(await queue.size()).toBe(1);
+    const calls = send.mock.calls.length;
+    // Within the backoff window nothing is sent
+    await queue.flush();
+    expect(send.mock.calls.length).toBe(calls);
+  });
+
+  it('flushes without waiting out the backoff when the device comes back online', async () => {
+    const queue = loadQueue();
+    const send = jest.fn(async (): Promise<SendOutcome> => 'retry');
+    queue.setSender(send);
+    const stop = queue.start();
+
+    mockNetInfoListener?.({ isConnected: false, isInternetReachable: false });
+    await queue.enqueue(interaction('u1', 'a'));
+    await queue.flush({ force: true });
+    expect(await queue.size()).toBe(1);
+
+    send.mockImplementation(async () => 'sent');
+    mockNetInfoListener?.({ isConnected: true, isInternetReachable: true });
+    await queue.flush();
+    expect(await queue.size()).toBe(0);
+
+    stop();
+    expect(mockNetInfoListener).toBeNull();
+  });
+
+  it('counts a repeat impression once but keeps a view of the same card', async () => {
+    const queue = loadQueue();
+    const impression = { userId: 'u1', listingId: 'a', interactionType: 'impression' as const };
+
+    expect(await queue.enqueue(impression)).toBe(true);
+    expect(await queue.enqueue(impression)).toBe(false);
+    expect(await queue.enqueue({ ...impression, interactionType: 'view' })).toBe(true);
+    expect(await queue.size()).toBe(2);
+  });
+
+  it('drops other users’ interactions when the user changes', async () => {
+    const queue = loadQueue();
+    queue.setSender(async () => 'retry');
+
+    await queue.enqueue(interaction('u1', 'a'));
+    await queue.enqueue(interaction('u2', 'b'));
+    await queue.setUser('u2');
+    expect(await queue.size()).toBe(1);
+
+    await queue.setUser(null);
+    expect(await queue.size()).toBe(0);
+  });
+});
@@ -0,0 +1,65 @@
+import { RecommendationService } from '../recommendationService';
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  jest.requireActual('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+
+// Rows each table returns, whatever the filters
+const mockRows: Record<string, any[]> = {};
+
+function mockQuery(table: string): any {
+  const result = { data: mockRows[table] ?? [], error: null };
+  const query: any = {
+    maybeSingle: async () => ({ data: result.data[0] ?? null, error: null }),
+    then: (resolve: (value: typeof result) => unknown, reject: (reason: unknown) => unknown) =>
+      Promise.resolve(result).then(resolve, reject),
+  };
+  for (const method of ['select', 'eq', 'gte', 'order', 'limit']) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+jest.mock('../../config/supabaseClient', () => ({
+  supabase: {
+    functions: {
+      invoke: async () => ({ data: null, error: { message: 'Edge Function unreachable' } }),
+    },
+    from: (table: string) => mockQuery(table),
+  },
+}));
+
+describe('RecommendationService fallback', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => undefined);
+    mockRows.listings = [
+      { id: 'l1', title: 'Beach house', category: 'beach', created_at: '2026-10-18T12:00:00Z' },
+    ];
+    mockRows.events = [
+      { id: 'e1', title: 'Jazz night', category: 'music', starts_at: '2026-10-20T18:00:00Z' },
+    ];
+    mockRows.user_preference_scores = [];
+    mockRows.user_interactions = [];
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('ranks locally and marks the cards as fallback when the Edge Function fails', async () => {
+    const cards = await RecommendationService.getForYou('u1');
+
+    expect(cards.map((card) => card.id).sort()).toEqual(['e1', 'l1']);
+    for (const card of cards) {
+      expect(card.metadata?.source).toBe('fallback');
+      expect(typeof card.score).toBe('number');
+    }
+    expect(cards.find((card) => card.id === 'e1')?.metadata?.item_type).toBe('event');
+  });
+
+  it('leaves events out of contexts other than the fyp', async () => {
+    const cards = await RecommendationService.getExplore('u1');
+    expect(cards.map((card) => card.id)).toEqual(['l1']);
+    expect(cards[0].metadata).toEqual({ source: 'fallback', item_type: 'listing' });
+  });
+});
@@ -0,0 +1,88 @@
+// src/services/availabilityService.ts
+
+import { supabase } from '../config/supabaseClient';
+import {
+  addDays,
+  isValidStayRange,
+  nearestAvailableRanges,
+  rangesOverlap,
+  type DateRange,
+} from '../utils/dateRanges';
+
+const ALTERNATIVE_SEARCH_DAYS = 30;
+
+/**
+ * A span of nights a listing cannot be booked for
+ */
+export interface UnavailableRange extends DateRange {
+  source: 'booking' | 'blocked';
+}
+
+/**
+ * Availability engine for stays.
+ * A listing is unavailable for a range when a `booked` trip or a host-blocked
+ * period in `listing_blocked_dates` shares a night with it. The lookups run
+ * through security-definer RPCs because row-level security hides other
+ * guests' trips from the client.
+ */
+export const availabilityService = {
+  /**
+   * Booked and blocked ranges for one listing that touch the window.
+   * Pass `excludeTripId` to leave out a trip that is being modified.
+   */
+  async getUnavailableRanges(
+    listingId: string,
+    window: DateRange,
+    excludeTripId?: string
+  ): Promise<UnavailableRange[]> {
+    try {
+      const { data, error } = await supabase.rpc('listing_unavailable_ranges', {
+        p_listing_id: listingId,
+        range_start: window.start,
+        range_end: window.end,
+        p_exclude_trip_id: excludeTripId ?? null,
+      });
+
+      if (error) {
+        console.error('Error fetching unavailable ranges:', error);
+        throw new Error(`Failed to check availability: ${error.message}`);
+      }
+
+      return (data || []).map((row: { start_date: string; end_date: string; source: UnavailableRange['source'] }) => ({
+        start: row.start_date,
+        end: row.end_date,
+        source: row.source,
+      }));
+    } catch (error) {
+      console.error('Error in getUnavailableRanges:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Check whether a single listing is free for every night of the range
+   */
+  async isListingAvailable(listingId: string, range: DateRange, excludeTripId?: string): Promise<boolean> {
+    if (!isValidStayRange(range)) return false;
+    const ranges = await this.getUnavailableRanges(listingId, range, excludeTripId);
+    return !ranges.some((unavailable) => rangesOverlap(unavailable, range));
+  },
+
+  /**
+   * Free ranges of the same length as `range`, nearest to it first
+   */
+  async findAlternativeDates(
+    listingId: string,
+    range: DateRange,
+    count: number = 3,
+    excludeTripId?: string
+  ): Promise<DateRange[]> {
+    if (!isValidStayRange(range)) return [];
+    const window = {
+      start: addDays(range.start, -ALTERNATIVE_SEARCH_DAYS),
+      end: addDays(range.end, ALTERNATIVE_SEARCH_DAYS),
+    };
+    const unavailable = await this.getUnavailableRanges(listingId, window, excludeTripId);
+    return nearestAvailableRanges(range, unavailable, { count, maxShiftDays: ALTERNATIVE_SEARCH_DAYS });
+  },
+};
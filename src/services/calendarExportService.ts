@@ -0,0 +1,40 @@
+// src/services/calendarExportService.ts
+
+import { File, Paths } from 'expo-file-system';
+import * as Sharing from 'expo-sharing';
+import { buildIcsCalendar, icsFileName, type IcsEvent } from '../utils/ics';
+
+/**
+ * Writes trips to an .ics file and hands it to the OS share sheet,
+ * where the user can add it to a calendar app, save or send it
+ */
+export const calendarExportService = {
+  /**
+   * Share a calendar with the given events. Returns false when the device
+   * has no share sheet (e.g. some web browsers).
+   */
+  async shareCalendar(events: IcsEvent[], name: string): Promise<boolean> {
+    if (!events.length) {
+      throw new Error('Nothing to export');
+    }
+
+    try {
+      if (!(await Sharing.isAvailableAsync())) return false;
+
+      const file = new File(Paths.cache, icsFileName(name));
+      if (file.exists) file.delete();
+      file.create();
+      file.write(buildIcsCalendar(events, { name }));
+
+      await Sharing.shareAsync(file.uri, {
+        mimeType: 'text/calendar',
+        UTI: 'public.calendar-event',
+        dialogTitle: `Export ${name}`,
+      });
+      return true;
+    } catch (error) {
+      console.error('Error in shareCalendar:', error);
+      throw new Error(`Failed to export calendar: ${(error as Error).message}`);
+    }
+  },
+};
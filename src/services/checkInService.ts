@@ -0,0 +1,222 @@
+// src/services/checkInService.ts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../config/supabaseClient';
+import { parseTicketCode, verifyTicketSignature } from '../utils/ticketCodes';
+
+const STORAGE_PREFIX = 'odini:check-in:';
+const TICKET_CONFLICT_CODE = 'TK409';
+// check_in_ticket's answers for a ticket that can never be checked in:
+// not found (or not the caller's event) and void
+const TICKET_REJECTED_CODES = ['TK403', 'TK422'];
+
+/**
+ * What the door needs to admit guests without a connection: the event's
+ * ticket key, the guest list as last downloaded, and admissions made on
+ * this device that the server has not seen yet.
+ */
+export interface CheckInCache {
+  eventId: string;
+  key: string;
+  downloadedAt: string;
+  tiers: Record<string, string>;
+  tickets: Record<string, { status: 'valid' | 'used' | 'void'; checkedInAt: string | null }>;
+  pending: { ticketId: string; checkedInAt: string }[];
+}
+
+export type CheckInStatus = 'admitted' | 'already_used' | 'void' | 'invalid' | 'wrong_event';
+
+export interface CheckInResult {
+  status: CheckInStatus;
+  ticketId?: string;
+  tierName?: string | null;
+  checkedInAt?: string | null;
+}
+
+export interface CheckInSyncResult {
+  synced: number;
+  // Tickets another device admitted first
+  conflicts: number;
+  // Tickets the server refused: unknown, void, or not this organiser's
+  rejected: number;
+  remaining: number;
+}
+
+async function readCache(eventId: string): Promise<CheckInCache | null> {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_PREFIX + eventId);
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    console.error('Error reading check-in cache:', error);
+    return null;
+  }
+}
+
+async function writeCache(cache: CheckInCache): Promise<void> {
+  await AsyncStorage.setItem(STORAGE_PREFIX + cache.eventId, JSON.stringify(cache));
+}
+
+/**
+ * Organizer check-in. Codes are verified on the device against the cached
+ * event key, so scanning keeps working offline; admissions are queued and
+ * pushed to the server by syncCheckIns.
+ */
+export const checkInService = {
+  /**
+   * Events the user organizes, newest first
+   */
+  async getOrganizedEvents(userId: string): Promise<any[]> {
+    try {
+      const { data, error } = await supabase
+        .from('events')
+        .select('*')
+        .eq('organizer_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching organized events:', error);
+        throw new Error(`Failed to fetch your events: ${error.message}`);
+      }
+
+      return data || [];
+    } catch (error) {
+      console.error('Error in getOrganizedEvents:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * The cached guest list for an event, or null before the first download
+   */
+  async getCache(eventId: string): Promise<CheckInCache | null> {
+    return readCache(eventId);
+  },
+
+  /**
+   * Download the event key and guest list. Admissions still waiting to sync
+   * stay marked as used.
+   */
+  async prepareEvent(eventId: string): Promise<CheckInCache> {
+    try {
+      const [keyResult, tiersResult, ticketsResult] = await Promise.all([
+        supabase.from('event_ticket_keys').select('secret').eq('event_id', eventId).maybeSingle(),
+        supabase.from('ticket_tiers').select('id, name').eq('event_id', eventId),
+        supabase.from('tickets').select('id, status, checked_in_at').eq('event_id', eventId),
+      ]);
+
+      const error = keyResult.error || tiersResult.error || ticketsResult.error;
+      if (error) {
+        console.error('Error downloading guest list:', error);
+        throw new Error(`Failed to download guest list: ${error.message}`);
+      }
+      if (!keyResult.data?.secret) {
+        throw new Error('Only the event organizer can check guests in');
+      }
+
+      const previous = await readCache(eventId);
+      const pending = previous?.pending ?? [];
+
+      const cache: CheckInCache = {
+        eventId,
+        key: keyResult.data.secret,
+        downloadedAt: new Date().toISOString(),
+        tiers: Object.fromEntries((tiersResult.data || []).map((tier: any) => [tier.id, tier.name])),
+        tickets: Object.fromEntries((ticketsResult.data || []).map((ticket: any) => [
+          ticket.id,
+          { status: ticket.status, checkedInAt: ticket.checked_in_at ?? null },
+        ])),
+        pending,
+      };
+      for (const { ticketId, checkedInAt } of pending) {
+        cache.tickets[ticketId] = { status: 'used', checkedInAt };
+      }
+
+      await writeCache(cache);
+      return cache;
+    } catch (error) {
+      console.error('Error in prepareEvent:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Verify a scanned code against the cached key and admit the guest.
+   * A validly signed ticket that is missing from the guest list was sold
+   * after the download, so it is admitted too.
+   */
+  async checkIn(eventId: string, code: string): Promise<CheckInResult> {
+    const cache = await readCache(eventId);
+    if (!cache) {
+      throw new Error('Download the guest list before checking guests in');
+    }
+
+    const parts = parseTicketCode(code);
+    if (!parts) return { status: 'invalid' };
+    if (parts.eventId !== eventId) return { status: 'wrong_event', ticketId: parts.ticketId };
+    if (!verifyTicketSignature(parts, cache.key)) return { status: 'invalid' };
+
+    const tierName = cache.tiers[parts.tierId] ?? null;
+    const known = cache.tickets[parts.ticketId];
+    if (known?.status === 'void') {
+      return { status: 'void', ticketId: parts.ticketId, tierName };
+    }
+    if (known?.status === 'used') {
+      return { status: 'already_used', ticketId: parts.ticketId, tierName, checkedInAt: known.checkedInAt };
+    }
+
+    const checkedInAt = new Date().toISOString();
+    cache.tickets[parts.ticketId] = { status: 'used', checkedInAt };
+    cache.pending.push({ ticketId: parts.ticketId, checkedInAt });
+    await writeCache(cache);
+
+    return { status: 'admitted', ticketId: parts.ticketId, tierName, checkedInAt };
+  },
+
+  /**
+   * Push queued admissions to the server. Conflicts and rejections are
+   * final answers and leave the queue; any other error (network, transient
+   * server failure) stops the sync and keeps the rest for the next attempt.
+   */
+  async syncCheckIns(eventId: string): Promise<CheckInSyncResult> {
+    const cache = await readCache(eventId);
+    if (!cache || cache.pending.length === 0) {
+      return { synced: 0, conflicts: 0, rejected: 0, remaining: 0 };
+    }
+
+    let synced = 0;
+    let conflicts = 0;
+    const rejected = new Set<string>();
+    const remaining = [...cache.pending];
+
+    while (remaining.length > 0) {
+      const { ticketId, checkedInAt } = remaining[0];
+      const { error } = await supabase.rpc('check_in_ticket', {
+        p_ticket_id: ticketId,
+        p_checked_in_at: checkedInAt,
+      });
+
+      const isRejected = !!error && TICKET_REJECTED_CODES.includes(error.code);
+      if (error && error.code !== TICKET_CONFLICT_CODE && !isRejected) {
+        console.error('Error syncing check-in:', error);
+        break;
+      }
+
+      if (isRejected) rejected.add(ticketId);
+      else if (error) conflicts += 1;
+      else synced += 1;
+      remaining.shift();
+    }
+
+    // Re-read so scans made while syncing are not lost
+    const latest = (await readCache(eventId)) ?? cache;
+    const done = new Set(cache.pending.slice(0, cache.pending.length - remaining.length).map((item) => item.ticketId));
+    latest.pending = latest.pending.filter((item) => !done.has(item.ticketId));
+    // The guest was not admitted after all; scanning again shows it as void
+    for (const ticketId of rejected) {
+      latest.tickets[ticketId] = { status: 'void', checkedInAt: null };
+    }
+    await writeCache(latest);
+
+    return { synced, conflicts, rejected: rejected.size, remaining: latest.pending.length };
+  },
+};
@@ -1,4 +1,7 @@
 import supabase from '../config/supabaseClient';
+import { EVENT_ASSUMED_HOURS, weekendWindow } from '../utils/events';
+import { toRatingStats } from '../utils/ratings';
+import { profileService } from './profileService';
 
 /**
  * Event service
@@ -35,64 +38,243 @@ async function getCurrentUserId() {
   }
 }
 
+// PostgREST `or` filter: the event is still running at `from`. Events
+// without an end count as running for EVENT_ASSUMED_HOURS after they start.
+function runningAfter(from) {
+  const startedSince = new Date(from.getTime() - EVENT_ASSUMED_HOURS * 60 * 60 * 1000);
+  return `ends_at.gt.${from.toISOString()},and(ends_at.is.null,starts_at.gt.${startedSince.toISOString()})`;
+}
+
+// Events come with the server-side rating_stats aggregate; avgRating and
+// ratingsCount stay as the fields cards read
+function withRatingStats({ rating_stats: raw, ...event }) {
+  const ratingStats = toRatingStats(raw);
+  return { ...event, ratingStats, avgRating: ratingStats.average, ratingsCount: ratingStats.count };
+}
+
+// Time filters shared by fetchEvents and getEventFacets: events still running
+// at `from` (null = no lower bound) that start before `until` (null = open).
+// Undated events only pass when there is no `until`.
+function timeWindow({ includePast, range, when }) {
+  const window = when === 'weekend' ? weekendWindow() : range;
+  if (window) {
+    const start = new Date(window.start);
+    return {
+      from: includePast ? start : new Date(Math.max(start.getTime(), Date.now())),
+      until: new Date(window.end),
+    };
+  }
+  return { from: includePast ? null : new Date(), until: null };
+}
+
+// Words of a free-text search. `*` is PostgREST's like wildcard, so it is
+// treated as a separator rather than searched for.
+function searchTerms(search) {
+  return (search || '').replace(/\*/g, ' ').split(/\s+/).filter(Boolean);
+}
+
+// PostgREST `or` filter: title or description contains `term`. LIKE wildcards
+// are escaped and the value quoted so commas and parentheses stay literal.
+function textMatches(term) {
+  const pattern = `*${term.replace(/[\\%_]/g, '\\$&')}*`;
+  const quoted = `"${pattern.replace(/[\\"]/g, '\\$&')}"`;
+  return `title.ilike.${quoted},description.ilike.${quoted}`;
+}
+
+// Quoted list of values for PostgREST `ov` ({...}) and `in` ((...)) filters
+function quotedValues(values) {
+  return values.map(value => `"${String(value).replace(/[\\"]/g, '\\$&')}"`).join(',');
+}
+
 /**
- * Fetch events with optional filters. Includes aggregated rating (avg) computed client-side.
+ * Fetch events with optional filters. Includes the rating aggregate (see withRatingStats).
+ * Past events are left out unless includePast is set; undated events are kept.
  * @param {Object} opts
  * @param {number} opts.limit
  * @param {number} opts.offset
- * @param {string[]} opts.tags - filter events that contain all supplied tags
- * @param {string} opts.orderBy - column to order by (default: created_at)
+ * @param {string[]} opts.tags - filter events by these tags
+ * @param {'all'|'any'} opts.tagMatch - 'all' (default) needs every tag, 'any' at least one
+ * @param {string} opts.category - only events in this category
+ * @param {string} opts.search - free text; every word must appear in the title or description
+ * @param {string[]} opts.excludeTags - leave out events with any of these tags or in one of these categories (muted interests)
+ * @param {boolean} opts.includePast - also return events that are over
+ * @param {{start: Date|string, end: Date|string}|null} opts.range - only events running at some point in [start, end)
+ * @param {'weekend'|null} opts.when - 'weekend' is shorthand for the range of this weekend (Fri–Sun, see weekendWindow)
+ * @param {string} opts.orderBy - column to order by (default: created_at, newest first; starts_at sorts soonest first;
+ *   rating_score sorts by the Bayesian rating, best first)
  */
-export async function fetchEvents({ limit = 50, offset = 0, tags = null, orderBy = 'created_at' } = {}) {
+export async function fetchEvents({
+  limit = 50,
+  offset = 0,
+  tags = null,
+  tagMatch = 'all',
+  category = null,
+  search = null,
+  excludeTags = null,
+  includePast = false,
+  range = null,
+  when = null,
+  orderBy = 'created_at',
+} = {}) {
   try {
-    let query = supabase.from('events').select('*, event_ratings(rating)');
+    let query = supabase.from('events').select('*, rating_stats');
 
     if (tags && Array.isArray(tags) && tags.length > 0) {
       // assumes "tags" is a Postgres text[] column
-      query = query.contains('tags', tags);
+      query = tagMatch === 'any' ? query.overlaps('tags', tags) : query.contains('tags', tags);
+    }
+
+    if (category) {
+      query = query.eq('category', category);
+    }
+
+    for (const term of searchTerms(search)) {
+      query = query.or(textMatches(term));
+    }
+
+    if (excludeTags && excludeTags.length > 0) {
+      const values = quotedValues(excludeTags);
+      query = query
+        .or(`tags.is.null,tags.not.ov.{${values}}`)
+        .or(`category.is.null,category.not.in.(${values})`);
+    }
+
+    const { from, until } = timeWindow({ includePast, range, when });
+    if (until) {
+      query = query.lt('starts_at', until.toISOString()).or(runningAfter(from));
+    } else if (from) {
+      query = query.or(`${runningAfter(from)},starts_at.is.null`);
     }
 
     // pagination
-    query = query.range(offset, offset + limit - 1).order(orderBy, { ascending: false });
+    query = query.range(offset, offset + limit - 1).order(orderBy, { ascending: orderBy === 'starts_at' });
 
     const { data, error } = await query;
     if (error) throw error;
 
-    // compute avg rating per event
-    const events = (data || []).map(evt => {
-      const ratings = evt.event_ratings || [];
-      const avgRating = ratings.length ? (ratings.reduce((s, r) => s + Number(r.rating || 0), 0) / ratings.length) : null;
-      return { ...evt, avgRating, ratingsCount: ratings.length };
+    return (data || []).map(withRatingStats);
+  } catch (err) {
+    console.error('fetchEvents error', err);
+    throw err;
+  }
+}
+
+/**
+ * How many events each category and tag filter would return, for chip counts.
+ * Takes the same filters as fetchEvents; each facet ignores its own filter, so
+ * `categories` counts every category given the tags, search and dates, and
+ * `total` applies everything.
+ * @returns {Promise<{total: number, categories: Object<string, number>, tags: Object<string, number>}>}
+ */
+export async function getEventFacets({
+  tags = null,
+  tagMatch = 'all',
+  category = null,
+  search = null,
+  excludeTags = null,
+  includePast = false,
+  range = null,
+  when = null,
+} = {}) {
+  try {
+    const { from, until } = timeWindow({ includePast, range, when });
+    const terms = searchTerms(search);
+    const { data, error } = await supabase.rpc('event_facets', {
+      p_tags: tags && tags.length > 0 ? tags : null,
+      p_tag_match: tagMatch,
+      p_category: category || null,
+      p_search_terms: terms.length > 0 ? terms : null,
+      p_running_after: from ? from.toISOString() : null,
+      p_starts_before: until ? until.toISOString() : null,
+      p_exclude_tags: excludeTags && excludeTags.length > 0 ? excludeTags : null,
     });
+    if (error) throw error;
 
-    return events;
+    return {
+      total: Number(data?.total) || 0,
+      categories: data?.categories || {},
+      tags: data?.tags || {},
+    };
   } catch (err) {
-    console.error('fetchEvents error', err);
+    console.error('getEventFacets error', err);
     throw err;
   }
 }
 
 /**
- * Get a single event by id with ratings and average rating
+ * Get a single event by id with its rating aggregate and star histogram
  */
 export async function getEventById(eventId) {
   if (!eventId) throw new Error('eventId is required');
   try {
-    const { data, error } = await supabase.from('events').select('*, event_ratings(rating, user_id, comment, created_at)').eq('id', eventId).single();
+    const { data, error } = await supabase.from('events').select('*, rating_stats').eq('id', eventId).single();
     if (error) throw error;
-    const ratings = data.event_ratings || [];
-    const avgRating = ratings.length ? (ratings.reduce((s, r) => s + Number(r.rating || 0), 0) / ratings.length) : null;
-    return { ...data, avgRating, ratingsCount: ratings.length };
+    return withRatingStats(data);
   } catch (err) {
     console.error('getEventById error', err);
     throw err;
   }
 }
 
+/**
+ * Page of written reviews for an event, newest first, with the reviewer's username.
+ * @param {string} eventId
+ * @param {Object} opts
+ * @param {number} opts.limit
+ * @param {number} opts.offset
+ */
+export async function getEventComments(eventId, { limit = 10, offset = 0 } = {}) {
+  if (!eventId) throw new Error('eventId is required');
+  try {
+    const { data, error } = await supabase
+      .from('event_ratings')
+      .select('id, user_id, rating, comment, created_at')
+      .eq('event_id', eventId)
+      .not('comment', 'is', null)
+      .neq('comment', '')
+      .order('created_at', { ascending: false })
+      .range(offset, offset + limit - 1);
+    if (error) throw error;
+
+    // Usernames are a nicety; show the comments even if profiles can't be read
+    const profiles = await profileService
+      .getProfilesByIds((data || []).map(r => r.user_id))
+      .catch(() => ({}));
+
+    return (data || []).map(r => ({ ...r, username: profiles[r.user_id]?.username ?? null }));
+  } catch (err) {
+    console.error('getEventComments error', err);
+    throw err;
+  }
+}
+
+/**
+ * The current user's rating for an event, or null if they haven't rated it
+ */
+export async function getMyRating(eventId, userId = null) {
+  if (!eventId) throw new Error('eventId is required');
+  const uid = userId || (await getCurrentUserId());
+  if (!uid) return null;
+  try {
+    const { data, error } = await supabase
+      .from('event_ratings')
+      .select('id, rating, comment')
+      .eq('event_id', eventId)
+      .eq('user_id', uid)
+      .maybeSingle();
+    if (error) throw error;
+    return data;
+  } catch (err) {
+    console.error('getMyRating error', err);
+    throw err;
+  }
+}
+
 /**
  * Compute preference delta based on rating.
  * Policy used: center rating around 3; delta = rating - 3.0
  * So 5 -> +2, 1 -> -2. Scale is configurable here.
+ * Scores decay and are capped in the database (see increment_user_preferences).
  */
 function computePreferenceDelta(rating, weight = 1.0) {
   const center = 3.0;
@@ -101,49 +283,54 @@ function computePreferenceDelta(rating, weight = 1.0) {
 }
 
 /**
- * Update user's preference scores for given tags (or categories).
- * Upserts each tag row (assumes unique constraint on (user_id, tag)).
+ * Atomically add deltas to a user's preference scores, all tags in one call.
+ * Deltas must be finite numbers; zero deltas are skipped.
+ * @param {string} userId
+ * @param {Object<string, number>} deltas - tag -> amount to add to its score
+ * @returns {Promise<Array<{tag: string, score: number}>>} the new scores of the changed tags
  */
-export async function updateUserPreferences(userId, tags = [], delta = 0) {
+export async function incrementUserPreferences(userId, deltas = {}) {
   if (!userId) throw new Error('userId required');
-  if (!Array.isArray(tags) || tags.length === 0) return;
-
-  try {
-    // For each tag, fetch existing score, then upsert with new score
-    // Note: this is done sequentially for clarity. If you have many tags you can batch these in parallel.
-    for (const tag of tags) {
-      const { data: existing, error: fetchErr } = await supabase
-        .from('user_preferences')
-        .select('*')
-        .eq('user_id', userId)
-        .eq('tag', tag)
-        .single();
-      if (fetchErr && fetchErr.code !== 'PGRST116') {
-        // PGRST116 is "No rows found" in some setups; ignore if not found
-        // but rethrow other errors
-        // Avoid relying on code strings across versions; this is a best-effort pattern
-      }
-
-      const currentScore = existing?.score ?? 0;
-      const newScore = Number(currentScore) + Number(delta);
-
-      const payload = {
-        user_id: userId,
-        tag,
-        score: newScore,
-      };
+  if (!deltas || typeof deltas !== 'object' || Array.isArray(deltas)) {
+    throw new Error('deltas must be an object of tag to number');
+  }
 
-      const { error: upsertErr } = await supabase.from('user_preferences').upsert(payload, { onConflict: ['user_id', 'tag'] });
-      if (upsertErr) throw upsertErr;
+  const changes = {};
+  for (const [tag, delta] of Object.entries(deltas)) {
+    if (!tag.trim()) throw new Error('preference tags cannot be empty');
+    if (typeof delta !== 'number' || !Number.isFinite(delta)) {
+      throw new Error(`preference delta for "${tag}" must be a finite number`);
     }
+    if (delta !== 0) changes[tag] = delta;
+  }
+  if (Object.keys(changes).length === 0) return [];
 
-    return true;
+  try {
+    const { data, error } = await supabase.rpc('increment_user_preferences', {
+      p_user_id: userId,
+      p_deltas: changes,
+    });
+    if (error) throw error;
+    return (data || []).map(row => ({ tag: row.tag, score: Number(row.score) }));
   } catch (err) {
-    console.error('updateUserPreferences error', err);
+    console.error('incrementUserPreferences error', err);
     throw err;
   }
 }
 
+/**
+ * Add the same delta to the user's preference score for each tag (or category).
+ * Repeated tags count once.
+ */
+export async function updateUserPreferences(userId, tags = [], delta = 0) {
+  if (!userId) throw new Error('userId required');
+  if (!Array.isArray(tags) || tags.length === 0) return;
+
+  const deltas = Object.fromEntries(tags.map(tag => [tag, delta]));
+  await incrementUserPreferences(userId, deltas);
+  return true;
+}
+
 /**
  * Add or update a rating from a user for an event. Also updates preference scores.
  * If a rating by the same user for the same event exists, we update it.
@@ -167,12 +354,8 @@ export async function addRating({ userId = null, eventId, rating, comment = null
       .select('*')
       .eq('user_id', uid)
       .eq('event_id', eventId)
-      .single();
-
-    if (fetchErr && fetchErr.code && fetchErr.code !== 'PGRST116') {
-      // rethrow unexpected errors
-      // continue if "no rows" found
-    }
+      .maybeSingle();
+    if (fetchErr) throw fetchErr;
 
     if (existing && existing.id) {
       // Update existing rating
@@ -216,15 +399,36 @@ export async function addToTrip({ userId = null, eventId, tripId = null } = {})
   if (!uid) throw new Error('user not authenticated');
 
   try {
+    // An event already saved without a trip is attached to the picked trip instead of duplicated
+    const { data: existing, error: fetchErr } = await supabase
+      .from('user_trips')
+      .select('id, trip_id')
+      .eq('user_id', uid)
+      .eq('event_id', eventId)
+      .limit(1);
+    if (fetchErr) throw fetchErr;
+
+    const current = existing?.[0];
+    if (current) {
+      if (tripId && current.trip_id !== tripId) {
+        const { error: updateErr } = await supabase
+          .from('user_trips')
+          .update({ trip_id: tripId, planned_date: null })
+          .eq('id', current.id);
+        if (updateErr) throw updateErr;
+      }
+      return true;
+    }
+
     const payload = { user_id: uid, event_id: eventId };
     if (tripId) payload.trip_id = tripId;
 
-    // prevent duplicates (optional) — assumes a unique constraint exists if you prefer
     const { error: insertErr } = await supabase.from('user_trips').insert(payload);
     if (insertErr) throw insertErr;
 
     // Positive preference bump for adding to trip
-    const { data: event } = await supabase.from('events').select('tags, category').eq('id', eventId).single();
+    const { data: event, error: eventErr } = await supabase.from('events').select('tags, category').eq('id', eventId).single();
+    if (eventErr) throw eventErr;
     const tags = event?.tags || (event?.category ? [event.category] : []);
 
     const delta = 0.75; // smaller positive bump than a 5-star rating
@@ -256,13 +460,59 @@ export async function getUserTripEvents(userId = null) {
   }
 }
 
+/**
+ * Events linked to one stay (user_trips.trip_id), with the itinerary day and order the user picked
+ */
+export async function getTripEvents(tripId) {
+  if (!tripId) throw new Error('tripId required');
+  try {
+    const { data, error } = await supabase
+      .from('user_trips')
+      .select('id, planned_date, position, event:events(*)')
+      .eq('trip_id', tripId)
+      .order('position', { ascending: true });
+    if (error) throw error;
+    return (data || []).filter(r => r.event);
+  } catch (err) {
+    console.error('getTripEvents error', err);
+    throw err;
+  }
+}
+
+/**
+ * Move a trip event to another itinerary day and/or position
+ */
+export async function moveTripEvent(userTripId, plannedDate, position = 0) {
+  if (!userTripId) throw new Error('userTripId required');
+  try {
+    const { error } = await supabase
+      .from('user_trips')
+      .update({ planned_date: plannedDate, position })
+      .eq('id', userTripId);
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.error('moveTripEvent error', err);
+    throw err;
+  }
+}
+
+/**
+ * The user's preference tags with their decayed score as of now, highest first.
+ * Muted tags are included with `muted: true`.
+ * @returns {Promise<Array<{tag: string, score: number, muted: boolean, updated_at: string}>>}
+ */
 export async function getUserPreferences(userId = null) {
   const uid = userId || (await getCurrentUserId());
   if (!uid) throw new Error('user not authenticated');
   try {
-    const { data, error } = await supabase.from('user_preferences').select('*').eq('user_id', uid);
+    const { data, error } = await supabase
+      .from('user_preference_scores')
+      .select('*')
+      .eq('user_id', uid)
+      .order('score', { ascending: false });
     if (error) throw error;
-    return data || [];
+    return (data || []).map(row => ({ ...row, score: Number(row.score) || 0 }));
   } catch (err) {
     console.error('getUserPreferences error', err);
     throw err;
@@ -270,32 +520,92 @@ export async function getUserPreferences(userId = null) {
 }
 
 /**
- * Subscribe to event changes (INSERT, UPDATE, DELETE). Callback receives a payload describing the change.
- * Usage: const sub = subscribeToEvents(handleChange);
- * To unsubscribe: supabase.removeSubscription(sub) or sub.unsubscribe() depending on client version
+ * Mute or unmute a tag. Muted tags keep their score but are left out of recommendations.
  */
-export function subscribeToEvents(onChange) {
-  // This uses the Realtime (or PostgresChanges) interface
+export async function setPreferenceMuted(userId, tag, muted) {
+  if (!userId) throw new Error('userId required');
+  if (!tag) throw new Error('tag required');
   try {
-    const channel = supabase.channel('public:events').on('postgres_changes', { event: '*', schema: 'public', table: 'events' }, payload => {
-      onChange && onChange(payload);
-    }).subscribe();
+    const { error } = await supabase
+      .from('user_preferences')
+      .update({ muted: !!muted })
+      .eq('user_id', userId)
+      .eq('tag', tag);
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.error('setPreferenceMuted error', err);
+    throw err;
+  }
+}
+
+/**
+ * Forget a tag: its score goes back to zero and it is no longer muted
+ */
+export async function resetPreference(userId, tag) {
+  if (!userId) throw new Error('userId required');
+  if (!tag) throw new Error('tag required');
+  try {
+    const { error } = await supabase
+      .from('user_preferences')
+      .delete()
+      .eq('user_id', userId)
+      .eq('tag', tag);
+    if (error) throw error;
+    return true;
+  } catch (err) {
+    console.error('resetPreference error', err);
+    throw err;
+  }
+}
 
-    return channel;
+/**
+ * Subscribe to event changes (INSERT, UPDATE, DELETE). Callback receives the Supabase
+ * postgres_changes payload ({ eventType, new, old }).
+ * Usage: const unsubscribe = subscribeToEvents(handleChange); ... unsubscribe();
+ * Each call opens its own channel, so several screens can listen at once.
+ * Returns a no-op when realtime is unavailable.
+ */
+let subscriptionCount = 0;
+
+export function subscribeToEvents(onChange) {
+  try {
+    subscriptionCount += 1;
+    const channel = supabase
+      .channel(`public:events:${subscriptionCount}`)
+      .on('postgres_changes', { event: '*', schema: 'public', table: 'events' }, payload => {
+        onChange && onChange(payload);
+      })
+      .subscribe();
+
+    let removed = false;
+    return () => {
+      if (removed) return;
+      removed = true;
+      supabase.removeChannel(channel);
+    };
   } catch (err) {
     console.warn('subscribeToEvents not available or failed', err);
-    return null;
+    return () => {};
   }
 }
 
 const eventService = {
   fetchEvents,
+  getEventFacets,
   getEventById,
+  getEventComments,
+  getMyRating,
   addRating,
   addToTrip,
   getUserTripEvents,
+  getTripEvents,
+  moveTripEvent,
   getUserPreferences,
+  incrementUserPreferences,
   updateUserPreferences,
+  setPreferenceMuted,
+  resetPreference,
   subscribeToEvents,
 };
 
@@ -0,0 +1,154 @@
+// src/services/interactionPolicyService.ts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { supabase } from '../config/supabaseClient';
+import type { InteractionType } from './interactionService';
+
+const STORAGE_KEY = 'odini:interaction-policy';
+// How long a fetched policy is used before asking the server again
+const POLICY_TTL_MS = 6 * 60 * 60 * 1000;
+
+/**
+ * Weights for each interaction type under one version of the policy
+ */
+export interface InteractionWeightPolicy {
+  version: number;
+  weights: Record<InteractionType, number>;
+}
+
+interface CachedPolicy {
+  policy: InteractionWeightPolicy;
+  fetchedAt: number;
+}
+
+/**
+ * Version 2 as published by the impression migration: the weights the app
+ * shipped with (version 1) plus impressions, which carry no weight. Used
+ * until the first fetch succeeds.
+ */
+export const DEFAULT_INTERACTION_POLICY: InteractionWeightPolicy = {
+  version: 2,
+  weights: {
+    view: 1,
+    impression: 0,
+    click: 2,
+    save: 3,
+    message: 4,
+    share: 5,
+    book: 10,
+    swipe_left: -2,
+    swipe_right: 1,
+  },
+};
+
+let memoryCache: CachedPolicy | null = null;
+let inFlight: Promise<InteractionWeightPolicy> | null = null;
+
+const INTERACTION_TYPES = Object.keys(DEFAULT_INTERACTION_POLICY.weights) as InteractionType[];
+
+// A policy must weigh every interaction type the app records. Filling gaps
+// from another version would store rows whose policy_version does not say
+// which weights were applied, so an incomplete policy is not used at all.
+function toPolicy(row: any): InteractionWeightPolicy | null {
+  if (!row || !Number.isInteger(row.version) || !row.weights || typeof row.weights !== 'object') {
+    return null;
+  }
+
+  const weights = {} as Record<InteractionType, number>;
+  for (const type of INTERACTION_TYPES) {
+    const weight = row.weights[type];
+    if (typeof weight !== 'number' || !Number.isFinite(weight)) return null;
+    weights[type] = weight;
+  }
+  return { version: row.version, weights };
+}
+
+async function readStoredPolicy(): Promise<CachedPolicy | null> {
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    if (!raw) return null;
+    const cached = JSON.parse(raw);
+    const policy = toPolicy(cached?.policy);
+    return policy ? { policy, fetchedAt: Number(cached.fetchedAt) || 0 } : null;
+  } catch (error) {
+    console.error('Error reading interaction policy cache:', error);
+    return null;
+  }
+}
+
+async function fetchActivePolicy(): Promise<InteractionWeightPolicy> {
+  const { data, error } = await supabase
+    .from('interaction_weight_policies')
+    .select('version, weights')
+    .eq('active', true)
+    .maybeSingle();
+
+  if (error) {
+    throw new Error(`Failed to fetch interaction policy: ${error.message}`);
+  }
+
+  if (!data) {
+    throw new Error('No active interaction policy');
+  }
+  const policy = toPolicy(data);
+  if (!policy) {
+    throw new Error(`Interaction policy ${data.version} does not weigh every interaction type`);
+  }
+  return policy;
+}
+
+async function loadPolicy(): Promise<InteractionWeightPolicy> {
+  const stored = memoryCache ?? (await readStoredPolicy());
+  if (stored && Date.now() - stored.fetchedAt < POLICY_TTL_MS) {
+    memoryCache = stored;
+    return stored.policy;
+  }
+
+  try {
+    const policy = await fetchActivePolicy();
+    memoryCache = { policy, fetchedAt: Date.now() };
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(memoryCache)).catch((error) => {
+      console.error('Error caching interaction policy:', error);
+    });
+    return policy;
+  } catch (error) {
+    // Offline or misconfigured: keep using what we had, however old
+    console.error('Error in loadPolicy:', error);
+    return stored?.policy ?? DEFAULT_INTERACTION_POLICY;
+  }
+}
+
+/**
+ * The interaction weight policy, fetched from interaction_weight_policies
+ * and cached on the device for POLICY_TTL_MS. Never throws: without a
+ * connection, or when the active policy is incomplete, it falls back to the
+ * last cached policy, then to DEFAULT_INTERACTION_POLICY.
+ */
+export const interactionPolicyService = {
+  async getPolicy(): Promise<InteractionWeightPolicy> {
+    if (memoryCache && Date.now() - memoryCache.fetchedAt < POLICY_TTL_MS) {
+      return memoryCache.policy;
+    }
+    if (!inFlight) {
+      inFlight = loadPolicy().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  },
+
+  /**
+   * Weight of one interaction type under `policy`
+   */
+  weightFor(policy: InteractionWeightPolicy, interactionType: InteractionType): number {
+    return policy.weights[interactionType];
+  },
+
+  /**
+   * Drop the cached policy so the next getPolicy fetches it again
+   */
+  async clearCache(): Promise<void> {
+    memoryCache = null;
+    await AsyncStorage.removeItem(STORAGE_KEY);
+  },
+};
@@ -0,0 +1,335 @@
+// src/services/interactionQueue.ts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import NetInfo, { type NetInfoState } from '@react-native-community/netinfo';
+import { AppState, type AppStateStatus } from 'react-native';
+import type { InteractionType } from './interactionService';
+
+const STORAGE_KEY = 'odini:interaction-queue';
+const MAX_QUEUE_SIZE = 500;
+const BATCH_SIZE = 50;
+// Signals older than this are no longer worth sending
+const MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000;
+// Repeat views or impressions of the same listing or event within this
+// window count once
+const VIEW_DEDUPE_MS = 30 * 1000;
+const RETRY_BASE_MS = 5 * 1000;
+const RETRY_MAX_MS = 10 * 60 * 1000;
+
+/**
+ * An interaction waiting to be written to user_interactions. It is about
+ * either a listing or an event, never both.
+ */
+export interface QueuedInteraction {
+  id: string;
+  userId: string;
+  listingId?: string;
+  eventId?: string;
+  propertyId?: string;
+  interactionType: InteractionType;
+  metadata?: Record<string, any>;
+  createdAt: string;
+}
+
+interface QueueState {
+  items: QueuedInteraction[];
+  failures: number;
+  nextAttemptAt: number;
+}
+
+/**
+ * How a batch went: written, worth retrying later (offline, server trouble),
+ * or refused for good (RLS, a deleted listing or event, a malformed row)
+ */
+export type SendOutcome = 'sent' | 'retry' | 'rejected';
+
+/**
+ * Sends one batch
+ */
+export type InteractionSender = (batch: QueuedInteraction[]) => Promise<SendOutcome>;
+
+interface DeliveryResult {
+  // Ids that are finished with: written, or dropped as rejected
+  doneIds: string[];
+  sent: number;
+  retry: boolean;
+}
+
+const EMPTY_STATE: QueueState = { items: [], failures: 0, nextAttemptAt: 0 };
+
+let state: QueueState | null = null;
+// Every read-modify-write of the queue runs on this chain
+let chain: Promise<unknown> = Promise.resolve();
+let sender: InteractionSender | null = null;
+let flushing: Promise<number> | null = null;
+let retryTimer: ReturnType<typeof setTimeout> | null = null;
+let appStateSubscription: { remove: () => void } | null = null;
+let unsubscribeNetInfo: (() => void) | null = null;
+// Last connectivity NetInfo reported; null until its first report
+let wasOnline: boolean | null = null;
+// Signed-in user; undefined until the app reports one
+let currentUserId: string | null | undefined;
+// When each user last viewed each listing or event, for VIEW_DEDUPE_MS
+const recentViews = new Map<string, number>();
+
+function serialized<T>(task: () => Promise<T>): Promise<T> {
+  const run = chain.then(task, task);
+  chain = run.catch(() => undefined);
+  return run;
+}
+
+async function loadState(): Promise<QueueState> {
+  if (state) return state;
+  try {
+    const raw = await AsyncStorage.getItem(STORAGE_KEY);
+    const parsed = raw ? JSON.parse(raw) : null;
+    state = Array.isArray(parsed?.items)
+      ? { items: parsed.items, failures: Number(parsed.failures) || 0, nextAttemptAt: Number(parsed.nextAttemptAt) || 0 }
+      : { ...EMPTY_STATE };
+  } catch (error) {
+    console.error('Error reading interaction queue:', error);
+    state = { ...EMPTY_STATE };
+  }
+  return state;
+}
+
+async function saveState(next: QueueState): Promise<void> {
+  state = next;
+  try {
+    await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+  } catch (error) {
+    // The in-memory queue still holds the items for this session
+    console.error('Error saving interaction queue:', error);
+  }
+}
+
+function dropExpired(items: QueuedInteraction[], now: number): QueuedInteraction[] {
+  return items.filter((item) => now - Date.parse(item.createdAt) < MAX_AGE_MS);
+}
+
+function retryDelay(failures: number): number {
+  return Math.min(RETRY_BASE_MS * 2 ** (failures - 1), RETRY_MAX_MS);
+}
+
+// Connected, and not known to be cut off from the internet (captive portal)
+function isOnline(network: NetInfoState): boolean {
+  return network.isConnected === true && network.isInternetReachable !== false;
+}
+
+function scheduleRetry(at: number): void {
+  if (retryTimer) clearTimeout(retryTimer);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    interactionQueue.flush().catch(() => undefined);
+  }, Math.max(at - Date.now(), 0));
+}
+
+const DEDUPED_TYPES: InteractionType[] = ['view', 'impression'];
+
+// Feed impressions and detail-screen views are separate signals, so one
+// does not swallow the other
+function viewKey(interaction: Omit<QueuedInteraction, 'id' | 'createdAt'>): string {
+  const target = interaction.eventId ? `event:${interaction.eventId}` : `listing:${interaction.listingId}`;
+  return `${interaction.userId}:${target}:${interaction.interactionType}`;
+}
+
+// A rejected batch is split in half until the rows that cannot be written
+// are isolated and dropped, so one bad row does not hold back the rest
+async function deliver(send: InteractionSender, batch: QueuedInteraction[]): Promise<DeliveryResult> {
+  const outcome = await send(batch).catch((error): SendOutcome => {
+    console.error('Error sending interactions:', error);
+    return 'retry';
+  });
+
+  if (outcome === 'sent') {
+    return { doneIds: batch.map((item) => item.id), sent: batch.length, retry: false };
+  }
+  if (outcome === 'retry') {
+    return { doneIds: [], sent: 0, retry: true };
+  }
+  if (batch.length === 1) {
+    console.warn('Dropping interaction the server will not accept:', batch[0].interactionType, batch[0].id);
+    return { doneIds: [batch[0].id], sent: 0, retry: false };
+  }
+
+  const middle = Math.ceil(batch.length / 2);
+  const first = await deliver(send, batch.slice(0, middle));
+  if (first.retry) return first;
+  const second = await deliver(send, batch.slice(middle));
+  return {
+    doneIds: [...first.doneIds, ...second.doneIds],
+    sent: first.sent + second.sent,
+    retry: second.retry,
+  };
+}
+
+function newId(): string {
+  return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * Persistent queue in front of user_interactions. Interactions are stored in
+ * AsyncStorage first and written in batches, so signals survive bad
+ * connections and app restarts. A flush that fails for a transient reason
+ * backs off exponentially (5 s doubling up to 10 min); rows the server
+ * refuses are dropped. The queue also flushes when the app returns to the
+ * foreground and when the device comes back online. Holds at most MAX_QUEUE_SIZE items, oldest dropped first.
+ */
+export const interactionQueue = {
+  /**
+   * Where flushed batches go; InteractionService registers trackBatch
+   */
+  setSender(send: InteractionSender): void {
+    sender = send;
+  },
+
+  /**
+   * The signed-in user changed. Interactions queued for anyone else are
+   * dropped: they could only be written as that user, and RLS refuses them.
+   * Signing out (null) empties the queue.
+   */
+  async setUser(userId: string | null): Promise<void> {
+    if (userId === currentUserId) return;
+    currentUserId = userId;
+    recentViews.clear();
+
+    await serialized(async () => {
+      const current = await loadState();
+      const items = current.items.filter((item) => userId !== null && item.userId === userId);
+      if (items.length !== current.items.length) {
+        await saveState({ items, failures: 0, nextAttemptAt: 0 });
+      }
+    });
+
+    if (userId) interactionQueue.flush({ force: true }).catch(() => undefined);
+  },
+
+  /**
+   * Flush on foreground, on reconnect and whatever was left from the last
+   * session. Returns a function that stops listening.
+   */
+  start(): () => void {
+    if (!appStateSubscription) {
+      appStateSubscription = AppState.addEventListener('change', (status: AppStateStatus) => {
+        // Coming back is a good moment to retry without waiting out the backoff
+        if (status === 'active') interactionQueue.flush({ force: true }).catch(() => undefined);
+      });
+    }
+    if (!unsubscribeNetInfo) {
+      unsubscribeNetInfo = NetInfo.addEventListener((network) => {
+        const online = isOnline(network);
+        // NetInfo reports the current state on subscribe; only an
+        // offline-to-online change means the backoff is stale
+        if (online && wasOnline === false) interactionQueue.flush({ force: true }).catch(() => undefined);
+        wasOnline = online;
+      });
+    }
+    interactionQueue.flush().catch(() => undefined);
+
+    return () => {
+      appStateSubscription?.remove();
+      appStateSubscription = null;
+      unsubscribeNetInfo?.();
+      unsubscribeNetInfo = null;
+      wasOnline = null;
+      if (retryTimer) clearTimeout(retryTimer);
+      retryTimer = null;
+    };
+  },
+
+  /**
+   * Queue an interaction and try to send it. Resolves false only when it was
+   * skipped as a repeat view or impression of the same listing or event by
+   * the same user.
+   */
+  async enqueue(interaction: Omit<QueuedInteraction, 'id' | 'createdAt'>): Promise<boolean> {
+    const now = Date.now();
+    if (DEDUPED_TYPES.includes(interaction.interactionType)) {
+      const key = viewKey(interaction);
+      const lastViewedAt = recentViews.get(key);
+      if (lastViewedAt !== undefined && now - lastViewedAt < VIEW_DEDUPE_MS) return false;
+      recentViews.set(key, now);
+      for (const [recentKey, viewedAt] of recentViews) {
+        if (now - viewedAt >= VIEW_DEDUPE_MS) recentViews.delete(recentKey);
+      }
+    }
+
+    await serialized(async () => {
+      const current = await loadState();
+      const items = [
+        ...dropExpired(current.items, now),
+        { ...interaction, id: newId(), createdAt: new Date(now).toISOString() },
+      ].slice(-MAX_QUEUE_SIZE);
+      await saveState({ ...current, items });
+    });
+
+    interactionQueue.flush().catch(() => undefined);
+    return true;
+  },
+
+  /**
+   * Send queued interactions in batches until the queue is empty or a batch
+   * fails with an error worth retrying. Rows the server rejects for good are
+   * dropped. Waits out the backoff unless `force` is set. Resolves to the
+   * number of interactions written.
+   */
+  flush({ force = false }: { force?: boolean } = {}): Promise<number> {
+    if (flushing) return flushing;
+
+    const run = (async () => {
+      let sent = 0;
+      while (sender) {
+        const current = await serialized(loadState);
+        if (!force && Date.now() < current.nextAttemptAt) {
+          scheduleRetry(current.nextAttemptAt);
+          break;
+        }
+
+        const batch = dropExpired(current.items, Date.now()).slice(0, BATCH_SIZE);
+        if (batch.length === 0) {
+          if (current.items.length > 0) {
+            await serialized(async () => {
+              const latest = await loadState();
+              await saveState({ ...latest, items: dropExpired(latest.items, Date.now()) });
+            });
+          }
+          break;
+        }
+
+        const result = await deliver(sender, batch);
+
+        const doneIds = new Set(result.doneIds);
+        await serialized(async () => {
+          const latest = await loadState();
+          const items = dropExpired(latest.items.filter((item) => !doneIds.has(item.id)), Date.now());
+          if (!result.retry) {
+            await saveState({ items, failures: 0, nextAttemptAt: 0 });
+            return;
+          }
+          const failures = latest.failures + 1;
+          const nextAttemptAt = Date.now() + retryDelay(failures);
+          await saveState({ items, failures, nextAttemptAt });
+          scheduleRetry(nextAttemptAt);
+        });
+
+        sent += result.sent;
+        if (result.retry) break;
+      }
+      return sent;
+    })().finally(() => {
+      // Runs after `flushing` is assigned below, even when there was
+      // nothing to await (no sender yet)
+      flushing = null;
+    });
+
+    flushing = run;
+    return flushing;
+  },
+
+  /**
+   * Interactions waiting to be sent
+   */
+  async size(): Promise<number> {
+    return (await serialized(loadState)).items.length;
+  },
+};
@@ -1,13 +1,16 @@
 // src/services/interactionService.ts
 
-import { supabase } from '../config/supabaseclient';
+import { supabase } from '../config/supabaseClient';
 import type { Database } from '../types/database.types';
+import { interactionPolicyService } from './interactionPolicyService';
+import { interactionQueue, type SendOutcome } from './interactionQueue';
 
 /**
  * Types for interaction tracking
  */
 export type InteractionType = 
   | 'view'
+  | 'impression'
   | 'save'
   | 'book'
   | 'swipe_left'
@@ -19,77 +22,104 @@ export type InteractionType =
 export type SwipeDirection = 'left' | 'right';
 
 /**
- * Base interaction payload
+ * Base interaction payload. Interactions are about a listing or, from the
+ * events feed, an event.
  */
 interface BaseInteraction {
   userId: string;
-  listingId: string;
+  listingId?: string;
+  eventId?: string;
   propertyId?: string;
   metadata?: Record<string, any>;
 }
 
+// Postgres errors that no retry can fix: RLS refused the row (signed out or
+// another user), a foreign key or check failed (the listing or event was
+// deleted), or the row is malformed
+const PERMANENT_ERROR_CODES = ['42501', '23503', '23502', '23514', '22P02'];
+
+// Whether a failed insert should be retried later. Auth (401), timeouts
+// (408), rate limits (429), 5xx and network failures (no status) are
+// transient; other 4xx answers are not.
+function insertOutcome(error: { code?: string }, status: number): SendOutcome {
+  if (error.code && PERMANENT_ERROR_CODES.includes(error.code)) return 'rejected';
+  if (status >= 400 && status < 500 && ![401, 408, 429].includes(status)) return 'rejected';
+  return 'retry';
+}
+
+/**
+ * An interaction as written by trackBatch
+ */
+type BatchInteraction = BaseInteraction & {
+  interactionType: InteractionType;
+  createdAt?: string; // when it happened, for queued interactions
+};
+
 /**
  * Service for tracking user interactions.
  * All data collected here feeds into the recommendation system via the Edge Function.
+ * Weights come from the active interaction weight policy (interactionPolicyService),
+ * and each row records the policy_version that weighted it.
+ * track* calls go through the persistent interactionQueue, which writes them
+ * with trackBatch, so they resolve true once the interaction is queued.
  */
 export const InteractionService = {
   /**
    * Track when a user views a listing
-   * Weight: 1 - indicates passive interest
+   * Weight in policy v1: 1 - indicates passive interest
    */
   async trackView(
     userId: string,
     listingId: string,
-    propertyId?: string
+    propertyId?: string,
+    metadata?: Record<string, any>
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'view',
-      weight: 1,
+      metadata,
     });
   },
 
   /**
    * Track when a user saves/booksmarks a listing
-   * Weight: 3 - indicates strong interest
+   * Weight in policy v1: 3 - indicates strong interest
    */
   async trackSave(
     userId: string,
     listingId: string,
     propertyId?: string
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'save',
-      weight: 3,
     });
   },
 
   /**
    * Track when a user books a listing
-   * Weight: 10 - indicates highest level of interest
+   * Weight in policy v1: 10 - indicates highest level of interest
    */
   async trackBooking(
     userId: string,
     listingId: string,
     propertyId?: string
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'book',
-      weight: 10,
     });
   },
 
   /**
    * Track swipe interactions (Tinder-style)
-   * Weight: -2 for left (dislike), +1 for right (like)
+   * Weight in policy v1: -2 for left (dislike), +1 for right (like)
    */
   async trackSwipe(
     userId: string,
@@ -98,68 +128,135 @@ export const InteractionService = {
     propertyId?: string
   ): Promise<boolean> {
     const interactionType = direction === 'left' ? 'swipe_left' : 'swipe_right';
-    const weight = direction === 'left' ? -2 : 1;
 
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType,
-      weight,
     });
   },
 
   /**
    * Track click-through to listing details
-   * Weight: 2 - indicates active exploration
+   * Weight in policy v1: 2 - indicates active exploration
    */
   async trackClick(
     userId: string,
     listingId: string,
-    propertyId?: string
+    propertyId?: string,
+    metadata?: Record<string, any>
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'click',
-      weight: 2,
+      metadata,
+    });
+  },
+
+  /**
+   * Track when a listing card was on screen in a feed, with metadata
+   * { source, position, dwell_ms }
+   * Weight in policy v2: 0 - being shown is not interest; kept for
+   * measuring feeds and click-through
+   */
+  async trackImpression(
+    userId: string,
+    listingId: string,
+    metadata?: Record<string, any>
+  ): Promise<boolean> {
+    return this._queueInteraction({
+      userId,
+      listingId,
+      interactionType: 'impression',
+      metadata,
+    });
+  },
+
+  /**
+   * Track when an event card was on screen in a feed
+   * Same weight as a listing impression
+   */
+  async trackEventImpression(
+    userId: string,
+    eventId: string,
+    metadata?: Record<string, any>
+  ): Promise<boolean> {
+    return this._queueInteraction({
+      userId,
+      eventId,
+      interactionType: 'impression',
+      metadata,
+    });
+  },
+
+  /**
+   * Track when a user views an event's details
+   * Same weight as a listing view
+   */
+  async trackEventView(
+    userId: string,
+    eventId: string,
+    metadata?: Record<string, any>
+  ): Promise<boolean> {
+    return this._queueInteraction({
+      userId,
+      eventId,
+      interactionType: 'view',
+      metadata,
+    });
+  },
+
+  /**
+   * Track click-through to event details
+   * Same weight as a listing click
+   */
+  async trackEventClick(
+    userId: string,
+    eventId: string,
+    metadata?: Record<string, any>
+  ): Promise<boolean> {
+    return this._queueInteraction({
+      userId,
+      eventId,
+      interactionType: 'click',
+      metadata,
     });
   },
 
   /**
    * Track when user shares a listing
-   * Weight: 5 - indicates strong endorsement
+   * Weight in policy v1: 5 - indicates strong endorsement
    */
   async trackShare(
     userId: string,
     listingId: string,
     propertyId?: string
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'share',
-      weight: 5,
     });
   },
 
   /**
    * Track when user messages a host about a listing
-   * Weight: 4 - indicates serious interest
+   * Weight in policy v1: 4 - indicates serious interest
    */
   async trackMessage(
     userId: string,
     listingId: string,
     propertyId?: string
   ): Promise<boolean> {
-    return this._insertInteraction({
+    return this._queueInteraction({
       userId,
       listingId,
       propertyId,
       interactionType: 'message',
-      weight: 4,
     });
   },
 
@@ -167,40 +264,42 @@ export const InteractionService = {
    * Batch track multiple interactions at once
    * Useful for offline syncing or bulk operations
    */
-  async trackBatch(
-    interactions: Array<{
-      userId: string;
-      listingId: string;
-      propertyId?: string;
-      interactionType: InteractionType;
-      weight: number;
-      metadata?: Record<string, any>;
-    }>
-  ): Promise<boolean> {
+  async trackBatch(interactions: BatchInteraction[]): Promise<boolean> {
+    return (await this._writeBatch(interactions)) === 'sent';
+  },
+
+  /**
+   * Private method to insert a batch of interactions
+   * Tells the queue whether a failure is worth retrying
+   */
+  async _writeBatch(interactions: BatchInteraction[]): Promise<SendOutcome> {
     try {
+      const policy = await interactionPolicyService.getPolicy();
       const formattedInteractions = interactions.map((interaction) => ({
         user_id: interaction.userId,
-        listing_id: interaction.listingId,
+        listing_id: interaction.listingId ?? null,
+        event_id: interaction.eventId ?? null,
         property_id: interaction.propertyId,
         interaction_type: interaction.interactionType,
-        weight: interaction.weight,
+        weight: interactionPolicyService.weightFor(policy, interaction.interactionType),
+        policy_version: policy.version,
         metadata: interaction.metadata || null,
-        created_at: new Date().toISOString(),
+        created_at: interaction.createdAt || new Date().toISOString(),
       }));
 
-      const { error } = await supabase
+      const { error, status } = await supabase
         .from('user_interactions')
         .insert(formattedInteractions);
 
       if (error) {
         console.error('Error tracking batch interactions:', error);
-        return false;
+        return insertOutcome(error, status);
       }
 
-      return true;
+      return 'sent';
     } catch (error) {
-      console.error('Error in trackBatch:', error);
-      return false;
+      console.error('Error in _writeBatch:', error);
+      return 'retry';
     }
   },
 
@@ -256,51 +355,35 @@ export const InteractionService = {
   },
 
   /**
-   * Private method to insert a single interaction
-   * Centralizes the database insertion logic
+   * Start sending queued interactions: now, after failures with backoff, and
+   * whenever the app returns to the foreground. Follows the signed-in user so
+   * nobody's signals are sent as someone else. Returns a stop function.
    */
-  private async _insertInteraction({
-    userId,
-    listingId,
-    propertyId,
-    interactionType,
-    weight,
-    metadata,
-  }: {
-    userId: string;
-    listingId: string;
-    propertyId?: string;
+  startQueue(): () => void {
+    const stopQueue = interactionQueue.start();
+    const { data: listener } = supabase.auth.onAuthStateChange((_event, session) => {
+      interactionQueue.setUser(session?.user?.id ?? null).catch((error) => {
+        console.error('Error switching interaction queue user:', error);
+      });
+    });
+
+    return () => {
+      listener.subscription.unsubscribe();
+      stopQueue();
+    };
+  },
+
+  /**
+   * Private method to queue a single interaction
+   * Centralizes how track* calls reach the database
+   */
+  async _queueInteraction(interaction: BaseInteraction & {
     interactionType: InteractionType;
-    weight: number;
-    metadata?: Record<string, any>;
   }): Promise<boolean> {
     try {
-      const { error } = await supabase
-        .from('user_interactions')
-        .insert({
-          user_id: userId,
-          listing_id: listingId,
-          property_id: propertyId,
-          interaction_type: interactionType,
-          weight: weight,
-          metadata: metadata || null,
-          created_at: new Date().toISOString(),
-        });
-
-      if (error) {
-        console.error(`Error tracking ${interactionType}:`, error);
-        return false;
-      }
-
-      // Optionally trigger a background refresh of recommendations
-      // This is non-blocking and doesn't affect user experience
-      this._triggerRecommendationUpdate(userId).catch(() => {
-        // Silent fail - this is just an optimization
-      });
-
-      return true;
+      return await interactionQueue.enqueue(interaction);
     } catch (error) {
-      console.error(`Error in _insertInteraction for ${interactionType}:`, error);
+      console.error(`Error in _queueInteraction for ${interaction.interactionType}:`, error);
       return false;
     }
   },
@@ -309,7 +392,7 @@ export const InteractionService = {
    * Private method to trigger recommendation updates in background
    * This helps keep recommendations fresh without blocking the UI
    */
-  private async _triggerRecommendationUpdate(userId: string): Promise<void> {
+  async _triggerRecommendationUpdate(userId: string): Promise<void> {
     try {
       // Non-blocking call to refresh recommendations
       await supabase.functions.invoke('recommendations', {
@@ -322,4 +405,18 @@ export const InteractionService = {
       // Silent fail - this is just an optimization
     }
   },
-};
\ No newline at end of file
+};
+
+// Queued interactions are written with trackBatch; each user whose signals
+// arrived gets a background recommendations refresh
+interactionQueue.setSender(async (batch) => {
+  const outcome = await InteractionService._writeBatch(batch);
+  if (outcome === 'sent') {
+    for (const userId of new Set(batch.map((item) => item.userId))) {
+      InteractionService._triggerRecommendationUpdate(userId).catch(() => {
+        // Silent fail - this is just an optimization
+      });
+    }
+  }
+  return outcome;
+});
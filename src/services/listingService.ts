@@ -1,7 +1,12 @@
 // src/services/listingService.ts
 
-import { supabase } from '../config/supabaseclient';
+import { supabase } from '../config/supabaseClient';
 import type { Database } from '../types/';
+import { isValidStayRange, type DateRange } from '../utils/dateRanges';
+import { boundingBoxForRadius, haversineKm, isValidLatLng } from '../utils/geo';
+import { toRatingStats, type RatingStats } from '../utils/ratings';
+import { availabilityService } from './availabilityService';
+import { InteractionService } from './interactionService';
 
 /**
  * Core listing type from database
@@ -11,6 +16,7 @@ export interface Listing {
   title: string;
   description: string;
   host_id: string;
+  category?: string;
   price_per_night: number;
   location_lat: number;
   location_lng: number;
@@ -27,6 +33,8 @@ export interface Listing {
   review_count: number;
   created_at: string;
   updated_at: string;
+  distance_km?: number; // Only present on proximity searches
+  rating_stats?: RatingStats; // Only present on fetchListingById
 }
 
 /**
@@ -52,6 +60,53 @@ export interface TripInput {
   tripName?: string;
 }
 
+/**
+ * Lifecycle of a row in `trips`
+ */
+export type TripStatus = 'saved' | 'booked' | 'cancelled' | 'completed';
+
+/**
+ * Allowed status changes; cancelled and completed trips are final
+ */
+export const TRIP_STATUS_TRANSITIONS: Record<TripStatus, TripStatus[]> = {
+  saved: ['booked', 'cancelled'],
+  booked: ['cancelled', 'completed'],
+  cancelled: [],
+  completed: [],
+};
+
+/**
+ * A row of `trips` joined with its listing
+ */
+export interface UserTrip {
+  tripId: string;
+  listing: Listing;
+  startDate: string;
+  endDate: string;
+  status: string;
+  guestCount: number;
+  tripName: string;
+}
+
+/**
+ * Returned when the requested nights overlap another booking or a blocked period
+ */
+export interface BookingConflict {
+  code: 'BOOKING_CONFLICT';
+  requested: DateRange;
+  alternatives: DateRange[];
+}
+
+/**
+ * Result of booking or changing a trip; `error` is safe to show to the user
+ */
+export interface TripActionResult {
+  success: boolean;
+  tripId?: string;
+  error?: string;
+  conflict?: BookingConflict;
+}
+
 /**
  * Pagination parameters for listing queries
  */
@@ -69,74 +124,320 @@ export interface ProximityParams {
   radiusKm?: number;
 }
 
+/**
+ * Sort orders supported by fetchListings
+ */
+export type ListingSort = 'newest' | 'price_asc' | 'price_desc' | 'rating' | 'distance';
+
+/**
+ * Filters shared by fetchListings and searchListings
+ */
+export interface ListingFilters {
+  query?: string;
+  category?: string;
+  minPrice?: number;
+  maxPrice?: number;
+  amenities?: string[];
+  minBedrooms?: number;
+  minBeds?: number;
+  minBathrooms?: number;
+  minGuests?: number;
+  availability?: { start: string; end: string };
+  sortBy?: ListingSort;
+}
+
+/**
+ * Full parameter set accepted by fetchListings
+ */
+export interface ListingQueryParams extends ListingFilters {
+  pagination?: PaginationParams;
+  proximity?: ProximityParams;
+}
+
+/**
+ * Column ordering for each sort option. Distance ordering needs a proximity
+ * search, so it falls back to newest when no proximity is given. Rating uses
+ * the Bayesian rating_score, so a few perfect ratings don't beat many good ones.
+ */
+const SORT_ORDER: Record<Exclude<ListingSort, 'distance'>, { column: string; ascending: boolean }> = {
+  newest: { column: 'created_at', ascending: false },
+  price_asc: { column: 'price_per_night', ascending: true },
+  price_desc: { column: 'price_per_night', ascending: false },
+  rating: { column: 'rating_score', ascending: false },
+};
+
+/**
+ * Autocomplete suggestion for the listing search box
+ */
+export interface SearchSuggestion {
+  type: 'city' | 'title';
+  value: string;
+}
+
+/**
+ * Strip characters that would break a PostgREST `or()` filter or act as
+ * wildcards inside an `ilike` pattern
+ */
+function sanitizeSearchTerm(term: string): string {
+  return term.replace(/[%_,()\\*]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * PostgREST / Postgres error codes returned when an RPC is not deployed
+ */
+const MISSING_FUNCTION_CODES = new Set(['PGRST202', '42883']);
+
+/**
+ * Upper bound on rows pulled for client-side radius filtering
+ */
+const FALLBACK_ROW_LIMIT = 1000;
+
+/**
+ * Listings to search: the table, or only those free for `availability`.
+ * The date check runs in the database (available_listings), so booked
+ * listings never travel to the client.
+ */
+function listingsSource(params: ListingFilters): any {
+  return params.availability
+    ? supabase.rpc('available_listings', {
+        check_in: params.availability.start,
+        check_out: params.availability.end,
+      }).select('*')
+    : supabase.from('listings').select('*');
+}
+
+/**
+ * Apply every non-location filter to a listings query or radius RPC call
+ */
+function applyListingFilters(query: any, params: ListingFilters): any {
+  let filtered = query.eq('is_available', true);
+
+  // Text search over title, description and address
+  const term = params.query ? sanitizeSearchTerm(params.query) : '';
+  if (term) {
+    filtered = filtered.or(
+      `title.ilike.%${term}%,description.ilike.%${term}%,address_city.ilike.%${term}%,address_country.ilike.%${term}%`
+    );
+  }
+
+  if (params.category) {
+    filtered = filtered.eq('category', params.category);
+  }
+
+  // Price range
+  if (params.minPrice !== undefined) {
+    filtered = filtered.gte('price_per_night', params.minPrice);
+  }
+  if (params.maxPrice !== undefined) {
+    filtered = filtered.lte('price_per_night', params.maxPrice);
+  }
+
+  if (params.amenities?.length) {
+    filtered = filtered.contains('amenities', params.amenities);
+  }
+
+  // Room and capacity minimums
+  if (params.minBedrooms) {
+    filtered = filtered.gte('bedrooms', params.minBedrooms);
+  }
+  if (params.minBeds) {
+    filtered = filtered.gte('beds', params.minBeds);
+  }
+  if (params.minBathrooms) {
+    filtered = filtered.gte('bathrooms', params.minBathrooms);
+  }
+  if (params.minGuests) {
+    filtered = filtered.gte('max_guests', params.minGuests);
+  }
+
+  return filtered;
+}
+
+/**
+ * Apply the sort order, newest first as the tie-breaker.
+ * `hasDistance` is true when the rows carry a server-computed distance_km.
+ */
+function applyListingSort(query: any, sortBy: ListingSort | undefined, hasDistance: boolean): any {
+  if (sortBy === 'distance' && hasDistance) {
+    return query
+      .order('distance_km', { ascending: true })
+      .order('created_at', { ascending: false });
+  }
+
+  const { column, ascending } = SORT_ORDER[sortBy && sortBy !== 'distance' ? sortBy : 'newest'];
+  const sorted = query.order(column, { ascending, nullsFirst: false });
+  return column === 'created_at' ? sorted : sorted.order('created_at', { ascending: false });
+}
+
+/**
+ * Radius search when the listings_within_radius RPC is not deployed:
+ * pre-filter on a bounding box, then compute haversine distances and page locally.
+ */
+async function fetchListingsNearbyFallback(
+  params: ListingQueryParams & { proximity: ProximityParams },
+  start: number,
+  pageSize: number
+): Promise<Listing[]> {
+  const { lat, lng, radiusKm = 50 } = params.proximity;
+  let query = applyListingFilters(listingsSource(params), params);
+
+  const box = boundingBoxForRadius({ lat, lng }, radiusKm);
+  if (box) {
+    query = query
+      .gte('location_lat', box.minLat)
+      .lte('location_lat', box.maxLat)
+      .gte('location_lng', box.minLng)
+      .lte('location_lng', box.maxLng);
+  }
+
+  const { data, error } = await applyListingSort(query, params.sortBy, false).limit(FALLBACK_ROW_LIMIT);
+
+  if (error) {
+    console.error('Error fetching nearby listings:', error);
+    throw new Error(`Failed to fetch listings: ${error.message}`);
+  }
+
+  const nearby = ((data || []) as Listing[])
+    .filter((listing) => isValidLatLng(listing.location_lat, listing.location_lng))
+    .map((listing) => ({
+      ...listing,
+      distance_km: Math.round(haversineKm({ lat, lng }, { lat: listing.location_lat, lng: listing.location_lng }) * 100) / 100,
+    }))
+    .filter((listing) => listing.distance_km <= radiusKm);
+
+  if (params.sortBy === 'distance') {
+    nearby.sort((a, b) => a.distance_km - b.distance_km);
+  }
+
+  return nearby.slice(start, start + pageSize);
+}
+
+/**
+ * Insert a saved trips row and return its id. Booked trips can only be
+ * created by the book_trip RPC; the database refuses them here.
+ */
+async function insertTrip(input: TripInput, status: Exclude<TripStatus, 'booked'>): Promise<string> {
+  const { data, error } = await supabase
+    .from('trips')
+    .insert({
+      user_id: input.userId,
+      listing_id: input.listingId,
+      start_date: input.startDate,
+      end_date: input.endDate,
+      guest_count: input.guestCount,
+      trip_name: input.tripName || 'My Trip',
+      status,
+      created_at: new Date().toISOString(),
+    })
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Error adding to trips:', error);
+    throw new Error(`Failed to add to trips: ${error.message}`);
+  }
+
+  return data.id;
+}
+
+const USER_TRIP_COLUMNS = `
+  id,
+  start_date,
+  end_date,
+  status,
+  guest_count,
+  trip_name,
+  listings (*)
+`;
+
+/**
+ * Map a `trips` row selected with USER_TRIP_COLUMNS
+ */
+function toUserTrip(trip: any): UserTrip {
+  return {
+    tripId: trip.id,
+    listing: trip.listings as Listing,
+    startDate: trip.start_date,
+    endDate: trip.end_date,
+    status: trip.status,
+    guestCount: trip.guest_count,
+    tripName: trip.trip_name,
+  };
+}
+
+const BOOKING_CONFLICT_CODE = 'BK409';
+const BOOKING_INVALID_CODE = 'BK422';
+
+/**
+ * Turn a `book_trip` error into a result the UI can show
+ */
+async function bookingFailure(
+  error: { code?: string; message: string },
+  listingId: string,
+  range: DateRange,
+  excludeTripId?: string
+): Promise<TripActionResult> {
+  if (error.code === BOOKING_CONFLICT_CODE) {
+    const alternatives = await availabilityService
+      .findAlternativeDates(listingId, range, 3, excludeTripId)
+      .catch(() => []);
+    return {
+      success: false,
+      error: 'These dates are no longer available.',
+      conflict: { code: 'BOOKING_CONFLICT', requested: range, alternatives },
+    };
+  }
+
+  if (error.code === BOOKING_INVALID_CODE) {
+    return { success: false, error: `${error.message}.` };
+  }
+
+  console.error('Error booking trip:', error);
+  throw new Error(`Failed to book trip: ${error.message}`);
+}
+
 /**
  * Main listing service - handles all listing-related operations
  */
 export const listingService = {
   /**
-   * Fetch listings with pagination and optional proximity filtering
+   * Fetch listings with pagination, filters, sorting and optional proximity filtering.
+   * Proximity searches go through the listings_within_radius RPC with the same
+   * filters applied, and every result carries `distance_km`. When
+   * `availability` is given, listings booked or blocked for those dates are
+   * excluded by the database.
    */
-  async fetchListings(
-    params?: {
-      pagination?: PaginationParams;
-      proximity?: ProximityParams;
-      category?: string;
-      minPrice?: number;
-      maxPrice?: number;
-      amenities?: string[];
-      availability?: { start: string; end: string };
-    } = {}
-  ): Promise<Listing[]> {
+  async fetchListings(params: ListingQueryParams = {}): Promise<Listing[]> {
     try {
-      let query = supabase
-        .from('listings')
-        .select('*')
-        .eq('is_available', true);
-
-      // Apply pagination
-      const page = params?.pagination?.page || 1;
-      const pageSize = params?.pagination?.pageSize || 20;
+      const page = params.pagination?.page || 1;
+      const pageSize = params.pagination?.pageSize || 20;
       const start = (page - 1) * pageSize;
-      query = query.range(start, start + pageSize - 1);
-
-      // Apply proximity filtering if provided
-      if (params?.proximity) {
-        const { lat, lng, radiusKm = 50 } = params.proximity;
-        // Use PostGIS earthdistance extension via Supabase RPC
-        const { data, error } = await supabase.rpc('listings_within_radius', {
-          center_lat: lat,
-          center_lng: lng,
-          radius_km: radiusKm,
-          page_num: page,
-          page_size: pageSize
-        });
 
-        if (error) throw error;
-        return data || [];
+      if (params.availability && !isValidStayRange(params.availability)) {
+        throw new Error('Check-out must be after check-in');
       }
 
-      // Apply category filter
-      if (params?.category) {
-        query = query.eq('category', params.category);
-      }
+      const proximity = params.proximity;
+      let query = proximity
+        ? supabase.rpc('listings_within_radius', {
+            center_lat: proximity.lat,
+            center_lng: proximity.lng,
+            radius_km: proximity.radiusKm ?? 50,
+            check_in: params.availability?.start ?? null,
+            check_out: params.availability?.end ?? null,
+          })
+        : listingsSource(params);
 
-      // Apply price range filter
-      if (params?.minPrice !== undefined) {
-        query = query.gte('price_per_night', params.minPrice);
-      }
-      if (params?.maxPrice !== undefined) {
-        query = query.lte('price_per_night', params.maxPrice);
-      }
-
-      // Apply amenities filter
-      if (params?.amenities?.length) {
-        query = query.contains('amenities', params.amenities);
-      }
+      query = applyListingFilters(query, params);
+      query = applyListingSort(query, params.sortBy, !!proximity);
 
-      // Execute query
-      const { data, error } = await query.order('created_at', { ascending: false });
+      const { data, error } = await query.range(start, start + pageSize - 1);
 
       if (error) {
+        if (proximity && MISSING_FUNCTION_CODES.has(error.code)) {
+          console.warn('listings_within_radius unavailable, filtering by distance on the client');
+          return await fetchListingsNearbyFallback({ ...params, proximity }, start, pageSize);
+        }
         console.error('Error fetching listings:', error);
         throw new Error(`Failed to fetch listings: ${error.message}`);
       }
@@ -155,7 +456,7 @@ export const listingService = {
     try {
       const { data, error } = await supabase
         .from('listings')
-        .select('*')
+        .select('*, rating_stats')
         .eq('id', listingId)
         .single();
 
@@ -167,7 +468,7 @@ export const listingService = {
         throw new Error(`Failed to fetch listing: ${error.message}`);
       }
 
-      return data;
+      return { ...data, rating_stats: toRatingStats(data.rating_stats) };
     } catch (error) {
       console.error('Error in fetchListingById:', error);
       throw error;
@@ -196,13 +497,14 @@ export const listingService = {
         throw new Error(`Failed to update rating: ${ratingError.message}`);
       }
 
-      // Recalculate the listing's average rating
-      const { data: avgData, error: avgError } = await supabase.rpc('calculate_listing_average', {
-        listing_id: input.listingId,
+      // The rating_aggregates trigger has already updated the listing's average
+      const { data: stats, error: statsError } = await supabase.rpc('rating_aggregate', {
+        p_subject_type: 'listing',
+        p_subject_id: input.listingId,
       });
 
-      if (avgError) {
-        console.error('Error calculating average:', avgError);
+      if (statsError) {
+        console.error('Error fetching rating aggregate:', statsError);
         // Continue anyway, the rating was recorded
       }
 
@@ -214,7 +516,7 @@ export const listingService = {
 
       return {
         success: true,
-        newAverage: avgData?.average_rating,
+        newAverage: toRatingStats(stats).average ?? undefined,
       };
     } catch (error) {
       console.error('Error in updateListingRating:', error);
@@ -227,25 +529,7 @@ export const listingService = {
    */
   async addToTrips(input: TripInput): Promise<{ success: boolean; tripId?: string }> {
     try {
-      const { data, error } = await supabase
-        .from('trips')
-        .insert({
-          user_id: input.userId,
-          listing_id: input.listingId,
-          start_date: input.startDate,
-          end_date: input.endDate,
-          guest_count: input.guestCount,
-          trip_name: input.tripName || 'My Trip',
-          status: 'saved', // saved, booked, cancelled, completed
-          created_at: new Date().toISOString(),
-        })
-        .select('id')
-        .single();
-
-      if (error) {
-        console.error('Error adding to trips:', error);
-        throw new Error(`Failed to add to trips: ${error.message}`);
-      }
+      const tripId = await insertTrip(input, 'saved');
 
       // Trigger recommendation update since user showed strong interest
       await this.triggerRecommendationUpdate(input.userId, {
@@ -255,7 +539,7 @@ export const listingService = {
 
       return {
         success: true,
-        tripId: data.id,
+        tripId,
       };
     } catch (error) {
       console.error('Error in addToTrips:', error);
@@ -263,6 +547,144 @@ export const listingService = {
     }
   },
 
+  /**
+   * Book a stay through the `book_trip` RPC, which checks the dates, guests
+   * and availability and creates the trip in one transaction. Overlapping
+   * dates come back as a `conflict` with the nearest free alternatives.
+   */
+  async bookStay(input: TripInput): Promise<TripActionResult> {
+    const range = { start: input.startDate, end: input.endDate };
+    if (!isValidStayRange(range)) {
+      return { success: false, error: 'Check-out must be after check-in.' };
+    }
+
+    try {
+      const { data: tripId, error } = await supabase.rpc('book_trip', {
+        p_listing_id: input.listingId,
+        p_start_date: range.start,
+        p_end_date: range.end,
+        p_guest_count: input.guestCount,
+        p_trip_name: input.tripName || null,
+      });
+
+      if (error) {
+        return await bookingFailure(error, input.listingId, range);
+      }
+
+      await this.recordBooking(input.userId, input.listingId);
+      return { success: true, tripId };
+    } catch (error) {
+      console.error('Error in bookStay:', error);
+      return { success: false, error: 'Something went wrong while booking. Please try again.' };
+    }
+  },
+
+  /**
+   * Change the dates or guest count of a booked trip before check-in.
+   * Runs through the `modify_trip` RPC with the same conflict handling as bookStay.
+   */
+  async modifyBooking(
+    tripId: string,
+    listingId: string,
+    changes: { startDate: string; endDate: string; guestCount: number }
+  ): Promise<TripActionResult> {
+    const range = { start: changes.startDate, end: changes.endDate };
+    if (!isValidStayRange(range)) {
+      return { success: false, tripId, error: 'Check-out must be after check-in.' };
+    }
+
+    try {
+      const { error } = await supabase.rpc('modify_trip', {
+        p_trip_id: tripId,
+        p_start_date: range.start,
+        p_end_date: range.end,
+        p_guest_count: changes.guestCount,
+      });
+
+      if (error) {
+        return { ...(await bookingFailure(error, listingId, range, tripId)), tripId };
+      }
+
+      return { success: true, tripId };
+    } catch (error) {
+      console.error('Error in modifyBooking:', error);
+      return { success: false, tripId, error: 'Something went wrong while changing this trip. Please try again.' };
+    }
+  },
+
+  /**
+   * Move a trip to a new status, following TRIP_STATUS_TRANSITIONS.
+   * Booking a saved trip re-checks availability and records the booking.
+   */
+  async updateTripStatus(tripId: string, status: TripStatus): Promise<TripActionResult> {
+    try {
+      const { data: trip, error: fetchError } = await supabase
+        .from('trips')
+        .select('id, user_id, listing_id, start_date, end_date, status')
+        .eq('id', tripId)
+        .single();
+
+      if (fetchError) {
+        console.error('Error fetching trip:', fetchError);
+        throw new Error(`Failed to fetch trip: ${fetchError.message}`);
+      }
+
+      const current = trip.status as TripStatus;
+      if (!TRIP_STATUS_TRANSITIONS[current]?.includes(status)) {
+        return { success: false, tripId, error: `A ${current} trip cannot be ${status}.` };
+      }
+
+      // Booking goes through the same transactional path as bookStay
+      if (status === 'booked') {
+        const { error } = await supabase.rpc('book_trip', { p_trip_id: tripId });
+        if (error) {
+          return {
+            ...(await bookingFailure(error, trip.listing_id, {
+              start: String(trip.start_date).slice(0, 10),
+              end: String(trip.end_date).slice(0, 10),
+            })),
+            tripId,
+          };
+        }
+
+        await this.recordBooking(trip.user_id, trip.listing_id);
+        return { success: true, tripId };
+      }
+
+      // Only update if nobody changed the status since we read it
+      const { data: updated, error: updateError } = await supabase
+        .from('trips')
+        .update({ status })
+        .eq('id', tripId)
+        .eq('status', current)
+        .select('id');
+
+      if (updateError) {
+        console.error('Error updating trip status:', updateError);
+        throw new Error(`Failed to update trip: ${updateError.message}`);
+      }
+      if (!updated?.length) {
+        return { success: false, tripId, error: 'This trip was changed elsewhere. Please refresh.' };
+      }
+
+      return { success: true, tripId };
+    } catch (error) {
+      console.error('Error in updateTripStatus:', error);
+      return { success: false, tripId, error: 'Something went wrong. Please try again.' };
+    }
+  },
+
+  /**
+   * Record a confirmed booking for interactions and recommendations
+   */
+  async recordBooking(userId: string, listingId: string): Promise<void> {
+    await InteractionService.trackBooking(userId, listingId);
+    await this.triggerRecommendationUpdate(userId, {
+      listingId,
+      action: 'book',
+    });
+  },
+
   /**
    * Trigger recommendation score update via Edge Function
    * This informs the recommendation system about user actions
@@ -292,33 +714,65 @@ export const listingService = {
   },
 
   /**
-   * Search listings by text query (for search functionality)
+   * Search listings by text query (for search functionality).
+   * Accepts the same filters as fetchListings.
    */
   async searchListings(
     query: string,
-    params?: PaginationParams
+    params: PaginationParams & Omit<ListingQueryParams, 'query' | 'pagination'> = {}
   ): Promise<Listing[]> {
+    const { page, pageSize, ...filters } = params;
     try {
-      const page = params?.page || 1;
-      const pageSize = params?.pageSize || 20;
-      const start = (page - 1) * pageSize;
+      return await this.fetchListings({
+        ...filters,
+        query,
+        pagination: { page, pageSize },
+      });
+    } catch (error) {
+      console.error('Error in searchListings:', error);
+      throw error;
+    }
+  },
 
+  /**
+   * Get city and title autocomplete suggestions for a partial search query.
+   * Cities are listed before titles and duplicates are removed.
+   */
+  async getSearchSuggestions(query: string, limit: number = 8): Promise<SearchSuggestion[]> {
+    const term = sanitizeSearchTerm(query);
+    if (term.length < 2) return [];
+
+    try {
       const { data, error } = await supabase
         .from('listings')
-        .select('*')
-        .or(`title.ilike.%${query}%,description.ilike.%${query}%,address_city.ilike.%${query}%`)
+        .select('title, address_city')
+        .or(`title.ilike.%${term}%,address_city.ilike.${term}%`)
         .eq('is_available', true)
-        .range(start, start + pageSize - 1)
-        .order('created_at', { ascending: false });
+        .limit(limit * 2);
 
       if (error) {
-        console.error('Error searching listings:', error);
-        throw new Error(`Search failed: ${error.message}`);
+        console.error('Error fetching search suggestions:', error);
+        throw new Error(`Failed to fetch suggestions: ${error.message}`);
       }
 
-      return data || [];
+      const needle = term.toLowerCase();
+      const cities = new Map<string, SearchSuggestion>();
+      const titles = new Map<string, SearchSuggestion>();
+
+      for (const row of data || []) {
+        const city = row.address_city?.trim();
+        if (city && city.toLowerCase().startsWith(needle) && !cities.has(city.toLowerCase())) {
+          cities.set(city.toLowerCase(), { type: 'city', value: city });
+        }
+        const title = row.title?.trim();
+        if (title && title.toLowerCase().includes(needle) && !titles.has(title.toLowerCase())) {
+          titles.set(title.toLowerCase(), { type: 'title', value: title });
+        }
+      }
+
+      return [...cities.values(), ...titles.values()].slice(0, limit);
     } catch (error) {
-      console.error('Error in searchListings:', error);
+      console.error('Error in getSearchSuggestions:', error);
       throw error;
     }
   },
@@ -354,23 +808,11 @@ export const listingService = {
   /**
    * Get user's saved/booked listings (from trips table)
    */
-  async getUserTrips(userId: string): Promise<Array<{
-    tripId: string;
-    listing: Listing;
-    startDate: string;
-    endDate: string;
-    status: string;
-  }>> {
+  async getUserTrips(userId: string): Promise<UserTrip[]> {
     try {
       const { data, error } = await supabase
         .from('trips')
-        .select(`
-          id,
-          start_date,
-          end_date,
-          status,
-          listings (*)
-        `)
+        .select(USER_TRIP_COLUMNS)
         .eq('user_id', userId)
         .order('created_at', { ascending: false });
 
@@ -379,16 +821,56 @@ export const listingService = {
         throw new Error(`Failed to fetch trips: ${error.message}`);
       }
 
-      return (data || []).map(trip => ({
-        tripId: trip.id,
-        listing: trip.listings as Listing,
-        startDate: trip.start_date,
-        endDate: trip.end_date,
-        status: trip.status,
-      }));
+      return (data || []).map(toUserTrip);
     } catch (error) {
       console.error('Error in getUserTrips:', error);
       throw error;
     }
   },
+
+  /**
+   * Fetch one of the user's trips with its listing
+   */
+  async getTripById(tripId: string): Promise<UserTrip | null> {
+    try {
+      const { data, error } = await supabase
+        .from('trips')
+        .select(USER_TRIP_COLUMNS)
+        .eq('id', tripId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching trip:', error);
+        throw new Error(`Failed to fetch trip: ${error.message}`);
+      }
+
+      return data ? toUserTrip(data) : null;
+    } catch (error) {
+      console.error('Error in getTripById:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * IDs of the user's trips that already have a review
+   */
+  async getReviewedTripIds(userId: string): Promise<Set<string>> {
+    try {
+      const { data, error } = await supabase
+        .from('ratings')
+        .select('trip_id')
+        .eq('user_id', userId)
+        .not('trip_id', 'is', null);
+
+      if (error) {
+        console.error('Error fetching reviewed trips:', error);
+        throw new Error(`Failed to fetch reviews: ${error.message}`);
+      }
+
+      return new Set((data || []).map((row: { trip_id: string }) => row.trip_id));
+    } catch (error) {
+      console.error('Error in getReviewedTripIds:', error);
+      throw error;
+    }
+  },
 };
\ No newline at end of file
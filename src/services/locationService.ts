@@ -0,0 +1,37 @@
+// src/services/locationService.ts
+
+import * as Location from 'expo-location';
+
+export interface Coordinates {
+  lat: number;
+  lng: number;
+}
+
+/**
+ * Device location helpers used for distance sorting and map centering
+ */
+export const locationService = {
+  /**
+   * Get the device's current coordinates, asking for permission if needed.
+   * Resolves to null when permission is denied or no fix is available.
+   */
+  async getCurrentCoords(): Promise<Coordinates | null> {
+    try {
+      let { status } = await Location.getForegroundPermissionsAsync();
+      if (status !== 'granted') {
+        ({ status } = await Location.requestForegroundPermissionsAsync());
+      }
+      if (status !== 'granted') return null;
+
+      const position =
+        (await Location.getLastKnownPositionAsync({ maxAge: 5 * 60 * 1000 })) ||
+        (await Location.getCurrentPositionAsync({ accuracy: Location.Accuracy.Balanced }));
+
+      if (!position) return null;
+      return { lat: position.coords.latitude, lng: position.coords.longitude };
+    } catch (error) {
+      console.error('Error getting current location:', error);
+      return null;
+    }
+  },
+};
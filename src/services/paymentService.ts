@@ -0,0 +1,88 @@
+// src/services/paymentService.ts
+
+import Constants from 'expo-constants';
+
+/**
+ * What a provider is asked to charge. Amounts are in major units (kwacha).
+ */
+export interface PaymentRequest {
+  orderId: string;
+  amount: number;
+  currency: string;
+  description: string;
+}
+
+/**
+ * Outcome of a charge. `pending` means the provider finishes the payment
+ * out of band (e.g. a mobile money prompt) and confirms it to our server.
+ */
+export interface PaymentResult {
+  status: 'succeeded' | 'pending' | 'failed';
+  reference?: string;
+  error?: string;
+}
+
+/**
+ * A payment provider. `confirmsOnClient` is true only for providers the
+ * server lets the app confirm itself (the mock); real providers confirm
+ * through the server after verifying the payment.
+ */
+export interface PaymentProvider {
+  id: string;
+  confirmsOnClient: boolean;
+  charge(request: PaymentRequest): Promise<PaymentResult>;
+}
+
+/**
+ * Local development provider: approves every charge after a short delay.
+ * An amount ending in .13 is declined, to try the failure path.
+ */
+export const mockPaymentProvider: PaymentProvider = {
+  id: 'mock',
+  confirmsOnClient: true,
+
+  async charge(request: PaymentRequest): Promise<PaymentResult> {
+    await new Promise((resolve) => setTimeout(resolve, 800));
+
+    if (Math.round(request.amount * 100) % 100 === 13) {
+      return { status: 'failed', error: 'The card was declined (mock).' };
+    }
+
+    return { status: 'succeeded', reference: `mock_${request.orderId}_${Date.now()}` };
+  },
+};
+
+const providers: Record<string, PaymentProvider> = {
+  [mockPaymentProvider.id]: mockPaymentProvider,
+};
+
+const expoExtra = Constants.expoConfig?.extra;
+
+/**
+ * Picks the provider named by `expo.extra.PAYMENT_PROVIDER`. There is no
+ * default: a build without one cannot take payments, rather than quietly
+ * using the mock. Set it to 'mock' for local development.
+ */
+export const paymentService = {
+  /**
+   * Make a provider available by its id
+   */
+  registerProvider(provider: PaymentProvider): void {
+    providers[provider.id] = provider;
+  },
+
+  /**
+   * The configured provider
+   */
+  getProvider(): PaymentProvider {
+    const id = expoExtra?.PAYMENT_PROVIDER;
+    if (!id) {
+      throw new Error('No payment provider configured (expo.extra.PAYMENT_PROVIDER)');
+    }
+    const provider = providers[id];
+    if (!provider) {
+      throw new Error(`Unknown payment provider: ${id}`);
+    }
+    return provider;
+  },
+};
@@ -0,0 +1,68 @@
+// src/services/profileService.ts
+
+import { supabase } from '../config/supabaseClient';
+
+/**
+ * Public profile fields shown next to listings, reviews and comments
+ */
+export interface PublicProfile {
+  id: string;
+  username: string;
+  role: string;
+  created_at: string;
+}
+
+const PUBLIC_PROFILE_COLUMNS = 'id, username, role, created_at';
+
+/**
+ * Read-only access to other users' public profiles
+ */
+export const profileService = {
+  /**
+   * Fetch one profile, or null when it does not exist
+   */
+  async getProfile(userId: string): Promise<PublicProfile | null> {
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select(PUBLIC_PROFILE_COLUMNS)
+        .eq('id', userId)
+        .maybeSingle();
+
+      if (error) {
+        console.error('Error fetching profile:', error);
+        throw new Error(`Failed to fetch profile: ${error.message}`);
+      }
+
+      return data;
+    } catch (error) {
+      console.error('Error in getProfile:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Fetch several profiles at once, keyed by user id
+   */
+  async getProfilesByIds(userIds: string[]): Promise<Record<string, PublicProfile>> {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    if (ids.length === 0) return {};
+
+    try {
+      const { data, error } = await supabase
+        .from('profiles')
+        .select(PUBLIC_PROFILE_COLUMNS)
+        .in('id', ids);
+
+      if (error) {
+        console.error('Error fetching profiles:', error);
+        throw new Error(`Failed to fetch profiles: ${error.message}`);
+      }
+
+      return Object.fromEntries((data || []).map((profile: PublicProfile) => [profile.id, profile]));
+    } catch (error) {
+      console.error('Error in getProfilesByIds:', error);
+      throw error;
+    }
+  },
+};
@@ -1,6 +1,15 @@
 // src/services/recommendationService.ts
 
-import { supabase } from '../config/supabaseclient';
+import { supabase } from '../config/supabaseClient';
+import {
+  normalizeFeatures,
+  rankFallback,
+  type RankCandidate,
+  type RankInteraction,
+  type RankSignals,
+} from '../utils/fallbackRanker';
+import { toRatingStats } from '../utils/ratings';
+import { interactionPolicyService } from './interactionPolicyService';
 
 /**
  * Recommendation context types
@@ -69,25 +78,243 @@ interface RecommendationResponse {
   };
 }
 
+// How many recent listings and upcoming events the fallback ranks
+const FALLBACK_POOL_SIZE = 100;
+const FALLBACK_LIMIT = 20;
+// Interactions older than this no longer steer the fallback
+const FALLBACK_INTERACTION_DAYS = 30;
+const FALLBACK_INTERACTION_LIMIT = 200;
+
+interface FallbackItem {
+  candidate: RankCandidate;
+  card: ListingCard;
+}
+
+const EMPTY_SIGNALS: RankSignals = { preferences: {}, mutedTags: [], interactions: [] };
+
+function listingFeatures(listing: any): string[] {
+  return normalizeFeatures([listing.category, listing.address_city, ...(listing.amenities || [])]);
+}
+
+function eventFeatures(event: any): string[] {
+  return normalizeFeatures([event.category, ...(event.tags || [])]);
+}
+
+function listingItem(listing: any): FallbackItem {
+  const stats = toRatingStats(listing.rating_stats);
+  return {
+    candidate: {
+      id: String(listing.id),
+      kind: 'listing',
+      category: normalizeFeatures([listing.category])[0] ?? null,
+      features: listingFeatures(listing),
+      createdAt: listing.created_at ?? null,
+      ratingScore: stats.score,
+    },
+    card: {
+      id: String(listing.id),
+      title: listing.title,
+      description: listing.description ?? '',
+      imageUrls: listing.images || [],
+      pricePerNight: Number(listing.price_per_night) || 0,
+      averageRating: stats.average ?? 0,
+      reviewCount: stats.count,
+      location: {
+        city: listing.address_city ?? '',
+        country: listing.address_country ?? '',
+        lat: listing.location_lat ?? undefined,
+        lng: listing.location_lng ?? undefined,
+      },
+      amenities: listing.amenities || [],
+      isAvailable: listing.is_available !== false,
+      hostId: listing.host_id,
+      metadata: { source: 'fallback', item_type: 'listing' },
+    },
+  };
+}
+
+// Events share the ListingCard shape on the fyp feed, told apart by item_type
+function eventItem(event: any): FallbackItem {
+  const stats = toRatingStats(event.rating_stats);
+  const price = Number(event.price_amount ?? event.price);
+  return {
+    candidate: {
+      id: String(event.id),
+      kind: 'event',
+      category: normalizeFeatures([event.category])[0] ?? null,
+      features: eventFeatures(event),
+      createdAt: event.created_at ?? null,
+      startsAt: event.starts_at ?? null,
+      ratingScore: stats.score,
+    },
+    card: {
+      id: String(event.id),
+      title: event.title,
+      description: event.description ?? '',
+      imageUrls: event.image_url ? [event.image_url] : [],
+      pricePerNight: Number.isFinite(price) ? price : 0,
+      averageRating: stats.average ?? 0,
+      reviewCount: stats.count,
+      location: { city: event.location ?? '', country: '' },
+      amenities: event.tags || [],
+      isAvailable: true,
+      hostId: event.organizer_id ?? '',
+      metadata: { source: 'fallback', item_type: 'event', startsAt: event.starts_at ?? null },
+    },
+  };
+}
+
+async function fetchFallbackItems(includeEvents: boolean, seedListingId?: string): Promise<FallbackItem[]> {
+  const listingsQuery = supabase
+    .from('listings')
+    .select('*, rating_stats')
+    .eq('is_available', true)
+    .order('created_at', { ascending: false })
+    .limit(FALLBACK_POOL_SIZE);
+
+  const [listings, seed, events] = await Promise.all([
+    listingsQuery,
+    seedListingId
+      ? supabase.from('listings').select('*, rating_stats').eq('id', seedListingId).maybeSingle()
+      : Promise.resolve({ data: null, error: null }),
+    includeEvents
+      ? supabase
+        .from('events')
+        .select('*, rating_stats')
+        .gte('starts_at', new Date().toISOString())
+        .order('starts_at', { ascending: true })
+        .limit(FALLBACK_POOL_SIZE)
+      : Promise.resolve({ data: [], error: null }),
+  ]);
+
+  const error = listings.error || seed.error || events.error;
+  if (error) {
+    throw new Error(`Failed to fetch fallback candidates: ${error.message}`);
+  }
+
+  return [
+    ...(listings.data || []).map(listingItem),
+    ...(seed.data ? [listingItem(seed.data)] : []),
+    ...(events.data || []).map(eventItem),
+  ];
+}
+
+// Preferences and interactions only sharpen the ranking, so failing to read
+// them ranks on quality and recency alone
+async function fetchRankSignals(userId: string): Promise<RankSignals> {
+  try {
+    const since = new Date(Date.now() - FALLBACK_INTERACTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    const [preferences, interactions] = await Promise.all([
+      supabase.from('user_preference_scores').select('tag, score, muted').eq('user_id', userId),
+      supabase
+        .from('user_interactions')
+        // The item's own fields, so it counts even when it is not a candidate
+        .select('listing_id, event_id, interaction_type, weight, created_at, listings(category, address_city, amenities), events(category, tags)')
+        .eq('user_id', userId)
+        .gte('created_at', since)
+        .order('created_at', { ascending: false })
+        .limit(FALLBACK_INTERACTION_LIMIT),
+    ]);
+
+    const error = preferences.error || interactions.error;
+    if (error) {
+      throw new Error(`Failed to fetch ranking signals: ${error.message}`);
+    }
+
+    const signals: RankSignals = { preferences: {}, mutedTags: [], interactions: [] };
+    for (const row of preferences.data || []) {
+      const [tag] = normalizeFeatures([row.tag]);
+      if (!tag) continue;
+      if (row.muted) signals.mutedTags.push(tag);
+      else signals.preferences[tag] = Number(row.score) || 0;
+    }
+    for (const row of interactions.data || []) {
+      const itemId = row.event_id ?? row.listing_id;
+      if (!itemId) continue;
+      signals.interactions.push({
+        kind: row.event_id ? 'event' : 'listing',
+        itemId: String(itemId),
+        interactionType: row.interaction_type,
+        weight: Number(row.weight) || 0,
+        createdAt: row.created_at,
+        features: row.event_id
+          ? (row.events ? eventFeatures(row.events) : undefined)
+          : (row.listings ? listingFeatures(row.listings) : undefined),
+      });
+    }
+    return signals;
+  } catch (error) {
+    console.error('Error in fetchRankSignals:', error);
+    return EMPTY_SIGNALS;
+  }
+}
+
+/**
+ * Recommendations ranked on the device from recent listings (and, for the
+ * fyp, upcoming events), for when the Edge Function is unreachable. Cards
+ * carry metadata.source 'fallback'. after_booking treats the seed listing as
+ * a booking so similar listings rise; explore's location and the trip are
+ * not used. Never throws.
+ */
+async function fallbackRecommendations(request: RecommendationRequest): Promise<ListingCard[]> {
+  try {
+    const seedListingId = request.context === 'after_booking' ? request.params?.seedListingId : undefined;
+    const [items, signals] = await Promise.all([
+      fetchFallbackItems(request.context === 'fyp', seedListingId),
+      fetchRankSignals(request.userId),
+    ]);
+
+    let rankSignals = signals;
+    if (seedListingId) {
+      const policy = await interactionPolicyService.getPolicy();
+      const seed: RankInteraction = {
+        kind: 'listing',
+        itemId: seedListingId,
+        interactionType: 'book',
+        weight: interactionPolicyService.weightFor(policy, 'book'),
+        createdAt: new Date().toISOString(),
+      };
+      rankSignals = { ...signals, interactions: [seed, ...signals.interactions] };
+    }
+
+    const cards = new Map(items.map((item) => [`${item.candidate.kind}:${item.candidate.id}`, item.card]));
+    const ranked = rankFallback(
+      items.map((item) => item.candidate),
+      rankSignals,
+      { limit: request.params?.limit ?? FALLBACK_LIMIT }
+    );
+
+    return ranked.map(({ candidate, score }) => ({
+      ...cards.get(`${candidate.kind}:${candidate.id}`)!,
+      score,
+    }));
+  } catch (error) {
+    console.error(`Error in fallbackRecommendations for context ${request.context}:`, error);
+    return [];
+  }
+}
+
 /**
  * Acts as the ONLY frontend gateway to the recommendation system.
  * Calls the Supabase Edge Function "recommendations" for all recommendation logic.
- * Contains NO scoring or ranking logic - only data fetching and forwarding.
+ * Scoring lives in the Edge Function; only when it fails do the get* methods
+ * rank locally with fallbackRecommendations (metadata.source 'fallback').
  */
 export const RecommendationService = {
   /**
    * Get For You Page recommendations
    */
   async getForYou(userId: string): Promise<ListingCard[]> {
+    const request: RecommendationRequest = {
+      context: 'fyp',
+      userId,
+    };
     try {
-      const response = await RecommendationService._callRecommendationFunction({
-        context: 'fyp',
-        userId,
-      });
+      const response = await RecommendationService._callRecommendationFunction(request);
       return response.listings;
     } catch (error) {
       console.error('Error in getForYou:', error);
-      return [];
+      return fallbackRecommendations(request);
     }
   },
 
@@ -98,16 +325,17 @@ export const RecommendationService = {
     userId: string, 
     location?: { lat: number; lng: number }
   ): Promise<ListingCard[]> {
+    const request: RecommendationRequest = {
+      context: 'explore',
+      userId,
+      params: location ? { location } : undefined,
+    };
     try {
-      const response = await RecommendationService._callRecommendationFunction({
-        context: 'explore',
-        userId,
-        params: location ? { location } : undefined,
-      });
+      const response = await RecommendationService._callRecommendationFunction(request);
       return response.listings;
     } catch (error) {
       console.error('Error in getExplore:', error);
-      return [];
+      return fallbackRecommendations(request);
     }
   },
 
@@ -118,16 +346,17 @@ export const RecommendationService = {
     userId: string, 
     seedListingId: string
   ): Promise<ListingCard[]> {
+    const request: RecommendationRequest = {
+      context: 'after_booking',
+      userId,
+      params: { seedListingId },
+    };
     try {
-      const response = await RecommendationService._callRecommendationFunction({
-        context: 'after_booking',
-        userId,
-        params: { seedListingId },
-      });
+      const response = await RecommendationService._callRecommendationFunction(request);
       return response.listings;
     } catch (error) {
       console.error('Error in getAfterBooking:', error);
-      return [];
+      return fallbackRecommendations(request);
     }
   },
 
@@ -138,16 +367,17 @@ export const RecommendationService = {
     userId: string, 
     tripId: string
   ): Promise<ListingCard[]> {
+    const request: RecommendationRequest = {
+      context: 'trip',
+      userId,
+      params: { tripId },
+    };
     try {
-      const response = await RecommendationService._callRecommendationFunction({
-        context: 'trip',
-        userId,
-        params: { tripId },
-      });
+      const response = await RecommendationService._callRecommendationFunction(request);
       return response.listings;
     } catch (error) {
       console.error('Error in getTripSuggestions:', error);
-      return [];
+      return fallbackRecommendations(request);
     }
   },
 
@@ -155,7 +385,7 @@ export const RecommendationService = {
    * Private method to call the recommendations Edge Function
    * Centralizes all Edge Function calls for consistency and error handling
    */
-  private async _callRecommendationFunction(
+  async _callRecommendationFunction(
     request: RecommendationRequest
   ): Promise<RecommendationResponse> {
     try {
@@ -194,11 +424,12 @@ export const RecommendationService = {
   /**
    * Record user interaction with a recommended listing
    * Used for feedback loop to improve future recommendations
+   * Event cards pass the event id with metadata.item_type 'event'
    */
   async recordInteraction(
     userId: string,
     listingId: string,
-    interactionType: 'view' | 'click' | 'save' | 'book' | 'dismiss',
+    interactionType: 'impression' | 'view' | 'click' | 'save' | 'book' | 'dismiss',
     context: RecommendationContext,
     metadata?: Record<string, any>
   ): Promise<void> {
@@ -0,0 +1,71 @@
+// src/services/searchHistoryService.ts
+
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const STORAGE_KEY = 'odini:recent-searches';
+const MAX_RECENT_SEARCHES = 10;
+
+/**
+ * Keeps the user's recent listing searches on the device.
+ * Entries are stored newest first, de-duplicated case-insensitively.
+ */
+export const searchHistoryService = {
+  /**
+   * Get recent searches, newest first
+   */
+  async getRecentSearches(): Promise<string[]> {
+    try {
+      const raw = await AsyncStorage.getItem(STORAGE_KEY);
+      const parsed = raw ? JSON.parse(raw) : [];
+      return Array.isArray(parsed) ? parsed.filter((item) => typeof item === 'string') : [];
+    } catch (error) {
+      console.error('Error reading recent searches:', error);
+      return [];
+    }
+  },
+
+  /**
+   * Record a search term and return the updated list
+   */
+  async addRecentSearch(term: string): Promise<string[]> {
+    const value = term.trim();
+    if (!value) return this.getRecentSearches();
+
+    const existing = await this.getRecentSearches();
+    const next = [
+      value,
+      ...existing.filter((item) => item.toLowerCase() !== value.toLowerCase()),
+    ].slice(0, MAX_RECENT_SEARCHES);
+
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error saving recent search:', error);
+    }
+    return next;
+  },
+
+  /**
+   * Remove a single search term and return the updated list
+   */
+  async removeRecentSearch(term: string): Promise<string[]> {
+    const next = (await this.getRecentSearches()).filter((item) => item !== term);
+    try {
+      await AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next));
+    } catch (error) {
+      console.error('Error removing recent search:', error);
+    }
+    return next;
+  },
+
+  /**
+   * Forget all recent searches
+   */
+  async clearRecentSearches(): Promise<void> {
+    try {
+      await AsyncStorage.removeItem(STORAGE_KEY);
+    } catch (error) {
+      console.error('Error clearing recent searches:', error);
+    }
+  },
+};
@@ -0,0 +1,275 @@
+// src/services/ticketService.ts
+
+import { supabase } from '../config/supabaseClient';
+import { paymentService, type PaymentProvider } from './paymentService';
+
+/**
+ * A ticket type for an event; `quantityTotal` null means unlimited
+ */
+export interface TicketTier {
+  id: string;
+  eventId: string;
+  name: string;
+  description: string | null;
+  priceAmount: number;
+  currency: string;
+  quantityTotal: number | null;
+  quantityRemaining: number | null;
+  maxPerOrder: number;
+  onSale: boolean;
+}
+
+/**
+ * An issued ticket. `code` is the signed text shown as a QR code.
+ */
+export interface Ticket {
+  id: string;
+  orderId: string;
+  eventId: string;
+  tierId: string;
+  tierName: string | null;
+  code: string;
+  status: 'valid' | 'used' | 'void';
+  checkedInAt: string | null;
+  createdAt: string;
+  event: Record<string, any> | null;
+}
+
+/**
+ * Result of a purchase; `error` is safe to show to the user. `pending` means
+ * the provider is still completing the payment and the tickets will appear
+ * under My tickets once it is confirmed.
+ */
+export interface TicketPurchaseResult {
+  success: boolean;
+  orderId?: string;
+  tickets?: Ticket[];
+  pending?: boolean;
+  soldOut?: boolean;
+  error?: string;
+}
+
+const TICKET_FORBIDDEN_CODE = 'TK403';
+const TICKET_CONFLICT_CODE = 'TK409';
+// The hold ran out before the order was confirmed; the buyer starts again
+const TICKET_EXPIRED_CODE = 'TK410';
+const TICKET_INVALID_CODE = 'TK422';
+
+const TICKET_COLUMNS = '*, ticket_tiers(name), events(*)';
+
+function toTicketTier(row: any): TicketTier {
+  const now = Date.now();
+  const quantityTotal = row.quantity_total ?? null;
+  return {
+    id: row.id,
+    eventId: row.event_id,
+    name: row.name,
+    description: row.description ?? null,
+    priceAmount: Number(row.price_amount) || 0,
+    currency: row.currency,
+    quantityTotal,
+    quantityRemaining: quantityTotal === null ? null : Math.max(quantityTotal - (row.quantity_sold ?? 0), 0),
+    maxPerOrder: row.max_per_order,
+    onSale: (!row.sales_start || Date.parse(row.sales_start) <= now)
+      && (!row.sales_end || Date.parse(row.sales_end) >= now),
+  };
+}
+
+function toTicket(row: any): Ticket {
+  return {
+    id: row.id,
+    orderId: row.order_id,
+    eventId: row.event_id,
+    tierId: row.tier_id,
+    tierName: row.ticket_tiers?.name ?? null,
+    code: row.code,
+    status: row.status,
+    checkedInAt: row.checked_in_at ?? null,
+    createdAt: row.created_at,
+    event: row.events ?? null,
+  };
+}
+
+// Give held tickets back. release_ticket_order ignores orders that are no
+// longer pending, so this is safe on any failure path; a failed release is
+// only logged because the hold also expires on its own.
+async function releaseOrder(orderId: string): Promise<void> {
+  try {
+    const { error } = await supabase.rpc('release_ticket_order', { p_order_id: orderId });
+    if (error) console.error('Error releasing ticket order:', error);
+  } catch (error) {
+    console.error('Error in releaseOrder:', error);
+  }
+}
+
+function purchaseFailure(error: { code?: string; message: string }): TicketPurchaseResult {
+  if (error.code === TICKET_CONFLICT_CODE) {
+    return { success: false, soldOut: true, error: `${error.message}.` };
+  }
+  if (error.code === TICKET_EXPIRED_CODE) {
+    return { success: false, error: `${error.message}. Please start again.` };
+  }
+  if (error.code === TICKET_INVALID_CODE || error.code === TICKET_FORBIDDEN_CODE) {
+    return { success: false, error: `${error.message}.` };
+  }
+
+  console.error('Error buying tickets:', error);
+  throw new Error(`Failed to buy tickets: ${error.message}`);
+}
+
+/**
+ * Ticket tiers, purchases and the signed tickets they issue
+ */
+export const ticketService = {
+  /**
+   * Ticket types for an event, in display order
+   */
+  async getTicketTiers(eventId: string): Promise<TicketTier[]> {
+    try {
+      const { data, error } = await supabase
+        .from('ticket_tiers')
+        .select('*')
+        .eq('event_id', eventId)
+        .order('position', { ascending: true })
+        .order('price_amount', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching ticket tiers:', error);
+        throw new Error(`Failed to fetch ticket tiers: ${error.message}`);
+      }
+
+      return (data || []).map(toTicketTier);
+    } catch (error) {
+      console.error('Error in getTicketTiers:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Hold the tickets, charge through the configured payment provider, then
+   * issue them. Once tickets are held, every failure (declined charge,
+   * confirmation refused, network error) releases the hold; only a payment
+   * the provider is still completing keeps it.
+   */
+  async purchaseTickets(tier: TicketTier, quantity: number, description: string): Promise<TicketPurchaseResult> {
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > tier.maxPerOrder) {
+      return { success: false, error: `You can buy up to ${tier.maxPerOrder} tickets of this type per order.` };
+    }
+
+    // Resolved before reserving so a misconfigured build never holds tickets
+    let provider: PaymentProvider | null = null;
+    if (tier.priceAmount > 0) {
+      try {
+        provider = paymentService.getProvider();
+      } catch (error) {
+        console.error('Error in purchaseTickets:', error);
+        return { success: false, error: 'Payments are not available right now.' };
+      }
+    }
+
+    let orderId: string | null = null;
+    try {
+      const { data: order, error: reserveError } = await supabase.rpc('reserve_tickets', {
+        p_tier_id: tier.id,
+        p_quantity: quantity,
+      });
+
+      if (reserveError) {
+        return purchaseFailure(reserveError);
+      }
+      orderId = order.id;
+
+      const total = Number(order.total_amount) || 0;
+      let providerId = 'free';
+      let reference: string | undefined = 'free';
+
+      if (total > 0) {
+        if (!provider) {
+          await releaseOrder(order.id);
+          return { success: false, orderId: order.id, error: 'Payments are not available right now.' };
+        }
+
+        const payment = await provider
+          .charge({ orderId: order.id, amount: total, currency: order.currency, description })
+          .catch((error: Error) => ({ status: 'failed' as const, error: error.message, reference: undefined }));
+
+        if (payment.status === 'failed') {
+          await releaseOrder(order.id);
+          return { success: false, orderId: order.id, error: payment.error || 'The payment did not go through.' };
+        }
+        if (payment.status === 'pending' || !provider.confirmsOnClient) {
+          return { success: true, orderId: order.id, pending: true };
+        }
+        providerId = provider.id;
+        reference = payment.reference;
+      }
+
+      const { data: issued, error: confirmError } = await supabase.rpc('confirm_ticket_order', {
+        p_order_id: order.id,
+        p_provider: providerId,
+        p_provider_ref: reference ?? null,
+      });
+
+      if (confirmError) {
+        await releaseOrder(order.id);
+        return { ...purchaseFailure(confirmError), orderId: order.id };
+      }
+      orderId = null;
+
+      const tickets = await this.getTicketsByIds((issued || []).map((row: any) => row.id));
+      return { success: true, orderId: order.id, tickets };
+    } catch (error) {
+      console.error('Error in purchaseTickets:', error);
+      if (orderId) await releaseOrder(orderId);
+      throw error;
+    }
+  },
+
+  /**
+   * Tickets with their tier and event
+   */
+  async getTicketsByIds(ticketIds: string[]): Promise<Ticket[]> {
+    if (ticketIds.length === 0) return [];
+
+    try {
+      const { data, error } = await supabase
+        .from('tickets')
+        .select(TICKET_COLUMNS)
+        .in('id', ticketIds)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error fetching tickets:', error);
+        throw new Error(`Failed to fetch tickets: ${error.message}`);
+      }
+
+      return (data || []).map(toTicket);
+    } catch (error) {
+      console.error('Error in getTicketsByIds:', error);
+      throw error;
+    }
+  },
+
+  /**
+   * Every ticket the user holds, newest first
+   */
+  async getUserTickets(userId: string): Promise<Ticket[]> {
+    try {
+      const { data, error } = await supabase
+        .from('tickets')
+        .select(TICKET_COLUMNS)
+        .eq('user_id', userId)
+        .order('created_at', { ascending: false });
+
+      if (error) {
+        console.error('Error fetching user tickets:', error);
+        throw new Error(`Failed to fetch tickets: ${error.message}`);
+      }
+
+      return (data || []).map(toTicket);
+    } catch (error) {
+      console.error('Error in getUserTickets:', error);
+      throw error;
+    }
+  },
+};
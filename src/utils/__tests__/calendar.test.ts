@@ -0,0 +1,33 @@
+import { groupEventsByDay } from '../calendar';
+
+const DAYS = ['2026-11-20', '2026-11-21', '2026-11-22'];
+
+function ids(grouped: Record<string, { id: string }[]>): Record<string, string[]> {
+  return Object.fromEntries(Object.entries(grouped).map(([day, events]) => [day, events.map((event) => event.id)]));
+}
+
+describe('groupEventsByDay', () => {
+  it('lists an event that ends at midnight on its start day only', () => {
+    const event = { id: 'gig', starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T22:00:00Z' };
+    expect(ids(groupEventsByDay([event], DAYS))).toEqual({ '2026-11-20': ['gig'] });
+  });
+
+  it('lists an event that runs past midnight on both days', () => {
+    const event = { id: 'party', starts_at: '2026-11-20T20:00:00Z', ends_at: '2026-11-21T01:00:00Z' };
+    expect(ids(groupEventsByDay([event], DAYS))).toEqual({ '2026-11-20': ['party'], '2026-11-21': ['party'] });
+  });
+
+  it('lists multi-day all-day events on every day within the range', () => {
+    const festival = {
+      id: 'festival',
+      starts_at: '2026-11-20T22:00:00Z',
+      ends_at: '2026-11-23T22:00:00Z',
+      all_day: true,
+    };
+    expect(ids(groupEventsByDay([festival], DAYS))).toEqual({ '2026-11-21': ['festival'], '2026-11-22': ['festival'] });
+  });
+
+  it('skips undated events', () => {
+    expect(groupEventsByDay([{ id: 'tba', date: 'TBA' }], DAYS)).toEqual({});
+  });
+});
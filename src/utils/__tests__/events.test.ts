@@ -0,0 +1,104 @@
+import { eventDay, eventLocalSchedule, isPastEvent, weekendWindow } from '../events';
+
+describe('eventLocalSchedule', () => {
+  it('reads a timed event in its venue time zone', () => {
+    // 19:00–23:00 in Lusaka (UTC+2)
+    expect(eventLocalSchedule({ starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T21:00:00Z' })).toEqual({
+      date: '2026-11-20',
+      endDate: '2026-11-20',
+      startMinutes: 19 * 60,
+      endMinutes: 23 * 60,
+      allDay: false,
+    });
+  });
+
+  it('uses the row time zone rather than UTC or the device', () => {
+    // 03:00 UTC on the 21st is 22:00 on the 20th in New York
+    const schedule = eventLocalSchedule({ starts_at: '2026-11-21T03:00:00Z', time_zone: 'America/New_York' });
+    expect(schedule?.date).toBe('2026-11-20');
+    expect(schedule?.startMinutes).toBe(22 * 60);
+  });
+
+  it('does not run on the next day when it ends exactly at midnight', () => {
+    const schedule = eventLocalSchedule({ starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T22:00:00Z' });
+    expect(schedule?.endDate).toBe('2026-11-20');
+    expect(schedule?.endMinutes).toBe(24 * 60);
+  });
+
+  it('runs into the next day when it ends after midnight', () => {
+    const schedule = eventLocalSchedule({ starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T23:00:00Z' });
+    expect(schedule?.endDate).toBe('2026-11-21');
+    expect(schedule?.endMinutes).toBe(25 * 60);
+  });
+
+  it('treats ends_at of an all-day event as the midnight after its last day', () => {
+    // Midnight to midnight in Lusaka, 21st and 22nd
+    expect(eventLocalSchedule({
+      starts_at: '2026-11-20T22:00:00Z',
+      ends_at: '2026-11-22T22:00:00Z',
+      all_day: true,
+    })).toEqual({ date: '2026-11-21', endDate: '2026-11-22', startMinutes: null, endMinutes: null, allDay: true });
+  });
+
+  it('keeps the start day for events without an end or with no length', () => {
+    expect(eventLocalSchedule({ starts_at: '2026-11-20T17:00:00Z' })).toMatchObject({
+      endDate: '2026-11-20',
+      endMinutes: null,
+    });
+    expect(eventLocalSchedule({ starts_at: '2026-11-20T22:00:00Z', ends_at: '2026-11-20T22:00:00Z' })?.endDate)
+      .toBe('2026-11-21');
+  });
+
+  it('is null without a structured start', () => {
+    expect(eventLocalSchedule({ date: '2026-11-20' })).toBeNull();
+    expect(eventLocalSchedule({ starts_at: 'soon' })).toBeNull();
+  });
+});
+
+describe('eventDay', () => {
+  it('falls back to a legacy ISO date and ignores free text', () => {
+    expect(eventDay({ starts_at: '2026-11-20T22:30:00Z' })).toBe('2026-11-21');
+    expect(eventDay({ date: '2026-11-20' })).toBe('2026-11-20');
+    expect(eventDay({ date: 'Every Friday' })).toBeNull();
+  });
+});
+
+describe('isPastEvent', () => {
+  const now = new Date('2026-11-20T21:00:00Z');
+
+  it('is over once ends_at has passed', () => {
+    expect(isPastEvent({ starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T21:00:00Z' }, now)).toBe(true);
+    expect(isPastEvent({ starts_at: '2026-11-20T17:00:00Z', ends_at: '2026-11-20T22:00:00Z' }, now)).toBe(false);
+  });
+
+  it('assumes three hours when there is no end', () => {
+    expect(isPastEvent({ starts_at: '2026-11-20T18:00:01Z' }, now)).toBe(false);
+    expect(isPastEvent({ starts_at: '2026-11-20T18:00:00Z' }, now)).toBe(true);
+  });
+});
+
+describe('weekendWindow', () => {
+  const FRIDAY = new Date(2026, 10, 20);
+  const MONDAY_AFTER = new Date(2026, 10, 23);
+
+  it('points Monday to Thursday at the coming weekend', () => {
+    for (let day = 16; day <= 19; day++) {
+      expect(weekendWindow(new Date(2026, 10, day, 15, 30))).toEqual({ start: FRIDAY, end: MONDAY_AFTER });
+    }
+  });
+
+  it('keeps the current weekend from Friday to Sunday', () => {
+    expect(weekendWindow(new Date(2026, 10, 20, 0, 0))).toEqual({ start: FRIDAY, end: MONDAY_AFTER });
+    expect(weekendWindow(new Date(2026, 10, 21, 12, 0))).toEqual({ start: FRIDAY, end: MONDAY_AFTER });
+    expect(weekendWindow(new Date(2026, 10, 22, 23, 59))).toEqual({ start: FRIDAY, end: MONDAY_AFTER });
+  });
+
+  it('moves on to the next weekend on Monday', () => {
+    expect(weekendWindow(MONDAY_AFTER)).toEqual({ start: new Date(2026, 10, 27), end: new Date(2026, 10, 30) });
+  });
+
+  it('crosses month and year ends', () => {
+    // Wednesday 30 December 2026
+    expect(weekendWindow(new Date(2026, 11, 30))).toEqual({ start: new Date(2027, 0, 1), end: new Date(2027, 0, 4) });
+  });
+});
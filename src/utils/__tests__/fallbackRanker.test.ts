@@ -0,0 +1,118 @@
+import { rankFallback, type RankCandidate, type RankSignals } from '../fallbackRanker';
+
+const NOW = Date.parse('2026-10-19T12:00:00Z');
+
+function candidate(id: string, category: string, features: string[]): RankCandidate {
+  return { id, kind: 'listing', category, features, createdAt: null, ratingScore: null };
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const NO_SIGNALS: RankSignals = { preferences: {}, mutedTags: [], interactions: [] };
+
+function ids(candidates: RankCandidate[], signals: RankSignals): string[] {
+  return rankFallback(candidates, signals, { now: NOW }).map((entry) => entry.candidate.id);
+}
+
+const candidates = [
+  candidate('beach', 'beach', ['beach', 'pool']),
+  candidate('city', 'city', ['city', 'wifi']),
+];
+
+describe('rankFallback', () => {
+  it('learns from interactions with items outside the candidates', () => {
+    const signals: RankSignals = {
+      preferences: {},
+      mutedTags: [],
+      interactions: [{
+        kind: 'listing',
+        itemId: 'booked-last-month',
+        interactionType: 'book',
+        weight: 10,
+        createdAt: new Date(NOW).toISOString(),
+        features: ['city'],
+      }],
+    };
+
+    const ranked = rankFallback(candidates, signals, { now: NOW });
+    expect(ranked.map((entry) => entry.candidate.id)).toEqual(['city', 'beach']);
+  });
+
+  it('prefers the candidate’s own features and skips interactions without any', () => {
+    const signals: RankSignals = {
+      preferences: {},
+      mutedTags: [],
+      interactions: [
+        {
+          kind: 'listing',
+          itemId: 'beach',
+          interactionType: 'save',
+          weight: 3,
+          createdAt: new Date(NOW).toISOString(),
+          features: ['city'],
+        },
+        { kind: 'event', itemId: 'gone', interactionType: 'click', weight: 2, createdAt: new Date(NOW).toISOString() },
+      ],
+    };
+
+    const ranked = rankFallback(candidates, signals, { now: NOW });
+    expect(ranked.map((entry) => entry.candidate.id)).toEqual(['beach', 'city']);
+  });
+
+  it('leaves out items with a muted tag', () => {
+    const signals: RankSignals = { ...NO_SIGNALS, mutedTags: [' Pool '] };
+    expect(ids(candidates, signals)).toEqual(['city']);
+  });
+
+  it('leaves out booked and swiped-away items but keeps other interactions', () => {
+    const at = new Date(NOW).toISOString();
+    const signals: RankSignals = {
+      ...NO_SIGNALS,
+      interactions: [
+        { kind: 'listing', itemId: 'beach', interactionType: 'book', weight: 10, createdAt: at },
+        { kind: 'listing', itemId: 'city', interactionType: 'swipe_left', weight: -2, createdAt: at },
+        { kind: 'listing', itemId: 'lake', interactionType: 'click', weight: 2, createdAt: at },
+      ],
+    };
+    // An event with the swiped listing's id is a different item
+    const event: RankCandidate = { ...candidate('city', 'music', ['jazz']), kind: 'event' };
+    const pool = [...candidates, candidate('lake', 'lake', ['lake']), event];
+
+    expect(rankFallback(pool, signals, { now: NOW }).map((entry) => `${entry.candidate.kind}:${entry.candidate.id}`))
+      .toEqual(['listing:lake', 'event:city']);
+  });
+
+  it('penalises each further pick from the same category', () => {
+    const pool = [
+      candidate('beach-1', 'beach', ['beach']),
+      candidate('beach-2', 'beach', ['beach']),
+      candidate('city', 'city', ['city']),
+    ];
+    const signals: RankSignals = { ...NO_SIGNALS, preferences: { beach: 5, city: 2 } };
+
+    const ranked = rankFallback(pool, signals, { now: NOW });
+    expect(ranked.map((entry) => entry.candidate.id)).toEqual(['beach-1', 'city', 'beach-2']);
+    // 0.5 from the preference, less 0.4 for the beach listing above it
+    expect(ranked[2].score).toBeCloseTo(0.1);
+  });
+
+  it('boosts new listings and events that start soon', () => {
+    const listings = [
+      { ...candidate('old', 'old', []), createdAt: new Date(NOW - 60 * DAY_MS).toISOString() },
+      { ...candidate('new', 'new', []), createdAt: new Date(NOW - DAY_MS).toISOString() },
+    ];
+    expect(ids(listings, NO_SIGNALS)).toEqual(['new', 'old']);
+
+    const events: RankCandidate[] = [
+      { ...candidate('next-month', 'a', []), kind: 'event', startsAt: new Date(NOW + 30 * DAY_MS).toISOString() },
+      // Created long ago, but the start date is what counts for events
+      {
+        ...candidate('tomorrow', 'b', []),
+        kind: 'event',
+        createdAt: new Date(NOW - 90 * DAY_MS).toISOString(),
+        startsAt: new Date(NOW + DAY_MS).toISOString(),
+      },
+    ];
+    expect(ids(events, NO_SIGNALS)).toEqual(['tomorrow', 'next-month']);
+  });
+});
@@ -0,0 +1,23 @@
+import { isValidLatLng } from '../geo';
+
+describe('isValidLatLng', () => {
+  it('accepts coordinates as numbers or numeric strings', () => {
+    expect(isValidLatLng(-15.4167, 28.2833)).toBe(true);
+    expect(isValidLatLng('-15.4167', '28.2833')).toBe(true);
+    expect(isValidLatLng(0, 0)).toBe(true);
+  });
+
+  it('rejects missing coordinates instead of treating them as 0,0', () => {
+    expect(isValidLatLng(null, null)).toBe(false);
+    expect(isValidLatLng(undefined, 28.2833)).toBe(false);
+    expect(isValidLatLng('', '')).toBe(false);
+    expect(isValidLatLng(-15.4167, null)).toBe(false);
+  });
+
+  it('rejects values out of range or not numeric', () => {
+    expect(isValidLatLng(91, 0)).toBe(false);
+    expect(isValidLatLng(0, -181)).toBe(false);
+    expect(isValidLatLng('north', '28')).toBe(false);
+    expect(isValidLatLng(NaN, 0)).toBe(false);
+  });
+});
@@ -0,0 +1,174 @@
+import {
+  buildIcsCalendar,
+  escapeIcsText,
+  foldIcsLine,
+  formatIcsDate,
+  formatIcsDateTime,
+  icsFileName,
+  stayToIcsEvent,
+} from '../ics';
+
+const NOW = new Date('2026-10-19T08:00:00Z');
+
+function octets(value: string): number {
+  return Buffer.byteLength(value, 'utf8');
+}
+
+// Undo RFC 5545 folding: a CRLF followed by one space joins two lines
+function unfold(calendar: string): string[] {
+  return calendar.replace(/\r\n /g, '').split('\r\n');
+}
+
+describe('escapeIcsText', () => {
+  it('escapes backslashes, semicolons and commas', () => {
+    expect(escapeIcsText('a\\b;c,d')).toBe('a\\\\b\\;c\\,d');
+  });
+
+  it('turns every newline style into \\n', () => {
+    expect(escapeIcsText('one\r\ntwo\nthree\rfour')).toBe('one\\ntwo\\nthree\\nfour');
+  });
+
+  it('escapes the backslash before adding its own', () => {
+    expect(escapeIcsText('\\,')).toBe('\\\\\\,');
+  });
+});
+
+describe('foldIcsLine', () => {
+  it('leaves lines of 75 octets alone', () => {
+    const line = 'x'.repeat(75);
+    expect(foldIcsLine(line)).toBe(line);
+  });
+
+  it('folds longer lines with CRLF and a leading space', () => {
+    const folded = foldIcsLine('x'.repeat(200));
+    const lines = folded.split('\r\n');
+
+    expect(lines[0]).toHaveLength(75);
+    lines.slice(1).forEach((line) => expect(line.startsWith(' ')).toBe(true));
+    lines.forEach((line) => expect(octets(line)).toBeLessThanOrEqual(75));
+    expect(folded.replace(/\r\n /g, '')).toBe('x'.repeat(200));
+  });
+
+  it('never splits a multi-byte character', () => {
+    const line = `SUMMARY:${'é'.repeat(40)}${'🎉'.repeat(10)}`;
+    const lines = foldIcsLine(line).split('\r\n');
+
+    lines.forEach((part) => {
+      expect(octets(part)).toBeLessThanOrEqual(75);
+      // A split character would decode to U+FFFD
+      expect(Buffer.from(part, 'utf8').toString('utf8')).toBe(part);
+      expect(part).not.toMatch(/[\uD800-\uDBFF]$/);
+    });
+    expect(lines.map((part, index) => (index ? part.slice(1) : part)).join('')).toBe(line);
+  });
+});
+
+describe('date formatting', () => {
+  it('formats DATE values without separators', () => {
+    expect(formatIcsDate('2026-11-03')).toBe('20261103');
+  });
+
+  it('formats DATE-TIME values in UTC without milliseconds', () => {
+    expect(formatIcsDateTime('2026-11-03T16:30:15.250+02:00')).toBe('20261103T143015Z');
+  });
+});
+
+describe('buildIcsCalendar', () => {
+  const calendar = buildIcsCalendar(
+    [
+      { uid: 'stay-1', title: 'Stay', start: '2026-11-03', end: '2026-11-06' },
+      { uid: 'event-2', title: 'Jazz, wine; more', start: '2026-11-04T18:00:00Z', location: 'Main St\nLusaka' },
+    ],
+    { name: 'My trip', now: NOW }
+  );
+
+  it('ends every line, including the last, with CRLF', () => {
+    expect(calendar.endsWith('END:VCALENDAR\r\n')).toBe(true);
+    expect(calendar.replace(/\r\n/g, '')).not.toMatch(/[\r\n]/);
+  });
+
+  it('wraps the events in a VCALENDAR with a fixed DTSTAMP', () => {
+    const lines = unfold(calendar);
+    expect(lines[0]).toBe('BEGIN:VCALENDAR');
+    expect(lines).toContain('VERSION:2.0');
+    expect(lines).toContain('X-WR-CALNAME:My trip');
+    expect(lines.filter((line) => line === 'DTSTAMP:20261019T080000Z')).toHaveLength(2);
+    expect(lines).toContain('UID:stay-1@odini-mobile');
+  });
+
+  it('writes all-day entries as DATE values', () => {
+    const lines = unfold(calendar);
+    expect(lines).toContain('DTSTART;VALUE=DATE:20261103');
+    expect(lines).toContain('DTEND;VALUE=DATE:20261106');
+  });
+
+  it('writes timed entries as UTC DATE-TIME values, one hour long by default', () => {
+    const lines = unfold(calendar);
+    expect(lines).toContain('DTSTART:20261104T180000Z');
+    expect(lines).toContain('DTEND:20261104T190000Z');
+  });
+
+  it('escapes text properties', () => {
+    const lines = unfold(calendar);
+    expect(lines).toContain('SUMMARY:Jazz\\, wine\\; more');
+    expect(lines).toContain('LOCATION:Main St\\nLusaka');
+  });
+
+  it('defaults an all-day entry without an end to one day', () => {
+    const lines = unfold(buildIcsCalendar([{ uid: 'a', title: 'A', start: '2026-12-31' }], { now: NOW }));
+    expect(lines).toContain('DTSTART;VALUE=DATE:20261231');
+    expect(lines).toContain('DTEND;VALUE=DATE:20270101');
+  });
+
+  it('folds long descriptions', () => {
+    const long = buildIcsCalendar(
+      [{ uid: 'a', title: 'A', start: '2026-12-31', description: 'word '.repeat(40) }],
+      { now: NOW }
+    );
+    long.split('\r\n').forEach((line) => expect(octets(line)).toBeLessThanOrEqual(75));
+  });
+});
+
+describe('stayToIcsEvent', () => {
+  it('makes an all-day event whose exclusive DTEND is the day after check-out', () => {
+    const event = stayToIcsEvent({
+      tripId: 't1',
+      startDate: '2026-11-03',
+      endDate: '2026-11-06T00:00:00Z',
+      guestCount: 2,
+      listing: { title: 'Cabin', address_city: 'Lusaka', address_country: 'Zambia' },
+    });
+
+    expect(event).toEqual({
+      uid: 'stay-t1',
+      title: 'Stay: Cabin',
+      start: '2026-11-03',
+      end: '2026-11-07',
+      allDay: true,
+      location: 'Lusaka, Zambia',
+      description: 'Check-in 2026-11-03, check-out 2026-11-06\n2 guests',
+    });
+  });
+
+  it('falls back to the trip name and leaves out a missing location', () => {
+    const event = stayToIcsEvent({ tripId: 't2', tripName: 'Weekend', startDate: '2026-11-03', endDate: '2026-11-04' });
+    expect(event?.title).toBe('Stay: Weekend');
+    expect(event?.location).toBeNull();
+  });
+
+  it('skips stays without valid dates', () => {
+    expect(stayToIcsEvent({ tripId: 't3', startDate: 'soon', endDate: '2026-11-04' })).toBeNull();
+  });
+});
+
+describe('icsFileName', () => {
+  it('slugs the title', () => {
+    expect(icsFileName('Lusaka Weekend!')).toBe('lusaka-weekend.ics');
+    expect(icsFileName('  --Trip  2026-- ')).toBe('trip-2026.ics');
+  });
+
+  it('falls back to trips.ics', () => {
+    expect(icsFileName('')).toBe('trips.ics');
+    expect(icsFileName('🎉')).toBe('trips.ics');
+  });
+});
@@ -0,0 +1,121 @@
+import {
+  boundsContain,
+  clusterPoints,
+  hasRegionChanged,
+  regionForCluster,
+  regionToBounds,
+  regionToProximity,
+  type MapPoint,
+  type MapRegion,
+} from '../mapClustering';
+
+function point(id: string, lat: number, lng: number): MapPoint<null> {
+  return { id, lat, lng, data: null };
+}
+
+function region(latitude: number, longitude: number, delta: number): MapRegion {
+  return { latitude, longitude, latitudeDelta: delta, longitudeDelta: delta };
+}
+
+const LUSAKA = [point('a', -15.41, 28.205), point('b', -15.42, 28.235)];
+
+describe('clusterPoints', () => {
+  it('merges nearby points when zoomed out and splits them when zoomed in', () => {
+    const out = clusterPoints(LUSAKA, region(-15.4, 28.2, 1));
+    expect(out).toHaveLength(1);
+    expect(out[0].count).toBe(2);
+    expect(out[0].lat).toBeCloseTo(-15.415);
+    expect(out[0].lng).toBeCloseTo(28.22);
+
+    const zoomed = clusterPoints(LUSAKA, region(-15.4, 28.2, 0.1));
+    expect(zoomed.map((cluster) => cluster.id).sort()).toEqual(['point:a', 'point:b']);
+  });
+
+  it('shows every point on its own below minClusterDelta', () => {
+    const close = [point('a', -15.41, 28.2001), point('b', -15.41, 28.2002)];
+    expect(clusterPoints(close, region(-15.41, 28.2, 0.005))).toHaveLength(2);
+  });
+
+  it('keeps clusters put while panning', () => {
+    const ids = (center: number) => clusterPoints(LUSAKA, region(-15.4, center, 1)).map((cluster) => cluster.id);
+    expect(ids(28.2)).toEqual(ids(28.4));
+  });
+
+  it('drops points outside the padded viewport and points without a location', () => {
+    const points = [...LUSAKA, point('far', 10, 28.2), point('missing', NaN, NaN)];
+    const clusters = clusterPoints(points, region(-15.4, 28.2, 1));
+    expect(clusters.flatMap((cluster) => cluster.points.map((p) => p.id)).sort()).toEqual(['a', 'b']);
+  });
+
+  it('finds points on both sides of the antimeridian', () => {
+    const points = [point('east', 0, 178), point('west', 0, -178), point('greenwich', 0, 0)];
+    const clusters = clusterPoints(points, region(0, 180, 10));
+    expect(clusters.flatMap((cluster) => cluster.points.map((p) => p.id)).sort()).toEqual(['east', 'west']);
+  });
+});
+
+describe('regionToBounds', () => {
+  it('wraps west past east across the antimeridian', () => {
+    const bounds = regionToBounds(region(0, 180, 10));
+    expect(bounds.west).toBeCloseTo(175);
+    expect(bounds.east).toBeCloseTo(-175);
+    expect(boundsContain(bounds, 0, 179)).toBe(true);
+    expect(boundsContain(bounds, 0, -179)).toBe(true);
+    expect(boundsContain(bounds, 0, 170)).toBe(false);
+  });
+
+  it('covers the whole world when zoomed all the way out', () => {
+    const bounds = regionToBounds(region(0, 0, 400));
+    expect(bounds).toEqual({ north: 90, south: -90, east: 180, west: -180 });
+    expect(boundsContain(bounds, 45, -120)).toBe(true);
+  });
+});
+
+describe('regionToProximity', () => {
+  it('uses the region centre and the distance to its corner', () => {
+    const proximity = regionToProximity(region(0, 0, 2));
+    expect(proximity.lat).toBe(0);
+    expect(proximity.lng).toBe(0);
+    // One degree of latitude and longitude at the equator
+    expect(proximity.radiusKm).toBeCloseTo(157.25, 0);
+  });
+
+  it('normalizes the longitude and never goes below the minimum radius', () => {
+    const proximity = regionToProximity(region(0, 190, 0.001));
+    expect(proximity.lng).toBeCloseTo(-170);
+    expect(proximity.radiusKm).toBe(1);
+    expect(regionToProximity(region(0, 0, 0.001), 5).radiusKm).toBe(5);
+  });
+});
+
+describe('hasRegionChanged', () => {
+  const from = region(-15.4, 28.2, 1);
+
+  it('ignores small pans and zooms', () => {
+    expect(hasRegionChanged(from, from)).toBe(false);
+    expect(hasRegionChanged(from, { ...from, latitude: -15.2 })).toBe(false);
+    expect(hasRegionChanged(from, { ...from, longitudeDelta: 1.2 })).toBe(false);
+  });
+
+  it('reports pans and zooms past the threshold', () => {
+    expect(hasRegionChanged(from, { ...from, latitude: -15.0 })).toBe(true);
+    expect(hasRegionChanged(from, { ...from, longitude: 28.6 })).toBe(true);
+    expect(hasRegionChanged(from, { ...from, longitudeDelta: 2 })).toBe(true);
+    expect(hasRegionChanged(from, { ...from, longitudeDelta: 0.5 })).toBe(true);
+  });
+
+  it('measures pans the short way across the antimeridian', () => {
+    expect(hasRegionChanged(region(0, 179.9, 1), region(0, -179.9, 1))).toBe(false);
+  });
+});
+
+describe('regionForCluster', () => {
+  it('fits the cluster points with padding', () => {
+    const [cluster] = clusterPoints(LUSAKA, region(-15.4, 28.2, 1));
+    const fitted = regionForCluster(cluster);
+    expect(fitted.latitude).toBeCloseTo(-15.415);
+    expect(fitted.longitude).toBeCloseTo(28.22);
+    expect(fitted.latitudeDelta).toBeCloseTo(0.015);
+    expect(fitted.longitudeDelta).toBeCloseTo(0.045);
+  });
+});
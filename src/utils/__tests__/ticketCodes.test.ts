@@ -0,0 +1,133 @@
+import { createHash, createHmac } from 'crypto';
+import {
+  base64Url,
+  hmacSha256,
+  parseTicketCode,
+  sha256,
+  signTicketCode,
+  ticketCodePayload,
+  verifyTicketSignature,
+} from '../ticketCodes';
+
+function hex(bytes: Uint8Array): string {
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+function text(value: string): Uint8Array {
+  return new TextEncoder().encode(value);
+}
+
+// What confirm_ticket_order does in SQL:
+// rtrim(translate(encode(hmac(payload, decode(secret, 'hex'), 'sha256'), 'base64'), '+/', '-_'), '=')
+function serverSignature(payload: string, hexKey: string): string {
+  const base64 = createHmac('sha256', Buffer.from(hexKey, 'hex')).update(payload, 'utf8').digest('base64');
+  return base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+const KEY = '3f'.repeat(32);
+const PARTS = {
+  ticketId: '5b0c6f1e-2d7a-4c39-9f0e-6a1d2b3c4d5e',
+  eventId: 'c0ffee00-1234-4abc-8def-0123456789ab',
+  tierId: '9a8b7c6d-5e4f-4a3b-2c1d-0e9f8a7b6c5d',
+};
+
+describe('sha256', () => {
+  it('matches the FIPS 180-2 examples', () => {
+    expect(hex(sha256(text('')))).toBe('e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+    expect(hex(sha256(text('abc')))).toBe('ba7816bf8f01cfea414140de5dae2223b00361a396177a9cb410ff61f20015ad');
+    expect(hex(sha256(text('abcdbcdecdefdefgefghfghighijhijkijkljklmklmnlmnomnopnopq'))))
+      .toBe('248d6a61d20638b8e5c026930c3e6039a33ce45964ff2167f6ecedd419db06c1');
+  });
+
+  it('pads messages that fill a block up to the length field', () => {
+    const message = new Uint8Array(56).fill(0x61);
+    // Checked against Node's digest; no published example has this length
+    expect(hex(sha256(message))).toBe(createHash('sha256').update(message).digest('hex'));
+  });
+});
+
+describe('hmacSha256 (RFC 4231 test vectors)', () => {
+  it('test case 1', () => {
+    expect(hex(hmacSha256('0b'.repeat(20), 'Hi There')))
+      .toBe('b0344c61d8db38535ca8afceaf0bf12b881dc200c9833da726e9376c2e32cff7');
+  });
+
+  it('test case 2: key shorter than the output', () => {
+    expect(hex(hmacSha256('4a656665', 'what do ya want for nothing?')))
+      .toBe('5bdcc146bf60754e6a042426089575c75a003f089d2739839dec58b964ec3843');
+  });
+
+  it('test case 3: combined key and data longer than 64 bytes', () => {
+    expect(hex(hmacSha256('aa'.repeat(20), new Uint8Array(50).fill(0xdd))))
+      .toBe('773ea91e36800e46854db8ebd09181a72959098b3ef8c122d9635514ced565fe');
+  });
+
+  it('test case 4', () => {
+    expect(hex(hmacSha256('0102030405060708090a0b0c0d0e0f10111213141516171819', new Uint8Array(50).fill(0xcd))))
+      .toBe('82558a389a443c0ea4cc819899f2083a85f0faa3e578f8077a2e3ff46729665b');
+  });
+
+  it('test case 5: truncated to 128 bits', () => {
+    expect(hex(hmacSha256('0c'.repeat(20), 'Test With Truncation')).slice(0, 32))
+      .toBe('a3b6167473100ee06e0c796c2955552b');
+  });
+
+  it('test case 6: key larger than the block size', () => {
+    expect(hex(hmacSha256('aa'.repeat(131), 'Test Using Larger Than Block-Size Key - Hash Key First')))
+      .toBe('60e431591ee0b67f0d8a26aacbf5b77f8e0bc6213728c5140546040f0ee37f54');
+  });
+
+  it('test case 7: key and data larger than the block size', () => {
+    const data = 'This is a test using a larger than block-size key and a larger than block-size data. '
+      + 'The key needs to be hashed before being used by the HMAC algorithm.';
+    expect(hex(hmacSha256('aa'.repeat(131), data)))
+      .toBe('9b09ffa71b942fcb27635fbcd5b0e944bfdc63644f0713938a7f51535c3a35e2');
+  });
+
+  it('rejects keys that are not hex', () => {
+    expect(() => hmacSha256('not-hex', 'x')).toThrow('Ticket key must be hex');
+  });
+});
+
+describe('base64Url', () => {
+  it('is unpadded and uses - and _', () => {
+    expect(base64Url(new Uint8Array([]))).toBe('');
+    expect(base64Url(new Uint8Array([0xfb]))).toBe('-w');
+    expect(base64Url(new Uint8Array([0xfb, 0xff]))).toBe('-_8');
+    expect(base64Url(new Uint8Array([0xfb, 0xff, 0xbf]))).toBe('-_-_');
+  });
+});
+
+describe('ticket codes', () => {
+  it('verifies a code signed the way the server signs it', () => {
+    const payload = ticketCodePayload(PARTS);
+    const code = `${payload}.${serverSignature(payload, KEY)}`;
+
+    const parsed = parseTicketCode(code);
+    expect(parsed).toEqual({ ...PARTS, signature: serverSignature(payload, KEY) });
+    expect(verifyTicketSignature(parsed!, KEY)).toBe(true);
+    expect(signTicketCode(PARTS, KEY)).toBe(code);
+  });
+
+  it('rejects a code whose payload was changed', () => {
+    const parsed = parseTicketCode(signTicketCode(PARTS, KEY))!;
+    expect(verifyTicketSignature({ ...parsed, tierId: '00000000-0000-4000-8000-000000000000' }, KEY)).toBe(false);
+    expect(verifyTicketSignature({ ...parsed, ticketId: parsed.ticketId.replace('5b', '5c') }, KEY)).toBe(false);
+  });
+
+  it('rejects a changed or truncated signature and a different key', () => {
+    const parsed = parseTicketCode(signTicketCode(PARTS, KEY))!;
+    const last = parsed.signature.slice(-1);
+    const flipped = parsed.signature.slice(0, -1) + (last === 'A' ? 'B' : 'A');
+    expect(verifyTicketSignature({ ...parsed, signature: flipped }, KEY)).toBe(false);
+    expect(verifyTicketSignature({ ...parsed, signature: parsed.signature.slice(0, -1) }, KEY)).toBe(false);
+    expect(verifyTicketSignature(parsed, '40'.repeat(32))).toBe(false);
+  });
+
+  it('only parses five-part ODT1 codes', () => {
+    expect(parseTicketCode('ODT2.a.b.c.d')).toBeNull();
+    expect(parseTicketCode('ODT1.a.b.c')).toBeNull();
+    expect(parseTicketCode('ODT1.a..c.d')).toBeNull();
+    expect(parseTicketCode(' ODT1.a.b.c.d\n')).toEqual({ ticketId: 'a', eventId: 'b', tierId: 'c', signature: 'd' });
+  });
+});
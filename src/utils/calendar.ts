@@ -0,0 +1,86 @@
+// src/utils/calendar.ts
+
+import { addDays, toISODate } from './dateRanges';
+import { eventDay, eventLocalSchedule } from './events';
+
+export const WEEKDAY_LABELS = ['S', 'M', 'T', 'W', 'T', 'F', 'S'];
+
+/**
+ * Weeks of a month as rows of seven 'YYYY-MM-DD' cells starting on Sunday.
+ * Cells outside the month are null. `month` is zero-based like Date.
+ */
+export function buildMonthGrid(year: number, month: number): (string | null)[][] {
+  const firstWeekday = new Date(year, month, 1).getDay();
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+  const cells: (string | null)[] = Array(firstWeekday).fill(null);
+
+  for (let day = 1; day <= daysInMonth; day++) {
+    cells.push(toISODate(new Date(year, month, day)));
+  }
+  while (cells.length % 7 !== 0) {
+    cells.push(null);
+  }
+
+  const weeks: (string | null)[][] = [];
+  for (let i = 0; i < cells.length; i += 7) {
+    weeks.push(cells.slice(i, i + 7));
+  }
+  return weeks;
+}
+
+/**
+ * Month heading, e.g. "November 2026"
+ */
+export function monthLabel(year: number, month: number, locale: string = 'en-US'): string {
+  return new Date(year, month, 1).toLocaleDateString(locale, { month: 'long', year: 'numeric' });
+}
+
+/**
+ * The `count` months starting at the month of `from`, as { year, month } pairs
+ */
+export function monthsFrom(from: Date, count: number): { year: number; month: number }[] {
+  return Array.from({ length: count }, (_, index) => {
+    const date = new Date(from.getFullYear(), from.getMonth() + index, 1);
+    return { year: date.getFullYear(), month: date.getMonth() };
+  });
+}
+
+/**
+ * The Sunday-to-Saturday week containing `date`, as 'YYYY-MM-DD' strings
+ */
+export function weekDays(date: string): string[] {
+  const [year, month, day] = date.split('-').map(Number);
+  const weekday = new Date(year, month - 1, day).getDay();
+  return Array.from({ length: 7 }, (_, index) => addDays(date, index - weekday));
+}
+
+/**
+ * Local midnight at the start of `start` to local midnight after `last`,
+ * for fetching the events of those days
+ */
+export function dayRangeWindow(start: string, last: string): { start: Date; end: Date } {
+  const [y1, m1, d1] = start.split('-').map(Number);
+  const [y2, m2, d2] = last.split('-').map(Number);
+  return { start: new Date(y1, m1 - 1, d1), end: new Date(y2, m2 - 1, d2 + 1) };
+}
+
+/**
+ * Events keyed by each day they run on, limited to `days`. A multi-day
+ * event is listed on every one of its days.
+ */
+export function groupEventsByDay<T extends Record<string, any>>(events: T[], days: string[]): Record<string, T[]> {
+  const wanted = new Set(days);
+  const grouped: Record<string, T[]> = {};
+
+  for (const event of events) {
+    const first = eventDay(event);
+    if (!first) continue;
+    const last = eventLocalSchedule(event)?.endDate ?? first;
+
+    for (let date = first; date <= last; date = addDays(date, 1)) {
+      if (!wanted.has(date)) continue;
+      (grouped[date] ??= []).push(event);
+    }
+  }
+  return grouped;
+}
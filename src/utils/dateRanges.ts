@@ -0,0 +1,143 @@
+// src/utils/dateRanges.ts
+//
+// Helpers for stay date ranges. Dates are 'YYYY-MM-DD' strings; a range runs
+// from check-in (inclusive) to check-out (exclusive), so back-to-back stays
+// that share a changeover day do not overlap. Arithmetic is done in UTC to
+// stay clear of daylight-saving shifts.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}$/;
+
+export interface DateRange {
+  start: string;
+  end: string;
+}
+
+/**
+ * Local calendar date of a Date object as 'YYYY-MM-DD'
+ */
+export function toISODate(date: Date): string {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Today's local date as 'YYYY-MM-DD'
+ */
+export function todayISO(): string {
+  return toISODate(new Date());
+}
+
+/**
+ * True for a well-formed 'YYYY-MM-DD' string naming a real day
+ */
+export function isISODate(value: unknown): value is string {
+  if (typeof value !== 'string' || !ISO_DATE.test(value)) return false;
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCFullYear() === year && date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+}
+
+function toUTCTime(value: string): number {
+  const [year, month, day] = value.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+function fromUTCTime(time: number): string {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+/**
+ * Shift a date by a number of days
+ */
+export function addDays(value: string, days: number): string {
+  return fromUTCTime(toUTCTime(value) + days * DAY_MS);
+}
+
+/**
+ * Nights between check-in and check-out
+ */
+export function nightsBetween(start: string, end: string): number {
+  return Math.round((toUTCTime(end) - toUTCTime(start)) / DAY_MS);
+}
+
+/**
+ * True when both dates are valid and check-out is after check-in
+ */
+export function isValidStayRange(range: Partial<DateRange> | null | undefined): range is DateRange {
+  return !!range && isISODate(range.start) && isISODate(range.end) && range.start < range.end;
+}
+
+/**
+ * True when two check-in/check-out ranges share at least one night
+ */
+export function rangesOverlap(a: DateRange, b: DateRange): boolean {
+  return a.start < b.end && b.start < a.end;
+}
+
+/**
+ * True when `date` is a night inside the range (check-out day excluded)
+ */
+export function rangeContainsNight(range: DateRange, date: string): boolean {
+  return date >= range.start && date < range.end;
+}
+
+/**
+ * Every night of a range, check-in first
+ */
+export function eachNight(range: DateRange): string[] {
+  const nights: string[] = [];
+  for (let date = range.start; date < range.end; date = addDays(date, 1)) {
+    nights.push(date);
+  }
+  return nights;
+}
+
+/**
+ * Label for a single date, e.g. "Tue, Nov 3"
+ */
+export function formatDay(
+  value: string,
+  locale: string = 'en-US',
+  options: Intl.DateTimeFormatOptions = { weekday: 'short', month: 'short', day: 'numeric' }
+): string {
+  return new Date(toUTCTime(value)).toLocaleDateString(locale, { ...options, timeZone: 'UTC' });
+}
+
+/**
+ * Short label for a range, e.g. "Nov 3 – Nov 7"
+ */
+export function formatDateRange(range: DateRange, locale: string = 'en-US'): string {
+  const options: Intl.DateTimeFormatOptions = { month: 'short', day: 'numeric' };
+  return `${formatDay(range.start, locale, options)} – ${formatDay(range.end, locale, options)}`;
+}
+
+/**
+ * Ranges with the same number of nights as `requested` that avoid every
+ * unavailable range, closest shift first (later wins a tie). Never starts
+ * before `earliest` and looks at most `maxShiftDays` either way.
+ */
+export function nearestAvailableRanges(
+  requested: DateRange,
+  unavailable: DateRange[],
+  { count = 3, maxShiftDays = 30, earliest = todayISO() }: { count?: number; maxShiftDays?: number; earliest?: string } = {}
+): DateRange[] {
+  const nights = nightsBetween(requested.start, requested.end);
+  const found: DateRange[] = [];
+
+  for (let shift = 1; shift <= maxShiftDays && found.length < count; shift++) {
+    for (const offset of [shift, -shift]) {
+      const start = addDays(requested.start, offset);
+      if (start < earliest) continue;
+
+      const candidate = { start, end: addDays(start, nights) };
+      if (!unavailable.some((range) => rangesOverlap(range, candidate))) {
+        found.push(candidate);
+        if (found.length === count) break;
+      }
+    }
+  }
+
+  return found;
+}
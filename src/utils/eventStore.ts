@@ -0,0 +1,121 @@
+// src/utils/eventStore.ts
+//
+// Normalized list of events kept in sync with realtime changes. Rows live in
+// `byId`; `ids` is the order the user sees. Inserts wait in `pendingIds`
+// until revealNewEvents, so a list the user is scrolling never reshuffles;
+// updates replace a row in place and deletes drop it everywhere.
+
+export interface StoredEvent {
+  id: string | number;
+  [key: string]: any;
+}
+
+export interface EventStore {
+  byId: Record<string, StoredEvent>;
+  ids: string[];
+  pendingIds: string[];
+}
+
+/**
+ * Shape of a Supabase postgres_changes payload
+ */
+export interface EventChange {
+  eventType: 'INSERT' | 'UPDATE' | 'DELETE';
+  new: Partial<StoredEvent> | null;
+  old: Partial<StoredEvent> | null;
+}
+
+export const EMPTY_EVENT_STORE: EventStore = { byId: {}, ids: [], pendingIds: [] };
+
+/**
+ * Replace the visible list, e.g. with a freshly loaded first page
+ */
+export function setStoreEvents(events: StoredEvent[]): EventStore {
+  return appendStoreEvents(EMPTY_EVENT_STORE, events);
+}
+
+/**
+ * Add a further page to the end, skipping events already shown
+ */
+export function appendStoreEvents(store: EventStore, events: StoredEvent[]): EventStore {
+  const byId = { ...store.byId };
+  const ids = [...store.ids];
+  const seen = new Set(ids);
+  const pendingIds = store.pendingIds.filter((id) => !events.some((event) => String(event.id) === id));
+
+  for (const event of events) {
+    const id = String(event.id);
+    byId[id] = event;
+    if (!seen.has(id)) {
+      seen.add(id);
+      ids.push(id);
+    }
+  }
+  return { byId, ids, pendingIds };
+}
+
+/**
+ * Apply one realtime change. `accepts` decides whether a new or changed row
+ * belongs in this list at all (e.g. the selected category); rows that stop
+ * matching are removed.
+ */
+export function applyEventChange(
+  store: EventStore,
+  change: EventChange,
+  accepts: (event: StoredEvent) => boolean = () => true
+): EventStore {
+  const id = change.new?.id ?? change.old?.id;
+  if (id === undefined || id === null) return store;
+  const key = String(id);
+  const known = key in store.byId;
+
+  if (change.eventType === 'DELETE' || (known && change.new && !accepts({ ...store.byId[key], ...change.new } as StoredEvent))) {
+    if (!known) return store;
+    const byId = { ...store.byId };
+    delete byId[key];
+    return {
+      byId,
+      ids: store.ids.filter((item) => item !== key),
+      pendingIds: store.pendingIds.filter((item) => item !== key),
+    };
+  }
+
+  if (!change.new) return store;
+
+  if (known) {
+    // Realtime rows lack joined and computed fields (ratings), so merge
+    return {
+      ...store,
+      byId: { ...store.byId, [key]: { ...store.byId[key], ...change.new } as StoredEvent },
+    };
+  }
+
+  // Updates to rows on pages not loaded yet are picked up when they load
+  const event = change.new as StoredEvent;
+  if (change.eventType !== 'INSERT' || !accepts(event)) return store;
+  return {
+    ...store,
+    byId: { ...store.byId, [key]: event },
+    pendingIds: [key, ...store.pendingIds],
+  };
+}
+
+/**
+ * Move waiting inserts to the top of the visible list, newest first
+ */
+export function revealNewEvents(store: EventStore): EventStore {
+  if (store.pendingIds.length === 0) return store;
+  const pending = new Set(store.pendingIds);
+  return {
+    ...store,
+    ids: [...store.pendingIds, ...store.ids.filter((id) => !pending.has(id))],
+    pendingIds: [],
+  };
+}
+
+/**
+ * Visible events in display order
+ */
+export function selectVisibleEvents(store: EventStore): StoredEvent[] {
+  return store.ids.map((id) => store.byId[id]).filter(Boolean);
+}
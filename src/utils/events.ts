@@ -0,0 +1,227 @@
+// src/utils/events.ts
+//
+// Display helpers for rows of the `events` table.
+
+import { formatDay, isISODate, toISODate } from './dateRanges';
+import { formatPrice } from './format';
+
+export const EVENT_CATEGORIES = [
+  { id: 'all', label: 'All' },
+  { id: 'Music', label: 'Music' },
+  { id: 'Art', label: 'Art' },
+  { id: 'Business', label: 'Business' },
+  { id: 'Community', label: 'Community' },
+  { id: 'Education', label: 'Education' },
+  { id: 'Recreation', label: 'Recreation' },
+  { id: 'Shopping', label: 'Shopping' },
+  { id: 'Automotive', label: 'Automotive' },
+];
+
+// Where events happen unless a row says otherwise
+export const DEFAULT_EVENT_TIME_ZONE = 'Africa/Lusaka';
+
+const HOUR_MS = 60 * 60 * 1000;
+// How long an event without an end time is taken to last
+export const EVENT_ASSUMED_HOURS = 3;
+
+/**
+ * Schedule fields of an event row. starts_at/ends_at are instants (ends_at
+ * exclusive); date/time are the legacy display strings.
+ */
+export interface ScheduledEvent {
+  starts_at?: string | null;
+  ends_at?: string | null;
+  time_zone?: string | null;
+  all_day?: boolean | null;
+  date?: string | null;
+  time?: string | null;
+}
+
+/**
+ * The event's schedule as seen by someone at the venue. Dates are
+ * 'YYYY-MM-DD'; minutes count from local midnight and are null for all-day
+ * events. `endDate` is the last day the event runs on.
+ */
+export interface EventLocalSchedule {
+  date: string;
+  endDate: string;
+  startMinutes: number | null;
+  endMinutes: number | null;
+  allDay: boolean;
+}
+
+/**
+ * IANA time zone an event happens in
+ */
+export function eventTimeZone(event: ScheduledEvent): string {
+  return event.time_zone || DEFAULT_EVENT_TIME_ZONE;
+}
+
+function parseInstant(value: string | null | undefined): Date | null {
+  if (!value) return null;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Falls back to the device zone where Intl has no time zone data
+function formatInZone(instant: Date, timeZone: string, options: Intl.DateTimeFormatOptions): string {
+  try {
+    return new Intl.DateTimeFormat('en-US', { ...options, timeZone }).format(instant);
+  } catch {
+    return new Intl.DateTimeFormat('en-US', options).format(instant);
+  }
+}
+
+function zonedParts(instant: Date, timeZone: string): { date: string; minutes: number } {
+  try {
+    const parts = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23',
+    }).formatToParts(instant);
+    const part = (type: string) => parts.find((item) => item.type === type)?.value ?? '';
+    return {
+      date: `${part('year')}-${part('month')}-${part('day')}`,
+      minutes: Number(part('hour')) * 60 + Number(part('minute')),
+    };
+  } catch {
+    return { date: toISODate(instant), minutes: instant.getHours() * 60 + instant.getMinutes() };
+  }
+}
+
+/**
+ * Local schedule of an event in its own time zone, or null when it has no
+ * structured start
+ */
+export function eventLocalSchedule(event: ScheduledEvent): EventLocalSchedule | null {
+  const start = parseInstant(event.starts_at);
+  if (!start) return null;
+
+  const timeZone = eventTimeZone(event);
+  const end = parseInstant(event.ends_at);
+  const startParts = zonedParts(start, timeZone);
+  // ends_at is exclusive: an event ending at midnight (including every
+  // all-day event) does not run on the day that midnight starts
+  const lastDay = end ? zonedParts(new Date(end.getTime() - 1), timeZone).date : startParts.date;
+  const endDate = lastDay < startParts.date ? startParts.date : lastDay;
+
+  if (event.all_day) {
+    return {
+      date: startParts.date,
+      endDate,
+      startMinutes: null,
+      endMinutes: null,
+      allDay: true,
+    };
+  }
+
+  return {
+    date: startParts.date,
+    endDate,
+    startMinutes: startParts.minutes,
+    endMinutes: end ? startParts.minutes + Math.round((end.getTime() - start.getTime()) / 60000) : null,
+    allDay: false,
+  };
+}
+
+/**
+ * The day an event starts on at its venue, 'YYYY-MM-DD', or null when undated.
+ * Falls back to the legacy date column when it holds an ISO date.
+ */
+export function eventDay(event: ScheduledEvent): string | null {
+  const schedule = eventLocalSchedule(event);
+  if (schedule) return schedule.date;
+  const legacy = (event.date ?? '').slice(0, 10);
+  return isISODate(legacy) ? legacy : null;
+}
+
+/**
+ * Date line for an event card in the event's time zone, e.g.
+ * "Fri, Nov 21 · 7:00 PM – 1:00 AM" or "Fri, Nov 21 · All day". The zone is
+ * named when it differs from the device's. Rows without a structured start
+ * fall back to their display strings.
+ */
+export function eventDateLabel(event: ScheduledEvent): string {
+  const start = parseInstant(event.starts_at);
+  if (!start) {
+    const date = event.date ?? '';
+    const day = isISODate(date.slice(0, 10)) ? formatDay(date.slice(0, 10)) : date;
+    return [day || 'Date to be announced', event.time].filter(Boolean).join(' · ');
+  }
+
+  const timeZone = eventTimeZone(event);
+  const schedule = eventLocalSchedule(event) as EventLocalSchedule;
+  const dayOptions: Intl.DateTimeFormatOptions = { weekday: 'short', month: 'short', day: 'numeric' };
+
+  if (schedule.allDay) {
+    const first = formatDay(schedule.date, 'en-US', dayOptions);
+    return schedule.endDate > schedule.date
+      ? `${first} – ${formatDay(schedule.endDate, 'en-US', dayOptions)}`
+      : `${first} · All day`;
+  }
+
+  let deviceZone: string | undefined;
+  try {
+    deviceZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  } catch {
+    deviceZone = undefined;
+  }
+  const showZone = !!deviceZone && deviceZone !== timeZone;
+  const timeOptions: Intl.DateTimeFormatOptions = { hour: 'numeric', minute: '2-digit' };
+  const end = parseInstant(event.ends_at);
+
+  const times = end
+    ? `${formatInZone(start, timeZone, timeOptions)} – ${formatInZone(end, timeZone, { ...timeOptions, ...(showZone ? { timeZoneName: 'short' } : {}) })}`
+    : formatInZone(start, timeZone, { ...timeOptions, ...(showZone ? { timeZoneName: 'short' } : {}) });
+
+  return `${formatInZone(start, timeZone, dayOptions)} · ${times}`;
+}
+
+/**
+ * True once an event is over. Without an end, a timed event is over
+ * EVENT_ASSUMED_HOURS after it starts; undated events never are.
+ */
+export function isPastEvent(event: ScheduledEvent, now: Date = new Date()): boolean {
+  const start = parseInstant(event.starts_at);
+  if (!start) {
+    const day = eventDay(event);
+    return !!day && day < toISODate(now);
+  }
+  const end = parseInstant(event.ends_at) ?? new Date(start.getTime() + EVENT_ASSUMED_HOURS * HOUR_MS);
+  return end.getTime() <= now.getTime();
+}
+
+/**
+ * This weekend on the device: Friday 00:00 to Monday 00:00. From Friday to
+ * Sunday that is the current weekend, otherwise the coming one.
+ */
+export function weekendWindow(now: Date = new Date()): { start: Date; end: Date } {
+  const day = now.getDay();
+  const daysToFriday = day === 5 ? 0 : day === 6 ? -1 : day === 0 ? -2 : 5 - day;
+  const start = new Date(now.getFullYear(), now.getMonth(), now.getDate() + daysToFriday);
+  const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 3);
+  return { start, end };
+}
+
+/**
+ * Price label for an event; zero is "Free" and missing is empty. The
+ * structured price_amount wins over the legacy free-text price.
+ */
+export function eventPriceLabel(event: {
+  price?: number | string | null;
+  price_amount?: number | string | null;
+  currency?: string | null;
+}): string {
+  if (event.price_amount !== null && event.price_amount !== undefined && event.price_amount !== '') {
+    const amount = Number(event.price_amount);
+    if (Number.isFinite(amount)) return amount === 0 ? 'Free' : formatPrice(amount, event.currency || undefined);
+  }
+  if (event.price === null || event.price === undefined || event.price === '') return '';
+  const amount = Number(event.price);
+  if (!Number.isFinite(amount)) return String(event.price);
+  return amount === 0 ? 'Free' : formatPrice(amount);
+}
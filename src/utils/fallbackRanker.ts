@@ -0,0 +1,185 @@
+// src/utils/fallbackRanker.ts
+//
+// Client-side ranking used only while the recommendations Edge Function is
+// unreachable. It orders recently fetched listings and events by how well
+// their tags match the user's decayed preference scores and recent
+// interactions, plus rating quality and recency, then spreads categories
+// out so one interest does not fill the whole feed.
+
+export type RankItemKind = 'listing' | 'event';
+
+/**
+ * A listing or event to rank. `features` are the tags, category and similar
+ * words that preferences are matched against.
+ */
+export interface RankCandidate {
+  id: string;
+  kind: RankItemKind;
+  category: string | null;
+  features: string[];
+  createdAt: string | null;
+  startsAt?: string | null; // events only
+  ratingScore: number | null; // Bayesian rating score, 1-5
+}
+
+/**
+ * A recent row of user_interactions, resolved to the item it was about.
+ * `features` are that item's, so interactions with items outside the
+ * candidate pool (booked, past or older listings and events) still count.
+ */
+export interface RankInteraction {
+  kind: RankItemKind;
+  itemId: string;
+  interactionType: string;
+  weight: number;
+  createdAt: string;
+  features?: string[];
+}
+
+export interface RankSignals {
+  // Decayed score per tag, from user_preference_scores
+  preferences: Record<string, number>;
+  mutedTags: string[];
+  interactions: RankInteraction[];
+}
+
+export interface RankedCandidate {
+  candidate: RankCandidate;
+  score: number;
+}
+
+// Preference scores are capped at ±10 by increment_user_preferences
+const PREFERENCE_CAP = 10;
+const INTERACTION_HALF_LIFE_DAYS = 14;
+const NEW_LISTING_HALF_LIFE_DAYS = 14;
+const UPCOMING_EVENT_HALF_LIFE_DAYS = 7;
+const NEUTRAL_RATING = 3;
+
+const PREFERENCE_WEIGHT = 1;
+const INTERACTION_WEIGHT = 1;
+const QUALITY_WEIGHT = 0.5;
+const RECENCY_WEIGHT = 0.5;
+// Subtracted once for every higher-ranked item in the same category
+const DIVERSITY_PENALTY = 0.4;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Lower-cased, trimmed, de-duplicated feature words
+ */
+export function normalizeFeatures(values: (string | null | undefined)[]): string[] {
+  const features = values
+    .filter((value): value is string => typeof value === 'string')
+    .map((value) => value.trim().toLowerCase())
+    .filter(Boolean);
+  return [...new Set(features)];
+}
+
+function halfLifeDecay(ageMs: number, halfLifeDays: number): number {
+  return 0.5 ** (Math.max(ageMs, 0) / (halfLifeDays * DAY_MS));
+}
+
+function itemKey(kind: RankItemKind, id: string): string {
+  return `${kind}:${id}`;
+}
+
+// Net, time-decayed interaction weight per feature, scaled to [-1, 1]
+function interactionAffinity(
+  interactions: RankInteraction[],
+  byKey: Map<string, RankCandidate>,
+  now: number
+): Map<string, number> {
+  const affinity = new Map<string, number>();
+  for (const interaction of interactions) {
+    const features = byKey.get(itemKey(interaction.kind, interaction.itemId))?.features ?? interaction.features;
+    if (!features?.length) continue;
+    const decayed = interaction.weight
+      * halfLifeDecay(now - Date.parse(interaction.createdAt), INTERACTION_HALF_LIFE_DAYS);
+    for (const feature of features) {
+      affinity.set(feature, (affinity.get(feature) ?? 0) + decayed);
+    }
+  }
+
+  const largest = Math.max(1, ...[...affinity.values()].map(Math.abs));
+  for (const [feature, value] of affinity) affinity.set(feature, value / largest);
+  return affinity;
+}
+
+// Booked and swiped-away items are not recommended again
+function excludedKeys(interactions: RankInteraction[]): Set<string> {
+  return new Set(
+    interactions
+      .filter((interaction) => interaction.interactionType === 'book' || interaction.interactionType === 'swipe_left')
+      .map((interaction) => itemKey(interaction.kind, interaction.itemId))
+  );
+}
+
+function recencyBoost(candidate: RankCandidate, now: number): number {
+  if (candidate.kind === 'event' && candidate.startsAt) {
+    return halfLifeDecay(Date.parse(candidate.startsAt) - now, UPCOMING_EVENT_HALF_LIFE_DAYS);
+  }
+  if (candidate.createdAt) {
+    return halfLifeDecay(now - Date.parse(candidate.createdAt), NEW_LISTING_HALF_LIFE_DAYS);
+  }
+  return 0;
+}
+
+function baseScore(candidate: RankCandidate, signals: RankSignals, affinity: Map<string, number>, now: number): number {
+  let preference = 0;
+  let interaction = 0;
+  for (const feature of candidate.features) {
+    preference += (signals.preferences[feature] ?? 0) / PREFERENCE_CAP;
+    interaction += affinity.get(feature) ?? 0;
+  }
+
+  const quality = ((candidate.ratingScore ?? NEUTRAL_RATING) - NEUTRAL_RATING) / 2;
+
+  return PREFERENCE_WEIGHT * preference
+    + INTERACTION_WEIGHT * interaction
+    + QUALITY_WEIGHT * quality
+    + RECENCY_WEIGHT * recencyBoost(candidate, now);
+}
+
+/**
+ * Rank `candidates` for one user and return the best `limit`. Items with a
+ * muted tag and items the user booked or swiped away are left out. Picks
+ * are made greedily, each one penalised by DIVERSITY_PENALTY for every
+ * already-picked item in the same category.
+ */
+export function rankFallback(
+  candidates: RankCandidate[],
+  signals: RankSignals,
+  { limit = 20, now = Date.now() }: { limit?: number; now?: number } = {}
+): RankedCandidate[] {
+  const byKey = new Map(candidates.map((candidate) => [itemKey(candidate.kind, candidate.id), candidate]));
+  const affinity = interactionAffinity(signals.interactions, byKey, now);
+  const excluded = excludedKeys(signals.interactions);
+  const muted = new Set(normalizeFeatures(signals.mutedTags));
+
+  const remaining: RankedCandidate[] = [...byKey.values()]
+    .filter((candidate) => !excluded.has(itemKey(candidate.kind, candidate.id)))
+    .filter((candidate) => !candidate.features.some((feature) => muted.has(feature)))
+    .map((candidate) => ({ candidate, score: baseScore(candidate, signals, affinity, now) }));
+
+  const picked: RankedCandidate[] = [];
+  const categoryCounts = new Map<string, number>();
+  while (picked.length < limit && remaining.length > 0) {
+    let bestIndex = 0;
+    let bestScore = -Infinity;
+    remaining.forEach((entry, index) => {
+      const seen = entry.candidate.category ? categoryCounts.get(entry.candidate.category) ?? 0 : 0;
+      const adjusted = entry.score - DIVERSITY_PENALTY * seen;
+      if (adjusted > bestScore) {
+        bestScore = adjusted;
+        bestIndex = index;
+      }
+    });
+
+    const [best] = remaining.splice(bestIndex, 1);
+    picked.push({ candidate: best.candidate, score: bestScore });
+    if (best.candidate.category) {
+      categoryCounts.set(best.candidate.category, (categoryCounts.get(best.candidate.category) ?? 0) + 1);
+    }
+  }
+  return picked;
+}
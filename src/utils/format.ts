@@ -0,0 +1,13 @@
+// src/utils/format.ts
+
+/**
+ * Format an amount, in Zambian kwacha unless another ISO currency is given,
+ * e.g. 1250 -> "K1,250", (20, 'USD') -> "USD 20"
+ */
+export function formatPrice(amount: number | null | undefined, currency: string = 'ZMW'): string {
+  if (amount === null || amount === undefined || !Number.isFinite(Number(amount))) return '';
+  const value = Number(amount);
+  const rounded = Number.isInteger(value) ? value : Math.round(value * 100) / 100;
+  const digits = rounded.toLocaleString('en-US');
+  return currency === 'ZMW' ? `K${digits}` : `${currency} ${digits}`;
+}
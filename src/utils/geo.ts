@@ -0,0 +1,85 @@
+// src/utils/geo.ts
+
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+export interface LatLng {
+  lat: number;
+  lng: number;
+}
+
+function toRadians(degrees: number): number {
+  return (degrees * Math.PI) / 180;
+}
+
+/**
+ * Great-circle distance between two points in kilometres (haversine formula)
+ */
+export function haversineKm(a: LatLng, b: LatLng): number {
+  const dLat = toRadians(b.lat - a.lat);
+  const dLng = toRadians(b.lng - a.lng);
+  const h =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Wrap a longitude into the [-180, 180) range
+ */
+export function normalizeLng(lng: number): number {
+  return ((((lng + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Clamp a latitude into the valid [-90, 90] range
+ */
+export function clampLat(lat: number): number {
+  return Math.max(-90, Math.min(90, lat));
+}
+
+// A coordinate as a number: numbers as-is, numeric strings (Postgres numeric
+// columns) parsed, anything else (null, undefined, '') NaN. Number(null) is 0,
+// which would put a missing location at 0,0.
+function coordinate(value: unknown): number {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * True when the values are a usable coordinate pair. Accepts raw column
+ * values: numbers or numeric strings; null and undefined are never valid.
+ */
+export function isValidLatLng(lat: unknown, lng: unknown): boolean {
+  const latitude = coordinate(lat);
+  const longitude = coordinate(lng);
+  return (
+    Number.isFinite(latitude) &&
+    Number.isFinite(longitude) &&
+    Math.abs(latitude) <= 90 &&
+    Math.abs(longitude) <= 180
+  );
+}
+
+/**
+ * Latitude/longitude box containing a circle of `radiusKm` around `center`.
+ * Returns null when the circle reaches a pole or crosses the antimeridian,
+ * where a simple box filter would exclude valid points.
+ */
+export function boundingBoxForRadius(
+  center: LatLng,
+  radiusKm: number
+): { minLat: number; maxLat: number; minLng: number; maxLng: number } | null {
+  const latDelta = radiusKm / KM_PER_DEGREE_LAT;
+  const minLat = center.lat - latDelta;
+  const maxLat = center.lat + latDelta;
+  if (minLat <= -90 || maxLat >= 90) return null;
+
+  const lngDelta = radiusKm / (KM_PER_DEGREE_LAT * Math.cos(toRadians(center.lat)));
+  const minLng = center.lng - lngDelta;
+  const maxLng = center.lng + lngDelta;
+  if (minLng < -180 || maxLng > 180) return null;
+
+  return { minLat, maxLat, minLng, maxLng };
+}
@@ -0,0 +1,201 @@
+// src/utils/ics.ts
+//
+// iCalendar (RFC 5545) generator for trips. Pure string building with no
+// platform APIs, so the output is identical on every device. Stays become
+// all-day events from check-in through the check-out day; events are timed
+// in UTC unless they are all-day.
+
+import { addDays, isISODate } from './dateRanges';
+import { eventLocalSchedule } from './events';
+import { toDateOnly } from './trips';
+
+const CRLF = '\r\n';
+const MAX_LINE_OCTETS = 75;
+const UID_DOMAIN = 'odini-mobile';
+
+export interface IcsEvent {
+  uid: string;
+  title: string;
+  // 'YYYY-MM-DD' for all-day entries, otherwise an ISO timestamp
+  start: string;
+  // Exclusive end; defaults to one day (all-day) or one hour (timed)
+  end?: string | null;
+  allDay?: boolean;
+  location?: string | null;
+  description?: string | null;
+  url?: string | null;
+}
+
+/**
+ * Escape a TEXT value (RFC 5545 3.3.11)
+ */
+export function escapeIcsText(value: string): string {
+  return value
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+}
+
+function utf8Length(char: string): number {
+  const code = char.codePointAt(0) ?? 0;
+  if (code < 0x80) return 1;
+  if (code < 0x800) return 2;
+  if (code < 0x10000) return 3;
+  return 4;
+}
+
+/**
+ * Fold a content line at 75 octets (RFC 5545 3.1) without splitting a
+ * UTF-8 character; continuation lines start with a single space
+ */
+export function foldIcsLine(line: string): string {
+  const parts: string[] = [];
+  let current = '';
+  let octets = 0;
+
+  for (const char of line) {
+    const size = utf8Length(char);
+    // Continuation lines lose one octet to the leading space
+    const limit = parts.length ? MAX_LINE_OCTETS - 1 : MAX_LINE_OCTETS;
+    if (octets + size > limit) {
+      parts.push(current);
+      current = '';
+      octets = 0;
+    }
+    current += char;
+    octets += size;
+  }
+  parts.push(current);
+
+  return parts.join(`${CRLF} `);
+}
+
+/**
+ * 'YYYY-MM-DD' as an iCalendar DATE, e.g. 20261103
+ */
+export function formatIcsDate(date: string): string {
+  return date.replace(/-/g, '');
+}
+
+/**
+ * A timestamp as a UTC iCalendar DATE-TIME, e.g. 20261103T143000Z
+ */
+export function formatIcsDateTime(value: string | Date): string {
+  return new Date(value).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventLines(event: IcsEvent, stamp: string): string[] {
+  const allDay = event.allDay ?? isISODate(event.start);
+  const lines = ['BEGIN:VEVENT', `UID:${event.uid}@${UID_DOMAIN}`, `DTSTAMP:${stamp}`];
+
+  if (allDay) {
+    const start = toDateOnly(event.start) as string;
+    const end = toDateOnly(event.end) ?? addDays(start, 1);
+    lines.push(`DTSTART;VALUE=DATE:${formatIcsDate(start)}`, `DTEND;VALUE=DATE:${formatIcsDate(end)}`);
+  } else {
+    const start = new Date(event.start);
+    const end = event.end ? new Date(event.end) : new Date(start.getTime() + 60 * 60 * 1000);
+    lines.push(`DTSTART:${formatIcsDateTime(start)}`, `DTEND:${formatIcsDateTime(end)}`);
+  }
+
+  lines.push(`SUMMARY:${escapeIcsText(event.title)}`);
+  if (event.location) lines.push(`LOCATION:${escapeIcsText(event.location)}`);
+  if (event.description) lines.push(`DESCRIPTION:${escapeIcsText(event.description)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/**
+ * A complete VCALENDAR with one VEVENT per entry, CRLF line endings and
+ * folded lines. `now` sets DTSTAMP so output can be reproduced.
+ */
+export function buildIcsCalendar(
+  events: IcsEvent[],
+  { name = 'Odini trips', now = new Date() }: { name?: string; now?: Date } = {}
+): string {
+  const stamp = formatIcsDateTime(now);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Odini//Odini Mobile//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+    ...events.flatMap((event) => eventLines(event, stamp)),
+    'END:VCALENDAR',
+  ];
+
+  return lines.map(foldIcsLine).join(CRLF) + CRLF;
+}
+
+/**
+ * VEVENT for a stay from listingService.getUserTrips. The check-out day is
+ * included so the stay shows on the day the guest leaves.
+ */
+export function stayToIcsEvent(trip: {
+  tripId: string;
+  tripName?: string;
+  startDate: string;
+  endDate: string;
+  guestCount?: number;
+  listing?: { title?: string; address_city?: string; address_country?: string; description?: string } | null;
+}): IcsEvent | null {
+  const start = toDateOnly(trip.startDate);
+  const end = toDateOnly(trip.endDate);
+  if (!start || !end) return null;
+
+  const listing = trip.listing ?? {};
+  const guests = trip.guestCount ? `${trip.guestCount} guest${trip.guestCount !== 1 ? 's' : ''}` : null;
+
+  return {
+    uid: `stay-${trip.tripId}`,
+    title: `Stay: ${listing.title ?? trip.tripName ?? 'Trip'}`,
+    start,
+    end: addDays(end, 1),
+    allDay: true,
+    location: [listing.address_city, listing.address_country].filter(Boolean).join(', ') || null,
+    description: [`Check-in ${start}, check-out ${end}`, guests].filter(Boolean).join('\n'),
+  };
+}
+
+/**
+ * VEVENT for an event row from eventService.getUserTripEvents
+ */
+export function tripEventToIcsEvent(event: any): IcsEvent | null {
+  const local = event ? eventLocalSchedule(event) : null;
+  if (local) {
+    return {
+      uid: `event-${event.id}`,
+      title: event.title ?? 'Event',
+      start: local.allDay ? local.date : event.starts_at,
+      end: local.allDay ? addDays(local.endDate, 1) : event.ends_at ?? null,
+      allDay: local.allDay,
+      location: event.location ?? event.venue ?? null,
+      description: event.description ?? null,
+    };
+  }
+
+  const start = event?.start_time ?? event?.date;
+  if (!toDateOnly(start)) return null;
+  const allDay = !!event.all_day || isISODate(start);
+
+  return {
+    uid: `event-${event.id}`,
+    title: event.title ?? 'Event',
+    start: allDay ? (toDateOnly(start) as string) : start,
+    end: allDay ? null : event.end_time ?? null,
+    allDay,
+    location: event.location ?? event.venue ?? null,
+    description: event.description ?? null,
+  };
+}
+
+/**
+ * Safe file name for an exported calendar, e.g. "lusaka-weekend.ics"
+ */
+export function icsFileName(title: string): string {
+  const slug = title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+  return `${slug || 'trips'}.ics`;
+}
@@ -0,0 +1,207 @@
+// src/utils/itinerary.ts
+//
+// Merges a stay (from `trips`) and its linked events (from `user_trips`) into
+// a day-by-day timeline and flags conflicts. Days run from check-in to
+// check-out inclusive; events planned outside that span get their own day so
+// they stay visible.
+
+import { addDays, formatDay, isISODate, rangeContainsNight, toISODate } from './dateRanges';
+import { eventLocalSchedule } from './events';
+import { toDateOnly } from './trips';
+
+const CHECK_IN_MINUTES = 15 * 60;
+const CHECK_OUT_MINUTES = 11 * 60;
+// Events without an end time are assumed to run this long
+const DEFAULT_EVENT_MINUTES = 120;
+
+export type ItineraryItemKind = 'check_in' | 'check_out' | 'event';
+export type ItineraryConflictType = 'outside_stay' | 'overlap' | 'off_event_date';
+
+export interface ItineraryItem {
+  key: string;
+  kind: ItineraryItemKind;
+  title: string;
+  date: string | null;
+  // Minutes after local midnight; null for all-day or untimed items
+  startMinutes: number | null;
+  endMinutes: number | null;
+  position: number;
+  userTripId?: string;
+  event?: any;
+  conflicts: ItineraryConflictType[];
+}
+
+export interface ItineraryDay {
+  date: string;
+  inStay: boolean;
+  items: ItineraryItem[];
+}
+
+export interface ItineraryConflict {
+  type: ItineraryConflictType;
+  date: string;
+  itemKeys: string[];
+  message: string;
+}
+
+export interface Itinerary {
+  days: ItineraryDay[];
+  unscheduled: ItineraryItem[];
+  conflicts: ItineraryConflict[];
+}
+
+/**
+ * Date and time window of an event row, in the event's own time zone.
+ * Rows without starts_at fall back to the legacy columns, where date-only
+ * values count as all-day.
+ */
+export function eventSchedule(event: any): { date: string | null; startMinutes: number | null; endMinutes: number | null } {
+  const local = event ? eventLocalSchedule(event) : null;
+  if (local) {
+    return { date: local.date, startMinutes: local.startMinutes, endMinutes: local.endMinutes ?? (local.startMinutes === null ? null : local.startMinutes + DEFAULT_EVENT_MINUTES) };
+  }
+
+  const startValue = event?.start_time ?? event?.date ?? null;
+  const date = toDateOnly(startValue);
+  if (!date || event?.all_day || isISODate(startValue)) {
+    return { date, startMinutes: null, endMinutes: null };
+  }
+
+  const start = new Date(startValue);
+  if (Number.isNaN(start.getTime())) return { date, startMinutes: null, endMinutes: null };
+  const startMinutes = start.getHours() * 60 + start.getMinutes();
+
+  const end = new Date(event?.end_time ?? NaN);
+  const endMinutes = Number.isNaN(end.getTime())
+    ? startMinutes + DEFAULT_EVENT_MINUTES
+    : startMinutes + Math.max(0, Math.round((end.getTime() - start.getTime()) / 60000));
+
+  return { date: toISODate(start), startMinutes, endMinutes };
+}
+
+function compareItems(a: ItineraryItem, b: ItineraryItem): number {
+  if (a.startMinutes === null && b.startMinutes !== null) return -1;
+  if (b.startMinutes === null && a.startMinutes !== null) return 1;
+  if (a.startMinutes !== null && b.startMinutes !== null && a.startMinutes !== b.startMinutes) {
+    return a.startMinutes - b.startMinutes;
+  }
+  return a.position - b.position;
+}
+
+function timesOverlap(a: ItineraryItem, b: ItineraryItem): boolean {
+  if (a.startMinutes === null || b.startMinutes === null) return false;
+  return a.startMinutes < (b.endMinutes ?? b.startMinutes) && b.startMinutes < (a.endMinutes ?? a.startMinutes);
+}
+
+/**
+ * Build the timeline for one stay and the events linked to it.
+ * `tripEvents` are user_trips rows: { id, planned_date, position, event }.
+ */
+export function buildItinerary(
+  stay: { start: string; end: string; title: string },
+  tripEvents: { id: string; planned_date?: string | null; position?: number; event: any }[]
+): Itinerary {
+  const conflicts: ItineraryConflict[] = [];
+  const byDate = new Map<string, ItineraryItem[]>();
+  const unscheduled: ItineraryItem[] = [];
+
+  const addItem = (item: ItineraryItem) => {
+    if (!item.date) {
+      unscheduled.push(item);
+      return;
+    }
+    if (!byDate.has(item.date)) byDate.set(item.date, []);
+    byDate.get(item.date)!.push(item);
+  };
+
+  addItem({
+    key: 'check-in',
+    kind: 'check_in',
+    title: `Check in · ${stay.title}`,
+    date: stay.start,
+    startMinutes: CHECK_IN_MINUTES,
+    endMinutes: CHECK_IN_MINUTES,
+    position: 0,
+    conflicts: [],
+  });
+  addItem({
+    key: 'check-out',
+    kind: 'check_out',
+    title: `Check out · ${stay.title}`,
+    date: stay.end,
+    startMinutes: CHECK_OUT_MINUTES,
+    endMinutes: CHECK_OUT_MINUTES,
+    position: 0,
+    conflicts: [],
+  });
+
+  tripEvents.forEach((row) => {
+    const schedule = eventSchedule(row.event);
+    const date = toDateOnly(row.planned_date) ?? schedule.date;
+    const item: ItineraryItem = {
+      key: `event-${row.id}`,
+      kind: 'event',
+      title: row.event?.title ?? 'Event',
+      date,
+      startMinutes: schedule.startMinutes,
+      endMinutes: schedule.endMinutes,
+      position: row.position ?? 0,
+      userTripId: row.id,
+      event: row.event,
+      conflicts: [],
+    };
+
+    // Check-out day counts as part of the trip even though it is not a night
+    if (date && !rangeContainsNight(stay, date) && date !== stay.end) {
+      item.conflicts.push('outside_stay');
+      conflicts.push({
+        type: 'outside_stay',
+        date,
+        itemKeys: [item.key],
+        message: `${item.title} is outside your stay dates`,
+      });
+    }
+    if (date && schedule.date && date !== schedule.date) {
+      item.conflicts.push('off_event_date');
+      conflicts.push({
+        type: 'off_event_date',
+        date,
+        itemKeys: [item.key],
+        message: `${item.title} takes place on ${formatDay(schedule.date)}`,
+      });
+    }
+
+    addItem(item);
+  });
+
+  // Two timed events on the same day that overlap
+  byDate.forEach((items, date) => {
+    const events = items.filter((item) => item.kind === 'event');
+    for (let i = 0; i < events.length; i++) {
+      for (let j = i + 1; j < events.length; j++) {
+        if (!timesOverlap(events[i], events[j])) continue;
+        events[i].conflicts.push('overlap');
+        events[j].conflicts.push('overlap');
+        conflicts.push({
+          type: 'overlap',
+          date,
+          itemKeys: [events[i].key, events[j].key],
+          message: `${events[i].title} overlaps ${events[j].title}`,
+        });
+      }
+    }
+  });
+
+  const dates = new Set(byDate.keys());
+  for (let date = stay.start; date <= stay.end; date = addDays(date, 1)) {
+    dates.add(date);
+  }
+
+  const days = [...dates].sort().map((date) => ({
+    date,
+    inStay: date >= stay.start && date <= stay.end,
+    items: (byDate.get(date) ?? []).sort(compareItems),
+  }));
+
+  return { days, unscheduled: unscheduled.sort(compareItems), conflicts };
+}
@@ -0,0 +1,161 @@
+// src/utils/listingFilters.ts
+
+import type { ListingFilters, ListingSort } from '../services/listingService';
+import { isValidStayRange, type DateRange } from './dateRanges';
+
+/**
+ * Filter state edited by the Sort & Filter sheet
+ */
+export interface ListingFilterState {
+  minPrice?: number;
+  maxPrice?: number;
+  amenities: string[];
+  minBedrooms: number;
+  minBeds: number;
+  minBathrooms: number;
+  minGuests: number;
+  sortBy: ListingSort;
+}
+
+export const DEFAULT_LISTING_FILTERS: ListingFilterState = {
+  minPrice: undefined,
+  maxPrice: undefined,
+  amenities: [],
+  minBedrooms: 0,
+  minBeds: 0,
+  minBathrooms: 0,
+  minGuests: 0,
+  sortBy: 'newest',
+};
+
+export const SORT_OPTIONS: { id: ListingSort; label: string }[] = [
+  { id: 'newest', label: 'Newest' },
+  { id: 'price_asc', label: 'Price: low to high' },
+  { id: 'price_desc', label: 'Price: high to low' },
+  { id: 'rating', label: 'Top rated' },
+  { id: 'distance', label: 'Distance' },
+];
+
+export const AMENITY_OPTIONS: { id: string; label: string; icon: string }[] = [
+  { id: 'wifi', label: 'Wi-Fi', icon: 'wifi-outline' },
+  { id: 'kitchen', label: 'Kitchen', icon: 'restaurant-outline' },
+  { id: 'parking', label: 'Parking', icon: 'car-outline' },
+  { id: 'pool', label: 'Pool', icon: 'water-outline' },
+  { id: 'air_conditioning', label: 'Air conditioning', icon: 'snow-outline' },
+  { id: 'washer', label: 'Washer', icon: 'shirt-outline' },
+  { id: 'tv', label: 'TV', icon: 'tv-outline' },
+  { id: 'workspace', label: 'Workspace', icon: 'laptop-outline' },
+  { id: 'gym', label: 'Gym', icon: 'barbell-outline' },
+  { id: 'pet_friendly', label: 'Pet friendly', icon: 'paw-outline' },
+];
+
+/**
+ * Route query parameter names for each filter field
+ */
+const PARAM_KEYS = {
+  minPrice: 'minPrice',
+  maxPrice: 'maxPrice',
+  amenities: 'amenities',
+  minBedrooms: 'bedrooms',
+  minBeds: 'beds',
+  minBathrooms: 'baths',
+  minGuests: 'guests',
+  sortBy: 'sort',
+} as const;
+
+type RouteParams = Record<string, string | string[] | undefined>;
+
+function firstParam(value: string | string[] | undefined): string | undefined {
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function parseNonNegative(value: string | string[] | undefined): number | undefined {
+  const raw = firstParam(value);
+  if (raw === undefined || raw === '') return undefined;
+  const parsed = Number(raw);
+  return Number.isFinite(parsed) && parsed >= 0 ? parsed : undefined;
+}
+
+/**
+ * Read filter state from route query params, ignoring anything malformed
+ */
+export function filtersFromParams(params: RouteParams): ListingFilterState {
+  const sort = firstParam(params[PARAM_KEYS.sortBy]);
+  const amenities = firstParam(params[PARAM_KEYS.amenities]);
+  const known = new Set(AMENITY_OPTIONS.map((option) => option.id));
+
+  return {
+    minPrice: parseNonNegative(params[PARAM_KEYS.minPrice]),
+    maxPrice: parseNonNegative(params[PARAM_KEYS.maxPrice]),
+    amenities: amenities ? amenities.split(',').filter((id) => known.has(id)) : [],
+    minBedrooms: Math.floor(parseNonNegative(params[PARAM_KEYS.minBedrooms]) ?? 0),
+    minBeds: Math.floor(parseNonNegative(params[PARAM_KEYS.minBeds]) ?? 0),
+    minBathrooms: Math.floor(parseNonNegative(params[PARAM_KEYS.minBathrooms]) ?? 0),
+    minGuests: Math.floor(parseNonNegative(params[PARAM_KEYS.minGuests]) ?? 0),
+    sortBy: SORT_OPTIONS.some((option) => option.id === sort) ? (sort as ListingSort) : 'newest',
+  };
+}
+
+/**
+ * Serialize filter state to route query params. Fields at their default
+ * value are set to undefined so they are dropped from the URL.
+ */
+export function filtersToParams(filters: ListingFilterState): Record<string, string | undefined> {
+  const count = (value: number) => (value > 0 ? String(value) : undefined);
+
+  return {
+    [PARAM_KEYS.minPrice]: filters.minPrice !== undefined ? String(filters.minPrice) : undefined,
+    [PARAM_KEYS.maxPrice]: filters.maxPrice !== undefined ? String(filters.maxPrice) : undefined,
+    [PARAM_KEYS.amenities]: filters.amenities.length ? filters.amenities.join(',') : undefined,
+    [PARAM_KEYS.minBedrooms]: count(filters.minBedrooms),
+    [PARAM_KEYS.minBeds]: count(filters.minBeds),
+    [PARAM_KEYS.minBathrooms]: count(filters.minBathrooms),
+    [PARAM_KEYS.minGuests]: count(filters.minGuests),
+    [PARAM_KEYS.sortBy]: filters.sortBy !== 'newest' ? filters.sortBy : undefined,
+  };
+}
+
+/**
+ * Map filter state to listingService.fetchListings parameters
+ */
+export function filtersToQuery(filters: ListingFilterState): ListingFilters {
+  return {
+    minPrice: filters.minPrice,
+    maxPrice: filters.maxPrice,
+    amenities: filters.amenities.length ? filters.amenities : undefined,
+    minBedrooms: filters.minBedrooms || undefined,
+    minBeds: filters.minBeds || undefined,
+    minBathrooms: filters.minBathrooms || undefined,
+    minGuests: filters.minGuests || undefined,
+    sortBy: filters.sortBy,
+  };
+}
+
+/**
+ * Number of filters that differ from the defaults (sort excluded), for the button badge
+ */
+export function countActiveFilters(filters: ListingFilterState): number {
+  return [
+    filters.minPrice !== undefined || filters.maxPrice !== undefined,
+    filters.amenities.length > 0,
+    filters.minBedrooms > 0,
+    filters.minBeds > 0,
+    filters.minBathrooms > 0,
+    filters.minGuests > 0,
+  ].filter(Boolean).length;
+}
+
+/**
+ * Read check-in/check-out dates from route query params
+ */
+export function datesFromParams(params: RouteParams): DateRange | null {
+  const range = { start: firstParam(params.checkIn), end: firstParam(params.checkOut) };
+  return isValidStayRange(range) ? range : null;
+}
+
+/**
+ * Serialize check-in/check-out dates to route query params
+ */
+export function datesToParams(range: DateRange | null): Record<string, string | undefined> {
+  return { checkIn: range?.start, checkOut: range?.end };
+}
@@ -0,0 +1,197 @@
+// src/utils/mapClustering.ts
+//
+// Viewport math and marker clustering for the listings map. Everything here is
+// pure and works on plain region objects so it does not depend on a map SDK.
+
+import { clampLat, haversineKm, isValidLatLng, normalizeLng } from './geo';
+
+/**
+ * Visible map area, in the same shape react-native-maps uses
+ */
+export interface MapRegion {
+  latitude: number;
+  longitude: number;
+  latitudeDelta: number;
+  longitudeDelta: number;
+}
+
+export interface MapBounds {
+  north: number;
+  south: number;
+  east: number;
+  west: number;
+}
+
+export interface MapPoint<T> {
+  id: string;
+  lat: number;
+  lng: number;
+  data: T;
+}
+
+export interface MapCluster<T> {
+  id: string;
+  lat: number;
+  lng: number;
+  count: number;
+  points: MapPoint<T>[];
+}
+
+export interface ClusterOptions {
+  /** Grid columns across the visible width */
+  columns?: number;
+  /** Grid rows down the visible height */
+  rows?: number;
+  /** Fraction of the viewport added on each side so edge markers don't pop in and out */
+  padding?: number;
+  /** Below this longitude span every point is shown on its own */
+  minClusterDelta?: number;
+}
+
+const DEFAULT_CLUSTER_OPTIONS: Required<ClusterOptions> = {
+  columns: 5,
+  rows: 8,
+  padding: 0.25,
+  minClusterDelta: 0.01,
+};
+
+/**
+ * Convert a region to its bounding box. When the region crosses the
+ * antimeridian, west is greater than east.
+ */
+export function regionToBounds(region: MapRegion, padding: number = 0): MapBounds {
+  const latHalf = (region.latitudeDelta / 2) * (1 + padding * 2);
+  const lngHalf = (region.longitudeDelta / 2) * (1 + padding * 2);
+
+  if (lngHalf >= 180) {
+    return {
+      north: clampLat(region.latitude + latHalf),
+      south: clampLat(region.latitude - latHalf),
+      east: 180,
+      west: -180,
+    };
+  }
+
+  return {
+    north: clampLat(region.latitude + latHalf),
+    south: clampLat(region.latitude - latHalf),
+    east: normalizeLng(region.longitude + lngHalf),
+    west: normalizeLng(region.longitude - lngHalf),
+  };
+}
+
+/**
+ * True when the point lies inside the bounds, antimeridian-aware
+ */
+export function boundsContain(bounds: MapBounds, lat: number, lng: number): boolean {
+  if (lat < bounds.south || lat > bounds.north) return false;
+  const x = normalizeLng(lng);
+  if (bounds.west === -180 && bounds.east === 180) return true;
+  return bounds.west <= bounds.east
+    ? x >= bounds.west && x <= bounds.east
+    : x >= bounds.west || x <= bounds.east;
+}
+
+/**
+ * Centre and radius (centre to corner) covering the region, in the shape
+ * listingService.fetchListings expects for `proximity`
+ */
+export function regionToProximity(
+  region: MapRegion,
+  minRadiusKm: number = 1
+): { lat: number; lng: number; radiusKm: number } {
+  const center = { lat: region.latitude, lng: normalizeLng(region.longitude) };
+  const corner = {
+    lat: clampLat(region.latitude + region.latitudeDelta / 2),
+    lng: normalizeLng(region.longitude + region.longitudeDelta / 2),
+  };
+  const radiusKm = Math.max(minRadiusKm, haversineKm(center, corner));
+  return { ...center, radiusKm: Math.round(radiusKm * 100) / 100 };
+}
+
+/**
+ * True when the map has panned or zoomed far enough from `from` that the
+ * results for `from` no longer describe what is on screen
+ */
+export function hasRegionChanged(from: MapRegion, to: MapRegion, threshold: number = 0.3): boolean {
+  const panLat = Math.abs(to.latitude - from.latitude) / from.latitudeDelta;
+  const panLng = Math.abs(normalizeLng(to.longitude - from.longitude)) / from.longitudeDelta;
+  const zoom = to.longitudeDelta / from.longitudeDelta;
+  return panLat > threshold || panLng > threshold || zoom > 1 + threshold || zoom < 1 / (1 + threshold);
+}
+
+/**
+ * Group points that fall in the same grid cell of the current viewport.
+ * The grid is anchored to the world rather than the viewport so clusters
+ * stay put while panning and only regroup on zoom. Points outside the
+ * padded viewport are dropped.
+ */
+export function clusterPoints<T>(
+  points: MapPoint<T>[],
+  region: MapRegion,
+  options: ClusterOptions = {}
+): MapCluster<T>[] {
+  const { columns, rows, padding, minClusterDelta } = { ...DEFAULT_CLUSTER_OPTIONS, ...options };
+  const bounds = regionToBounds(region, padding);
+  const visible = points.filter(
+    (point) => isValidLatLng(point.lat, point.lng) && boundsContain(bounds, point.lat, point.lng)
+  );
+
+  if (region.longitudeDelta < minClusterDelta) {
+    return visible.map((point) => singleCluster(point));
+  }
+
+  const cellLng = region.longitudeDelta / columns;
+  const cellLat = region.latitudeDelta / rows;
+  const cells = new Map<string, MapPoint<T>[]>();
+
+  for (const point of visible) {
+    const key = `${Math.floor(normalizeLng(point.lng) / cellLng)}:${Math.floor(point.lat / cellLat)}`;
+    const cell = cells.get(key);
+    if (cell) {
+      cell.push(point);
+    } else {
+      cells.set(key, [point]);
+    }
+  }
+
+  const clusters: MapCluster<T>[] = [];
+  cells.forEach((cellPoints, key) => {
+    if (cellPoints.length === 1) {
+      clusters.push(singleCluster(cellPoints[0]));
+      return;
+    }
+    const lat = cellPoints.reduce((sum, point) => sum + point.lat, 0) / cellPoints.length;
+    const lng = cellPoints.reduce((sum, point) => sum + normalizeLng(point.lng), 0) / cellPoints.length;
+    clusters.push({ id: `cluster:${key}`, lat, lng, count: cellPoints.length, points: cellPoints });
+  });
+
+  return clusters;
+}
+
+/**
+ * Region that fits every point of a cluster, used to zoom in on tap
+ */
+export function regionForCluster<T>(
+  cluster: MapCluster<T>,
+  paddingFactor: number = 1.5,
+  minDelta: number = 0.005
+): MapRegion {
+  const lats = cluster.points.map((point) => point.lat);
+  const lngs = cluster.points.map((point) => normalizeLng(point.lng));
+  const north = Math.max(...lats);
+  const south = Math.min(...lats);
+  const east = Math.max(...lngs);
+  const west = Math.min(...lngs);
+
+  return {
+    latitude: (north + south) / 2,
+    longitude: (east + west) / 2,
+    latitudeDelta: Math.max(minDelta, (north - south) * paddingFactor),
+    longitudeDelta: Math.max(minDelta, (east - west) * paddingFactor),
+  };
+}
+
+function singleCluster<T>(point: MapPoint<T>): MapCluster<T> {
+  return { id: `point:${point.id}`, lat: point.lat, lng: point.lng, count: 1, points: [point] };
+}
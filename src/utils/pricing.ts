@@ -0,0 +1,24 @@
+// src/utils/pricing.ts
+
+import { eachNight, isValidStayRange, type DateRange } from './dateRanges';
+
+export interface StayPrice {
+  nights: number;
+  nightly: { date: string; amount: number }[];
+  total: number;
+}
+
+/**
+ * Price a stay night by night at a flat nightly rate
+ */
+export function calculateStayPrice(pricePerNight: number, range: DateRange | null): StayPrice {
+  if (!isValidStayRange(range) || !Number.isFinite(Number(pricePerNight))) {
+    return { nights: 0, nightly: [], total: 0 };
+  }
+
+  const amount = Number(pricePerNight);
+  const nightly = eachNight(range).map((date) => ({ date, amount }));
+  const total = Math.round(nightly.reduce((sum, night) => sum + night.amount, 0) * 100) / 100;
+
+  return { nights: nightly.length, nightly, total };
+}
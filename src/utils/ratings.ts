@@ -0,0 +1,37 @@
+// src/utils/ratings.ts
+//
+// Rating aggregates for events and listings come from the rating_stats
+// computed field (see the rating_aggregates migration), so screens never
+// download individual rating rows to summarise them.
+
+/**
+ * Average and count of a subject's ratings, its Bayesian `score` for ranking
+ * and how many ratings gave 1–5 stars (`histogram[0]` is 1 star)
+ */
+export interface RatingStats {
+  average: number | null;
+  count: number;
+  score: number | null;
+  histogram: number[];
+}
+
+export const EMPTY_RATING_STATS: RatingStats = { average: null, count: 0, score: null, histogram: [0, 0, 0, 0, 0] };
+
+/**
+ * Normalise a rating_stats value; missing or malformed values count as unrated
+ */
+export function toRatingStats(raw: any): RatingStats {
+  if (!raw || typeof raw !== 'object') return EMPTY_RATING_STATS;
+
+  const count = Number(raw.count) || 0;
+  const histogram = Array.isArray(raw.histogram) && raw.histogram.length === 5
+    ? raw.histogram.map((value: unknown) => Number(value) || 0)
+    : EMPTY_RATING_STATS.histogram;
+
+  return {
+    average: count > 0 && raw.average !== null && raw.average !== undefined ? Number(raw.average) : null,
+    count,
+    score: raw.score !== null && raw.score !== undefined ? Number(raw.score) : null,
+    histogram,
+  };
+}
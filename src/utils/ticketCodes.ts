@@ -0,0 +1,178 @@
+// src/utils/ticketCodes.ts
+//
+// Ticket codes are the text inside a ticket's QR code:
+//
+//   ODT1.<ticketId>.<eventId>.<tierId>.<signature>
+//
+// The signature is base64url HMAC-SHA256 over everything before it, keyed
+// with the event's ticket key (hex). The server signs when a ticket is
+// issued (see the ticketing migration); the check-in screen verifies with a
+// cached copy of the key, so it works without a connection. Hermes has no
+// WebCrypto, hence the small SHA-256 below.
+
+export const TICKET_CODE_PREFIX = 'ODT1';
+
+export interface TicketCodeParts {
+  ticketId: string;
+  eventId: string;
+  tierId: string;
+  signature: string;
+}
+
+const K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2,
+];
+
+function utf8Bytes(text: string): Uint8Array {
+  const bytes: number[] = [];
+  const encoded = unescape(encodeURIComponent(text));
+  for (let i = 0; i < encoded.length; i++) bytes.push(encoded.charCodeAt(i));
+  return Uint8Array.from(bytes);
+}
+
+function hexBytes(hex: string): Uint8Array {
+  if (!/^([0-9a-f]{2})+$/i.test(hex)) throw new Error('Ticket key must be hex');
+  const bytes = new Uint8Array(hex.length / 2);
+  for (let i = 0; i < bytes.length; i++) bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+  return bytes;
+}
+
+function concatBytes(a: Uint8Array, b: Uint8Array): Uint8Array {
+  const out = new Uint8Array(a.length + b.length);
+  out.set(a, 0);
+  out.set(b, a.length);
+  return out;
+}
+
+/**
+ * SHA-256 digest of raw bytes
+ */
+export function sha256(message: Uint8Array): Uint8Array {
+  const h = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+  // Pad to a multiple of 64 bytes: 0x80, zeros, then the bit length (fits in 32 bits here)
+  const padded = new Uint8Array(Math.ceil((message.length + 9) / 64) * 64);
+  padded.set(message);
+  padded[message.length] = 0x80;
+  const bitLength = message.length * 8;
+  const view = new DataView(padded.buffer);
+  view.setUint32(padded.length - 8, Math.floor(bitLength / 0x100000000));
+  view.setUint32(padded.length - 4, bitLength >>> 0);
+
+  const w = new Array<number>(64);
+  for (let offset = 0; offset < padded.length; offset += 64) {
+    for (let i = 0; i < 16; i++) w[i] = view.getUint32(offset + i * 4);
+    for (let i = 16; i < 64; i++) {
+      const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+      const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+      w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+    }
+
+    let [a, b, c, d, e, f, g, hh] = h;
+    for (let i = 0; i < 64; i++) {
+      const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+      const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+      hh = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + t2) | 0;
+    }
+    h[0] = (h[0] + a) | 0;
+    h[1] = (h[1] + b) | 0;
+    h[2] = (h[2] + c) | 0;
+    h[3] = (h[3] + d) | 0;
+    h[4] = (h[4] + e) | 0;
+    h[5] = (h[5] + f) | 0;
+    h[6] = (h[6] + g) | 0;
+    h[7] = (h[7] + hh) | 0;
+  }
+
+  const digest = new Uint8Array(32);
+  const out = new DataView(digest.buffer);
+  h.forEach((word, i) => out.setUint32(i * 4, word >>> 0));
+  return digest;
+}
+
+function rotr(x: number, n: number): number {
+  return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * HMAC-SHA256 (RFC 2104) of a message (UTF-8 text or raw bytes) with a hex key
+ */
+export function hmacSha256(hexKey: string, message: string | Uint8Array): Uint8Array {
+  let key = hexBytes(hexKey);
+  if (key.length > 64) key = sha256(key);
+  const block = new Uint8Array(64);
+  block.set(key);
+
+  const inner = block.map((byte) => byte ^ 0x36);
+  const outer = block.map((byte) => byte ^ 0x5c);
+  return sha256(concatBytes(outer, sha256(concatBytes(inner, typeof message === 'string' ? utf8Bytes(message) : message))));
+}
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+/**
+ * Unpadded base64url, matching the server's
+ * rtrim(translate(encode(bytes, 'base64'), '+/', '-_'), '=')
+ */
+export function base64Url(bytes: Uint8Array): string {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    out += BASE64URL[(n >> 18) & 63] + BASE64URL[(n >> 12) & 63];
+    if (i + 1 < bytes.length) out += BASE64URL[(n >> 6) & 63];
+    if (i + 2 < bytes.length) out += BASE64URL[n & 63];
+  }
+  return out;
+}
+
+/**
+ * Split a scanned code into its parts, or null if it is not a ticket code
+ */
+export function parseTicketCode(code: string): TicketCodeParts | null {
+  const parts = code.trim().split('.');
+  if (parts.length !== 5 || parts[0] !== TICKET_CODE_PREFIX) return null;
+  const [, ticketId, eventId, tierId, signature] = parts;
+  if (!ticketId || !eventId || !tierId || !signature) return null;
+  return { ticketId, eventId, tierId, signature };
+}
+
+/**
+ * The signed part of a ticket code
+ */
+export function ticketCodePayload(parts: Omit<TicketCodeParts, 'signature'>): string {
+  return [TICKET_CODE_PREFIX, parts.ticketId, parts.eventId, parts.tierId].join('.');
+}
+
+/**
+ * Build a signed code; the server does the same when issuing tickets
+ */
+export function signTicketCode(parts: Omit<TicketCodeParts, 'signature'>, hexKey: string): string {
+  const payload = ticketCodePayload(parts);
+  return `${payload}.${base64Url(hmacSha256(hexKey, payload))}`;
+}
+
+/**
+ * Whether the signature matches. Compares every character so the time
+ * taken does not reveal how much of a forged signature was right.
+ */
+export function verifyTicketSignature(parts: TicketCodeParts, hexKey: string): boolean {
+  const expected = base64Url(hmacSha256(hexKey, ticketCodePayload(parts)));
+  if (expected.length !== parts.signature.length) return false;
+  let diff = 0;
+  for (let i = 0; i < expected.length; i++) diff |= expected.charCodeAt(i) ^ parts.signature.charCodeAt(i);
+  return diff === 0;
+}
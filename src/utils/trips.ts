@@ -0,0 +1,54 @@
+// src/utils/trips.ts
+//
+// Grouping and countdown labels for the Trips screen. Stays use their
+// check-in/check-out range; an event is treated as a one-day range.
+
+import { addDays, isISODate, nightsBetween, todayISO } from './dateRanges';
+
+export type TripSection = 'upcoming' | 'past' | 'cancelled';
+
+export const TRIP_SECTIONS: { id: TripSection; label: string }[] = [
+  { id: 'upcoming', label: 'Upcoming' },
+  { id: 'past', label: 'Past' },
+  { id: 'cancelled', label: 'Cancelled' },
+];
+
+/**
+ * First 'YYYY-MM-DD' of a date or timestamp string, or null
+ */
+export function toDateOnly(value: unknown): string | null {
+  if (typeof value !== 'string') return null;
+  const date = value.slice(0, 10);
+  return isISODate(date) ? date : null;
+}
+
+/**
+ * Section a trip belongs in. A stay moves to Past on its check-out day;
+ * undated items stay Upcoming.
+ */
+export function tripSection(
+  trip: { status?: string; start: string | null; end: string | null },
+  today: string = todayISO()
+): TripSection {
+  if (trip.status === 'cancelled') return 'cancelled';
+  if (trip.status === 'completed') return 'past';
+  if (trip.end && trip.end <= today) return 'past';
+  return 'upcoming';
+}
+
+function inDays(days: number): string {
+  return days === 1 ? 'tomorrow' : `in ${days} days`;
+}
+
+/**
+ * Countdown for an upcoming trip, e.g. "Starts in 3 days" or "Ends tomorrow"
+ */
+export function countdownLabel(start: string | null, end: string | null, today: string = todayISO()): string {
+  if (!start) return 'Date to be announced';
+  if (today < start) return `Starts ${inDays(nightsBetween(today, start))}`;
+  if (today === start) return 'Starts today';
+
+  const last = end ?? addDays(start, 1);
+  if (today < last) return `Ends ${inDays(nightsBetween(today, last))}`;
+  return 'Ended';
+}
@@ -0,0 +1,77 @@
+-- Radius search returning every listing column plus distance_km.
+--
+-- Paging moved out of the function: the app chains its usual PostgREST
+-- filters, ordering and range onto the call, so a radius search can be
+-- combined with category, price, amenity and room filters in one query.
+
+drop function if exists public.listings_within_radius(double precision, double precision, double precision, integer, integer);
+
+create or replace function public.listings_within_radius(
+  center_lat double precision,
+  center_lng double precision,
+  radius_km double precision default 50
+)
+returns table (
+  id uuid,
+  title text,
+  description text,
+  host_id uuid,
+  category text,
+  price_per_night numeric,
+  location_lat double precision,
+  location_lng double precision,
+  address_city text,
+  address_country text,
+  amenities text[],
+  images text[],
+  max_guests integer,
+  bedrooms integer,
+  beds integer,
+  bathrooms numeric,
+  is_available boolean,
+  average_rating numeric,
+  review_count integer,
+  created_at timestamptz,
+  updated_at timestamptz,
+  distance_km double precision
+)
+language sql
+stable
+as $$
+  select
+    l.id,
+    l.title,
+    l.description,
+    l.host_id,
+    l.category,
+    l.price_per_night,
+    l.location_lat,
+    l.location_lng,
+    l.address_city,
+    l.address_country,
+    l.amenities,
+    l.images,
+    l.max_guests,
+    l.bedrooms,
+    l.beds,
+    l.bathrooms,
+    l.is_available,
+    l.average_rating,
+    l.review_count,
+    l.created_at,
+    l.updated_at,
+    round(d.distance_km::numeric, 2)::double precision as distance_km
+  from public.listings l
+  cross join lateral (
+    select 2 * 6371 * asin(least(1, sqrt(
+      power(sin(radians(l.location_lat - center_lat) / 2), 2) +
+      cos(radians(center_lat)) * cos(radians(l.location_lat)) *
+      power(sin(radians(l.location_lng - center_lng) / 2), 2)
+    ))) as distance_km
+  ) d
+  where l.location_lat is not null
+    and l.location_lng is not null
+    and d.distance_km <= radius_km;
+$$;
+
+grant execute on function public.listings_within_radius(double precision, double precision, double precision) to anon, authenticated;
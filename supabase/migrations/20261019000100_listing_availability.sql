@@ -0,0 +1,87 @@
+-- Date availability for stays.
+--
+-- A listing is unavailable for a check-in/check-out range when a booked trip
+-- or a host-blocked period shares a night with it. Ranges are half-open:
+-- the check-out day is free for the next guest.
+
+create table if not exists public.listing_blocked_dates (
+  id uuid primary key default gen_random_uuid(),
+  listing_id uuid not null references public.listings (id) on delete cascade,
+  start_date date not null,
+  end_date date not null,
+  reason text,
+  created_at timestamptz not null default now(),
+  constraint listing_blocked_dates_range check (end_date > start_date)
+);
+
+create index if not exists listing_blocked_dates_listing_idx
+  on public.listing_blocked_dates (listing_id, start_date, end_date);
+
+create index if not exists trips_listing_dates_idx
+  on public.trips (listing_id, start_date, end_date)
+  where status = 'booked';
+
+alter table public.listing_blocked_dates enable row level security;
+
+create policy "Hosts manage blocked dates for their listings"
+  on public.listing_blocked_dates
+  for all
+  using (exists (
+    select 1 from public.listings l
+    where l.id = listing_id and l.host_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.listings l
+    where l.id = listing_id and l.host_id = auth.uid()
+  ));
+
+-- Listing IDs that cannot be booked for any night of the range
+create or replace function public.unavailable_listing_ids(check_in date, check_out date)
+returns setof uuid
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select t.listing_id
+  from public.trips t
+  where t.status = 'booked'
+    and t.start_date::date < check_out
+    and t.end_date::date > check_in
+  union
+  select b.listing_id
+  from public.listing_blocked_dates b
+  where b.start_date < check_out
+    and b.end_date > check_in;
+$$;
+
+-- Booked and blocked ranges for one listing within a window.
+-- Only dates are exposed, never who booked them.
+create or replace function public.listing_unavailable_ranges(
+  p_listing_id uuid,
+  range_start date,
+  range_end date
+)
+returns table (start_date date, end_date date, source text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select t.start_date::date, t.end_date::date, 'booking'
+  from public.trips t
+  where t.listing_id = p_listing_id
+    and t.status = 'booked'
+    and t.start_date::date < range_end
+    and t.end_date::date > range_start
+  union all
+  select b.start_date, b.end_date, 'blocked'
+  from public.listing_blocked_dates b
+  where b.listing_id = p_listing_id
+    and b.start_date < range_end
+    and b.end_date > range_start
+  order by 1;
+$$;
+
+grant execute on function public.unavailable_listing_ids(date, date) to anon, authenticated;
+grant execute on function public.listing_unavailable_ranges(uuid, date, date) to anon, authenticated;
@@ -0,0 +1,105 @@
+-- Transactional booking.
+--
+-- Checking availability and inserting the trip in two client round trips lets
+-- two guests book the same nights. book_trip does both in one transaction and
+-- takes a row lock on the listing first, so concurrent bookings for the same
+-- listing run one after another and the second one sees the first.
+--
+-- Errors use custom SQLSTATEs so the client can tell them apart:
+--   BK409  the dates overlap a booked trip or a host-blocked period
+--   BK422  the request itself is invalid (dates, guests, listing, trip state)
+
+create or replace function public.book_trip(
+  p_listing_id uuid default null,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_guest_count integer default 1,
+  p_trip_name text default null,
+  p_trip_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_listing public.listings%rowtype;
+  v_trip public.trips%rowtype;
+  v_trip_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'Sign in to book this stay' using errcode = 'BK422';
+  end if;
+
+  -- Booking a saved trip takes its listing, dates and guests from the row
+  if p_trip_id is not null then
+    select * into v_trip
+    from public.trips
+    where id = p_trip_id and user_id = v_user_id
+    for update;
+
+    if not found then
+      raise exception 'Trip not found' using errcode = 'BK422';
+    end if;
+    if v_trip.status <> 'saved' then
+      raise exception 'A % trip cannot be booked', v_trip.status using errcode = 'BK422';
+    end if;
+
+    p_listing_id := v_trip.listing_id;
+    p_start_date := v_trip.start_date::date;
+    p_end_date := v_trip.end_date::date;
+    p_guest_count := v_trip.guest_count;
+  end if;
+
+  if p_start_date is null or p_end_date is null or p_end_date <= p_start_date then
+    raise exception 'Check-out must be after check-in' using errcode = 'BK422';
+  end if;
+  if p_start_date < current_date then
+    raise exception 'Check-in cannot be in the past' using errcode = 'BK422';
+  end if;
+
+  -- Serialises bookings per listing until this transaction ends
+  select * into v_listing
+  from public.listings
+  where id = p_listing_id
+  for update;
+
+  if not found or not v_listing.is_available or coalesce(v_listing.available_rooms, 1) < 1 then
+    raise exception 'This stay is not taking bookings' using errcode = 'BK422';
+  end if;
+  if p_guest_count is null or p_guest_count < 1 or p_guest_count > v_listing.max_guests then
+    raise exception 'This stay allows up to % guests', v_listing.max_guests using errcode = 'BK422';
+  end if;
+
+  if exists (
+    select 1 from public.trips t
+    where t.listing_id = p_listing_id
+      and t.status = 'booked'
+      and t.id is distinct from p_trip_id
+      and t.start_date::date < p_end_date
+      and t.end_date::date > p_start_date
+  ) or exists (
+    select 1 from public.listing_blocked_dates b
+    where b.listing_id = p_listing_id
+      and b.start_date < p_end_date
+      and b.end_date > p_start_date
+  ) then
+    raise exception 'These dates are no longer available' using errcode = 'BK409';
+  end if;
+
+  if p_trip_id is not null then
+    update public.trips set status = 'booked' where id = p_trip_id;
+    return p_trip_id;
+  end if;
+
+  insert into public.trips (user_id, listing_id, start_date, end_date, guest_count, trip_name, status, created_at)
+  values (v_user_id, p_listing_id, p_start_date, p_end_date, p_guest_count, coalesce(p_trip_name, 'My Trip'), 'booked', now())
+  returning id into v_trip_id;
+
+  return v_trip_id;
+end;
+$$;
+
+revoke execute on function public.book_trip(uuid, date, date, integer, text, uuid) from public, anon;
+grant execute on function public.book_trip(uuid, date, date, integer, text, uuid) to authenticated;
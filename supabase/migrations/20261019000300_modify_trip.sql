@@ -0,0 +1,105 @@
+-- Changing the dates or guests of a booked trip.
+--
+-- modify_trip follows book_trip: it locks the trip and its listing, checks the
+-- new dates against every other booking and blocked period, and updates the
+-- row in one transaction. It reuses the BK409 / BK422 error codes.
+--
+-- listing_unavailable_ranges gains an optional trip to leave out, so the
+-- calendar for a trip being modified does not show its own nights as taken.
+
+drop function if exists public.listing_unavailable_ranges(uuid, date, date);
+
+create or replace function public.listing_unavailable_ranges(
+  p_listing_id uuid,
+  range_start date,
+  range_end date,
+  p_exclude_trip_id uuid default null
+)
+returns table (start_date date, end_date date, source text)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select t.start_date::date, t.end_date::date, 'booking'
+  from public.trips t
+  where t.listing_id = p_listing_id
+    and t.status = 'booked'
+    and t.id is distinct from p_exclude_trip_id
+    and t.start_date::date < range_end
+    and t.end_date::date > range_start
+  union all
+  select b.start_date, b.end_date, 'blocked'
+  from public.listing_blocked_dates b
+  where b.listing_id = p_listing_id
+    and b.start_date < range_end
+    and b.end_date > range_start
+  order by 1;
+$$;
+
+grant execute on function public.listing_unavailable_ranges(uuid, date, date, uuid) to anon, authenticated;
+
+create or replace function public.modify_trip(
+  p_trip_id uuid,
+  p_start_date date,
+  p_end_date date,
+  p_guest_count integer
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_trip public.trips%rowtype;
+  v_listing public.listings%rowtype;
+begin
+  select * into v_trip
+  from public.trips
+  where id = p_trip_id and user_id = auth.uid()
+  for update;
+
+  if not found then
+    raise exception 'Trip not found' using errcode = 'BK422';
+  end if;
+  if v_trip.status <> 'booked' then
+    raise exception 'Only booked trips can be changed' using errcode = 'BK422';
+  end if;
+  if v_trip.start_date::date <= current_date then
+    raise exception 'Trips cannot be changed after check-in' using errcode = 'BK422';
+  end if;
+
+  if p_start_date is null or p_end_date is null or p_end_date <= p_start_date then
+    raise exception 'Check-out must be after check-in' using errcode = 'BK422';
+  end if;
+  if p_start_date < current_date then
+    raise exception 'Check-in cannot be in the past' using errcode = 'BK422';
+  end if;
+
+  select * into v_listing
+  from public.listings
+  where id = v_trip.listing_id
+  for update;
+
+  if p_guest_count is null or p_guest_count < 1 or p_guest_count > v_listing.max_guests then
+    raise exception 'This stay allows up to % guests', v_listing.max_guests using errcode = 'BK422';
+  end if;
+
+  if exists (
+    select 1 from public.listing_unavailable_ranges(v_trip.listing_id, p_start_date, p_end_date, p_trip_id)
+  ) then
+    raise exception 'These dates are no longer available' using errcode = 'BK409';
+  end if;
+
+  update public.trips
+  set start_date = p_start_date,
+      end_date = p_end_date,
+      guest_count = p_guest_count
+  where id = p_trip_id;
+
+  return p_trip_id;
+end;
+$$;
+
+revoke execute on function public.modify_trip(uuid, date, date, integer) from public, anon;
+grant execute on function public.modify_trip(uuid, date, date, integer) to authenticated;
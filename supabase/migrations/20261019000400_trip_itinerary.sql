@@ -0,0 +1,21 @@
+-- Day-by-day itinerary for a trip.
+--
+-- Events are linked to a stay through user_trips.trip_id. planned_date is the
+-- itinerary day the user dropped the event on (null means the event's own
+-- date) and position orders events within a day.
+
+alter table public.user_trips
+  add column if not exists trip_id uuid references public.trips (id) on delete cascade,
+  add column if not exists planned_date date,
+  add column if not exists position integer not null default 0;
+
+create index if not exists user_trips_trip_idx
+  on public.user_trips (trip_id, planned_date, position);
+
+drop policy if exists "Users update their own trip events" on public.user_trips;
+
+create policy "Users update their own trip events"
+  on public.user_trips
+  for update
+  using (auth.uid() = user_id)
+  with check (auth.uid() = user_id);
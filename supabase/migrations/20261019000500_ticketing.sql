@@ -0,0 +1,391 @@
+-- Ticketing for events.
+--
+-- events.price stays as the display text it has always been; price_amount and
+-- currency are the structured price (the cheapest tier once tiers exist).
+-- An event sells tickets through ticket_tiers, each with an optional
+-- quantity limit and a per-order cap.
+--
+-- Buying is two steps around the payment provider:
+--   reserve_tickets       holds the seats on a pending order for 15 minutes
+--   confirm_ticket_order  marks the order paid and issues signed tickets
+-- Holds that are never confirmed are released by the next reservation for
+-- the tier, or straight away through release_ticket_order.
+--
+-- Ticket codes are signed with a per-event key (see src/utils/ticketCodes.ts)
+-- that only the event's organizer can read, so the check-in screen can verify
+-- them without a connection and sync check-ins later via check_in_ticket.
+--
+-- Errors use custom SQLSTATEs:
+--   TK403  the caller may not do this
+--   TK409  not enough tickets left, or the ticket was already used
+--   TK422  the request itself is invalid
+
+create extension if not exists pgcrypto with schema extensions;
+
+alter table public.events
+  add column if not exists price_amount numeric(10, 2) check (price_amount >= 0),
+  add column if not exists currency text not null default 'ZMW',
+  add column if not exists organizer_id uuid references auth.users (id) on delete set null;
+
+-- Best-effort structured price from the free-text column: "Free" is zero,
+-- otherwise the first number ("From K100" -> 100); "TBA" stays unknown
+update public.events
+set price_amount = case
+  when price::text ~* '^\s*free\s*$' then 0
+  else nullif(replace(substring(price::text from '[0-9][0-9,]*(?:\.[0-9]+)?'), ',', ''), '')::numeric
+end
+where price_amount is null and price is not null;
+
+create table if not exists public.ticket_tiers (
+  id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.events (id) on delete cascade,
+  name text not null,
+  description text,
+  price_amount numeric(10, 2) not null default 0 check (price_amount >= 0),
+  currency text not null default 'ZMW',
+  -- null means unlimited
+  quantity_total integer check (quantity_total >= 0),
+  -- includes seats held by pending orders
+  quantity_sold integer not null default 0 check (quantity_sold >= 0),
+  max_per_order integer not null default 10 check (max_per_order > 0),
+  sales_start timestamptz,
+  sales_end timestamptz,
+  position integer not null default 0,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_tiers_event_idx
+  on public.ticket_tiers (event_id, position);
+
+create table if not exists public.ticket_orders (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  event_id uuid not null references public.events (id) on delete cascade,
+  tier_id uuid not null references public.ticket_tiers (id) on delete restrict,
+  quantity integer not null check (quantity > 0),
+  unit_amount numeric(10, 2) not null,
+  total_amount numeric(10, 2) not null,
+  currency text not null,
+  status text not null default 'pending' check (status in ('pending', 'paid', 'released')),
+  provider text,
+  provider_ref text,
+  expires_at timestamptz not null default now() + interval '15 minutes',
+  paid_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists ticket_orders_user_idx
+  on public.ticket_orders (user_id, created_at desc);
+create index if not exists ticket_orders_pending_idx
+  on public.ticket_orders (tier_id, expires_at)
+  where status = 'pending';
+
+create table if not exists public.tickets (
+  id uuid primary key default gen_random_uuid(),
+  order_id uuid not null references public.ticket_orders (id) on delete cascade,
+  event_id uuid not null references public.events (id) on delete cascade,
+  tier_id uuid not null references public.ticket_tiers (id) on delete restrict,
+  user_id uuid not null references auth.users (id) on delete cascade,
+  code text unique,
+  status text not null default 'valid' check (status in ('valid', 'used', 'void')),
+  checked_in_at timestamptz,
+  checked_in_by uuid references auth.users (id) on delete set null,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists tickets_user_idx on public.tickets (user_id, created_at desc);
+create index if not exists tickets_event_idx on public.tickets (event_id, status);
+
+create table if not exists public.event_ticket_keys (
+  event_id uuid primary key references public.events (id) on delete cascade,
+  secret text not null default encode(extensions.gen_random_bytes(32), 'hex'),
+  created_at timestamptz not null default now()
+);
+
+insert into public.event_ticket_keys (event_id)
+select id from public.events
+on conflict (event_id) do nothing;
+
+create or replace function public.create_event_ticket_key()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  insert into public.event_ticket_keys (event_id) values (new.id)
+  on conflict (event_id) do nothing;
+  return new;
+end;
+$$;
+
+drop trigger if exists events_ticket_key on public.events;
+create trigger events_ticket_key
+  after insert on public.events
+  for each row execute function public.create_event_ticket_key();
+
+alter table public.ticket_tiers enable row level security;
+alter table public.ticket_orders enable row level security;
+alter table public.tickets enable row level security;
+alter table public.event_ticket_keys enable row level security;
+
+drop policy if exists "Anyone can view ticket tiers" on public.ticket_tiers;
+create policy "Anyone can view ticket tiers"
+  on public.ticket_tiers
+  for select
+  using (true);
+
+drop policy if exists "Organizers manage their ticket tiers" on public.ticket_tiers;
+create policy "Organizers manage their ticket tiers"
+  on public.ticket_tiers
+  for all
+  using (exists (
+    select 1 from public.events e
+    where e.id = event_id and e.organizer_id = auth.uid()
+  ))
+  with check (exists (
+    select 1 from public.events e
+    where e.id = event_id and e.organizer_id = auth.uid()
+  ));
+
+drop policy if exists "Users view their own ticket orders" on public.ticket_orders;
+create policy "Users view their own ticket orders"
+  on public.ticket_orders
+  for select
+  using (auth.uid() = user_id);
+
+drop policy if exists "Users and organizers view tickets" on public.tickets;
+create policy "Users and organizers view tickets"
+  on public.tickets
+  for select
+  using (auth.uid() = user_id or exists (
+    select 1 from public.events e
+    where e.id = event_id and e.organizer_id = auth.uid()
+  ));
+
+drop policy if exists "Organizers read their event ticket keys" on public.event_ticket_keys;
+create policy "Organizers read their event ticket keys"
+  on public.event_ticket_keys
+  for select
+  using (exists (
+    select 1 from public.events e
+    where e.id = event_id and e.organizer_id = auth.uid()
+  ));
+
+-- Hold seats for the caller on a pending order
+create or replace function public.reserve_tickets(p_tier_id uuid, p_quantity integer default 1)
+returns public.ticket_orders
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_tier public.ticket_tiers%rowtype;
+  v_released integer;
+  v_order public.ticket_orders%rowtype;
+begin
+  if v_user_id is null then
+    raise exception 'Sign in to buy tickets' using errcode = 'TK422';
+  end if;
+
+  -- Serialises reservations per tier until this transaction ends
+  select * into v_tier
+  from public.ticket_tiers
+  where id = p_tier_id
+  for update;
+
+  if not found then
+    raise exception 'Ticket type not found' using errcode = 'TK422';
+  end if;
+  if p_quantity is null or p_quantity < 1 or p_quantity > v_tier.max_per_order then
+    raise exception 'You can buy up to % tickets of this type per order', v_tier.max_per_order using errcode = 'TK422';
+  end if;
+  if (v_tier.sales_start is not null and now() < v_tier.sales_start)
+    or (v_tier.sales_end is not null and now() > v_tier.sales_end) then
+    raise exception 'Tickets of this type are not on sale' using errcode = 'TK422';
+  end if;
+
+  with expired as (
+    update public.ticket_orders
+    set status = 'released'
+    where tier_id = p_tier_id and status = 'pending' and expires_at < now()
+    returning quantity
+  )
+  select coalesce(sum(quantity), 0) into v_released from expired;
+
+  v_tier.quantity_sold := v_tier.quantity_sold - v_released;
+
+  if v_tier.quantity_total is not null and v_tier.quantity_sold + p_quantity > v_tier.quantity_total then
+    raise exception 'Only % tickets of this type are left', greatest(v_tier.quantity_total - v_tier.quantity_sold, 0)
+      using errcode = 'TK409';
+  end if;
+
+  update public.ticket_tiers
+  set quantity_sold = v_tier.quantity_sold + p_quantity
+  where id = p_tier_id;
+
+  insert into public.ticket_orders (user_id, event_id, tier_id, quantity, unit_amount, total_amount, currency)
+  values (v_user_id, v_tier.event_id, p_tier_id, p_quantity, v_tier.price_amount, v_tier.price_amount * p_quantity, v_tier.currency)
+  returning * into v_order;
+
+  return v_order;
+end;
+$$;
+
+-- Give a pending order's seats back, e.g. when the payment failed
+create or replace function public.release_ticket_order(p_order_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.ticket_orders%rowtype;
+begin
+  select * into v_order
+  from public.ticket_orders
+  where id = p_order_id and user_id = auth.uid()
+  for update;
+
+  if not found or v_order.status <> 'pending' then
+    return;
+  end if;
+
+  update public.ticket_orders set status = 'released' where id = p_order_id;
+  update public.ticket_tiers
+  set quantity_sold = greatest(quantity_sold - v_order.quantity, 0)
+  where id = v_order.tier_id;
+end;
+$$;
+
+-- Mark an order paid and issue its tickets. Real providers confirm from the
+-- server (service role) after verifying the payment. The app may confirm
+-- free orders itself, and mock payments where the database has
+--   alter database postgres set app.allow_mock_payments = 'on';
+create or replace function public.confirm_ticket_order(
+  p_order_id uuid,
+  p_provider text,
+  p_provider_ref text
+)
+returns setof public.tickets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.ticket_orders%rowtype;
+  v_secret text;
+  v_ticket_id uuid;
+  v_payload text;
+begin
+  select * into v_order
+  from public.ticket_orders
+  where id = p_order_id
+  for update;
+
+  if not found or (coalesce(auth.role(), '') <> 'service_role' and v_order.user_id is distinct from auth.uid()) then
+    raise exception 'Order not found' using errcode = 'TK422';
+  end if;
+
+  if p_provider = 'free' then
+    if v_order.total_amount <> 0 then
+      raise exception 'This order is not free' using errcode = 'TK403';
+    end if;
+  elsif p_provider = 'mock' then
+    if coalesce(current_setting('app.allow_mock_payments', true), 'off') <> 'on' then
+      raise exception 'Mock payments are disabled' using errcode = 'TK403';
+    end if;
+  elsif coalesce(auth.role(), '') <> 'service_role' then
+    raise exception 'Payments are confirmed by the server' using errcode = 'TK403';
+  end if;
+
+  -- Confirming twice returns the tickets already issued
+  if v_order.status = 'paid' then
+    return query select * from public.tickets where order_id = p_order_id order by created_at;
+    return;
+  end if;
+  if v_order.status <> 'pending' then
+    raise exception 'This order has expired' using errcode = 'TK409';
+  end if;
+
+  update public.ticket_orders
+  set status = 'paid', provider = p_provider, provider_ref = p_provider_ref, paid_at = now()
+  where id = p_order_id;
+
+  select secret into v_secret from public.event_ticket_keys where event_id = v_order.event_id;
+  if v_secret is null then
+    insert into public.event_ticket_keys (event_id) values (v_order.event_id)
+    returning secret into v_secret;
+  end if;
+
+  for i in 1..v_order.quantity loop
+    v_ticket_id := gen_random_uuid();
+    v_payload := concat_ws('.', 'ODT1', v_ticket_id, v_order.event_id, v_order.tier_id);
+
+    insert into public.tickets (id, order_id, event_id, tier_id, user_id, code)
+    values (
+      v_ticket_id,
+      p_order_id,
+      v_order.event_id,
+      v_order.tier_id,
+      v_order.user_id,
+      v_payload || '.' || rtrim(translate(
+        encode(extensions.hmac(convert_to(v_payload, 'UTF8'), decode(v_secret, 'hex'), 'sha256'), 'base64'),
+        '+/', '-_'
+      ), '=')
+    );
+  end loop;
+
+  return query select * from public.tickets where order_id = p_order_id order by created_at;
+end;
+$$;
+
+-- Record an admission. p_checked_in_at is when the scan happened, which can
+-- be well before this call for check-ins made offline. Returns the ticket;
+-- a second admission raises TK409 with the time of the first.
+create or replace function public.check_in_ticket(
+  p_ticket_id uuid,
+  p_checked_in_at timestamptz default now()
+)
+returns public.tickets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_ticket public.tickets%rowtype;
+begin
+  select t.* into v_ticket
+  from public.tickets t
+  join public.events e on e.id = t.event_id
+  where t.id = p_ticket_id and e.organizer_id = auth.uid()
+  for update of t;
+
+  if not found then
+    raise exception 'Ticket not found' using errcode = 'TK403';
+  end if;
+  if v_ticket.status = 'void' then
+    raise exception 'This ticket is void' using errcode = 'TK422';
+  end if;
+  if v_ticket.status = 'used' then
+    raise exception 'Already checked in at %', v_ticket.checked_in_at using errcode = 'TK409';
+  end if;
+
+  update public.tickets
+  set status = 'used', checked_in_at = coalesce(p_checked_in_at, now()), checked_in_by = auth.uid()
+  where id = p_ticket_id
+  returning * into v_ticket;
+
+  return v_ticket;
+end;
+$$;
+
+revoke execute on function public.reserve_tickets(uuid, integer) from public, anon;
+revoke execute on function public.release_ticket_order(uuid) from public, anon;
+revoke execute on function public.confirm_ticket_order(uuid, text, text) from public, anon;
+revoke execute on function public.check_in_ticket(uuid, timestamptz) from public, anon;
+grant execute on function public.reserve_tickets(uuid, integer) to authenticated;
+grant execute on function public.release_ticket_order(uuid) to authenticated;
+grant execute on function public.confirm_ticket_order(uuid, text, text) to authenticated, service_role;
+grant execute on function public.check_in_ticket(uuid, timestamptz) to authenticated;
@@ -0,0 +1,109 @@
+-- Structured event schedule.
+--
+-- events.date and events.time are display text ("Friday, Nov 21",
+-- "7:00 PM - 1:00 AM", "All Day") that cannot be sorted or filtered. Events
+-- now carry starts_at/ends_at instants, the IANA time zone they happen in and
+-- an all_day flag. All-day events run from local midnight to the local
+-- midnight after their last day, so ends_at is always exclusive.
+--
+-- The old columns are left in place and backfilled from where they parse.
+-- The display dates carry no year, so the first matching date on or after
+-- the day the event was created is used.
+
+alter table public.events
+  add column if not exists starts_at timestamptz,
+  add column if not exists ends_at timestamptz,
+  add column if not exists time_zone text not null default 'Africa/Lusaka',
+  add column if not exists all_day boolean not null default false;
+
+alter table public.events
+  drop constraint if exists events_schedule_order;
+alter table public.events
+  add constraint events_schedule_order check (ends_at is null or starts_at is null or ends_at > starts_at);
+
+create index if not exists events_starts_at_idx on public.events (starts_at);
+
+-- 'YYYY-MM-DD...', 'Friday, Nov 21' or 'Nov 21' -> a date on or after p_after
+create or replace function pg_temp.event_display_date(p_text text, p_after date)
+returns date
+language plpgsql
+immutable
+as $$
+declare
+  v_match text[];
+  v_date date;
+begin
+  if p_text is null then
+    return null;
+  end if;
+  if p_text ~ '^\d{4}-\d{2}-\d{2}' then
+    return left(p_text, 10)::date;
+  end if;
+
+  v_match := regexp_match(p_text, '([A-Za-z]{3})[A-Za-z]*\.?\s+(\d{1,2})\s*$');
+  if v_match is null then
+    return null;
+  end if;
+
+  v_date := to_date(v_match[1] || ' ' || v_match[2] || ' ' || extract(year from p_after)::int, 'Mon DD YYYY');
+  if v_date < p_after then
+    v_date := (v_date + interval '1 year')::date;
+  end if;
+  return v_date;
+exception when others then
+  return null;
+end;
+$$;
+
+-- '7:00 PM' / '19:00' -> time
+create or replace function pg_temp.event_display_time(p_text text)
+returns time
+language plpgsql
+immutable
+as $$
+declare
+  v_match text[];
+  v_hour int;
+begin
+  v_match := regexp_match(coalesce(p_text, ''), '^\s*(\d{1,2})(?::(\d{2}))?\s*([AaPp][Mm])?\s*$');
+  if v_match is null then
+    return null;
+  end if;
+
+  v_hour := v_match[1]::int;
+  if v_match[3] is not null then
+    v_hour := v_hour % 12 + case when upper(v_match[3]) = 'PM' then 12 else 0 end;
+  end if;
+  return make_time(v_hour, coalesce(v_match[2], '0')::int, 0);
+exception when others then
+  return null;
+end;
+$$;
+
+with parsed as (
+  select
+    e.id,
+    e.time_zone,
+    pg_temp.event_display_date(e.date::text, coalesce(e.created_at, now())::date) as day,
+    coalesce(e.time::text, '') ~* '^\s*all\s*day\s*$' or nullif(trim(coalesce(e.time::text, '')), '') is null as all_day,
+    pg_temp.event_display_time(split_part(e.time::text, '-', 1)) as start_time,
+    pg_temp.event_display_time(nullif(split_part(e.time::text, '-', 2), '')) as end_time
+  from public.events e
+  where e.starts_at is null
+)
+update public.events e
+set
+  all_day = p.all_day or p.start_time is null,
+  starts_at = case
+    when p.all_day or p.start_time is null then p.day::timestamp at time zone p.time_zone
+    else (p.day + p.start_time) at time zone p.time_zone
+  end,
+  ends_at = case
+    when p.all_day or p.start_time is null then (p.day + 1)::timestamp at time zone p.time_zone
+    when p.end_time is null then null
+    -- "7:00 PM - 1:00 AM" ends the next morning
+    when p.end_time <= p.start_time then (p.day + 1 + p.end_time) at time zone p.time_zone
+    else (p.day + p.end_time) at time zone p.time_zone
+  end
+from parsed p
+where e.id = p.id and p.day is not null;
@@ -0,0 +1,77 @@
+-- Facet counts for the events feed filters.
+--
+-- event_facets applies the same filters as eventService.fetchEvents and
+-- returns how many events each category and tag chip would show:
+--   { "total": 12, "categories": { "Music": 5, ... }, "tags": { "jazz": 3, ... } }
+-- Each facet ignores its own filter, so picking a category doesn't zero the
+-- other category chips; `total` applies every filter.
+--
+-- p_search_terms are already split into words by the app; every word must
+-- appear in the title or description. Undated events pass p_running_after
+-- but never p_starts_before, like the PostgREST filters in fetchEvents.
+
+create or replace function public.event_facets(
+  p_tags text[] default null,
+  p_tag_match text default 'all',
+  p_category text default null,
+  p_search_terms text[] default null,
+  p_running_after timestamptz default null,
+  p_starts_before timestamptz default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      e.category,
+      coalesce(e.tags, '{}') as tags,
+      case
+        when coalesce(cardinality(p_tags), 0) = 0 then true
+        when p_tag_match = 'any' then coalesce(e.tags, '{}') && p_tags
+        else coalesce(e.tags, '{}') @> p_tags
+      end as tag_ok,
+      p_category is null or e.category = p_category as category_ok
+    from public.events e
+    where
+      (p_starts_before is null or e.starts_at < p_starts_before)
+      -- 3 hours is EVENT_ASSUMED_HOURS in src/utils/events.ts
+      and (
+        p_running_after is null
+        or e.starts_at is null
+        or e.ends_at > p_running_after
+        or (e.ends_at is null and e.starts_at > p_running_after - interval '3 hours')
+      )
+      and not exists (
+        select 1
+        from unnest(coalesce(p_search_terms, '{}')) as term
+        where not (
+          e.title ilike '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+          or coalesce(e.description, '') ilike '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+        )
+      )
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered where tag_ok and category_ok),
+    'categories', coalesce((
+      select jsonb_object_agg(category, n)
+      from (
+        select category, count(*) as n
+        from filtered
+        where tag_ok and category is not null
+        group by category
+      ) c
+    ), '{}'::jsonb),
+    'tags', coalesce((
+      select jsonb_object_agg(tag, n)
+      from (
+        select tag, count(*) as n
+        from filtered, unnest(filtered.tags) as tag
+        where category_ok
+        group by tag
+      ) t
+    ), '{}'::jsonb)
+  );
+$$;
+
+grant execute on function public.event_facets(text[], text, text, text[], timestamptz, timestamptz) to anon, authenticated;
@@ -0,0 +1,226 @@
+-- Rating aggregates shared by events and listings.
+--
+-- Cards and detail pages used to download every event_ratings row and
+-- average them on the client, and listings relied on a separate
+-- calculate_listing_average RPC. Both rating tables now keep one row per
+-- rated subject in rating_aggregates up to date from a trigger: the count,
+-- the sum and a 1–5 star histogram.
+--
+-- rating_stats(row) is a PostgREST computed field on events and listings
+-- (select=*,rating_stats) returning
+--   { "average": 4.2, "count": 12, "score": 4.05, "histogram": [0, 1, 1, 4, 6] }
+-- `score` is the Bayesian average used for ranking: the subject's ratings
+-- plus five made-up ratings at the mean of all subjects of the same type,
+-- so one 5-star rating doesn't outrank forty 4.8s. rating_score exposes it
+-- as a plain number for ordering (order=rating_score.desc).
+--
+-- listings.average_rating and review_count are kept in step by the same
+-- trigger, so existing queries and sorts on those columns keep working.
+
+create table if not exists public.rating_aggregates (
+  subject_type text not null check (subject_type in ('event', 'listing')),
+  subject_id uuid not null,
+  rating_count integer not null default 0 check (rating_count >= 0),
+  rating_sum numeric not null default 0,
+  histogram integer[] not null default '{0,0,0,0,0}' check (cardinality(histogram) = 5),
+  updated_at timestamptz not null default now(),
+  primary key (subject_type, subject_id)
+);
+
+alter table public.rating_aggregates enable row level security;
+
+drop policy if exists "Rating aggregates are public" on public.rating_aggregates;
+create policy "Rating aggregates are public" on public.rating_aggregates
+  for select using (true);
+
+-- Add (p_sign = 1) or remove (p_sign = -1) one rating
+create or replace function public.apply_rating_change(
+  p_subject_type text,
+  p_subject_id uuid,
+  p_rating numeric,
+  p_sign integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_star integer;
+  v_histogram integer[] := '{0,0,0,0,0}';
+  v_aggregate public.rating_aggregates%rowtype;
+begin
+  if p_subject_id is null or p_rating is null then
+    return;
+  end if;
+
+  v_star := least(greatest(round(p_rating)::integer, 1), 5);
+  v_histogram[v_star] := greatest(p_sign, 0);
+
+  insert into public.rating_aggregates as a (subject_type, subject_id, rating_count, rating_sum, histogram)
+  values (p_subject_type, p_subject_id, greatest(p_sign, 0), greatest(p_sign, 0) * p_rating, v_histogram)
+  on conflict (subject_type, subject_id) do update
+  set
+    rating_count = greatest(a.rating_count + p_sign, 0),
+    rating_sum = a.rating_sum + p_sign * p_rating,
+    histogram[v_star] = greatest(a.histogram[v_star] + p_sign, 0),
+    updated_at = now()
+  returning * into v_aggregate;
+
+  if p_subject_type = 'listing' then
+    update public.listings
+    set
+      average_rating = case when v_aggregate.rating_count > 0
+        then round(v_aggregate.rating_sum / v_aggregate.rating_count, 2) else 0 end,
+      review_count = v_aggregate.rating_count
+    where id = p_subject_id;
+  end if;
+end;
+$$;
+
+revoke all on function public.apply_rating_change(text, uuid, numeric, integer) from public, anon, authenticated;
+
+-- Trigger arguments: subject type and the column holding the subject id
+create or replace function public.track_rating_aggregate()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_type text := tg_argv[0];
+  v_column text := tg_argv[1];
+begin
+  if tg_op in ('UPDATE', 'DELETE') then
+    perform public.apply_rating_change(
+      v_type, (to_jsonb(old) ->> v_column)::uuid, (to_jsonb(old) ->> 'rating')::numeric, -1
+    );
+  end if;
+  if tg_op in ('INSERT', 'UPDATE') then
+    perform public.apply_rating_change(
+      v_type, (to_jsonb(new) ->> v_column)::uuid, (to_jsonb(new) ->> 'rating')::numeric, 1
+    );
+  end if;
+  return null;
+end;
+$$;
+
+drop trigger if exists event_ratings_aggregate on public.event_ratings;
+create trigger event_ratings_aggregate
+  after insert or update of rating, event_id or delete on public.event_ratings
+  for each row execute function public.track_rating_aggregate('event', 'event_id');
+
+drop trigger if exists ratings_aggregate on public.ratings;
+create trigger ratings_aggregate
+  after insert or update of rating, listing_id or delete on public.ratings
+  for each row execute function public.track_rating_aggregate('listing', 'listing_id');
+
+-- Backfill from the existing ratings
+delete from public.rating_aggregates;
+
+insert into public.rating_aggregates (subject_type, subject_id, rating_count, rating_sum, histogram)
+select
+  s.subject_type,
+  s.subject_id,
+  count(*),
+  sum(s.rating),
+  array[
+    count(*) filter (where s.star = 1),
+    count(*) filter (where s.star = 2),
+    count(*) filter (where s.star = 3),
+    count(*) filter (where s.star = 4),
+    count(*) filter (where s.star = 5)
+  ]::integer[]
+from (
+  select 'event' as subject_type, r.event_id as subject_id, r.rating::numeric as rating,
+    least(greatest(round(r.rating)::integer, 1), 5) as star
+  from public.event_ratings r
+  where r.event_id is not null and r.rating is not null
+  union all
+  select 'listing', r.listing_id, r.rating::numeric,
+    least(greatest(round(r.rating)::integer, 1), 5)
+  from public.ratings r
+  where r.listing_id is not null and r.rating is not null
+) s
+group by s.subject_type, s.subject_id;
+
+update public.listings l
+set
+  average_rating = coalesce((
+    select round(a.rating_sum / nullif(a.rating_count, 0), 2)
+    from public.rating_aggregates a
+    where a.subject_type = 'listing' and a.subject_id = l.id
+  ), 0),
+  review_count = coalesce((
+    select a.rating_count
+    from public.rating_aggregates a
+    where a.subject_type = 'listing' and a.subject_id = l.id
+  ), 0);
+
+-- Average, count, Bayesian score and histogram for one subject
+create or replace function public.rating_aggregate(p_subject_type text, p_subject_id uuid)
+returns jsonb
+language sql
+stable
+as $$
+  with prior as (
+    select coalesce(sum(rating_sum) / nullif(sum(rating_count), 0), 3) as mean, 5 as weight
+    from public.rating_aggregates
+    where subject_type = p_subject_type
+  ),
+  subject as (
+    select
+      coalesce(a.rating_count, 0) as rating_count,
+      coalesce(a.rating_sum, 0) as rating_sum,
+      coalesce(a.histogram, '{0,0,0,0,0}') as histogram
+    from (select 1) one
+    left join public.rating_aggregates a
+      on a.subject_type = p_subject_type and a.subject_id = p_subject_id
+  )
+  select jsonb_build_object(
+    'average', case when s.rating_count > 0 then round(s.rating_sum / s.rating_count, 2) end,
+    'count', s.rating_count,
+    'score', round((p.weight * p.mean + s.rating_sum) / (p.weight + s.rating_count), 3),
+    'histogram', to_jsonb(s.histogram)
+  )
+  from subject s, prior p;
+$$;
+
+create or replace function public.rating_stats(public.events)
+returns jsonb
+language sql
+stable
+as $$
+  select public.rating_aggregate('event', $1.id);
+$$;
+
+create or replace function public.rating_stats(public.listings)
+returns jsonb
+language sql
+stable
+as $$
+  select public.rating_aggregate('listing', $1.id);
+$$;
+
+create or replace function public.rating_score(public.events)
+returns numeric
+language sql
+stable
+as $$
+  select (public.rating_aggregate('event', $1.id) ->> 'score')::numeric;
+$$;
+
+create or replace function public.rating_score(public.listings)
+returns numeric
+language sql
+stable
+as $$
+  select (public.rating_aggregate('listing', $1.id) ->> 'score')::numeric;
+$$;
+
+grant select on public.rating_aggregates to anon, authenticated;
+grant execute on function public.rating_aggregate(text, uuid) to anon, authenticated;
+grant execute on function public.rating_stats(public.events) to anon, authenticated;
+grant execute on function public.rating_stats(public.listings) to anon, authenticated;
+grant execute on function public.rating_score(public.events) to anon, authenticated;
+grant execute on function public.rating_score(public.listings) to anon, authenticated;
@@ -0,0 +1,48 @@
+-- Atomic, batched preference score updates.
+--
+-- eventService.updateUserPreferences used to read each tag's score and then
+-- upsert the sum, one tag at a time: two quick ratings could overwrite each
+-- other and a 10-tag event cost 20 round trips. increment_user_preferences
+-- takes a { tag: delta } object and adds every delta in one statement, with
+-- the increment done by the database so concurrent calls add up.
+--
+-- Deltas must be JSON numbers (JSON has no NaN or Infinity, and the client
+-- turns those into null); anything else fails the whole call with PF422.
+-- Runs as the caller, so the user_preferences RLS policies still decide
+-- whose scores can change. Relies on the existing unique (user_id, tag).
+
+create or replace function public.increment_user_preferences(p_user_id uuid, p_deltas jsonb)
+returns table (tag text, score numeric)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_entry record;
+begin
+  if p_user_id is null then
+    raise exception 'A user is required' using errcode = 'PF422';
+  end if;
+  if jsonb_typeof(p_deltas) is distinct from 'object' then
+    raise exception 'Preference deltas must be an object of tag to number' using errcode = 'PF422';
+  end if;
+
+  for v_entry in select d.key, d.value from jsonb_each(p_deltas) d loop
+    if trim(v_entry.key) = '' then
+      raise exception 'Preference tags cannot be empty' using errcode = 'PF422';
+    end if;
+    if jsonb_typeof(v_entry.value) <> 'number' then
+      raise exception 'Preference delta for "%" is not a finite number', v_entry.key using errcode = 'PF422';
+    end if;
+  end loop;
+
+  return query
+  insert into public.user_preferences as p (user_id, tag, score)
+  select p_user_id, d.key, (d.value #>> '{}')::numeric
+  from jsonb_each(p_deltas) d
+  on conflict (user_id, tag) do update
+  set score = coalesce(p.score, 0) + excluded.score
+  returning p.tag::text, p.score::numeric;
+end;
+$$;
+
+grant execute on function public.increment_user_preferences(uuid, jsonb) to authenticated;
@@ -0,0 +1,154 @@
+-- Time-decayed, capped preference scores that users can edit.
+--
+-- Rating and trip bumps used to add to user_preferences.score forever, so a
+-- tag liked two years ago counted as much as one liked today. A stored score
+-- is now the value as of updated_at and halves every 90 days after that;
+-- decayed_preference_score gives its value today. increment_user_preferences
+-- decays the stored score before adding to it and keeps the result within
+-- ±10, so no tag can run away with the ranking.
+--
+-- Muted tags keep their score but are left out of recommendations: the feed
+-- passes them to fetchEvents and event_facets as excluded tags, and
+-- user_preference_scores (the decayed view the app and the recommendations
+-- function read) exposes the flag. Resetting a tag deletes its row.
+--
+-- Existing rows start decaying from when this migration runs.
+
+alter table public.user_preferences
+  add column if not exists updated_at timestamptz not null default now(),
+  add column if not exists muted boolean not null default false;
+
+create or replace function public.decayed_preference_score(
+  p_score numeric,
+  p_updated_at timestamptz,
+  p_at timestamptz default now()
+)
+returns numeric
+language sql
+stable
+as $$
+  select coalesce(p_score, 0) * power(
+    0.5::numeric,
+    greatest(extract(epoch from (p_at - coalesce(p_updated_at, p_at))), 0) / (90 * 86400.0)
+  );
+$$;
+
+create or replace function public.increment_user_preferences(p_user_id uuid, p_deltas jsonb)
+returns table (tag text, score numeric)
+language plpgsql
+as $$
+#variable_conflict use_column
+declare
+  v_entry record;
+begin
+  if p_user_id is null then
+    raise exception 'A user is required' using errcode = 'PF422';
+  end if;
+  if jsonb_typeof(p_deltas) is distinct from 'object' then
+    raise exception 'Preference deltas must be an object of tag to number' using errcode = 'PF422';
+  end if;
+
+  for v_entry in select d.key, d.value from jsonb_each(p_deltas) d loop
+    if trim(v_entry.key) = '' then
+      raise exception 'Preference tags cannot be empty' using errcode = 'PF422';
+    end if;
+    if jsonb_typeof(v_entry.value) <> 'number' then
+      raise exception 'Preference delta for "%" is not a finite number', v_entry.key using errcode = 'PF422';
+    end if;
+  end loop;
+
+  return query
+  insert into public.user_preferences as p (user_id, tag, score, updated_at)
+  select p_user_id, d.key, least(greatest((d.value #>> '{}')::numeric, -10), 10), now()
+  from jsonb_each(p_deltas) d
+  on conflict (user_id, tag) do update
+  set
+    score = least(greatest(public.decayed_preference_score(p.score, p.updated_at) + (excluded.score), -10), 10),
+    updated_at = now()
+  returning p.tag::text, p.score::numeric;
+end;
+$$;
+
+create or replace view public.user_preference_scores
+with (security_invoker = true)
+as
+select
+  p.user_id,
+  p.tag,
+  round(public.decayed_preference_score(p.score, p.updated_at), 3) as score,
+  p.muted,
+  p.updated_at
+from public.user_preferences p;
+
+drop function if exists public.event_facets(text[], text, text, text[], timestamptz, timestamptz);
+
+create or replace function public.event_facets(
+  p_tags text[] default null,
+  p_tag_match text default 'all',
+  p_category text default null,
+  p_search_terms text[] default null,
+  p_running_after timestamptz default null,
+  p_starts_before timestamptz default null,
+  p_exclude_tags text[] default null
+)
+returns jsonb
+language sql
+stable
+as $$
+  with filtered as (
+    select
+      e.category,
+      coalesce(e.tags, '{}') as tags,
+      case
+        when coalesce(cardinality(p_tags), 0) = 0 then true
+        when p_tag_match = 'any' then coalesce(e.tags, '{}') && p_tags
+        else coalesce(e.tags, '{}') @> p_tags
+      end as tag_ok,
+      p_category is null or e.category = p_category as category_ok
+    from public.events e
+    where
+      (p_starts_before is null or e.starts_at < p_starts_before)
+      and not (coalesce(e.tags, '{}') && coalesce(p_exclude_tags, '{}'))
+      and (e.category is null or e.category <> all (coalesce(p_exclude_tags, '{}')))
+      -- 3 hours is EVENT_ASSUMED_HOURS in src/utils/events.ts
+      and (
+        p_running_after is null
+        or e.starts_at is null
+        or e.ends_at > p_running_after
+        or (e.ends_at is null and e.starts_at > p_running_after - interval '3 hours')
+      )
+      and not exists (
+        select 1
+        from unnest(coalesce(p_search_terms, '{}')) as term
+        where not (
+          e.title ilike '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+          or coalesce(e.description, '') ilike '%' || replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%'
+        )
+      )
+  )
+  select jsonb_build_object(
+    'total', (select count(*) from filtered where tag_ok and category_ok),
+    'categories', coalesce((
+      select jsonb_object_agg(category, n)
+      from (
+        select category, count(*) as n
+        from filtered
+        where tag_ok and category is not null
+        group by category
+      ) c
+    ), '{}'::jsonb),
+    'tags', coalesce((
+      select jsonb_object_agg(tag, n)
+      from (
+        select tag, count(*) as n
+        from filtered, unnest(filtered.tags) as tag
+        where category_ok
+        group by tag
+      ) t
+    ), '{}'::jsonb)
+  );
+$$;
+
+grant execute on function public.decayed_preference_score(numeric, timestamptz, timestamptz) to authenticated;
+grant select on public.user_preference_scores to authenticated;
+grant execute on function public.event_facets(text[], text, text, text[], timestamptz, timestamptz, text[]) to anon, authenticated;
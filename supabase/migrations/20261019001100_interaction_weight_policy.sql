@@ -0,0 +1,44 @@
+-- Versioned interaction weight policy.
+--
+-- InteractionService used hard-coded weights for each interaction type.
+-- They now come from interaction_weight_policies: the app fetches the
+-- active version, caches it, and stores that version with every
+-- user_interactions row so old data can be read with the weights that
+-- produced it. Publishing a new version is an insert followed by switching
+-- `active`; at most one version is active at a time.
+--
+-- Version 1 holds the weights the app shipped with, and existing
+-- interactions were recorded with them.
+
+create table if not exists public.interaction_weight_policies (
+  version integer primary key check (version > 0),
+  weights jsonb not null check (jsonb_typeof(weights) = 'object'),
+  active boolean not null default false,
+  notes text,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists interaction_weight_policies_one_active
+  on public.interaction_weight_policies (active) where active;
+
+alter table public.interaction_weight_policies enable row level security;
+
+drop policy if exists "Interaction weight policies are public" on public.interaction_weight_policies;
+create policy "Interaction weight policies are public" on public.interaction_weight_policies
+  for select using (true);
+
+insert into public.interaction_weight_policies (version, weights, active, notes)
+values (
+  1,
+  '{"view": 1, "click": 2, "save": 3, "message": 4, "share": 5, "book": 10, "swipe_left": -2, "swipe_right": 1}',
+  true,
+  'Weights previously hard-coded in InteractionService'
+)
+on conflict (version) do nothing;
+
+alter table public.user_interactions
+  add column if not exists policy_version integer references public.interaction_weight_policies (version);
+
+update public.user_interactions set policy_version = 1 where policy_version is null;
+
+grant select on public.interaction_weight_policies to anon, authenticated;
@@ -0,0 +1,30 @@
+-- Event interactions and impression metadata.
+--
+-- The home feed now records impressions and clicks on event cards the same
+-- way the listings grid does, through InteractionService. user_interactions
+-- only had listing_id, so rows can now point at an event instead; every row
+-- still points at exactly one of the two.
+--
+-- Impressions are ordinary 'view' rows whose metadata carries
+-- { impression: true, source, position, dwell_ms }; the index below serves
+-- reports that split them by source.
+
+alter table public.user_interactions
+  add column if not exists event_id uuid references public.events (id) on delete cascade;
+
+alter table public.user_interactions
+  alter column listing_id drop not null;
+
+alter table public.user_interactions
+  drop constraint if exists user_interactions_one_target;
+alter table public.user_interactions
+  add constraint user_interactions_one_target
+  check ((listing_id is null) <> (event_id is null));
+
+create index if not exists user_interactions_event_id_idx
+  on public.user_interactions (event_id)
+  where event_id is not null;
+
+create index if not exists user_interactions_impression_source_idx
+  on public.user_interactions ((metadata ->> 'source'), created_at)
+  where metadata ->> 'impression' = 'true';
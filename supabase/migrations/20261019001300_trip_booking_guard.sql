@@ -0,0 +1,157 @@
+-- Database-level protection against double booking.
+--
+-- book_trip and modify_trip check for overlapping bookings, but the trips
+-- RLS policies still let owners insert or update rows directly, including
+-- status = 'booked'. Two rules now hold for every write, whoever makes it:
+--
+--   * Only the booking functions (or the service role) can produce a booked
+--     trip or move one to other dates or another listing. Clients get BK422
+--     and must use book_trip / modify_trip. Renaming a booked trip or
+--     cancelling it directly is still allowed.
+--   * A booked trip can never overlap another booked trip of the same
+--     listing (BK409). The check takes a per-listing transaction lock, so
+--     concurrent writers run one after another.
+--
+-- The check is a trigger rather than an exclusion constraint because the
+-- trips date columns are compared as ::date everywhere, which cannot be
+-- indexed if they are timestamps.
+--
+-- available_rooms is a display field: each listing is booked as a whole, one
+-- trip per night, so book_trip no longer treats it as inventory.
+
+create or replace function public.enforce_trip_booking()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if new.status is distinct from 'booked' then
+    return new;
+  end if;
+  if tg_op = 'UPDATE'
+    and old.status = 'booked'
+    and new.listing_id = old.listing_id
+    and new.start_date = old.start_date
+    and new.end_date = old.end_date then
+    return new;
+  end if;
+
+  -- book_trip and modify_trip are security definer, so they run as the
+  -- function owner; direct API writes run as anon or authenticated
+  if current_user in ('anon', 'authenticated') then
+    raise exception 'Trips can only be booked through book_trip' using errcode = 'BK422';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('trips:' || new.listing_id::text));
+
+  if exists (
+    select 1 from public.trips t
+    where t.listing_id = new.listing_id
+      and t.status = 'booked'
+      and t.id <> new.id
+      and t.start_date::date < new.end_date::date
+      and t.end_date::date > new.start_date::date
+  ) then
+    raise exception 'These dates are no longer available' using errcode = 'BK409';
+  end if;
+
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_trip_booking on public.trips;
+create trigger enforce_trip_booking
+  before insert or update on public.trips
+  for each row execute function public.enforce_trip_booking();
+
+create or replace function public.book_trip(
+  p_listing_id uuid default null,
+  p_start_date date default null,
+  p_end_date date default null,
+  p_guest_count integer default 1,
+  p_trip_name text default null,
+  p_trip_id uuid default null
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id uuid := auth.uid();
+  v_listing public.listings%rowtype;
+  v_trip public.trips%rowtype;
+  v_trip_id uuid;
+begin
+  if v_user_id is null then
+    raise exception 'Sign in to book this stay' using errcode = 'BK422';
+  end if;
+
+  -- Booking a saved trip takes its listing, dates and guests from the row
+  if p_trip_id is not null then
+    select * into v_trip
+    from public.trips
+    where id = p_trip_id and user_id = v_user_id
+    for update;
+
+    if not found then
+      raise exception 'Trip not found' using errcode = 'BK422';
+    end if;
+    if v_trip.status <> 'saved' then
+      raise exception 'A % trip cannot be booked', v_trip.status using errcode = 'BK422';
+    end if;
+
+    p_listing_id := v_trip.listing_id;
+    p_start_date := v_trip.start_date::date;
+    p_end_date := v_trip.end_date::date;
+    p_guest_count := v_trip.guest_count;
+  end if;
+
+  if p_start_date is null or p_end_date is null or p_end_date <= p_start_date then
+    raise exception 'Check-out must be after check-in' using errcode = 'BK422';
+  end if;
+  if p_start_date < current_date then
+    raise exception 'Check-in cannot be in the past' using errcode = 'BK422';
+  end if;
+
+  -- Serialises bookings per listing until this transaction ends
+  select * into v_listing
+  from public.listings
+  where id = p_listing_id
+  for update;
+
+  if not found or not v_listing.is_available then
+    raise exception 'This stay is not taking bookings' using errcode = 'BK422';
+  end if;
+  if p_guest_count is null or p_guest_count < 1 or p_guest_count > v_listing.max_guests then
+    raise exception 'This stay allows up to % guests', v_listing.max_guests using errcode = 'BK422';
+  end if;
+
+  if exists (
+    select 1 from public.trips t
+    where t.listing_id = p_listing_id
+      and t.status = 'booked'
+      and t.id is distinct from p_trip_id
+      and t.start_date::date < p_end_date
+      and t.end_date::date > p_start_date
+  ) or exists (
+    select 1 from public.listing_blocked_dates b
+    where b.listing_id = p_listing_id
+      and b.start_date < p_end_date
+      and b.end_date > p_start_date
+  ) then
+    raise exception 'These dates are no longer available' using errcode = 'BK409';
+  end if;
+
+  if p_trip_id is not null then
+    update public.trips set status = 'booked' where id = p_trip_id;
+    return p_trip_id;
+  end if;
+
+  insert into public.trips (user_id, listing_id, start_date, end_date, guest_count, trip_name, status, created_at)
+  values (v_user_id, p_listing_id, p_start_date, p_end_date, p_guest_count, coalesce(p_trip_name, 'My Trip'), 'booked', now())
+  returning id into v_trip_id;
+
+  return v_trip_id;
+end;
+$$;
@@ -0,0 +1,33 @@
+-- Impressions as their own interaction type.
+--
+-- Feed impressions were 'view' rows flagged with metadata.impression, so a
+-- card scrolling past weighed as much as opening a listing. They are now
+-- 'impression' rows with metadata { source, position, dwell_ms }, and policy
+-- version 2 gives them weight 0: being shown is not interest, but the rows
+-- are still there for click-through and feed reports.
+--
+-- Existing flagged rows are moved over so reports see one kind of row.
+
+insert into public.interaction_weight_policies (version, weights, active, notes)
+values (
+  2,
+  '{"view": 1, "impression": 0, "click": 2, "save": 3, "message": 4, "share": 5, "book": 10, "swipe_left": -2, "swipe_right": 1}',
+  false,
+  'Version 1 plus impressions, which carry no weight'
+)
+on conflict (version) do nothing;
+
+update public.interaction_weight_policies set active = false where active and version <> 2;
+update public.interaction_weight_policies set active = true where version = 2;
+
+update public.user_interactions
+set interaction_type = 'impression',
+    weight = 0,
+    metadata = metadata - 'impression'
+where interaction_type = 'view'
+  and metadata ->> 'impression' = 'true';
+
+drop index if exists public.user_interactions_impression_source_idx;
+create index if not exists user_interactions_impression_source_idx
+  on public.user_interactions ((metadata ->> 'source'), created_at)
+  where interaction_type = 'impression';
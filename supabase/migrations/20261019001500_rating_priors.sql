@@ -0,0 +1,118 @@
+-- Cached rating priors.
+--
+-- rating_aggregate computed the Bayesian prior (the mean rating of all
+-- subjects of a type) by summing rating_aggregates on every call, so
+-- ordering N rows by rating_score read the whole table N times. The totals
+-- behind that mean now live in rating_priors, one row per subject type,
+-- kept in step by apply_rating_change alongside the subject's own
+-- aggregate. rating_aggregate reads the prior with a single key lookup.
+
+create table if not exists public.rating_priors (
+  subject_type text primary key check (subject_type in ('event', 'listing')),
+  rating_count bigint not null default 0 check (rating_count >= 0),
+  rating_sum numeric not null default 0,
+  updated_at timestamptz not null default now()
+);
+
+alter table public.rating_priors enable row level security;
+
+drop policy if exists "Rating priors are public" on public.rating_priors;
+create policy "Rating priors are public" on public.rating_priors
+  for select using (true);
+
+insert into public.rating_priors (subject_type, rating_count, rating_sum)
+select t.subject_type, coalesce(sum(a.rating_count), 0), coalesce(sum(a.rating_sum), 0)
+from (values ('event'), ('listing')) as t (subject_type)
+left join public.rating_aggregates a on a.subject_type = t.subject_type
+group by t.subject_type
+on conflict (subject_type) do update
+set
+  rating_count = excluded.rating_count,
+  rating_sum = excluded.rating_sum,
+  updated_at = now();
+
+-- Add (p_sign = 1) or remove (p_sign = -1) one rating
+create or replace function public.apply_rating_change(
+  p_subject_type text,
+  p_subject_id uuid,
+  p_rating numeric,
+  p_sign integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_star integer;
+  v_histogram integer[] := '{0,0,0,0,0}';
+  v_aggregate public.rating_aggregates%rowtype;
+begin
+  if p_subject_id is null or p_rating is null then
+    return;
+  end if;
+
+  v_star := least(greatest(round(p_rating)::integer, 1), 5);
+  v_histogram[v_star] := greatest(p_sign, 0);
+
+  insert into public.rating_aggregates as a (subject_type, subject_id, rating_count, rating_sum, histogram)
+  values (p_subject_type, p_subject_id, greatest(p_sign, 0), greatest(p_sign, 0) * p_rating, v_histogram)
+  on conflict (subject_type, subject_id) do update
+  set
+    rating_count = greatest(a.rating_count + p_sign, 0),
+    rating_sum = a.rating_sum + p_sign * p_rating,
+    histogram[v_star] = greatest(a.histogram[v_star] + p_sign, 0),
+    updated_at = now()
+  returning * into v_aggregate;
+
+  insert into public.rating_priors as p (subject_type, rating_count, rating_sum)
+  values (p_subject_type, greatest(p_sign, 0), greatest(p_sign, 0) * p_rating)
+  on conflict (subject_type) do update
+  set
+    rating_count = greatest(p.rating_count + p_sign, 0),
+    rating_sum = p.rating_sum + p_sign * p_rating,
+    updated_at = now();
+
+  if p_subject_type = 'listing' then
+    update public.listings
+    set
+      average_rating = case when v_aggregate.rating_count > 0
+        then round(v_aggregate.rating_sum / v_aggregate.rating_count, 2) else 0 end,
+      review_count = v_aggregate.rating_count
+    where id = p_subject_id;
+  end if;
+end;
+$$;
+
+revoke all on function public.apply_rating_change(text, uuid, numeric, integer) from public, anon, authenticated;
+
+-- Average, count, Bayesian score and histogram for one subject
+create or replace function public.rating_aggregate(p_subject_type text, p_subject_id uuid)
+returns jsonb
+language sql
+stable
+as $$
+  with prior as (
+    select coalesce(max(rating_sum) / nullif(max(rating_count), 0), 3) as mean, 5 as weight
+    from public.rating_priors
+    where subject_type = p_subject_type
+  ),
+  subject as (
+    select
+      coalesce(a.rating_count, 0) as rating_count,
+      coalesce(a.rating_sum, 0) as rating_sum,
+      coalesce(a.histogram, '{0,0,0,0,0}') as histogram
+    from (select 1) one
+    left join public.rating_aggregates a
+      on a.subject_type = p_subject_type and a.subject_id = p_subject_id
+  )
+  select jsonb_build_object(
+    'average', case when s.rating_count > 0 then round(s.rating_sum / s.rating_count, 2) end,
+    'count', s.rating_count,
+    'score', round((p.weight * p.mean + s.rating_sum) / (p.weight + s.rating_count), 3),
+    'histogram', to_jsonb(s.histogram)
+  )
+  from subject s, prior p;
+$$;
+
+grant select on public.rating_priors to anon, authenticated;
@@ -0,0 +1,42 @@
+-- Only an event's organizer can hand it to someone else.
+--
+-- events.organizer_id decides who reads the event's ticket key, sees its
+-- tickets and checks them in (see the ticketing migration), but nothing
+-- stopped a user who can write an event row from putting their own id there.
+-- Now, for writes made through the API as anon or authenticated:
+--
+--   * a new event may only name the caller as organizer, or nobody
+--   * organizer_id can only be changed by the current organizer
+--
+-- The service role and security definer functions are not restricted, so
+-- admins can still assign organizers. Violations raise TK403.
+
+create or replace function public.enforce_event_organizer()
+returns trigger
+language plpgsql
+set search_path = public
+as $$
+begin
+  if current_user not in ('anon', 'authenticated') then
+    return new;
+  end if;
+
+  if tg_op = 'INSERT' then
+    if new.organizer_id is not null and new.organizer_id is distinct from auth.uid() then
+      raise exception 'You can only create events you organize' using errcode = 'TK403';
+    end if;
+    return new;
+  end if;
+
+  if new.organizer_id is distinct from old.organizer_id
+    and (old.organizer_id is null or old.organizer_id is distinct from auth.uid()) then
+    raise exception 'Only the organizer can change who organizes this event' using errcode = 'TK403';
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists enforce_event_organizer on public.events;
+create trigger enforce_event_organizer
+  before insert or update of organizer_id on public.events
+  for each row execute function public.enforce_event_organizer();
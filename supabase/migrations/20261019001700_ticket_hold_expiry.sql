@@ -0,0 +1,135 @@
+-- Expired ticket holds at confirmation.
+--
+-- confirm_ticket_order only checked that an order was still 'pending'.
+-- Holds past expires_at are released lazily (by the next reserve_tickets for
+-- the tier or by release_ticket_order), so a payment that arrived after the
+-- 15 minutes either confirmed seats that were no longer held or found a
+-- released order and failed, leaving a paid order without tickets.
+--
+-- Now a hold past expires_at is never confirmed as it stands:
+--
+--   * Free and mock confirmations, which the app makes itself, raise TK410.
+--     Nothing real was charged; the app releases the order and the buyer
+--     starts again.
+--   * A payment the server confirms (service role) has already taken the
+--     money. The order keeps its seats if the tier still has them, taking
+--     them back if the hold was released. If it does not, the order is marked
+--     'refund_due' with the provider reference and no tickets are returned,
+--     which tells the caller to refund. Confirming it again returns no
+--     tickets as well.
+
+alter table public.ticket_orders
+  drop constraint if exists ticket_orders_status_check;
+alter table public.ticket_orders
+  add constraint ticket_orders_status_check
+  check (status in ('pending', 'paid', 'released', 'refund_due'));
+
+-- Mark an order paid and issue its tickets. Real providers confirm from the
+-- server (service role) after verifying the payment. The app may confirm
+-- free orders itself, and mock payments where the database has
+--   alter database postgres set app.allow_mock_payments = 'on';
+create or replace function public.confirm_ticket_order(
+  p_order_id uuid,
+  p_provider text,
+  p_provider_ref text
+)
+returns setof public.tickets
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_order public.ticket_orders%rowtype;
+  v_tier public.ticket_tiers%rowtype;
+  v_server boolean := coalesce(auth.role(), '') = 'service_role';
+  v_secret text;
+  v_ticket_id uuid;
+  v_payload text;
+begin
+  select * into v_order
+  from public.ticket_orders
+  where id = p_order_id
+  for update;
+
+  if not found or (not v_server and v_order.user_id is distinct from auth.uid()) then
+    raise exception 'Order not found' using errcode = 'TK422';
+  end if;
+
+  if p_provider = 'free' then
+    if v_order.total_amount <> 0 then
+      raise exception 'This order is not free' using errcode = 'TK403';
+    end if;
+  elsif p_provider = 'mock' then
+    if coalesce(current_setting('app.allow_mock_payments', true), 'off') <> 'on' then
+      raise exception 'Mock payments are disabled' using errcode = 'TK403';
+    end if;
+  elsif not v_server then
+    raise exception 'Payments are confirmed by the server' using errcode = 'TK403';
+  end if;
+
+  -- Confirming twice returns the tickets already issued (none for a refund)
+  if v_order.status in ('paid', 'refund_due') then
+    return query select * from public.tickets where order_id = p_order_id order by created_at;
+    return;
+  end if;
+
+  if v_order.status = 'released' or v_order.expires_at < now() then
+    if p_provider in ('free', 'mock') then
+      raise exception 'Your hold on these tickets expired' using errcode = 'TK410';
+    end if;
+
+    -- The payment went through: keep the seats if they can still be had.
+    -- A pending order past its expiry still counts in quantity_sold.
+    if v_order.status = 'released' then
+      select * into v_tier
+      from public.ticket_tiers
+      where id = v_order.tier_id
+      for update;
+
+      if v_tier.quantity_total is not null
+        and v_tier.quantity_sold + v_order.quantity > v_tier.quantity_total then
+        update public.ticket_orders
+        set status = 'refund_due', provider = p_provider, provider_ref = p_provider_ref, paid_at = now()
+        where id = p_order_id;
+        return;
+      end if;
+
+      update public.ticket_tiers
+      set quantity_sold = quantity_sold + v_order.quantity
+      where id = v_order.tier_id;
+    end if;
+  elsif v_order.status <> 'pending' then
+    raise exception 'This order has expired' using errcode = 'TK410';
+  end if;
+
+  update public.ticket_orders
+  set status = 'paid', provider = p_provider, provider_ref = p_provider_ref, paid_at = now()
+  where id = p_order_id;
+
+  select secret into v_secret from public.event_ticket_keys where event_id = v_order.event_id;
+  if v_secret is null then
+    insert into public.event_ticket_keys (event_id) values (v_order.event_id)
+    returning secret into v_secret;
+  end if;
+
+  for i in 1..v_order.quantity loop
+    v_ticket_id := gen_random_uuid();
+    v_payload := concat_ws('.', 'ODT1', v_ticket_id, v_order.event_id, v_order.tier_id);
+
+    insert into public.tickets (id, order_id, event_id, tier_id, user_id, code)
+    values (
+      v_ticket_id,
+      p_order_id,
+      v_order.event_id,
+      v_order.tier_id,
+      v_order.user_id,
+      v_payload || '.' || rtrim(translate(
+        encode(extensions.hmac(convert_to(v_payload, 'UTF8'), decode(v_secret, 'hex'), 'sha256'), 'base64'),
+        '+/', '-_'
+      ), '=')
+    );
+  end loop;
+
+  return query select * from public.tickets where order_id = p_order_id order by created_at;
+end;
+$$;
@@ -0,0 +1,125 @@
+-- Date availability filtered inside the listing search.
+--
+-- fetchListings used to fetch unavailable_listing_ids for the stay and send
+-- them back as id=not.in.(...), so the URL grew with every booking. The
+-- check now runs in the database:
+--
+--   available_listings(check_in, check_out)   listings free for the stay;
+--                                             filters, order and range chain
+--                                             onto it like onto the table
+--   listings_within_radius(..., check_in, check_out)
+--                                             same check for radius searches;
+--                                             the dates are optional
+--
+-- listing_is_free reads other guests' trips, which row-level security
+-- hides, so it is the only security definer piece and only answers yes/no.
+
+create or replace function public.listing_is_free(p_listing_id uuid, check_in date, check_out date)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select not exists (
+    select 1 from public.trips t
+    where t.listing_id = p_listing_id
+      and t.status = 'booked'
+      and t.start_date::date < check_out
+      and t.end_date::date > check_in
+  ) and not exists (
+    select 1 from public.listing_blocked_dates b
+    where b.listing_id = p_listing_id
+      and b.start_date < check_out
+      and b.end_date > check_in
+  );
+$$;
+
+create or replace function public.available_listings(check_in date, check_out date)
+returns setof public.listings
+language sql
+stable
+set search_path = public
+as $$
+  select l.*
+  from public.listings l
+  where public.listing_is_free(l.id, check_in, check_out);
+$$;
+
+drop function if exists public.listings_within_radius(double precision, double precision, double precision);
+
+create or replace function public.listings_within_radius(
+  center_lat double precision,
+  center_lng double precision,
+  radius_km double precision default 50,
+  check_in date default null,
+  check_out date default null
+)
+returns table (
+  id uuid,
+  title text,
+  description text,
+  host_id uuid,
+  category text,
+  price_per_night numeric,
+  location_lat double precision,
+  location_lng double precision,
+  address_city text,
+  address_country text,
+  amenities text[],
+  images text[],
+  max_guests integer,
+  bedrooms integer,
+  beds integer,
+  bathrooms numeric,
+  is_available boolean,
+  average_rating numeric,
+  review_count integer,
+  created_at timestamptz,
+  updated_at timestamptz,
+  distance_km double precision
+)
+language sql
+stable
+as $$
+  select
+    l.id,
+    l.title,
+    l.description,
+    l.host_id,
+    l.category,
+    l.price_per_night,
+    l.location_lat,
+    l.location_lng,
+    l.address_city,
+    l.address_country,
+    l.amenities,
+    l.images,
+    l.max_guests,
+    l.bedrooms,
+    l.beds,
+    l.bathrooms,
+    l.is_available,
+    l.average_rating,
+    l.review_count,
+    l.created_at,
+    l.updated_at,
+    round(d.distance_km::numeric, 2)::double precision as distance_km
+  from public.listings l
+  cross join lateral (
+    select 2 * 6371 * asin(least(1, sqrt(
+      power(sin(radians(l.location_lat - center_lat) / 2), 2) +
+      cos(radians(center_lat)) * cos(radians(l.location_lat)) *
+      power(sin(radians(l.location_lng - center_lng) / 2), 2)
+    ))) as distance_km
+  ) d
+  where l.location_lat is not null
+    and l.location_lng is not null
+    and d.distance_km <= radius_km
+    and (check_in is null or check_out is null or public.listing_is_free(l.id, check_in, check_out));
+$$;
+
+revoke execute on function public.listing_is_free(uuid, date, date) from public;
+grant execute on function public.listing_is_free(uuid, date, date) to anon, authenticated;
+grant execute on function public.available_listings(date, date) to anon, authenticated;
+grant execute on function public.listings_within_radius(double precision, double precision, double precision, date, date) to anon, authenticated;
@@ -0,0 +1,127 @@
+-- Rating priors refreshed on a schedule.
+--
+-- rating_priors was a table that apply_rating_change updated on every rating
+-- write, so all rating writes of a type queued on one row lock. The prior is
+-- the mean rating across a whole subject type and barely moves with any one
+-- rating, so it is now a materialized view over rating_aggregates:
+--
+--   * rating writes only touch their subject's rating_aggregates row again
+--   * refresh_rating_priors() recomputes the view (concurrently, so readers
+--     are never blocked); pg_cron runs it every 15 minutes where available
+--   * rating_aggregate still reads the prior with one key lookup, falling
+--     back to 3 until the view has a row for the type
+
+-- Rating writes no longer touch the priors
+create or replace function public.apply_rating_change(
+  p_subject_type text,
+  p_subject_id uuid,
+  p_rating numeric,
+  p_sign integer
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_star integer;
+  v_histogram integer[] := '{0,0,0,0,0}';
+  v_aggregate public.rating_aggregates%rowtype;
+begin
+  if p_subject_id is null or p_rating is null then
+    return;
+  end if;
+
+  v_star := least(greatest(round(p_rating)::integer, 1), 5);
+  v_histogram[v_star] := greatest(p_sign, 0);
+
+  insert into public.rating_aggregates as a (subject_type, subject_id, rating_count, rating_sum, histogram)
+  values (p_subject_type, p_subject_id, greatest(p_sign, 0), greatest(p_sign, 0) * p_rating, v_histogram)
+  on conflict (subject_type, subject_id) do update
+  set
+    rating_count = greatest(a.rating_count + p_sign, 0),
+    rating_sum = a.rating_sum + p_sign * p_rating,
+    histogram[v_star] = greatest(a.histogram[v_star] + p_sign, 0),
+    updated_at = now()
+  returning * into v_aggregate;
+
+  if p_subject_type = 'listing' then
+    update public.listings
+    set
+      average_rating = case when v_aggregate.rating_count > 0
+        then round(v_aggregate.rating_sum / v_aggregate.rating_count, 2) else 0 end,
+      review_count = v_aggregate.rating_count
+    where id = p_subject_id;
+  end if;
+end;
+$$;
+
+revoke all on function public.apply_rating_change(text, uuid, numeric, integer) from public, anon, authenticated;
+
+drop table if exists public.rating_priors;
+
+create materialized view if not exists public.rating_priors as
+select
+  subject_type,
+  sum(rating_count)::bigint as rating_count,
+  sum(rating_sum) as rating_sum,
+  now() as refreshed_at
+from public.rating_aggregates
+group by subject_type;
+
+-- Needed for refresh ... concurrently, and the lookup in rating_aggregate
+create unique index if not exists rating_priors_subject_type_idx
+  on public.rating_priors (subject_type);
+
+create or replace function public.refresh_rating_priors()
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  refresh materialized view concurrently public.rating_priors;
+$$;
+
+revoke all on function public.refresh_rating_priors() from public, anon, authenticated;
+
+do $$
+begin
+  if exists (select 1 from pg_available_extensions where name = 'pg_cron') then
+    create extension if not exists pg_cron;
+    perform cron.schedule('refresh-rating-priors', '*/15 * * * *', 'select public.refresh_rating_priors()');
+  else
+    raise notice 'pg_cron is not available; schedule public.refresh_rating_priors() another way';
+  end if;
+end;
+$$;
+
+-- Average, count, Bayesian score and histogram for one subject
+create or replace function public.rating_aggregate(p_subject_type text, p_subject_id uuid)
+returns jsonb
+language sql
+stable
+as $$
+  with prior as (
+    select coalesce(max(rating_sum) / nullif(max(rating_count), 0), 3) as mean, 5 as weight
+    from public.rating_priors
+    where subject_type = p_subject_type
+  ),
+  subject as (
+    select
+      coalesce(a.rating_count, 0) as rating_count,
+      coalesce(a.rating_sum, 0) as rating_sum,
+      coalesce(a.histogram, '{0,0,0,0,0}') as histogram
+    from (select 1) one
+    left join public.rating_aggregates a
+      on a.subject_type = p_subject_type and a.subject_id = p_subject_id
+  )
+  select jsonb_build_object(
+    'average', case when s.rating_count > 0 then round(s.rating_sum / s.rating_count, 2) end,
+    'count', s.rating_count,
+    'score', round((p.weight * p.mean + s.rating_sum) / (p.weight + s.rating_count), 3),
+    'histogram', to_jsonb(s.histogram)
+  )
+  from subject s, prior p;
+$$;
+
+grant select on public.rating_priors to anon, authenticated;
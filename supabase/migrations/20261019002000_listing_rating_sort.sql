@@ -0,0 +1,84 @@
+-- Top rated sorts by the Bayesian rating score.
+--
+-- The "Top rated" sort ordered by listings.average_rating, so a listing with
+-- one 5-star rating outranked one with forty 4.8s. It now orders by
+-- rating_score (see the rating aggregates migration). Table queries can
+-- order by the computed field directly; listings_within_radius returns its
+-- own row type, so it now carries rating_score as a column.
+
+drop function if exists public.listings_within_radius(double precision, double precision, double precision, date, date);
+
+create or replace function public.listings_within_radius(
+  center_lat double precision,
+  center_lng double precision,
+  radius_km double precision default 50,
+  check_in date default null,
+  check_out date default null
+)
+returns table (
+  id uuid,
+  title text,
+  description text,
+  host_id uuid,
+  category text,
+  price_per_night numeric,
+  location_lat double precision,
+  location_lng double precision,
+  address_city text,
+  address_country text,
+  amenities text[],
+  images text[],
+  max_guests integer,
+  bedrooms integer,
+  beds integer,
+  bathrooms numeric,
+  is_available boolean,
+  average_rating numeric,
+  review_count integer,
+  created_at timestamptz,
+  updated_at timestamptz,
+  rating_score numeric,
+  distance_km double precision
+)
+language sql
+stable
+as $$
+  select
+    l.id,
+    l.title,
+    l.description,
+    l.host_id,
+    l.category,
+    l.price_per_night,
+    l.location_lat,
+    l.location_lng,
+    l.address_city,
+    l.address_country,
+    l.amenities,
+    l.images,
+    l.max_guests,
+    l.bedrooms,
+    l.beds,
+    l.bathrooms,
+    l.is_available,
+    l.average_rating,
+    l.review_count,
+    l.created_at,
+    l.updated_at,
+    public.rating_score(l),
+    round(d.distance_km::numeric, 2)::double precision as distance_km
+  from public.listings l
+  cross join lateral (
+    select 2 * 6371 * asin(least(1, sqrt(
+      power(sin(radians(l.location_lat - center_lat) / 2), 2) +
+      cos(radians(center_lat)) * cos(radians(l.location_lat)) *
+      power(sin(radians(l.location_lng - center_lng) / 2), 2)
+    ))) as distance_km
+  ) d
+  where l.location_lat is not null
+    and l.location_lng is not null
+    and d.distance_km <= radius_km
+    and (check_in is null or check_out is null or public.listing_is_free(l.id, check_in, check_out));
+$$;
+
+grant execute on function public.listings_within_radius(double precision, double precision, double precision, date, date) to anon, authenticated;